@@ -0,0 +1,1619 @@
+// Generated by scripts/generate-client.js from the API routes. Do not edit.
+// Food Search API 1.0.0
+
+export interface User {
+  /** User ID */
+  id?: number;
+  /** User email */
+  email?: string;
+  /** Admin status */
+  is_admin?: boolean;
+  /** Employee name */
+  employee_name?: string;
+  /** Account active status */
+  is_active?: boolean;
+  /** Language of the user's emails and API error messages (null = default) */
+  locale?: "ro" | "en" | null;
+  /** Assigned roles (login and current user only) */
+  roles?: Array<"admin" | "platform_admin" | "kitchen_manager" | "office_manager" | "viewer">;
+  /** Permissions granted by the roles (login and current user only) */
+  permissions?: Array<"menus:manage" | "orders:export" | "reports:view" | "weeks:read" | "weeks:lock" | "unlocks:approve" | "cutoffs:manage" | "emails:manage" | "users:manage" | "feedback:manage" | "domains:manage" | "organizations:manage">;
+}
+
+export interface AuthTokens {
+  success?: boolean;
+  /** Access token (JWT), sent as Authorization: Bearer <token> */
+  token?: string;
+  /** Exchanged for new tokens at POST /api/auth/refresh; works once */
+  refresh_token?: string;
+  /** Access token lifetime in seconds */
+  expires_in?: number;
+}
+
+export interface AuthSession {
+  id?: string;
+  user_agent?: string | null;
+  ip_address?: string | null;
+  /** Login time */
+  created_at?: string;
+  /** Login or last token refresh */
+  last_used_at?: string;
+  /** When the refresh token expires unless used */
+  expires_at?: string;
+  /** The session of this request */
+  current?: boolean;
+}
+
+export interface Role {
+  name?: "admin" | "platform_admin" | "kitchen_manager" | "office_manager" | "viewer";
+  description?: string;
+  permissions?: Array<"menus:manage" | "orders:export" | "reports:view" | "weeks:read" | "weeks:lock" | "unlocks:approve" | "cutoffs:manage" | "emails:manage" | "users:manage" | "feedback:manage" | "domains:manage" | "organizations:manage">;
+}
+
+export interface UserRoles {
+  user_id?: number;
+  roles?: Array<"admin" | "platform_admin" | "kitchen_manager" | "office_manager" | "viewer">;
+  permissions?: Array<"menus:manage" | "orders:export" | "reports:view" | "weeks:read" | "weeks:lock" | "unlocks:approve" | "cutoffs:manage" | "emails:manage" | "users:manage" | "feedback:manage" | "domains:manage" | "organizations:manage">;
+}
+
+export interface MealOption {
+  id?: number;
+  week_start_date?: string;
+  /** Meal category (e.g., Meniu 1, Salată) */
+  category?: string;
+  monday?: string;
+  tuesday?: string;
+  wednesday?: string;
+  thursday?: string;
+  friday?: string;
+  /** Week period (e.g., 20-24) */
+  period?: string;
+  /** Source Excel filename */
+  source_file?: string;
+}
+
+export interface MealOptionItem {
+  /** Stable item ID */
+  id?: number;
+  week_start_date?: string;
+  /** Meal category (e.g., Meniu 1, Salată) */
+  category?: string;
+  day_of_week?: "monday" | "tuesday" | "wednesday" | "thursday" | "friday";
+  /** Dish name */
+  name?: string;
+  /** Order of the dish within its category and day */
+  position?: number;
+  price?: number | null;
+  allergens?: string[];
+}
+
+export interface ImportProfile {
+  id?: number;
+  name: string;
+  /** Sheet to read (null = first sheet) */
+  sheet_name?: string | null;
+  /** Number of leading header rows to skip */
+  header_row?: number;
+  /** Zero-based column index per day (column A = 0) */
+  day_columns: Record<string, unknown>;
+  /** Regular expressions that identify category rows ("Meniu" or "/^salat/i") */
+  category_patterns: string[];
+  /** Used when the upload does not name a profile */
+  is_default?: boolean;
+}
+
+export interface MealOptionsPayload {
+  week_start_date: string;
+  period?: string;
+  /** Recorded as the source file */
+  source?: string;
+  categories: Array<{
+    category: string;
+    /** Dishes per day: names or { name, price, allergens } objects */
+    items?: Record<string, unknown>;
+  }>;
+}
+
+export interface MealSelection {
+  id?: number;
+  user_id?: number;
+  week_start_date?: string;
+  monday?: string;
+  tuesday?: string;
+  wednesday?: string;
+  thursday?: string;
+  friday?: string;
+  created_at?: string;
+  updated_at?: string;
+}
+
+export interface MealReview {
+  id?: number;
+  user_id?: number;
+  meal_name?: string;
+  review_text?: string;
+  rating?: number;
+  week_start_date?: string;
+  day_of_week?: "monday" | "tuesday" | "wednesday" | "thursday" | "friday";
+  created_at?: string;
+  updated_at?: string;
+}
+
+/** Whether the user receives each kind of notification email (all true by default) */
+export interface NotificationPreferences {
+  /** New or changed weekly menu */
+  new_menu?: boolean;
+  /** Reminder before the ordering cutoff */
+  deadline_reminder?: boolean;
+  /** Someone claimed a transferred meal */
+  transfer_claimed?: boolean;
+  /** Unlock request approved or rejected */
+  unlock_decision?: boolean;
+  /** Admin replied to feedback */
+  feedback_reply?: boolean;
+}
+
+export interface Error {
+  /** Error message in the request language (saved locale or Accept-Language) */
+  error?: string;
+  /** Stable error code */
+  code?: string;
+  /** Error message in the request language (same as error) */
+  message?: string;
+  /** Additional error details */
+  details?: unknown;
+  /** Request ID, also in the X-Request-Id header */
+  requestId?: string;
+}
+
+export interface Success {
+  success?: boolean;
+  message?: string;
+}
+
+export interface ApiErrorBody {
+  error: string;
+  code: string;
+  message: string;
+  details?: unknown;
+  requestId: string;
+  [field: string]: unknown;
+}
+
+export declare class ApiError extends Error {
+  status: number;
+  code?: string;
+  details?: unknown;
+  requestId?: string;
+  body: ApiErrorBody;
+  constructor(status: number, body: ApiErrorBody);
+}
+
+export interface FoodSearchApiClientOptions {
+  /** API origin, e.g. https://api.foodsearch.example.com (defaults to same origin) */
+  baseUrl?: string;
+  /** fetch implementation (defaults to the global fetch) */
+  fetch?: typeof fetch;
+  /** Headers sent with every request, e.g. { 'Accept-Language': 'en' } */
+  headers?: Record<string, string>;
+  /** 'include' (default) sends the session cookie */
+  credentials?: RequestCredentials;
+  /** Returns the JWT sent as a Bearer token */
+  getToken?: () => string | null | undefined | Promise<string | null | undefined>;
+}
+
+export declare class FoodSearchApiClient {
+  constructor(options?: FoodSearchApiClientOptions);
+
+  request<T = unknown>(
+    method: string,
+    path: string,
+    request?: { params?: Record<string, unknown>; query?: Record<string, unknown>; body?: unknown },
+    options?: RequestInit
+  ): Promise<T>;
+
+  /**
+   * Login user
+   * POST /api/auth/login
+   */
+  login(request: {
+    body: {
+      email: string;
+      password: string;
+    };
+  }, options?: RequestInit): Promise<AuthTokens & {
+    user?: User;
+  }>;
+
+  /**
+   * Register new user
+   * POST /api/auth/register
+   */
+  register(request: {
+    body: {
+      email: string;
+      password: string;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Refresh the access token
+   * POST /api/auth/refresh
+   */
+  refresh(request: {
+    body: {
+      /** Refresh token returned by login or the previous refresh */
+      refresh_token: string;
+    };
+  }, options?: RequestInit): Promise<AuthTokens>;
+
+  /**
+   * Logout user
+   * POST /api/auth/logout
+   */
+  logout(request?: {
+    body?: {
+      /** Signs out this session when no access token or session cookie is sent */
+      refresh_token?: string;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Request a password reset link
+   * POST /api/auth/password/forgot
+   */
+  forgotPassword(request: {
+    body: {
+      email: string;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Reset the password with a reset link token
+   * POST /api/auth/password/reset
+   */
+  resetPassword(request: {
+    body: {
+      /** Token from the reset link */
+      token: string;
+      /** New password (same strength rules as registration) */
+      password: string;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Change my password
+   * POST /api/auth/password/change
+   */
+  changePassword(request: {
+    body: {
+      current_password: string;
+      /** Same strength rules as registration */
+      new_password: string;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    message?: string;
+    /** Other sessions signed out */
+    revoked?: number;
+  }>;
+
+  /**
+   * Get current user
+   * GET /api/auth/me
+   */
+  me(request?: Record<string, never>, options?: RequestInit): Promise<{
+    user?: User;
+  }>;
+
+  /**
+   * List my active sessions
+   * GET /api/auth/sessions
+   */
+  getSessions(request?: Record<string, never>, options?: RequestInit): Promise<{
+    sessions?: AuthSession[];
+  }>;
+
+  /**
+   * Sign out all my other sessions
+   * DELETE /api/auth/sessions
+   */
+  revokeOtherSessions(request?: Record<string, never>, options?: RequestInit): Promise<{
+    success?: boolean;
+    revoked?: number;
+  }>;
+
+  /**
+   * Sign out one of my sessions
+   * DELETE /api/auth/sessions/{id}
+   */
+  revokeSession(request: {
+    params: {
+      /** Session ID (from GET /api/auth/sessions) */
+      id: string;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    revoked?: number;
+  }>;
+
+  /**
+   * Get employee names from current menu
+   * GET /api/users/employees
+   */
+  getEmployees(request?: Record<string, never>, options?: RequestInit): Promise<{
+    employees?: string[];
+  }>;
+
+  /**
+   * Set employee name for current user
+   * POST /api/users/me/employee-name
+   */
+  setEmployeeName(request: {
+    body: {
+      /** Name as it appears in the current menu */
+      employee_name: string;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Set the language of the current user's emails
+   * PUT /api/users/me/locale
+   */
+  setLocale(request?: {
+    body?: {
+      /** Language of emails and error messages (null = default) */
+      locale?: "ro" | "en" | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get notification preferences for current user
+   * GET /api/users/me/notifications
+   */
+  getMyNotifications(request?: Record<string, never>, options?: RequestInit): Promise<{
+    preferences?: NotificationPreferences;
+  }>;
+
+  /**
+   * Update notification preferences for current user
+   * PUT /api/users/me/notifications
+   */
+  updateMyNotifications(request?: {
+    body?: {
+      /** meniul săptămânii */
+      new_menu?: boolean;
+      /** reminder-ele de comandă */
+      deadline_reminder?: boolean;
+      /** transferurile preluate */
+      transfer_claimed?: boolean;
+      /** deciziile cererilor de deblocare */
+      unlock_decision?: boolean;
+      /** răspunsurile la feedback */
+      feedback_reply?: boolean;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    message?: string;
+    preferences?: NotificationPreferences;
+  }>;
+
+  /**
+   * Unsubscribe from a notification category
+   * GET /api/users/unsubscribe
+   */
+  unsubscribe(request: {
+    query: {
+      token: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Confirm unsubscribing, or one-click unsubscribe (RFC 8058)
+   * POST /api/users/unsubscribe
+   */
+  unsubscribePost(request: {
+    query: {
+      token: string;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    category?: string;
+  }>;
+
+  /**
+   * Get all employee names for autocomplete
+   * GET /api/users/employees/names
+   */
+  getEmployeeNames(request?: Record<string, never>, options?: RequestInit): Promise<{
+    names?: string[];
+  }>;
+
+  /**
+   * Get all users (Admin only)
+   * GET /api/users
+   */
+  getAllUsers(request?: Record<string, never>, options?: RequestInit): Promise<{
+    users?: User[];
+  }>;
+
+  /**
+   * Create new user (Admin only)
+   * POST /api/users
+   */
+  createUser(request: {
+    body: {
+      email: string;
+      password: string;
+      /** Same as including admin in roles */
+      is_admin?: boolean;
+      /** Assigned roles (admin grants every permission; see GET /api/users/roles) */
+      roles?: Array<"admin" | "platform_admin" | "kitchen_manager" | "office_manager" | "viewer">;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Get assignable roles and their permissions (Admin only)
+   * GET /api/users/roles
+   */
+  getRoles(request?: Record<string, never>, options?: RequestInit): Promise<{
+    roles?: Role[];
+    permissions?: Array<{
+      name?: string;
+      description?: string;
+    }>;
+  }>;
+
+  /**
+   * Get a user's roles (Admin only)
+   * GET /api/users/{id}/roles
+   */
+  getUserRoles(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<UserRoles>;
+
+  /**
+   * Replace a user's roles (Admin only)
+   * PUT /api/users/{id}/roles
+   */
+  setUserRoles(request: {
+    params: {
+      id: number;
+    };
+    body: {
+      /** Assigned roles (admin grants every permission; see GET /api/users/roles) */
+      roles: Array<"admin" | "platform_admin" | "kitchen_manager" | "office_manager" | "viewer">;
+    };
+  }, options?: RequestInit): Promise<UserRoles>;
+
+  /**
+   * Disable a user account (Admin only)
+   * POST /api/users/{id}/deactivate
+   */
+  deactivateUser(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    message?: string;
+    sessions?: number;
+    transfers?: number;
+    unlock_requests?: number;
+    invitations?: number;
+  }>;
+
+  /**
+   * Re-enable a disabled user account (Admin only)
+   * POST /api/users/{id}/reactivate
+   */
+  reactivateUser(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Upload meal options from a file or JSON (Admin only)
+   * POST /api/meal-options/upload
+   */
+  uploadMealOptions(request: {
+    query?: {
+      /** Import profile name or ID (defaults to the default profile) */
+      profile?: string;
+      /** Parse and preview the upload (categories per day, warnings, diff against the week's current options, affected selections) without saving or emailing */
+      dryRun?: "true" | "false";
+      /** Upload a new revision for a week that already has options (otherwise rejected) */
+      replace?: "true" | "false";
+      /** Who gets emailed. Defaults to all users for a new week and nobody for a revision; "affected" emails only users whose selections lost an item */
+      notify?: "all" | "affected" | "none";
+    };
+    body: MealOptionsPayload | FormData;
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    message?: string;
+    week_start_date?: string;
+    profile?: string | null;
+    /** Parser used and what it detected (sheet, encoding, delimiter) */
+    source?: Record<string, unknown>;
+    warnings?: Array<Record<string, unknown>>;
+    iso_week?: {
+      year?: number;
+      week?: number;
+    };
+    week_source?: "override" | "iso_week" | "date" | "period";
+    revision?: number;
+    /** Present on dry runs */
+    dry_run?: boolean;
+    /** Dry run only - parsed categories per day */
+    days?: Record<string, unknown>;
+    /** Added, removed and changed items compared with the week's current options */
+    diff?: Record<string, unknown>;
+    /** User selections that reference removed items */
+    affected_selections?: Array<Record<string, unknown>>;
+    notified?: "all" | "affected" | "none";
+  }>;
+
+  /**
+   * Get meal options for a week
+   * GET /api/meal-options
+   */
+  getMealOptions(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<{
+    options?: MealOption[];
+    week_start_date?: string;
+  }>;
+
+  /**
+   * Get the meal option item catalog for a week
+   * GET /api/meal-options/items
+   */
+  getMealOptionItems(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+      /** Only return items for this day */
+      day?: string;
+      /** Only return items for this category */
+      category?: string;
+    };
+  }, options?: RequestInit): Promise<{
+    categories?: Array<{
+      category?: string;
+      days?: Record<string, MealOptionItem[]>;
+    }>;
+    items?: MealOptionItem[];
+    week_start_date?: string;
+  }>;
+
+  /**
+   * Get upload revisions of a week's meal options (Admin only)
+   * GET /api/meal-options/revisions
+   */
+  getMealOptionRevisions(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Update price and allergens of a meal option item (Admin only)
+   * PATCH /api/meal-options/items/{id}
+   */
+  updateMealOptionItem(request: {
+    params: {
+      id: number;
+    };
+    body?: {
+      price?: number | null;
+      allergens?: string[] | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Save meal selection for current user
+   * POST /api/meal-selections
+   */
+  saveMealSelection(request: {
+    body: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      week_start_date: string;
+      monday?: number[] | string | null;
+      tuesday?: number[] | string | null;
+      wednesday?: number[] | string | null;
+      thursday?: number[] | string | null;
+      friday?: number[] | string | null;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Get current user's meal selection
+   * GET /api/meal-selections/me
+   */
+  getMyMealSelection(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<{
+    selection?: MealSelection;
+    week_start_date?: string;
+    /** Deadline, seconds remaining and closed flag per day (null without a cutoff rule) */
+    cutoffs?: Record<string, unknown> | null;
+  }>;
+
+  /**
+   * Get user's meal selection history
+   * GET /api/meal-selections/history
+   */
+  getMealHistory(request?: Record<string, never>, options?: RequestInit): Promise<{
+    history?: MealSelection[];
+  }>;
+
+  /**
+   * Get all meal selections for a week (Admin only)
+   * GET /api/meal-selections/all
+   */
+  getAllMealSelections(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<{
+    selections?: MealSelection[];
+    week_start_date?: string;
+  }>;
+
+  /**
+   * Get meal selection statistics (Admin only)
+   * GET /api/meal-selections/statistics
+   */
+  getStatistics(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<{
+    statistics?: Record<string, unknown>;
+    week_start_date?: string;
+  }>;
+
+  /**
+   * Export statistics to Excel (Admin only)
+   * GET /api/meal-selections/statistics/export
+   */
+  exportStatistics(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<Blob>;
+
+  /**
+   * Export meal selections to Excel (Admin only)
+   * GET /api/meal-selections/export
+   */
+  exportMealSelections(request?: {
+    query?: {
+      /** Week start date (defaults to the latest week) */
+      week?: string;
+    };
+  }, options?: RequestInit): Promise<Blob>;
+
+  /**
+   * Lock user's own meal selection (whole week, or one day with `day`)
+   * POST /api/meal-selections/lock
+   */
+  lockMySelection(request: {
+    body: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      week_start_date: string;
+      /** Lock only this day (whole week when omitted) */
+      day?: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Unlock user's own meal selection (creates unlock request; one day with `day`, optional `reason`)
+   * POST /api/meal-selections/unlock
+   */
+  unlockMySelection(request: {
+    body: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      week_start_date: string;
+      /** Request unlocking only this day (whole week when omitted) */
+      day?: string;
+      /** Shown to the admin */
+      reason?: string | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get all pending unlock requests
+   * GET /api/meal-selections/unlock-requests
+   */
+  getPendingUnlockRequests(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get unlock requests of any status (filters: status, week, user_id, processed_by, from, to, limit, offset)
+   * GET /api/meal-selections/unlock-requests/history
+   */
+  getUnlockRequestHistory(request?: {
+    query?: {
+      status?: "pending" | "approved" | "rejected";
+      /** Week start date */
+      week?: string;
+      /** Requesting user */
+      user_id?: number;
+      /** Admin who processed the request */
+      processed_by?: number;
+      /** Requested on or after this date */
+      from?: string;
+      /** Requested on or before this date */
+      to?: string;
+      /** Page size (default 50, at most 200) */
+      limit?: number;
+      /** Rows to skip (default 0) */
+      offset?: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Approve an unlock request (optional body: comment; emails the requester)
+   * POST /api/meal-selections/unlock-requests/{id}/approve
+   */
+  approveUnlockRequest(request: {
+    params: {
+      id: number;
+    };
+    body?: {
+      /** Included in the email to the requester */
+      comment?: string | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Reject an unlock request (optional body: comment; emails the requester)
+   * POST /api/meal-selections/unlock-requests/{id}/reject
+   */
+  rejectUnlockRequest(request: {
+    params: {
+      id: number;
+    };
+    body?: {
+      /** Included in the email to the requester */
+      comment?: string | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get all reviews for a specific meal
+   * GET /api/reviews
+   */
+  getMealReviews(request: {
+    query: {
+      /** Dish name */
+      mealName: string;
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Save or update a meal review
+   * POST /api/reviews
+   */
+  saveMealReview(request: {
+    body: {
+      /** Dish name */
+      mealName: string;
+      /** At most 500 words */
+      reviewText?: string | null;
+      rating?: number | null;
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get user's review for a specific meal
+   * GET /api/reviews/my-review
+   */
+  getMyReview(request: {
+    query: {
+      /** Dish name */
+      mealName: string;
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get all reviews by current user
+   * GET /api/reviews/my-reviews
+   */
+  getMyReviews(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get recent reviews for a meal
+   * GET /api/reviews/recent
+   */
+  getRecentReviews(request: {
+    query: {
+      /** Dish name */
+      mealName: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get prioritized reviews for a meal (user's reviews first, then others, up to 5 total)
+   * GET /api/reviews/prioritized
+   */
+  getPrioritizedReviews(request: {
+    query: {
+      /** Dish name */
+      mealName: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get available weeks
+   * GET /api/search/weeks
+   */
+  getWeeks(request?: Record<string, never>, options?: RequestInit): Promise<{
+    weeks?: string[];
+  }>;
+
+  /**
+   * Get meals for a specific week
+   * GET /api/search/meals
+   */
+  getMeals(request: {
+    query: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      week: string;
+    };
+  }, options?: RequestInit): Promise<{
+    meals?: MealSelection[];
+    week_start_date?: string;
+  }>;
+
+  /**
+   * Search for colleague's meals by name
+   * GET /api/search
+   */
+  searchByName(request: {
+    query: {
+      /** Colleague name (or part of it) */
+      name: string;
+    };
+  }, options?: RequestInit): Promise<{
+    meals?: MealSelection[];
+    /** Indicates if results are from a previous week */
+    isFromPreviousWeek?: boolean;
+    /** Week of the found results */
+    week?: string;
+    /** Current week */
+    currentWeek?: string;
+  }>;
+
+  /**
+   * Get all available weeks (Admin only)
+   * GET /api/admin/weeks
+   */
+  getAllWeeks(request?: Record<string, never>, options?: RequestInit): Promise<{
+    weeks?: string[];
+  }>;
+
+  /**
+   * Delete all data for a specific week (Admin only)
+   * DELETE /api/admin/weeks/{weekStartDate}
+   */
+  deleteWeekData(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<Success>;
+
+  /**
+   * Get week settings (lock status)
+   * GET /api/admin/weeks/{weekStartDate}/settings
+   */
+  getWeekSettings(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Lock a week (prevent user modifications)
+   * POST /api/admin/weeks/{weekStartDate}/lock
+   */
+  lockWeek(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Unlock a week (allow user modifications)
+   * POST /api/admin/weeks/{weekStartDate}/unlock
+   */
+  unlockWeek(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Lock a single day of a week (e.g. once it was sent to the caterer)
+   * POST /api/admin/weeks/{weekStartDate}/days/{day}/lock
+   */
+  lockWeekDay(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      day: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Unlock a single day of a week
+   * POST /api/admin/weeks/{weekStartDate}/days/{day}/unlock
+   */
+  unlockWeekDay(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      day: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Grant unlock permission to a specific user (optional body: day, expires_in_minutes)
+   * POST /api/admin/weeks/{weekStartDate}/grant-unlock/{userId}
+   */
+  grantUserUnlock(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      userId: number;
+    };
+    body?: {
+      /** Only let the user through this day's lock (whole week when omitted) */
+      day?: string | null;
+      /** The override expires after this many minutes (never when omitted) */
+      expires_in_minutes?: number | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Revoke unlock permission from a specific user (optional body: day)
+   * POST /api/admin/weeks/{weekStartDate}/revoke-unlock/{userId}
+   */
+  revokeUserUnlock(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      userId: number;
+    };
+    body?: {
+      /** Only revoke this day's override (all of the user's overrides when omitted) */
+      day?: string | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * List the users let through the week's locks (?include_expired=true for past ones)
+   * GET /api/admin/weeks/{weekStartDate}/unlock-overrides
+   */
+  getUnlockOverrides(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+    query?: {
+      /** Also list expired overrides */
+      include_expired?: "true" | "false";
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get the default and per-week ordering cutoff rules
+   * GET /api/admin/cutoffs
+   */
+  getCutoffRules(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Set the default ordering cutoff rule
+   * PUT /api/admin/cutoffs/default
+   */
+  saveDefaultCutoffRule(request: {
+    body: {
+      /** One deadline for the whole week, or one per day */
+      mode: "week" | "day";
+      /** HH:MM (24h, server local time) */
+      time: string;
+      /** week mode: day of the previous week the deadline falls on */
+      day?: string;
+      /** day mode: how many days before each day it closes (default 0) */
+      days_before?: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Remove the default ordering cutoff rule
+   * DELETE /api/admin/cutoffs/default
+   */
+  deleteDefaultCutoffRule(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get the cutoff rule and day deadlines that apply to a week
+   * GET /api/admin/weeks/{weekStartDate}/cutoff
+   */
+  getWeekCutoff(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Set a week's own ordering cutoff rule (overrides the default)
+   * PUT /api/admin/weeks/{weekStartDate}/cutoff
+   */
+  saveWeekCutoffRule(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+    body: {
+      /** One deadline for the whole week, or one per day */
+      mode: "week" | "day";
+      /** HH:MM (24h, server local time) */
+      time: string;
+      /** week mode: day of the previous week the deadline falls on */
+      day?: string;
+      /** day mode: how many days before each day it closes (default 0) */
+      days_before?: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Remove a week's own ordering cutoff rule
+   * DELETE /api/admin/weeks/{weekStartDate}/cutoff
+   */
+  deleteWeekCutoffRule(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * List meal options import profiles (Admin only)
+   * GET /api/admin/import-profiles
+   */
+  getImportProfiles(request?: Record<string, never>, options?: RequestInit): Promise<{
+    profiles?: ImportProfile[];
+  }>;
+
+  /**
+   * Create a meal options import profile (Admin only)
+   * POST /api/admin/import-profiles
+   */
+  createImportProfile(request: {
+    body: {
+      name: string;
+      /** Sheet to read (null = first sheet) */
+      sheet_name?: string | null;
+      /** Number of leading header rows to skip */
+      header_row?: number;
+      /** Zero-based column index per day (column A = 0) */
+      day_columns: {
+        monday: number;
+        tuesday: number;
+        wednesday: number;
+        thursday: number;
+        friday: number;
+      };
+      /** Regular expressions that identify category rows ("Meniu" or "/^salat/i") */
+      category_patterns: string[];
+      /** Used when the upload does not name a profile */
+      is_default?: boolean;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Update a meal options import profile (Admin only)
+   * PUT /api/admin/import-profiles/{id}
+   */
+  updateImportProfile(request: {
+    params: {
+      id: number;
+    };
+    body?: {
+      name?: string;
+      /** Sheet to read (null = first sheet) */
+      sheet_name?: string | null;
+      /** Number of leading header rows to skip */
+      header_row?: number;
+      /** Zero-based column index per day (column A = 0) */
+      day_columns?: {
+        monday: number;
+        tuesday: number;
+        wednesday: number;
+        thursday: number;
+        friday: number;
+      };
+      /** Regular expressions that identify category rows ("Meniu" or "/^salat/i") */
+      category_patterns?: string[];
+      /** Used when the upload does not name a profile */
+      is_default?: boolean;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Delete a meal options import profile (Admin only)
+   * DELETE /api/admin/import-profiles/{id}
+   */
+  deleteImportProfile(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Test email configuration (Admin only)
+   * POST /api/admin/test-email
+   */
+  testEmail(request: {
+    body: {
+      /** Recipient email address */
+      to: string;
+      /** Language of the test email (defaults to EMAIL_DEFAULT_LOCALE) */
+      locale?: "ro" | "en" | null;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    message?: string;
+  }>;
+
+  /**
+   * Notify all users about new meal options (Admin only)
+   * POST /api/admin/notify-users
+   */
+  notifyUsers(request: {
+    body: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Optional custom message */
+      message?: string;
+    };
+  }, options?: RequestInit): Promise<{
+    success?: boolean;
+    message?: string;
+    queued?: number;
+    /** Users who unsubscribed from new menu emails */
+    skipped?: number;
+  }>;
+
+  /**
+   * List email outbox messages (?status=&kind=&to=&limit=&offset=) with status counts
+   * GET /api/admin/emails
+   */
+  getOutboxEmails(request?: {
+    query?: {
+      status?: "queued" | "sent" | "failed" | "bounced";
+      /** Email kind (template name) */
+      kind?: string;
+      /** Recipient (partial match) */
+      to?: string;
+      /** Page size (default 50, at most 200) */
+      limit?: number;
+      /** Rows to skip (default 0) */
+      offset?: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get an email outbox message, including its body and last error
+   * GET /api/admin/emails/{id}
+   */
+  getOutboxEmail(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Queue an email again for immediate delivery with a fresh set of attempts
+   * POST /api/admin/emails/{id}/resend
+   */
+  resendOutboxEmail(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * List the "you haven't ordered yet" reminders sent (?week=&userId=&status=&limit=&offset=)
+   * GET /api/admin/reminders
+   */
+  getOrderReminders(request?: {
+    query?: {
+      /** Week start date */
+      week?: string;
+      userId?: number;
+      status?: "queued" | "unsubscribed";
+      /** Page size (default 50, at most 200) */
+      limit?: number;
+      /** Rows to skip (default 0) */
+      offset?: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * List the accounts and IP addresses locked out after too many failed logins
+   * GET /api/admin/login-lockouts
+   */
+  getLoginLockouts(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Lift a login lockout (recorded in the login audit)
+   * DELETE /api/admin/login-lockouts/{id}
+   */
+  clearLoginLockout(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * List suspicious login events: lockouts, logins after many failures, lockouts cleared (?event=&email=&ip=&limit=&offset=)
+   * GET /api/admin/login-audit
+   */
+  getLoginAudit(request?: {
+    query?: {
+      event?: "lockout" | "success_after_failures" | "lockout_cleared";
+      /** Email tried (partial match) */
+      email?: string;
+      /** IP address */
+      ip?: string;
+      /** Page size (default 50, at most 200) */
+      limit?: number;
+      /** Rows to skip (default 0) */
+      offset?: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * List the email templates and supported locales
+   * GET /api/admin/email-templates
+   */
+  getEmailTemplates(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Render an email template with example data (?locale=ro|en&format=json|html|text)
+   * GET /api/admin/email-templates/{name}/preview
+   */
+  previewEmailTemplate(request: {
+    params: {
+      name: string;
+    };
+    query?: {
+      /** Defaults to EMAIL_DEFAULT_LOCALE */
+      locale?: "ro" | "en";
+      /** json returns { subject, html, text } (default) */
+      format?: "json" | "html" | "text";
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Send user invitation (Admin only)
+   * POST /api/invitations/send
+   */
+  sendInvitation(request: {
+    body: {
+      email: string;
+      is_admin?: boolean;
+      /** Language of the invitation email (defaults to EMAIL_DEFAULT_LOCALE) */
+      locale?: "ro" | "en" | null;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Validate invitation token
+   * GET /api/invitations/validate/{token}
+   */
+  validateInvitation(request: {
+    params: {
+      token: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Accept invitation and create account
+   * POST /api/invitations/accept
+   */
+  acceptInvitation(request: {
+    body: {
+      token: string;
+      password: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get pending invitations (Admin only)
+   * GET /api/invitations/pending
+   */
+  getPendingInvitations(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Cancel invitation (Admin only)
+   * DELETE /api/invitations/{id}
+   */
+  cancelInvitation(request: {
+    params: {
+      id: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get all feedback (admin only)
+   * GET /api/feedback
+   */
+  getAllFeedback(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Submit feedback
+   * POST /api/feedback
+   */
+  submitFeedback(request: {
+    body: {
+      subject: string;
+      message: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Update feedback status (admin only)
+   * PATCH /api/feedback/{id}
+   */
+  updateFeedbackStatus(request: {
+    params: {
+      id: number;
+    };
+    body: {
+      status: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get available meal transfers for a week
+   * GET /api/meal-transfers
+   */
+  getAvailableMealTransfers(request: {
+    query: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Create a meal transfer (pass meal to colleagues)
+   * POST /api/meal-transfers
+   */
+  createMealTransfer(request: {
+    body: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+      /** The dishes being passed on */
+      mealDetails: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Check if user has transferred a meal for a specific day
+   * GET /api/meal-transfers/check
+   */
+  checkMealTransfer(request: {
+    query: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get meals claimed by the current user
+   * GET /api/meal-transfers/claimed
+   */
+  getClaimedMealTransfers(request: {
+    query: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Claim a meal transfer
+   * POST /api/meal-transfers/{transferId}/claim
+   */
+  claimMealTransfer(request: {
+    params: {
+      transferId: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Unclaim a meal transfer (re-pass it back to available)
+   * POST /api/meal-transfers/{transferId}/unclaim
+   */
+  unclaimMealTransfer(request: {
+    params: {
+      transferId: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Cancel a meal transfer
+   * DELETE /api/meal-transfers/{transferId}
+   */
+  cancelMealTransfer(request: {
+    params: {
+      transferId: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Copy a user's menu for a specific day
+   * POST /api/menus/copy
+   */
+  copyUserMenu(request: {
+    body: {
+      /** User whose menu is copied */
+      copiedFromUserId: number;
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+      /** The copied dishes */
+      menuDetails: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get menu copies for a specific day
+   * GET /api/menus/copies
+   */
+  getMenuCopies(request: {
+    query: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get users who copied from a specific user
+   * GET /api/menus/copies/{userId}
+   */
+  getMenuCopiesForUser(request: {
+    params: {
+      userId: number;
+    };
+    query: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+      /** Day of the week: monday, tuesday, wednesday, thursday or friday */
+      dayOfWeek: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get all user menus for a specific week
+   * GET /api/menus/{weekStartDate}
+   */
+  getAllUserMenus(request: {
+    params: {
+      /** Week start date (Monday, YYYY-MM-DD) */
+      weekStartDate: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get the current user's organization and its email domains
+   * GET /api/organizations/current
+   */
+  getCurrentOrganization(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Remove an email domain of the current user's organization (Admin only)
+   * DELETE /api/organizations/current/domains/{domainId}
+   */
+  removeCurrentOrganizationDomain(request: {
+    params: {
+      domainId: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Get all organizations with their domains (Platform admin only)
+   * GET /api/organizations
+   */
+  getOrganizations(request?: Record<string, never>, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Create an organization (Platform admin only)
+   * POST /api/organizations
+   */
+  createOrganization(request: {
+    body: {
+      name: string;
+      /** Email domains that sign up to the organization */
+      domains?: string[];
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Rename an organization (Platform admin only)
+   * PUT /api/organizations/{id}
+   */
+  updateOrganization(request: {
+    params: {
+      id: number;
+    };
+    body: {
+      name: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Allow an email domain to sign up to an organization (Platform admin only)
+   * POST /api/organizations/{id}/domains
+   */
+  addOrganizationDomain(request: {
+    params: {
+      id: number;
+    };
+    body: {
+      /** Email domain, with or without a leading "@" */
+      domain: string;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+
+  /**
+   * Remove an email domain of an organization (Platform admin only)
+   * DELETE /api/organizations/{id}/domains/{domainId}
+   */
+  removeOrganizationDomain(request: {
+    params: {
+      id: number;
+      domainId: number;
+    };
+  }, options?: RequestInit): Promise<unknown>;
+}
@@ -0,0 +1,962 @@
+// Generated by scripts/generate-client.js from the API routes. Do not edit.
+// Food Search API 1.0.0
+
+/**
+ * Error response of the API: { code, message, details, requestId } plus the HTTP status
+ */
+export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && body.message) || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body && body.code;
+    this.details = body && body.details;
+    this.requestId = body && body.requestId;
+    this.body = body;
+  }
+}
+
+/**
+ * Client for the Food Search API
+ * Options: baseUrl, fetch (defaults to the global fetch), headers (e.g. Accept-Language),
+ * credentials ('include' sends the session cookie) and getToken (returns a JWT, sent as a Bearer token).
+ */
+export class FoodSearchApiClient {
+  constructor({ baseUrl = '', fetch: fetchImpl, headers = {}, credentials = 'include', getToken } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+    this.headers = headers;
+    this.credentials = credentials;
+    this.getToken = getToken;
+  }
+
+  /**
+   * Send a request; resolves with the parsed response body, rejects with an ApiError
+   * @param {string} method - HTTP method
+   * @param {string} path - Path template (/api/admin/emails/{id})
+   * @param {Object} request - { params, query, body }
+   * @param {Object} options - Extra fetch options (headers, signal, ...)
+   */
+  async request(method, path, { params = {}, query, body } = {}, options = {}) {
+    let url = this.baseUrl + path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+
+    if (query) {
+      const search = new URLSearchParams();
+      Object.entries(query).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) search.append(name, String(value));
+      });
+      const queryString = search.toString();
+      if (queryString) url += `?${queryString}`;
+    }
+
+    const headers = { Accept: 'application/json', ...this.headers, ...options.headers };
+    const token = this.getToken ? await this.getToken() : null;
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    let payload;
+    if (body instanceof FormData) {
+      payload = body;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const response = await this.fetch(url, {
+      credentials: this.credentials,
+      ...options,
+      method,
+      headers,
+      body: payload
+    });
+
+    const contentType = response.headers.get('Content-Type') || '';
+    const result = contentType.includes('application/json')
+      ? await response.json()
+      : contentType.startsWith('text/') ? await response.text() : await response.blob();
+
+    if (!response.ok) {
+      throw new ApiError(response.status, typeof result === 'object' && !(result instanceof Blob) ? result : { message: String(result) });
+    }
+    return result;
+  }
+
+  /**
+   * Login user
+   * POST /api/auth/login
+   */
+  login(request, options) {
+    return this.request('POST', '/api/auth/login', request, options);
+  }
+
+  /**
+   * Register new user
+   * POST /api/auth/register
+   */
+  register(request, options) {
+    return this.request('POST', '/api/auth/register', request, options);
+  }
+
+  /**
+   * Refresh the access token
+   * POST /api/auth/refresh
+   */
+  refresh(request, options) {
+    return this.request('POST', '/api/auth/refresh', request, options);
+  }
+
+  /**
+   * Logout user
+   * POST /api/auth/logout
+   */
+  logout(request, options) {
+    return this.request('POST', '/api/auth/logout', request, options);
+  }
+
+  /**
+   * Request a password reset link
+   * POST /api/auth/password/forgot
+   */
+  forgotPassword(request, options) {
+    return this.request('POST', '/api/auth/password/forgot', request, options);
+  }
+
+  /**
+   * Reset the password with a reset link token
+   * POST /api/auth/password/reset
+   */
+  resetPassword(request, options) {
+    return this.request('POST', '/api/auth/password/reset', request, options);
+  }
+
+  /**
+   * Change my password
+   * POST /api/auth/password/change
+   */
+  changePassword(request, options) {
+    return this.request('POST', '/api/auth/password/change', request, options);
+  }
+
+  /**
+   * Get current user
+   * GET /api/auth/me
+   */
+  me(request, options) {
+    return this.request('GET', '/api/auth/me', request, options);
+  }
+
+  /**
+   * List my active sessions
+   * GET /api/auth/sessions
+   */
+  getSessions(request, options) {
+    return this.request('GET', '/api/auth/sessions', request, options);
+  }
+
+  /**
+   * Sign out all my other sessions
+   * DELETE /api/auth/sessions
+   */
+  revokeOtherSessions(request, options) {
+    return this.request('DELETE', '/api/auth/sessions', request, options);
+  }
+
+  /**
+   * Sign out one of my sessions
+   * DELETE /api/auth/sessions/{id}
+   */
+  revokeSession(request, options) {
+    return this.request('DELETE', '/api/auth/sessions/{id}', request, options);
+  }
+
+  /**
+   * Get employee names from current menu
+   * GET /api/users/employees
+   */
+  getEmployees(request, options) {
+    return this.request('GET', '/api/users/employees', request, options);
+  }
+
+  /**
+   * Set employee name for current user
+   * POST /api/users/me/employee-name
+   */
+  setEmployeeName(request, options) {
+    return this.request('POST', '/api/users/me/employee-name', request, options);
+  }
+
+  /**
+   * Set the language of the current user's emails
+   * PUT /api/users/me/locale
+   */
+  setLocale(request, options) {
+    return this.request('PUT', '/api/users/me/locale', request, options);
+  }
+
+  /**
+   * Get notification preferences for current user
+   * GET /api/users/me/notifications
+   */
+  getMyNotifications(request, options) {
+    return this.request('GET', '/api/users/me/notifications', request, options);
+  }
+
+  /**
+   * Update notification preferences for current user
+   * PUT /api/users/me/notifications
+   */
+  updateMyNotifications(request, options) {
+    return this.request('PUT', '/api/users/me/notifications', request, options);
+  }
+
+  /**
+   * Unsubscribe from a notification category
+   * GET /api/users/unsubscribe
+   */
+  unsubscribe(request, options) {
+    return this.request('GET', '/api/users/unsubscribe', request, options);
+  }
+
+  /**
+   * Confirm unsubscribing, or one-click unsubscribe (RFC 8058)
+   * POST /api/users/unsubscribe
+   */
+  unsubscribePost(request, options) {
+    return this.request('POST', '/api/users/unsubscribe', request, options);
+  }
+
+  /**
+   * Get all employee names for autocomplete
+   * GET /api/users/employees/names
+   */
+  getEmployeeNames(request, options) {
+    return this.request('GET', '/api/users/employees/names', request, options);
+  }
+
+  /**
+   * Get all users (Admin only)
+   * GET /api/users
+   */
+  getAllUsers(request, options) {
+    return this.request('GET', '/api/users', request, options);
+  }
+
+  /**
+   * Create new user (Admin only)
+   * POST /api/users
+   */
+  createUser(request, options) {
+    return this.request('POST', '/api/users', request, options);
+  }
+
+  /**
+   * Get assignable roles and their permissions (Admin only)
+   * GET /api/users/roles
+   */
+  getRoles(request, options) {
+    return this.request('GET', '/api/users/roles', request, options);
+  }
+
+  /**
+   * Get a user's roles (Admin only)
+   * GET /api/users/{id}/roles
+   */
+  getUserRoles(request, options) {
+    return this.request('GET', '/api/users/{id}/roles', request, options);
+  }
+
+  /**
+   * Replace a user's roles (Admin only)
+   * PUT /api/users/{id}/roles
+   */
+  setUserRoles(request, options) {
+    return this.request('PUT', '/api/users/{id}/roles', request, options);
+  }
+
+  /**
+   * Disable a user account (Admin only)
+   * POST /api/users/{id}/deactivate
+   */
+  deactivateUser(request, options) {
+    return this.request('POST', '/api/users/{id}/deactivate', request, options);
+  }
+
+  /**
+   * Re-enable a disabled user account (Admin only)
+   * POST /api/users/{id}/reactivate
+   */
+  reactivateUser(request, options) {
+    return this.request('POST', '/api/users/{id}/reactivate', request, options);
+  }
+
+  /**
+   * Upload meal options from a file or JSON (Admin only)
+   * POST /api/meal-options/upload
+   */
+  uploadMealOptions(request, options) {
+    return this.request('POST', '/api/meal-options/upload', request, options);
+  }
+
+  /**
+   * Get meal options for a week
+   * GET /api/meal-options
+   */
+  getMealOptions(request, options) {
+    return this.request('GET', '/api/meal-options', request, options);
+  }
+
+  /**
+   * Get the meal option item catalog for a week
+   * GET /api/meal-options/items
+   */
+  getMealOptionItems(request, options) {
+    return this.request('GET', '/api/meal-options/items', request, options);
+  }
+
+  /**
+   * Get upload revisions of a week's meal options (Admin only)
+   * GET /api/meal-options/revisions
+   */
+  getMealOptionRevisions(request, options) {
+    return this.request('GET', '/api/meal-options/revisions', request, options);
+  }
+
+  /**
+   * Update price and allergens of a meal option item (Admin only)
+   * PATCH /api/meal-options/items/{id}
+   */
+  updateMealOptionItem(request, options) {
+    return this.request('PATCH', '/api/meal-options/items/{id}', request, options);
+  }
+
+  /**
+   * Save meal selection for current user
+   * POST /api/meal-selections
+   */
+  saveMealSelection(request, options) {
+    return this.request('POST', '/api/meal-selections', request, options);
+  }
+
+  /**
+   * Get current user's meal selection
+   * GET /api/meal-selections/me
+   */
+  getMyMealSelection(request, options) {
+    return this.request('GET', '/api/meal-selections/me', request, options);
+  }
+
+  /**
+   * Get user's meal selection history
+   * GET /api/meal-selections/history
+   */
+  getMealHistory(request, options) {
+    return this.request('GET', '/api/meal-selections/history', request, options);
+  }
+
+  /**
+   * Get all meal selections for a week (Admin only)
+   * GET /api/meal-selections/all
+   */
+  getAllMealSelections(request, options) {
+    return this.request('GET', '/api/meal-selections/all', request, options);
+  }
+
+  /**
+   * Get meal selection statistics (Admin only)
+   * GET /api/meal-selections/statistics
+   */
+  getStatistics(request, options) {
+    return this.request('GET', '/api/meal-selections/statistics', request, options);
+  }
+
+  /**
+   * Export statistics to Excel (Admin only)
+   * GET /api/meal-selections/statistics/export
+   */
+  exportStatistics(request, options) {
+    return this.request('GET', '/api/meal-selections/statistics/export', request, options);
+  }
+
+  /**
+   * Export meal selections to Excel (Admin only)
+   * GET /api/meal-selections/export
+   */
+  exportMealSelections(request, options) {
+    return this.request('GET', '/api/meal-selections/export', request, options);
+  }
+
+  /**
+   * Lock user's own meal selection (whole week, or one day with `day`)
+   * POST /api/meal-selections/lock
+   */
+  lockMySelection(request, options) {
+    return this.request('POST', '/api/meal-selections/lock', request, options);
+  }
+
+  /**
+   * Unlock user's own meal selection (creates unlock request; one day with `day`, optional `reason`)
+   * POST /api/meal-selections/unlock
+   */
+  unlockMySelection(request, options) {
+    return this.request('POST', '/api/meal-selections/unlock', request, options);
+  }
+
+  /**
+   * Get all pending unlock requests
+   * GET /api/meal-selections/unlock-requests
+   */
+  getPendingUnlockRequests(request, options) {
+    return this.request('GET', '/api/meal-selections/unlock-requests', request, options);
+  }
+
+  /**
+   * Get unlock requests of any status (filters: status, week, user_id, processed_by, from, to, limit, offset)
+   * GET /api/meal-selections/unlock-requests/history
+   */
+  getUnlockRequestHistory(request, options) {
+    return this.request('GET', '/api/meal-selections/unlock-requests/history', request, options);
+  }
+
+  /**
+   * Approve an unlock request (optional body: comment; emails the requester)
+   * POST /api/meal-selections/unlock-requests/{id}/approve
+   */
+  approveUnlockRequest(request, options) {
+    return this.request('POST', '/api/meal-selections/unlock-requests/{id}/approve', request, options);
+  }
+
+  /**
+   * Reject an unlock request (optional body: comment; emails the requester)
+   * POST /api/meal-selections/unlock-requests/{id}/reject
+   */
+  rejectUnlockRequest(request, options) {
+    return this.request('POST', '/api/meal-selections/unlock-requests/{id}/reject', request, options);
+  }
+
+  /**
+   * Get all reviews for a specific meal
+   * GET /api/reviews
+   */
+  getMealReviews(request, options) {
+    return this.request('GET', '/api/reviews', request, options);
+  }
+
+  /**
+   * Save or update a meal review
+   * POST /api/reviews
+   */
+  saveMealReview(request, options) {
+    return this.request('POST', '/api/reviews', request, options);
+  }
+
+  /**
+   * Get user's review for a specific meal
+   * GET /api/reviews/my-review
+   */
+  getMyReview(request, options) {
+    return this.request('GET', '/api/reviews/my-review', request, options);
+  }
+
+  /**
+   * Get all reviews by current user
+   * GET /api/reviews/my-reviews
+   */
+  getMyReviews(request, options) {
+    return this.request('GET', '/api/reviews/my-reviews', request, options);
+  }
+
+  /**
+   * Get recent reviews for a meal
+   * GET /api/reviews/recent
+   */
+  getRecentReviews(request, options) {
+    return this.request('GET', '/api/reviews/recent', request, options);
+  }
+
+  /**
+   * Get prioritized reviews for a meal (user's reviews first, then others, up to 5 total)
+   * GET /api/reviews/prioritized
+   */
+  getPrioritizedReviews(request, options) {
+    return this.request('GET', '/api/reviews/prioritized', request, options);
+  }
+
+  /**
+   * Get available weeks
+   * GET /api/search/weeks
+   */
+  getWeeks(request, options) {
+    return this.request('GET', '/api/search/weeks', request, options);
+  }
+
+  /**
+   * Get meals for a specific week
+   * GET /api/search/meals
+   */
+  getMeals(request, options) {
+    return this.request('GET', '/api/search/meals', request, options);
+  }
+
+  /**
+   * Search for colleague's meals by name
+   * GET /api/search
+   */
+  searchByName(request, options) {
+    return this.request('GET', '/api/search', request, options);
+  }
+
+  /**
+   * Get all available weeks (Admin only)
+   * GET /api/admin/weeks
+   */
+  getAllWeeks(request, options) {
+    return this.request('GET', '/api/admin/weeks', request, options);
+  }
+
+  /**
+   * Delete all data for a specific week (Admin only)
+   * DELETE /api/admin/weeks/{weekStartDate}
+   */
+  deleteWeekData(request, options) {
+    return this.request('DELETE', '/api/admin/weeks/{weekStartDate}', request, options);
+  }
+
+  /**
+   * Get week settings (lock status)
+   * GET /api/admin/weeks/{weekStartDate}/settings
+   */
+  getWeekSettings(request, options) {
+    return this.request('GET', '/api/admin/weeks/{weekStartDate}/settings', request, options);
+  }
+
+  /**
+   * Lock a week (prevent user modifications)
+   * POST /api/admin/weeks/{weekStartDate}/lock
+   */
+  lockWeek(request, options) {
+    return this.request('POST', '/api/admin/weeks/{weekStartDate}/lock', request, options);
+  }
+
+  /**
+   * Unlock a week (allow user modifications)
+   * POST /api/admin/weeks/{weekStartDate}/unlock
+   */
+  unlockWeek(request, options) {
+    return this.request('POST', '/api/admin/weeks/{weekStartDate}/unlock', request, options);
+  }
+
+  /**
+   * Lock a single day of a week (e.g. once it was sent to the caterer)
+   * POST /api/admin/weeks/{weekStartDate}/days/{day}/lock
+   */
+  lockWeekDay(request, options) {
+    return this.request('POST', '/api/admin/weeks/{weekStartDate}/days/{day}/lock', request, options);
+  }
+
+  /**
+   * Unlock a single day of a week
+   * POST /api/admin/weeks/{weekStartDate}/days/{day}/unlock
+   */
+  unlockWeekDay(request, options) {
+    return this.request('POST', '/api/admin/weeks/{weekStartDate}/days/{day}/unlock', request, options);
+  }
+
+  /**
+   * Grant unlock permission to a specific user (optional body: day, expires_in_minutes)
+   * POST /api/admin/weeks/{weekStartDate}/grant-unlock/{userId}
+   */
+  grantUserUnlock(request, options) {
+    return this.request('POST', '/api/admin/weeks/{weekStartDate}/grant-unlock/{userId}', request, options);
+  }
+
+  /**
+   * Revoke unlock permission from a specific user (optional body: day)
+   * POST /api/admin/weeks/{weekStartDate}/revoke-unlock/{userId}
+   */
+  revokeUserUnlock(request, options) {
+    return this.request('POST', '/api/admin/weeks/{weekStartDate}/revoke-unlock/{userId}', request, options);
+  }
+
+  /**
+   * List the users let through the week's locks (?include_expired=true for past ones)
+   * GET /api/admin/weeks/{weekStartDate}/unlock-overrides
+   */
+  getUnlockOverrides(request, options) {
+    return this.request('GET', '/api/admin/weeks/{weekStartDate}/unlock-overrides', request, options);
+  }
+
+  /**
+   * Get the default and per-week ordering cutoff rules
+   * GET /api/admin/cutoffs
+   */
+  getCutoffRules(request, options) {
+    return this.request('GET', '/api/admin/cutoffs', request, options);
+  }
+
+  /**
+   * Set the default ordering cutoff rule
+   * PUT /api/admin/cutoffs/default
+   */
+  saveDefaultCutoffRule(request, options) {
+    return this.request('PUT', '/api/admin/cutoffs/default', request, options);
+  }
+
+  /**
+   * Remove the default ordering cutoff rule
+   * DELETE /api/admin/cutoffs/default
+   */
+  deleteDefaultCutoffRule(request, options) {
+    return this.request('DELETE', '/api/admin/cutoffs/default', request, options);
+  }
+
+  /**
+   * Get the cutoff rule and day deadlines that apply to a week
+   * GET /api/admin/weeks/{weekStartDate}/cutoff
+   */
+  getWeekCutoff(request, options) {
+    return this.request('GET', '/api/admin/weeks/{weekStartDate}/cutoff', request, options);
+  }
+
+  /**
+   * Set a week's own ordering cutoff rule (overrides the default)
+   * PUT /api/admin/weeks/{weekStartDate}/cutoff
+   */
+  saveWeekCutoffRule(request, options) {
+    return this.request('PUT', '/api/admin/weeks/{weekStartDate}/cutoff', request, options);
+  }
+
+  /**
+   * Remove a week's own ordering cutoff rule
+   * DELETE /api/admin/weeks/{weekStartDate}/cutoff
+   */
+  deleteWeekCutoffRule(request, options) {
+    return this.request('DELETE', '/api/admin/weeks/{weekStartDate}/cutoff', request, options);
+  }
+
+  /**
+   * List meal options import profiles (Admin only)
+   * GET /api/admin/import-profiles
+   */
+  getImportProfiles(request, options) {
+    return this.request('GET', '/api/admin/import-profiles', request, options);
+  }
+
+  /**
+   * Create a meal options import profile (Admin only)
+   * POST /api/admin/import-profiles
+   */
+  createImportProfile(request, options) {
+    return this.request('POST', '/api/admin/import-profiles', request, options);
+  }
+
+  /**
+   * Update a meal options import profile (Admin only)
+   * PUT /api/admin/import-profiles/{id}
+   */
+  updateImportProfile(request, options) {
+    return this.request('PUT', '/api/admin/import-profiles/{id}', request, options);
+  }
+
+  /**
+   * Delete a meal options import profile (Admin only)
+   * DELETE /api/admin/import-profiles/{id}
+   */
+  deleteImportProfile(request, options) {
+    return this.request('DELETE', '/api/admin/import-profiles/{id}', request, options);
+  }
+
+  /**
+   * Test email configuration (Admin only)
+   * POST /api/admin/test-email
+   */
+  testEmail(request, options) {
+    return this.request('POST', '/api/admin/test-email', request, options);
+  }
+
+  /**
+   * Notify all users about new meal options (Admin only)
+   * POST /api/admin/notify-users
+   */
+  notifyUsers(request, options) {
+    return this.request('POST', '/api/admin/notify-users', request, options);
+  }
+
+  /**
+   * List email outbox messages (?status=&kind=&to=&limit=&offset=) with status counts
+   * GET /api/admin/emails
+   */
+  getOutboxEmails(request, options) {
+    return this.request('GET', '/api/admin/emails', request, options);
+  }
+
+  /**
+   * Get an email outbox message, including its body and last error
+   * GET /api/admin/emails/{id}
+   */
+  getOutboxEmail(request, options) {
+    return this.request('GET', '/api/admin/emails/{id}', request, options);
+  }
+
+  /**
+   * Queue an email again for immediate delivery with a fresh set of attempts
+   * POST /api/admin/emails/{id}/resend
+   */
+  resendOutboxEmail(request, options) {
+    return this.request('POST', '/api/admin/emails/{id}/resend', request, options);
+  }
+
+  /**
+   * List the "you haven't ordered yet" reminders sent (?week=&userId=&status=&limit=&offset=)
+   * GET /api/admin/reminders
+   */
+  getOrderReminders(request, options) {
+    return this.request('GET', '/api/admin/reminders', request, options);
+  }
+
+  /**
+   * List the accounts and IP addresses locked out after too many failed logins
+   * GET /api/admin/login-lockouts
+   */
+  getLoginLockouts(request, options) {
+    return this.request('GET', '/api/admin/login-lockouts', request, options);
+  }
+
+  /**
+   * Lift a login lockout (recorded in the login audit)
+   * DELETE /api/admin/login-lockouts/{id}
+   */
+  clearLoginLockout(request, options) {
+    return this.request('DELETE', '/api/admin/login-lockouts/{id}', request, options);
+  }
+
+  /**
+   * List suspicious login events: lockouts, logins after many failures, lockouts cleared (?event=&email=&ip=&limit=&offset=)
+   * GET /api/admin/login-audit
+   */
+  getLoginAudit(request, options) {
+    return this.request('GET', '/api/admin/login-audit', request, options);
+  }
+
+  /**
+   * List the email templates and supported locales
+   * GET /api/admin/email-templates
+   */
+  getEmailTemplates(request, options) {
+    return this.request('GET', '/api/admin/email-templates', request, options);
+  }
+
+  /**
+   * Render an email template with example data (?locale=ro|en&format=json|html|text)
+   * GET /api/admin/email-templates/{name}/preview
+   */
+  previewEmailTemplate(request, options) {
+    return this.request('GET', '/api/admin/email-templates/{name}/preview', request, options);
+  }
+
+  /**
+   * Send user invitation (Admin only)
+   * POST /api/invitations/send
+   */
+  sendInvitation(request, options) {
+    return this.request('POST', '/api/invitations/send', request, options);
+  }
+
+  /**
+   * Validate invitation token
+   * GET /api/invitations/validate/{token}
+   */
+  validateInvitation(request, options) {
+    return this.request('GET', '/api/invitations/validate/{token}', request, options);
+  }
+
+  /**
+   * Accept invitation and create account
+   * POST /api/invitations/accept
+   */
+  acceptInvitation(request, options) {
+    return this.request('POST', '/api/invitations/accept', request, options);
+  }
+
+  /**
+   * Get pending invitations (Admin only)
+   * GET /api/invitations/pending
+   */
+  getPendingInvitations(request, options) {
+    return this.request('GET', '/api/invitations/pending', request, options);
+  }
+
+  /**
+   * Cancel invitation (Admin only)
+   * DELETE /api/invitations/{id}
+   */
+  cancelInvitation(request, options) {
+    return this.request('DELETE', '/api/invitations/{id}', request, options);
+  }
+
+  /**
+   * Get all feedback (admin only)
+   * GET /api/feedback
+   */
+  getAllFeedback(request, options) {
+    return this.request('GET', '/api/feedback', request, options);
+  }
+
+  /**
+   * Submit feedback
+   * POST /api/feedback
+   */
+  submitFeedback(request, options) {
+    return this.request('POST', '/api/feedback', request, options);
+  }
+
+  /**
+   * Update feedback status (admin only)
+   * PATCH /api/feedback/{id}
+   */
+  updateFeedbackStatus(request, options) {
+    return this.request('PATCH', '/api/feedback/{id}', request, options);
+  }
+
+  /**
+   * Get available meal transfers for a week
+   * GET /api/meal-transfers
+   */
+  getAvailableMealTransfers(request, options) {
+    return this.request('GET', '/api/meal-transfers', request, options);
+  }
+
+  /**
+   * Create a meal transfer (pass meal to colleagues)
+   * POST /api/meal-transfers
+   */
+  createMealTransfer(request, options) {
+    return this.request('POST', '/api/meal-transfers', request, options);
+  }
+
+  /**
+   * Check if user has transferred a meal for a specific day
+   * GET /api/meal-transfers/check
+   */
+  checkMealTransfer(request, options) {
+    return this.request('GET', '/api/meal-transfers/check', request, options);
+  }
+
+  /**
+   * Get meals claimed by the current user
+   * GET /api/meal-transfers/claimed
+   */
+  getClaimedMealTransfers(request, options) {
+    return this.request('GET', '/api/meal-transfers/claimed', request, options);
+  }
+
+  /**
+   * Claim a meal transfer
+   * POST /api/meal-transfers/{transferId}/claim
+   */
+  claimMealTransfer(request, options) {
+    return this.request('POST', '/api/meal-transfers/{transferId}/claim', request, options);
+  }
+
+  /**
+   * Unclaim a meal transfer (re-pass it back to available)
+   * POST /api/meal-transfers/{transferId}/unclaim
+   */
+  unclaimMealTransfer(request, options) {
+    return this.request('POST', '/api/meal-transfers/{transferId}/unclaim', request, options);
+  }
+
+  /**
+   * Cancel a meal transfer
+   * DELETE /api/meal-transfers/{transferId}
+   */
+  cancelMealTransfer(request, options) {
+    return this.request('DELETE', '/api/meal-transfers/{transferId}', request, options);
+  }
+
+  /**
+   * Copy a user's menu for a specific day
+   * POST /api/menus/copy
+   */
+  copyUserMenu(request, options) {
+    return this.request('POST', '/api/menus/copy', request, options);
+  }
+
+  /**
+   * Get menu copies for a specific day
+   * GET /api/menus/copies
+   */
+  getMenuCopies(request, options) {
+    return this.request('GET', '/api/menus/copies', request, options);
+  }
+
+  /**
+   * Get users who copied from a specific user
+   * GET /api/menus/copies/{userId}
+   */
+  getMenuCopiesForUser(request, options) {
+    return this.request('GET', '/api/menus/copies/{userId}', request, options);
+  }
+
+  /**
+   * Get all user menus for a specific week
+   * GET /api/menus/{weekStartDate}
+   */
+  getAllUserMenus(request, options) {
+    return this.request('GET', '/api/menus/{weekStartDate}', request, options);
+  }
+
+  /**
+   * Get the current user's organization and its email domains
+   * GET /api/organizations/current
+   */
+  getCurrentOrganization(request, options) {
+    return this.request('GET', '/api/organizations/current', request, options);
+  }
+
+  /**
+   * Remove an email domain of the current user's organization (Admin only)
+   * DELETE /api/organizations/current/domains/{domainId}
+   */
+  removeCurrentOrganizationDomain(request, options) {
+    return this.request('DELETE', '/api/organizations/current/domains/{domainId}', request, options);
+  }
+
+  /**
+   * Get all organizations with their domains (Platform admin only)
+   * GET /api/organizations
+   */
+  getOrganizations(request, options) {
+    return this.request('GET', '/api/organizations', request, options);
+  }
+
+  /**
+   * Create an organization (Platform admin only)
+   * POST /api/organizations
+   */
+  createOrganization(request, options) {
+    return this.request('POST', '/api/organizations', request, options);
+  }
+
+  /**
+   * Rename an organization (Platform admin only)
+   * PUT /api/organizations/{id}
+   */
+  updateOrganization(request, options) {
+    return this.request('PUT', '/api/organizations/{id}', request, options);
+  }
+
+  /**
+   * Allow an email domain to sign up to an organization (Platform admin only)
+   * POST /api/organizations/{id}/domains
+   */
+  addOrganizationDomain(request, options) {
+    return this.request('POST', '/api/organizations/{id}/domains', request, options);
+  }
+
+  /**
+   * Remove an email domain of an organization (Platform admin only)
+   * DELETE /api/organizations/{id}/domains/{domainId}
+   */
+  removeOrganizationDomain(request, options) {
+    return this.request('DELETE', '/api/organizations/{id}/domains/{domainId}', request, options);
+  }
+}
@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI Coverage Check
+ * Fails (exit code 1) when the generated OpenAPI document misses something about a
+ * registered route, or when @swagger comments describe routes that no longer exist.
+ * Also run by `npm run client:check`.
+ *
+ * Usage:
+ *   node scripts/check-openapi.js
+ *   npm run openapi:check
+ */
+
+const { buildSpec, listRoutes, findStaleOperations } = require('../src/config/swagger');
+const { apiRoutes } = require('../src/routes');
+
+const spec = buildSpec(apiRoutes);
+const routes = listRoutes(apiRoutes);
+const problems = [];
+const operationIds = new Set();
+
+routes.forEach(route => {
+  const name = `${route.method.toUpperCase()} ${route.path}`;
+  const operation = spec.paths[route.path] && spec.paths[route.path][route.method];
+
+  if (!operation) {
+    problems.push(`${name}: missing from the spec`);
+    return;
+  }
+
+  if (!operation.summary) {
+    problems.push(`${name}: no summary (add an @swagger block or @route/@desc comment)`);
+  }
+
+  if (operationIds.has(operation.operationId)) {
+    problems.push(`${name}: duplicate operationId ${operation.operationId}`);
+  }
+  operationIds.add(operation.operationId);
+
+  (route.path.match(/\{\w+\}/g) || []).forEach(placeholder => {
+    const parameter = placeholder.slice(1, -1);
+    if (!(operation.parameters || []).some(p => p.in === 'path' && p.name === parameter)) {
+      problems.push(`${name}: path parameter ${parameter} is not described`);
+    }
+  });
+});
+
+findStaleOperations(apiRoutes).forEach(operation => {
+  problems.push(`${operation}: documented with @swagger but no such route is registered`);
+});
+
+if (problems.length > 0) {
+  console.error(`❌ OpenAPI spec is out of date (${problems.length} problems):`);
+  problems.forEach(problem => console.error(`  - ${problem}`));
+  process.exit(1);
+}
+
+console.log(`✓ OpenAPI spec covers all ${routes.length} registered routes`);
@@ -0,0 +1,384 @@
+#!/usr/bin/env node
+
+/**
+ * Generate API Client Script
+ * Writes the typed JavaScript client in client/ (index.js, index.d.ts and openapi.json)
+ * from the OpenAPI document built from the registered routes. One method per operation,
+ * named after its operationId.
+ *
+ * Usage:
+ *   node scripts/generate-client.js          Regenerate the client
+ *   node scripts/generate-client.js --check  Fail if the committed client is out of date
+ *   npm run client:generate
+ *   npm run client:check
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { buildSpec } = require('../src/config/swagger');
+const { apiRoutes } = require('../src/routes');
+
+const CLIENT_DIR = path.join(__dirname, '../client');
+const HEADER = '// Generated by scripts/generate-client.js from the API routes. Do not edit.\n';
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Quote a property name when it is not a valid identifier
+ * @param {string} name - Property name
+ * @returns {string}
+ */
+function propertyName(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? name : JSON.stringify(name);
+}
+
+/**
+ * Convert a JSON schema into a TypeScript type
+ * @param {Object} schema - OpenAPI schema
+ * @param {string} indent - Current indentation
+ * @returns {string}
+ */
+function toType(schema, indent = '') {
+  if (!schema) return 'unknown';
+  if (schema.$ref) return schema.$ref.split('/').pop();
+
+  let type;
+  if (schema.allOf) {
+    type = schema.allOf.map(part => toType(part, indent)).join(' & ');
+  } else if (schema.oneOf || schema.anyOf) {
+    type = (schema.oneOf || schema.anyOf).map(option => toType(option, indent)).join(' | ');
+  } else if (schema.enum) {
+    type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+  } else if (schema.type === 'string') {
+    type = schema.format === 'binary' ? 'Blob' : 'string';
+  } else if (schema.type === 'integer' || schema.type === 'number') {
+    type = 'number';
+  } else if (schema.type === 'boolean') {
+    type = 'boolean';
+  } else if (schema.type === 'array') {
+    const items = toType(schema.items, indent);
+    type = /^\w+$/.test(items) ? `${items}[]` : `Array<${items}>`;
+  } else if (schema.type === 'object' || schema.properties) {
+    type = toObjectType(schema, indent);
+  } else {
+    type = 'unknown';
+  }
+
+  return schema.nullable && !type.includes('null') ? `${type} | null` : type;
+}
+
+/**
+ * Convert an object schema into a TypeScript object type
+ * @param {Object} schema - OpenAPI object schema
+ * @param {string} indent - Current indentation
+ * @returns {string}
+ */
+function toObjectType(schema, indent) {
+  const properties = Object.entries(schema.properties || {});
+  if (properties.length === 0) {
+    return schema.additionalProperties && schema.additionalProperties !== true
+      ? `Record<string, ${toType(schema.additionalProperties, indent)}>`
+      : 'Record<string, unknown>';
+  }
+
+  const required = schema.required || [];
+  const inner = `${indent}  `;
+  const lines = properties.map(([name, property]) => {
+    const comment = property.description ? `${inner}/** ${property.description} */\n` : '';
+    const optional = required.includes(name) ? '' : '?';
+    return `${comment}${inner}${propertyName(name)}${optional}: ${toType(property, inner)};`;
+  });
+  return `{\n${lines.join('\n')}\n${indent}}`;
+}
+
+/**
+ * Turn a list of parameters into an object type
+ * @param {Array<Object>} parameters - OpenAPI parameters of one location
+ * @returns {Object} Equivalent object schema
+ */
+function parametersSchema(parameters) {
+  return {
+    type: 'object',
+    required: parameters.filter(parameter => parameter.required).map(parameter => parameter.name),
+    properties: Object.fromEntries(parameters.map(parameter => [
+      parameter.name,
+      { ...parameter.schema, description: parameter.description }
+    ]))
+  };
+}
+
+/**
+ * Describe one operation of the spec for the generators
+ * @param {string} operationPath - OpenAPI path
+ * @param {string} method - HTTP method
+ * @param {Object} operation - OpenAPI operation
+ * @returns {Object}
+ */
+function describeOperation(operationPath, method, operation) {
+  const parameters = operation.parameters || [];
+  const pathParameters = parameters.filter(parameter => parameter.in === 'path');
+  const queryParameters = parameters.filter(parameter => parameter.in === 'query');
+  const content = operation.requestBody ? operation.requestBody.content : {};
+
+  const request = [];
+  if (pathParameters.length > 0) {
+    request.push({ name: 'params', required: true, type: parametersSchema(pathParameters) });
+  }
+  if (queryParameters.length > 0) {
+    request.push({
+      name: 'query',
+      required: queryParameters.some(parameter => parameter.required),
+      type: parametersSchema(queryParameters)
+    });
+  }
+  if (operation.requestBody) {
+    const bodyTypes = [];
+    if (content['application/json']) bodyTypes.push(toType(content['application/json'].schema, '    '));
+    if (content['multipart/form-data']) bodyTypes.push('FormData');
+    request.push({ name: 'body', required: Boolean(operation.requestBody.required), typeText: bodyTypes.join(' | ') || 'unknown' });
+  }
+
+  const success = Object.entries(operation.responses || {}).find(([status]) => status.startsWith('2'));
+  const successContent = success && success[1].content ? success[1].content : null;
+  let responseType = 'unknown';
+  if (successContent && successContent['application/json']) {
+    responseType = toType(successContent['application/json'].schema, '');
+  } else if (successContent && Object.keys(successContent).some(type => type.startsWith('text/'))) {
+    responseType = 'string';
+  } else if (successContent) {
+    responseType = 'Blob';
+  }
+
+  return {
+    name: operation.operationId,
+    method: method.toUpperCase(),
+    path: operationPath,
+    summary: operation.summary,
+    deprecated: operation.deprecated,
+    request,
+    requestRequired: request.some(part => part.required),
+    responseType
+  };
+}
+
+/**
+ * Collect the operations of the spec in document order
+ * @param {Object} spec - OpenAPI document
+ * @returns {Array<Object>}
+ */
+function collectOperations(spec) {
+  return Object.entries(spec.paths).flatMap(([operationPath, item]) =>
+    METHODS.filter(method => item[method]).map(method => describeOperation(operationPath, method, item[method])));
+}
+
+/**
+ * Render index.js: the runtime client (ES module, fetch based)
+ * @param {Array<Object>} operations - Described operations
+ * @param {Object} spec - OpenAPI document
+ * @returns {string}
+ */
+function renderRuntime(operations, spec) {
+  const methods = operations.map(operation => `
+  /**
+   * ${operation.summary}
+   * ${operation.method} ${operation.path}${operation.deprecated ? '\n   * @deprecated' : ''}
+   */
+  ${operation.name}(request, options) {
+    return this.request('${operation.method}', '${operation.path}', request, options);
+  }`).join('\n');
+
+  return `${HEADER}// ${spec.info.title} ${spec.info.version}
+
+/**
+ * Error response of the API: { code, message, details, requestId } plus the HTTP status
+ */
+export class ApiError extends Error {
+  constructor(status, body) {
+    super((body && body.message) || \`Request failed with status \${status}\`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = body && body.code;
+    this.details = body && body.details;
+    this.requestId = body && body.requestId;
+    this.body = body;
+  }
+}
+
+/**
+ * Client for the ${spec.info.title}
+ * Options: baseUrl, fetch (defaults to the global fetch), headers (e.g. Accept-Language),
+ * credentials ('include' sends the session cookie) and getToken (returns a JWT, sent as a Bearer token).
+ */
+export class FoodSearchApiClient {
+  constructor({ baseUrl = '', fetch: fetchImpl, headers = {}, credentials = 'include', getToken } = {}) {
+    this.baseUrl = baseUrl.replace(/\\/$/, '');
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+    this.headers = headers;
+    this.credentials = credentials;
+    this.getToken = getToken;
+  }
+
+  /**
+   * Send a request; resolves with the parsed response body, rejects with an ApiError
+   * @param {string} method - HTTP method
+   * @param {string} path - Path template (/api/admin/emails/{id})
+   * @param {Object} request - { params, query, body }
+   * @param {Object} options - Extra fetch options (headers, signal, ...)
+   */
+  async request(method, path, { params = {}, query, body } = {}, options = {}) {
+    let url = this.baseUrl + path.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(params[name]));
+
+    if (query) {
+      const search = new URLSearchParams();
+      Object.entries(query).forEach(([name, value]) => {
+        if (value !== undefined && value !== null) search.append(name, String(value));
+      });
+      const queryString = search.toString();
+      if (queryString) url += \`?\${queryString}\`;
+    }
+
+    const headers = { Accept: 'application/json', ...this.headers, ...options.headers };
+    const token = this.getToken ? await this.getToken() : null;
+    if (token) headers.Authorization = \`Bearer \${token}\`;
+
+    let payload;
+    if (body instanceof FormData) {
+      payload = body;
+    } else if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      payload = JSON.stringify(body);
+    }
+
+    const response = await this.fetch(url, {
+      credentials: this.credentials,
+      ...options,
+      method,
+      headers,
+      body: payload
+    });
+
+    const contentType = response.headers.get('Content-Type') || '';
+    const result = contentType.includes('application/json')
+      ? await response.json()
+      : contentType.startsWith('text/') ? await response.text() : await response.blob();
+
+    if (!response.ok) {
+      throw new ApiError(response.status, typeof result === 'object' && !(result instanceof Blob) ? result : { message: String(result) });
+    }
+    return result;
+  }
+${methods}
+}
+`;
+}
+
+/**
+ * Render index.d.ts: the types of the schemas and of every operation
+ * @param {Array<Object>} operations - Described operations
+ * @param {Object} spec - OpenAPI document
+ * @returns {string}
+ */
+function renderTypes(operations, spec) {
+  const schemas = Object.entries(spec.components.schemas).map(([name, schema]) => {
+    const description = schema.description ? `/** ${schema.description} */\n` : '';
+    const type = toType(schema, '');
+    return type.startsWith('{')
+      ? `${description}export interface ${name} ${type}`
+      : `${description}export type ${name} = ${type};`;
+  }).join('\n\n');
+
+  const methods = operations.map(operation => {
+    const request = operation.request.length === 0
+      ? 'request?: Record<string, never>'
+      : `request${operation.requestRequired ? '' : '?'}: {\n${operation.request.map(part =>
+        `    ${part.name}${part.required ? '' : '?'}: ${part.typeText || toType(part.type, '    ')};`).join('\n')}\n  }`;
+    return `  /**
+   * ${operation.summary}
+   * ${operation.method} ${operation.path}${operation.deprecated ? '\n   * @deprecated' : ''}
+   */
+  ${operation.name}(${request}, options?: RequestInit): Promise<${operation.responseType.replace(/\n/g, '\n  ')}>;`;
+  }).join('\n\n');
+
+  return `${HEADER}// ${spec.info.title} ${spec.info.version}
+
+${schemas}
+
+export interface ApiErrorBody {
+  error: string;
+  code: string;
+  message: string;
+  details?: unknown;
+  requestId: string;
+  [field: string]: unknown;
+}
+
+export declare class ApiError extends Error {
+  status: number;
+  code?: string;
+  details?: unknown;
+  requestId?: string;
+  body: ApiErrorBody;
+  constructor(status: number, body: ApiErrorBody);
+}
+
+export interface FoodSearchApiClientOptions {
+  /** API origin, e.g. https://api.foodsearch.example.com (defaults to same origin) */
+  baseUrl?: string;
+  /** fetch implementation (defaults to the global fetch) */
+  fetch?: typeof fetch;
+  /** Headers sent with every request, e.g. { 'Accept-Language': 'en' } */
+  headers?: Record<string, string>;
+  /** 'include' (default) sends the session cookie */
+  credentials?: RequestCredentials;
+  /** Returns the JWT sent as a Bearer token */
+  getToken?: () => string | null | undefined | Promise<string | null | undefined>;
+}
+
+export declare class FoodSearchApiClient {
+  constructor(options?: FoodSearchApiClientOptions);
+
+  request<T = unknown>(
+    method: string,
+    path: string,
+    request?: { params?: Record<string, unknown>; query?: Record<string, unknown>; body?: unknown },
+    options?: RequestInit
+  ): Promise<T>;
+
+${methods}
+}
+`;
+}
+
+/**
+ * Render the client files
+ * @returns {Object} File contents by name
+ */
+function generateClient() {
+  const spec = buildSpec(apiRoutes);
+  const operations = collectOperations(spec);
+
+  return {
+    'index.js': renderRuntime(operations, spec),
+    'index.d.ts': renderTypes(operations, spec),
+    'openapi.json': `${JSON.stringify(spec, null, 2)}\n`
+  };
+}
+
+const files = generateClient();
+
+if (process.argv.includes('--check')) {
+  const stale = Object.entries(files).filter(([name, content]) => {
+    const file = path.join(CLIENT_DIR, name);
+    return !fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== content;
+  });
+
+  if (stale.length > 0) {
+    console.error(`❌ client/ is out of date (${stale.map(([name]) => name).join(', ')}). Run npm run client:generate`);
+    process.exit(1);
+  }
+  console.log('✓ client/ is up to date');
+} else {
+  Object.entries(files).forEach(([name, content]) => {
+    fs.writeFileSync(path.join(CLIENT_DIR, name), content);
+  });
+  console.log(`✓ Generated client/ (${Object.keys(files).join(', ')})`);
+}
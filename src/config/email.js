@@ -1,4 +1,11 @@
+const crypto = require('crypto');
 const nodemailer = require('nodemailer');
+const databaseService = require('../services/database.service');
+const notificationPreferencesService = require('../services/notificationPreferences.service');
+const emailTemplatesService = require('../services/emailTemplates.service');
+
+// Stands in for a link's secret token in stored email bodies (see queueEmail)
+const SECRET_PLACEHOLDER = 'TOKEN-REDACTED';
 
 /**
  * Email Service Configuration
@@ -19,6 +26,8 @@ class EmailService {
 
     this.fromAddress = process.env.EMAIL_FROM || 'Dobby Food Search <noreply@dobby.devhub.tech>';
     this.appUrl = process.env.APP_URL || 'http://localhost:3000';
+    this.feedbackAddress = process.env.FEEDBACK_EMAIL || 'sergiu.tigan@devhub.tech';
+    this.maxAttempts = parseInt(process.env.EMAIL_MAX_ATTEMPTS || '5');
   }
 
   /**
@@ -93,158 +102,228 @@ class EmailService {
   }
 
   /**
-   * Send meal options notification to users
-   * @param {string} weekStartDate - Week start date
-   * @param {Array} users - Array of user objects
-   * @returns {Promise<Object>} Result object with sent/failed counts
+   * Add an email to the outbox; the outbox worker delivers it in the background
+   * The email is rendered from the template named after `kind`, in the recipient's locale.
+   * Emails with a userId and notification category are skipped if the user turned that
+   * category off, and otherwise get an unsubscribe link.
+   *
+   * A `secret` (the token of a reset or invitation link) never reaches the stored body, which
+   * admins can read back: the template data uses SECRET_PLACEHOLDER instead, the secret is
+   * stored encrypted, and deliver() puts it back into the message it sends.
+   * @param {string} kind - Notification type and template name (meal_options, invitation, ...)
+   * @param {Object} options - Email options (to, locale, data, userId, category, secret)
+   * @returns {Promise<Object>} Result object with the outbox message ID, or skipped: true
    */
-  async sendMealOptionsNotification(weekStartDate, users) {
+  async queueEmail(kind, options) {
+    if (!this.isConfigured()) {
+      console.log('⚠ Email not configured - skipping send');
+      return { success: false, error: 'Email not configured' };
+    }
+
+    if (options.userId && options.category &&
+        !(await notificationPreferencesService.isEnabled(options.userId, options.category))) {
+      return { success: false, skipped: true, error: 'User unsubscribed from these emails' };
+    }
+
+    return await this._enqueue(kind, options);
+  }
+
+  /**
+   * Render an email and write it to the outbox, with an unsubscribe link when it has a category
+   * @private
+   */
+  async _enqueue(kind, options) {
+    const unsubscribeUrl = options.userId && options.category
+      ? notificationPreferencesService.getUnsubscribeUrl(options.userId, options.category)
+      : null;
+    const { subject, html, text } = emailTemplatesService.render(kind, options.locale, { ...options.data, unsubscribeUrl });
+
+    const id = await databaseService.queueEmail({
+      kind,
+      to: options.to,
+      subject,
+      html,
+      text,
+      maxAttempts: this.maxAttempts,
+      userId: options.userId || null,
+      category: options.category || null,
+      secret: options.secret ? this._seal(options.secret) : null
+    });
+
+    return { success: true, id };
+  }
+
+  /**
+   * Deliver an outbox message over SMTP
+   * @param {Object} email - Outbox row (to_address, subject, html, text, secret)
+   * @returns {Promise<Object>} { success } or { success: false, error, permanent }
+   *   where permanent means the server rejected the message (5xx) and retrying won't help
+   */
+  async deliver(email) {
+    const headers = {};
+    if (email.user_id && email.category) {
+      // One-click unsubscribe (RFC 8058) for mail clients that support it
+      headers['List-Unsubscribe'] = `<${notificationPreferencesService.getUnsubscribeUrl(email.user_id, email.category)}>`;
+      headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+    }
+
+    try {
+      const secret = email.secret ? this._unseal(email.secret) : null;
+      const reveal = body => (body && secret ? body.split(SECRET_PLACEHOLDER).join(secret) : body || undefined);
+
+      await this.transporter.sendMail({
+        from: this.fromAddress,
+        to: email.to_address,
+        subject: email.subject,
+        html: reveal(email.html),
+        text: reveal(email.text),
+        headers
+      });
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message,
+        permanent: error.responseCode >= 500
+      };
+    }
+  }
+
+  /**
+   * Queue an email for each recipient, in the recipient's locale
+   * @param {string} kind - Notification type and template name
+   * @param {Array} recipients - Array of { id, email, locale, ... }
+   * @param {Function} build - Builds the template data for a recipient
+   * @param {string} category - Notification category recipients can opt out of (optional)
+   * @returns {Promise<Object>} Result object with the number of queued and skipped (opted out) emails
+   * @private
+   */
+  async _queueForRecipients(kind, recipients, build, category = null) {
     if (!this.isConfigured()) {
       console.log('⚠ Email not configured - skipping notification');
       return { success: false, error: 'Email not configured' };
     }
 
-    if (!users || users.length === 0) {
+    if (!recipients || recipients.length === 0) {
       console.log('⚠ No users to notify');
       return { success: false, error: 'No users to notify' };
     }
 
-    const selectMealsUrl = `${this.appUrl}/select-meals.html`;
-    const results = {
-      sent: 0,
-      failed: 0,
-      errors: []
-    };
-
-    for (const user of users) {
-      try {
-        const mailOptions = {
-          from: this.fromAddress,
-          to: user.email,
-          subject: `🍽️ Opțiuni Mâncare Disponibile - Săptămâna ${weekStartDate}`,
-          html: this._buildEmailTemplate(weekStartDate, selectMealsUrl),
-          text: this._buildTextTemplate(weekStartDate, selectMealsUrl)
-        };
-
-        await this.transporter.sendMail(mailOptions);
-        console.log('✓ Email sent to:', user.email);
-        results.sent++;
-      } catch (error) {
-        console.error('✗ Failed to send email to:', user.email, '-', error.message);
-        results.failed++;
-        results.errors.push({ email: user.email, error: error.message });
+    const optedOut = category ? await notificationPreferencesService.getOptedOutUserIds(category) : new Set();
+    let queued = 0;
+    let skipped = 0;
+
+    for (const recipient of recipients) {
+      if (optedOut.has(recipient.id)) {
+        skipped++;
+        continue;
       }
+
+      await this._enqueue(kind, {
+        to: recipient.email,
+        locale: recipient.locale,
+        userId: category ? recipient.id : null,
+        category,
+        data: build(recipient)
+      });
+      queued++;
     }
 
-    console.log(`\n✓ Email notification summary: ${results.sent} sent, ${results.failed} failed`);
-    return {
-      success: results.sent > 0,
-      sent: results.sent,
-      failed: results.failed,
-      errors: results.errors
-    };
+    console.log(`✓ Queued ${queued} ${kind} email(s)${skipped ? `, ${skipped} unsubscribed` : ''}`);
+    return { success: true, queued, skipped };
   }
 
   /**
-   * Build HTML email template
-   * @private
+   * Send meal options notification to users
+   * @param {string} weekStartDate - Week start date
+   * @param {Array} users - Array of user objects
+   * @returns {Promise<Object>} Result object with the number of queued and skipped emails
    */
-  _buildEmailTemplate(weekStartDate, selectMealsUrl) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
-          }
-          .header {
-            background: #0a0a0a;
-            color: #39FF14;
-            padding: 20px;
-            text-align: center;
-            border-radius: 10px 10px 0 0;
-          }
-          .content {
-            background: #f5f5f5;
-            padding: 30px;
-            border-radius: 0 0 10px 10px;
-          }
-          .button {
-            display: inline-block;
-            background: #39FF14;
-            color: #0a0a0a;
-            padding: 12px 30px;
-            text-decoration: none;
-            border-radius: 5px;
-            font-weight: bold;
-            margin: 20px 0;
-          }
-          .info-box {
-            background: #fff;
-            padding: 15px;
-            border-left: 4px solid #39FF14;
-            margin: 15px 0;
-          }
-          .footer {
-            text-align: center;
-            margin-top: 20px;
-            font-size: 12px;
-            color: #666;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>🍽️ Food Search</h1>
-        </div>
-        <div class="content">
-          <h2>Bună!</h2>
-          <p>Opțiunile de mâncare pentru următoarea săptămână au fost publicate!</p>
-          <div class="info-box">
-            <strong>📅 Săptămâna:</strong> ${weekStartDate}<br>
-            <strong>⏰ Termen limită:</strong> Selectează-ți opțiunile cât mai curând!
-          </div>
-          <p>Te rugăm să îți selectezi opțiunile de mâncare pentru săptămâna viitoare:</p>
-          <center>
-            <a href="${selectMealsUrl}" class="button">Selectează Mâncarea</a>
-          </center>
-          <p style="margin-top: 30px;">
-            Cu respect,<br>
-            <strong>Echipa Food Search</strong>
-          </p>
-        </div>
-        <div class="footer">
-          <p>Acest email a fost trimis automat. Te rugăm să nu răspunzi la acest mesaj.</p>
-        </div>
-      </body>
-      </html>
-    `;
+  async sendMealOptionsNotification(weekStartDate, users) {
+    const selectMealsUrl = `${this.appUrl}/select-meals.html`;
+
+    return await this._queueForRecipients('meal_options', users, () => ({
+      weekStartDate,
+      selectMealsUrl
+    }), 'new_menu');
   }
 
   /**
-   * Build plain text email template
-   * @private
+   * Notify users whose meal selections lost items after a menu revision
+   * @param {string} weekStartDate - Week start date
+   * @param {Array} users - Array of { id, email, locale, items: [{ day_of_week, category, name }] }
+   * @returns {Promise<Object>} Result object with the number of queued and skipped emails
    */
-  _buildTextTemplate(weekStartDate, selectMealsUrl) {
-    return `
-Bună!
+  async sendMealOptionsChangedNotification(weekStartDate, users) {
+    const selectMealsUrl = `${this.appUrl}/select-meals.html`;
+
+    return await this._queueForRecipients('meal_options_changed', users, user => ({
+      weekStartDate,
+      items: user.items,
+      selectMealsUrl
+    }), 'new_menu');
+  }
 
-Opțiunile de mâncare pentru următoarea săptămână au fost publicate!
+  /**
+   * Remind a user to order the days of a week they haven't chosen yet
+   * @param {Object} user - User with id, email and locale
+   * @param {string} weekStartDate - Week start date
+   * @param {Array<string>} missingDays - Days without a selection, Monday first
+   * @param {Date} deadline - When the first of those days closes
+   * @returns {Promise<Object>} Result object with the outbox message ID, or skipped: true
+   */
+  async sendOrderReminder(user, weekStartDate, missingDays, deadline) {
+    return await this.queueEmail('order_reminder', {
+      to: user.email,
+      locale: user.locale,
+      userId: user.id,
+      category: 'deadline_reminder',
+      data: {
+        weekStartDate,
+        missingDays,
+        deadline: deadline.toISOString(),
+        selectMealsUrl: `${this.appUrl}/select-meals.html`
+      }
+    });
+  }
 
-Săptămâna: ${weekStartDate}
+  /**
+   * Tell a user an admin approved or rejected their unlock request
+   * @param {Object} request - Unlock request with user_id, requester email and locale, status, reason and admin_comment
+   * @returns {Promise<Object>} Result object with the outbox message ID, or skipped: true
+   */
+  async sendUnlockRequestDecision(request) {
+    return await this.queueEmail('unlock_request_decision', {
+      to: request.email,
+      locale: request.locale,
+      userId: request.user_id,
+      category: 'unlock_decision',
+      data: {
+        approved: request.status === 'approved',
+        week_start_date: request.week_start_date,
+        day_of_week: request.day_of_week,
+        admin_comment: request.admin_comment,
+        selectMealsUrl: `${this.appUrl}/select-meals.html`
+      }
+    });
+  }
 
-Te rugăm să îți selectezi opțiunile de mâncare accesând:
-${selectMealsUrl}
+  /**
+   * Send admins a digest of new unlock requests
+   * @param {Array} admins - Array of admin user objects
+   * @param {Array} requests - Unlock requests with requester email, employee_name and reason
+   * @returns {Promise<Object>} Result object with the number of queued emails
+   */
+  async sendUnlockRequestDigest(admins, requests) {
+    if (!requests || requests.length === 0) {
+      return { success: false, error: 'Nothing to send' };
+    }
 
-Cu respect,
-Echipa Food Search
-    `.trim();
+    return await this._queueForRecipients('unlock_request_digest', admins, () => ({
+      count: requests.length,
+      requests,
+      requestsUrl: `${this.appUrl}/admin.html`
+    }));
   }
 
   /**
@@ -253,191 +332,124 @@ Echipa Food Search
    * @param {string} invitationToken - Invitation token
    * @param {boolean} isAdmin - Whether user will be admin
    * @param {string} invitedByEmail - Email of person who sent invitation
-   * @returns {Promise<Object>} Result object
+   * @param {string} locale - Language of the email (optional; defaults to EMAIL_DEFAULT_LOCALE)
+   * @returns {Promise<Object>} Result object with the outbox message ID
    */
-  async sendInvitationEmail(email, invitationToken, isAdmin, invitedByEmail) {
-    if (!this.isConfigured()) {
-      console.log('⚠ Email not configured - skipping invitation email');
-      return { success: false, error: 'Email not configured' };
-    }
+  async sendInvitationEmail(email, invitationToken, isAdmin, invitedByEmail, locale = null) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:4200';
 
+    return await this.queueEmail('invitation', {
+      to: email,
+      locale,
+      data: {
+        email,
+        invitedBy: invitedByEmail,
+        isAdmin: !!isAdmin,
+        invitationUrl: `${frontendUrl}/accept-invitation?token=${SECRET_PLACEHOLDER}`
+      },
+      secret: invitationToken
+    });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User (email, locale)
+   * @param {string} resetToken - Single-use reset token
+   * @param {number} expiresMinutes - Minutes until the link expires
+   * @returns {Promise<Object>} Result object with the outbox message ID
+   */
+  async sendPasswordResetEmail(user, resetToken, expiresMinutes) {
     const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:4200';
-    const invitationUrl = `${frontendUrl}/accept-invitation?token=${invitationToken}`;
-    const roleText = isAdmin ? 'Administrator' : 'User';
 
-    try {
-      const mailOptions = {
-        from: this.fromAddress,
-        to: email,
-        subject: `🎉 You've been invited to Dobby - Food Ordering System`,
-        html: this._buildInvitationTemplate(email, invitationUrl, roleText, invitedByEmail),
-        text: this._buildInvitationTextTemplate(email, invitationUrl, roleText, invitedByEmail)
-      };
+    return await this.queueEmail('password_reset', {
+      to: user.email,
+      locale: user.locale,
+      data: {
+        email: user.email,
+        expiresMinutes,
+        resetUrl: `${frontendUrl}/reset-password?token=${SECRET_PLACEHOLDER}`
+      },
+      secret: resetToken
+    });
+  }
 
-      await this.transporter.sendMail(mailOptions);
-      console.log('✓ Invitation email sent to:', email);
-      return { success: true };
-    } catch (error) {
-      console.error('✗ Failed to send invitation email:', error.message);
-      return { success: false, error: error.message };
-    }
+  /**
+   * Forward user feedback to the feedback address (FEEDBACK_EMAIL)
+   * @param {Object} user - Submitting user (email, employee_name)
+   * @param {Object} feedback - { subject, message }
+   * @returns {Promise<Object>} Result object with the outbox message ID
+   */
+  async sendFeedbackNotification(user, feedback) {
+    const recipient = await databaseService.getUserByEmail(this.feedbackAddress);
+
+    return await this.queueEmail('feedback', {
+      to: this.feedbackAddress,
+      locale: recipient ? recipient.locale : null,
+      data: {
+        employeeName: user.employee_name,
+        email: user.email,
+        subject: feedback.subject,
+        message: feedback.message,
+        submittedAt: new Date().toISOString()
+      }
+    });
   }
 
   /**
-   * Build invitation HTML email template
-   * @private
+   * Send a test email right away, bypassing the outbox
+   * @param {string} to - Recipient
+   * @param {string} locale - Language of the email (optional)
+   * @returns {Promise<Object>} Result object
    */
-  _buildInvitationTemplate(email, invitationUrl, roleText, invitedByEmail) {
-    return `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <style>
-          body {
-            font-family: Arial, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 600px;
-            margin: 0 auto;
-            padding: 20px;
-          }
-          .header {
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 30px 20px;
-            text-align: center;
-            border-radius: 10px 10px 0 0;
-          }
-          .content {
-            background: #f9fafb;
-            padding: 30px;
-            border-radius: 0 0 10px 10px;
-          }
-          .button {
-            display: inline-block;
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white;
-            padding: 14px 40px;
-            text-decoration: none;
-            border-radius: 8px;
-            font-weight: bold;
-            margin: 20px 0;
-            box-shadow: 0 4px 6px rgba(0,0,0,0.1);
-          }
-          .info-box {
-            background: white;
-            padding: 20px;
-            border-left: 4px solid #667eea;
-            margin: 20px 0;
-            border-radius: 4px;
-          }
-          .role-badge {
-            display: inline-block;
-            background: #10b981;
-            color: white;
-            padding: 4px 12px;
-            border-radius: 12px;
-            font-size: 14px;
-            font-weight: bold;
-          }
-          .footer {
-            text-align: center;
-            margin-top: 30px;
-            padding-top: 20px;
-            border-top: 1px solid #e5e7eb;
-            font-size: 12px;
-            color: #6b7280;
-          }
-          .warning {
-            background: #fef3c7;
-            padding: 15px;
-            border-left: 4px solid #f59e0b;
-            margin: 20px 0;
-            border-radius: 4px;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>🎉 Welcome to Dobby!</h1>
-          <p style="margin: 0; opacity: 0.9;">Food Ordering Made Simple</p>
-        </div>
-        <div class="content">
-          <h2>Hello!</h2>
-          <p><strong>${invitedByEmail}</strong> has invited you to join the Dobby food ordering system.</p>
-
-          <div class="info-box">
-            <p style="margin: 0;"><strong>📧 Your Email:</strong> ${email}</p>
-            <p style="margin: 10px 0 0 0;"><strong>🔑 Account Type:</strong> <span class="role-badge">${roleText}</span></p>
-          </div>
-
-          <p>Click the button below to accept your invitation and set up your account password:</p>
-
-          <center>
-            <a href="${invitationUrl}" class="button">Accept Invitation & Set Password</a>
-          </center>
-
-          <div class="warning">
-            <p style="margin: 0;"><strong>⏰ Important:</strong> This invitation link will expire in 48 hours. Make sure to complete your registration soon!</p>
-          </div>
-
-          <p>Once you've set your password, you'll be able to:</p>
-          <ul>
-            <li>🍽️ Browse and select meals for the week</li>
-            <li>⭐ Rate and review meals</li>
-            <li>📊 View your meal history</li>
-            <li>🔍 Search for colleague selections</li>
-            ${isAdmin ? '<li>👑 Manage meal options and users (Admin)</li>' : ''}
-          </ul>
-
-          <p style="margin-top: 30px;">
-            If you have any questions, feel free to reply to this email.<br><br>
-            Looking forward to having you on board!<br>
-            <strong>The Dobby Team</strong>
-          </p>
-        </div>
-        <div class="footer">
-          <p>This is an automated invitation email. If you didn't expect this invitation, you can safely ignore it.</p>
-          <p>The invitation link will expire automatically.</p>
-        </div>
-      </body>
-      </html>
-    `;
+  async sendTestEmail(to, locale = null) {
+    const port = parseInt(process.env.EMAIL_PORT || '587');
+
+    return await this.sendEmail({
+      to,
+      ...emailTemplatesService.render('test', locale, {
+        to,
+        host: process.env.EMAIL_HOST || 'mail.dobby.devhub.tech',
+        port,
+        security: port === 465 ? 'SSL/TLS' : 'STARTTLS',
+        sentAt: new Date().toISOString()
+      })
+    });
   }
 
   /**
-   * Build invitation plain text email template
+   * Encrypt a link secret for the outbox (AES-256-GCM)
+   * @param {string} secret - Secret to store
+   * @returns {string} "<iv>.<tag>.<ciphertext>", base64url
    * @private
    */
-  _buildInvitationTextTemplate(email, invitationUrl, roleText, invitedByEmail) {
-    return `
-Hello!
-
-${invitedByEmail} has invited you to join the Dobby food ordering system.
-
-Your Email: ${email}
-Account Type: ${roleText}
-
-Accept your invitation and set up your password by visiting:
-${invitationUrl}
-
-IMPORTANT: This invitation link will expire in 48 hours.
-
-Once you've set your password, you'll be able to:
-- Browse and select meals for the week
-- Rate and review meals
-- View your meal history
-- Search for colleague selections
-${isAdmin ? '- Manage meal options and users (Admin privileges)' : ''}
-
-If you have any questions, feel free to reply to this email.
+  _seal(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this._secretKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+  }
 
-Looking forward to having you on board!
-The Dobby Team
+  /**
+   * Decrypt a link secret sealed by _seal()
+   * @param {string} sealed - Stored secret
+   * @returns {string}
+   * @private
+   */
+  _unseal(sealed) {
+    const [iv, tag, encrypted] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this._secretKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
 
----
-This is an automated invitation email. If you didn't expect this invitation, you can safely ignore it.
-    `.trim();
+  /**
+   * Key for outbox secrets: OUTBOX_SECRET, else derived from JWT_SECRET
+   * @private
+   */
+  _secretKey() {
+    const secret = process.env.OUTBOX_SECRET ||
+      `outbox:${process.env.JWT_SECRET || 'food-search-jwt-secret-2024-change-this-in-production'}`;
+    return crypto.createHash('sha256').update(secret).digest();
   }
 }
 
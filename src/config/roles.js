@@ -0,0 +1,93 @@
+/**
+ * Roles and Permissions
+ * Routes require a permission (requirePermission('weeks:lock')); users get permissions
+ * through the roles assigned to them. The admin role is the users.is_admin flag and
+ * grants every permission within the user's organization; managing the organizations
+ * themselves is reserved to platform admins.
+ */
+
+const PERMISSIONS = {
+  'menus:manage': 'Upload and edit weekly menus, import profiles and delete week data',
+  'orders:export': 'View and export everyone\'s meal selections',
+  'reports:view': 'View and export meal statistics',
+  'weeks:read': 'View weeks, their lock settings and cutoffs',
+  'weeks:lock': 'Lock and unlock weeks and days',
+  'unlocks:approve': 'Approve or reject unlock requests and grant or revoke user unlocks',
+  'cutoffs:manage': 'Configure ordering cutoff rules',
+  'emails:manage': 'Send notifications and test emails, inspect the email outbox, reminders and templates',
+  'users:manage': 'Create users, assign roles and manage invitations',
+  'feedback:manage': 'Read and triage user feedback',
+  'domains:manage': 'Remove email domains of the organization',
+  'organizations:manage': 'Create organizations and assign or remove the email domains of any of them'
+};
+
+// Granted only through the platform_admin role
+const PLATFORM_PERMISSIONS = ['organizations:manage'];
+
+const ROLES = {
+  admin: {
+    description: 'Full access to the organization',
+    permissions: Object.keys(PERMISSIONS).filter(permission => !PLATFORM_PERMISSIONS.includes(permission))
+  },
+  platform_admin: {
+    description: 'Manages organizations and their email domains',
+    permissions: PLATFORM_PERMISSIONS
+  },
+  kitchen_manager: {
+    description: 'Uploads menus and exports orders',
+    permissions: ['menus:manage', 'orders:export', 'weeks:read']
+  },
+  office_manager: {
+    description: 'Locks weeks, sets cutoffs and approves unlock requests',
+    permissions: ['weeks:read', 'weeks:lock', 'unlocks:approve', 'cutoffs:manage', 'orders:export']
+  },
+  viewer: {
+    description: 'Read-only access to reports',
+    permissions: ['reports:view', 'weeks:read']
+  }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/**
+ * Get the roles of an authenticated user (JWT payload or session user)
+ * Tokens issued before roles existed only carry is_admin.
+ * @param {Object} user - req.user
+ * @returns {Array<string>}
+ */
+function getUserRoles(user) {
+  if (!user) return [];
+  if (Array.isArray(user.roles)) return user.roles;
+  return user.is_admin ? ['admin'] : [];
+}
+
+/**
+ * Get the permissions granted by a list of roles
+ * @param {Array<string>} roles - Role names (unknown roles grant nothing)
+ * @returns {Array<string>}
+ */
+function getPermissions(roles) {
+  const permissions = new Set();
+  roles.forEach(role => {
+    if (ROLES[role]) ROLES[role].permissions.forEach(permission => permissions.add(permission));
+  });
+  return Object.keys(PERMISSIONS).filter(permission => permissions.has(permission));
+}
+
+/**
+ * Get the roles that grant a permission
+ * @param {string} permission - Permission name
+ * @returns {Array<string>}
+ */
+function getRolesWithPermission(permission) {
+  return ROLE_NAMES.filter(role => ROLES[role].permissions.includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_NAMES,
+  getUserRoles,
+  getPermissions,
+  getRolesWithPermission
+};
@@ -1,4 +1,8 @@
+const fs = require('fs');
+const path = require('path');
 const swaggerJsdoc = require('swagger-jsdoc');
+const { isAuthenticated } = require('../middleware/auth');
+const { ROLE_NAMES, PERMISSIONS } = require('./roles');
 
 /**
  * Swagger API Documentation Configuration
@@ -57,6 +61,18 @@ const options = {
       {
         name: 'Admin',
         description: 'Administrative functions and data management'
+      },
+      {
+        name: 'Feedback',
+        description: 'User feedback for the administrators'
+      },
+      {
+        name: 'Meal Transfers',
+        description: 'Passing meals on to colleagues'
+      },
+      {
+        name: 'Menus',
+        description: 'Copying a colleague\'s menu'
       }
     ],
     components: {
@@ -66,6 +82,12 @@ const options = {
           in: 'cookie',
           name: 'connect.sid',
           description: 'Session cookie authentication'
+        },
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'JWT returned by POST /api/auth/login'
         }
       },
       schemas: {
@@ -76,7 +98,47 @@ const options = {
             email: { type: 'string', format: 'email', description: 'User email' },
             is_admin: { type: 'boolean', description: 'Admin status' },
             employee_name: { type: 'string', description: 'Employee name' },
-            is_active: { type: 'boolean', description: 'Account active status' }
+            is_active: { type: 'boolean', description: 'Account active status' },
+            locale: { type: 'string', nullable: true, enum: ['ro', 'en'], description: 'Language of the user\'s emails and API error messages (null = default)' },
+            roles: { type: 'array', items: { type: 'string', enum: ROLE_NAMES }, description: 'Assigned roles (login and current user only)' },
+            permissions: { type: 'array', items: { type: 'string', enum: Object.keys(PERMISSIONS) }, description: 'Permissions granted by the roles (login and current user only)' }
+          }
+        },
+        AuthTokens: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean' },
+            token: { type: 'string', description: 'Access token (JWT), sent as Authorization: Bearer <token>' },
+            refresh_token: { type: 'string', description: 'Exchanged for new tokens at POST /api/auth/refresh; works once' },
+            expires_in: { type: 'integer', description: 'Access token lifetime in seconds', example: 900 }
+          }
+        },
+        AuthSession: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            user_agent: { type: 'string', nullable: true },
+            ip_address: { type: 'string', nullable: true },
+            created_at: { type: 'string', format: 'date-time', description: 'Login time' },
+            last_used_at: { type: 'string', format: 'date-time', description: 'Login or last token refresh' },
+            expires_at: { type: 'string', format: 'date-time', description: 'When the refresh token expires unless used' },
+            current: { type: 'boolean', description: 'The session of this request' }
+          }
+        },
+        Role: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', enum: ROLE_NAMES },
+            description: { type: 'string' },
+            permissions: { type: 'array', items: { type: 'string', enum: Object.keys(PERMISSIONS) } }
+          }
+        },
+        UserRoles: {
+          type: 'object',
+          properties: {
+            user_id: { type: 'integer' },
+            roles: { type: 'array', items: { type: 'string', enum: ROLE_NAMES } },
+            permissions: { type: 'array', items: { type: 'string', enum: Object.keys(PERMISSIONS) } }
           }
         },
         MealOption: {
@@ -94,6 +156,65 @@ const options = {
             source_file: { type: 'string', description: 'Source Excel filename' }
           }
         },
+        MealOptionItem: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Stable item ID' },
+            week_start_date: { type: 'string', format: 'date' },
+            category: { type: 'string', description: 'Meal category (e.g., Meniu 1, Salată)' },
+            day_of_week: { type: 'string', enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'] },
+            name: { type: 'string', description: 'Dish name' },
+            position: { type: 'integer', description: 'Order of the dish within its category and day' },
+            price: { type: 'number', nullable: true },
+            allergens: { type: 'array', items: { type: 'string' } }
+          }
+        },
+        ImportProfile: {
+          type: 'object',
+          required: ['name', 'day_columns', 'category_patterns'],
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string', example: 'caterer-2025' },
+            sheet_name: { type: 'string', nullable: true, description: 'Sheet to read (null = first sheet)', example: 'Sheet1' },
+            header_row: { type: 'integer', description: 'Number of leading header rows to skip', example: 1 },
+            day_columns: {
+              type: 'object',
+              description: 'Zero-based column index per day (column A = 0)',
+              example: { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5 }
+            },
+            category_patterns: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Regular expressions that identify category rows ("Meniu" or "/^salat/i")',
+              example: ['Meniu', 'Special', 'Salat', 'Extra']
+            },
+            is_default: { type: 'boolean', description: 'Used when the upload does not name a profile' }
+          }
+        },
+        MealOptionsPayload: {
+          type: 'object',
+          required: ['week_start_date', 'categories'],
+          properties: {
+            week_start_date: { type: 'string', format: 'date', example: '2025-10-13' },
+            period: { type: 'string', example: '13-17' },
+            source: { type: 'string', description: 'Recorded as the source file', example: 'catering-sync' },
+            categories: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['category'],
+                properties: {
+                  category: { type: 'string', example: 'Meniu 1' },
+                  items: {
+                    type: 'object',
+                    description: 'Dishes per day: names or { name, price, allergens } objects',
+                    example: { monday: ['Ciorbă', { name: 'Pui cu orez', price: 25, allergens: ['gluten'] }] }
+                  }
+                }
+              }
+            }
+          }
+        },
         MealSelection: {
           type: 'object',
           properties: {
@@ -123,10 +244,25 @@ const options = {
             updated_at: { type: 'string', format: 'date-time' }
           }
         },
+        NotificationPreferences: {
+          type: 'object',
+          description: 'Whether the user receives each kind of notification email (all true by default)',
+          properties: {
+            new_menu: { type: 'boolean', description: 'New or changed weekly menu' },
+            deadline_reminder: { type: 'boolean', description: 'Reminder before the ordering cutoff' },
+            transfer_claimed: { type: 'boolean', description: 'Someone claimed a transferred meal' },
+            unlock_decision: { type: 'boolean', description: 'Unlock request approved or rejected' },
+            feedback_reply: { type: 'boolean', description: 'Admin replied to feedback' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
-            error: { type: 'string', description: 'Error message' }
+            error: { type: 'string', description: 'Error message in the request language (saved locale or Accept-Language)' },
+            code: { type: 'string', description: 'Stable error code', example: 'WEEK_LOCKED' },
+            message: { type: 'string', description: 'Error message in the request language (same as error)' },
+            details: { description: 'Additional error details' },
+            requestId: { type: 'string', description: 'Request ID, also in the X-Request-Id header' }
           }
         },
         Success: {
@@ -142,6 +278,184 @@ const options = {
   apis: ['./src/routes/*.js', './src/controllers/*.js']
 };
 
-const swaggerSpec = swaggerJsdoc(options);
+const ROUTES_DIR = path.join(__dirname, '../routes');
+
+const AUTH_SECURITY = [{ cookieAuth: [] }, { bearerAuth: [] }];
+
+const ERROR_CONTENT = {
+  'application/json': {
+    schema: { $ref: '#/components/schemas/Error' }
+  }
+};
+
+/**
+ * List the routes registered on the API routers
+ * @param {Array<Object>} apiRoutes - { path, router, tag } per router (src/routes/index.js)
+ * @returns {Array<Object>} { method, path (OpenAPI style), tag, operationId, schema, auth, permission }
+ */
+function listRoutes(apiRoutes) {
+  const routes = [];
+  const operationIds = new Set();
+
+  apiRoutes.forEach(({ path: mountPath, router, tag }) => {
+    router.stack.filter(layer => layer.route).forEach(({ route }) => {
+      const handles = route.stack.map(layer => layer.handle);
+      const validator = handles.find(handle => handle.schema);
+      const guard = handles.find(handle => handle.permission);
+      const controllerMethod = handles[handles.length - 1].name.replace(/^bound /, '');
+
+      Object.keys(route.methods).forEach(method => {
+        // GET and POST /unsubscribe share a controller method
+        let operationId = controllerMethod;
+        if (operationIds.has(operationId)) {
+          operationId += method.charAt(0).toUpperCase() + method.slice(1);
+        }
+        operationIds.add(operationId);
+
+        routes.push({
+          method,
+          path: `${mountPath}${route.path}`.replace(/\/$/, '').replace(/:(\w+)/g, '{$1}'),
+          tag,
+          operationId,
+          schema: validator ? validator.schema : null,
+          auth: Boolean(guard) || handles.includes(isAuthenticated),
+          permission: guard ? guard.permission : null
+        });
+      });
+    });
+  });
 
-module.exports = swaggerSpec;
+  return routes;
+}
+
+/**
+ * Read the summaries of routes documented with @route / @desc comments instead of @swagger
+ * @returns {Object} Summary per "method path" (OpenAPI style path)
+ */
+function readRouteComments() {
+  const summaries = {};
+
+  fs.readdirSync(ROUTES_DIR).filter(file => file.endsWith('.routes.js')).forEach(file => {
+    const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+    (source.match(/\/\*\*[\s\S]*?\*\//g) || []).forEach(comment => {
+      const route = comment.match(/@route\s+(\w+)\s+(\S+)/);
+      const desc = comment.match(/@desc\s+(.+)/);
+      if (route && desc) {
+        const routePath = route[2].replace(/:(\w+)/g, '{$1}');
+        summaries[`${route[1].toLowerCase()} ${routePath}`] = desc[1].trim();
+      }
+    });
+  });
+
+  return summaries;
+}
+
+/**
+ * Turn the properties of a request schema into OpenAPI parameters
+ * @param {Object} schema - Object schema of req.params or req.query
+ * @param {string} location - path or query
+ * @returns {Array<Object>}
+ */
+function toParameters(schema, location) {
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, { description, ...property }]) => ({
+    in: location,
+    name,
+    required: location === 'path' || required.includes(name),
+    ...(description && { description }),
+    schema: property
+  }));
+}
+
+/**
+ * Build the OpenAPI document from the registered routes
+ * Every route becomes an operation, so the document cannot miss one. @swagger comments in the
+ * route files add summaries, descriptions and response schemas; parameters and JSON bodies come
+ * from the schemas the validate() middleware enforces (src/schemas), replacing anything written
+ * by hand, so the docs cannot drift from the validation.
+ * @param {Array<Object>} apiRoutes - { path, router, tag } per router (src/routes/index.js)
+ * @returns {Object} OpenAPI document
+ */
+function buildSpec(apiRoutes) {
+  const documented = swaggerJsdoc(options);
+  const summaries = readRouteComments();
+  const paths = {};
+
+  listRoutes(apiRoutes).forEach(route => {
+    const { schema } = route;
+    const item = paths[route.path] = paths[route.path] || {};
+    const operation = item[route.method] = {
+      ...(documented.paths[route.path] && documented.paths[route.path][route.method])
+    };
+
+    operation.operationId = route.operationId;
+    operation.tags = operation.tags || [route.tag];
+    operation.summary = operation.summary || summaries[`${route.method} ${route.path}`];
+    if (route.auth && !operation.security) {
+      operation.security = AUTH_SECURITY;
+    }
+    if (route.permission) {
+      operation['x-permission'] = route.permission;
+      const requirement = `Requires the \`${route.permission}\` permission.`;
+      operation.description = operation.description ? `${operation.description}\n\n${requirement}` : requirement;
+    }
+
+    // Path parameters without a schema are plain strings
+    const pathParameters = schema && schema.params
+      ? toParameters(schema.params, 'path')
+      : (route.path.match(/\{\w+\}/g) || []).map(name => ({ in: 'path', name: name.slice(1, -1), required: true, schema: { type: 'string' } }));
+    const queryParameters = schema && schema.query ? toParameters(schema.query, 'query') : null;
+    const kept = (operation.parameters || []).filter(parameter =>
+      parameter.in !== 'path' && !(queryParameters && parameter.in === 'query'));
+    const parameters = [...pathParameters, ...kept, ...(queryParameters || [])];
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    if (schema && schema.body) {
+      const content = operation.requestBody ? operation.requestBody.content : {};
+      operation.requestBody = {
+        required: (schema.body.required || []).length > 0,
+        content: { ...content, 'application/json': { schema: schema.body } }
+      };
+    }
+
+    const responses = operation.responses = { ...operation.responses };
+    if (!Object.keys(responses).some(status => status.startsWith('2'))) {
+      responses[200] = { description: 'Success' };
+    }
+    if (schema) {
+      responses[400] = responses[400] || { description: 'Invalid request (VALIDATION_ERROR, each problem listed in details)', content: ERROR_CONTENT };
+    }
+    if (route.auth) {
+      responses[401] = responses[401] || { description: 'Not authenticated', content: ERROR_CONTENT };
+    }
+    if (route.permission) {
+      // Replaces the "Admin access required" of older @swagger comments
+      responses[403] = { description: `Missing the ${route.permission} permission (PERMISSION_REQUIRED)`, content: ERROR_CONTENT };
+    }
+  });
+
+  return { ...documented, paths };
+}
+
+/**
+ * Find the @swagger operations that match no registered route (renamed or removed routes)
+ * @param {Array<Object>} apiRoutes - { path, router, tag } per router
+ * @returns {Array<string>} "METHOD path" of each stale operation
+ */
+function findStaleOperations(apiRoutes) {
+  const documented = swaggerJsdoc(options);
+  const registered = new Set(listRoutes(apiRoutes).map(route => `${route.method} ${route.path}`));
+
+  return Object.entries(documented.paths).flatMap(([operationPath, item]) =>
+    Object.keys(item)
+      .filter(method => !registered.has(`${method} ${operationPath}`))
+      .map(method => `${method.toUpperCase()} ${operationPath}`));
+}
+
+module.exports = {
+  buildSpec,
+  listRoutes,
+  findStaleOperations
+};
@@ -1,22 +1,27 @@
 const databaseService = require('../services/database.service');
+const mealOptionsImportService = require('../services/mealOptionsImport.service');
+const cutoffService = require('../services/cutoff.service');
+const emailOutboxService = require('../services/emailOutbox.service');
 const emailService = require('../config/email');
+const emailTemplatesService = require('../services/emailTemplates.service');
+const loginThrottleService = require('../services/loginThrottle.service');
+const { getUserRoles, getPermissions } = require('../config/roles');
 
 /**
  * Admin Controller
- * Handles administrative functions and data management
+ * Handles administrative functions and data management, within the admin's organization
  */
 class AdminController {
   /**
    * Get all available weeks
    * @route GET /api/admin/weeks
    */
-  async getAllWeeks(req, res) {
+  async getAllWeeks(req, res, next) {
     try {
-      const weeks = await databaseService.getAllWeeks();
+      const weeks = await databaseService.getAllWeeks(req.user.organization_id);
       res.json({ weeks });
     } catch (error) {
-      console.error('Get all weeks error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -24,19 +29,14 @@ class AdminController {
    * Delete all data for a specific week
    * @route DELETE /api/admin/weeks/:weekStartDate
    */
-  async deleteWeekData(req, res) {
+  async deleteWeekData(req, res, next) {
     try {
       const { weekStartDate } = req.params;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
-      await databaseService.deleteWeekData(weekStartDate);
+      await databaseService.deleteWeekData(req.user.organization_id, weekStartDate);
       res.json({ success: true, message: 'Datele pentru săptămâna au fost șterse cu succes' });
     } catch (error) {
-      console.error('Delete week data error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -44,19 +44,27 @@ class AdminController {
    * Get week settings (lock status)
    * @route GET /api/admin/weeks/:weekStartDate/settings
    */
-  async getWeekSettings(req, res) {
+  async getWeekSettings(req, res, next) {
     try {
       const { weekStartDate } = req.params;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
+      const settings = await databaseService.getWeekSettings(req.user.organization_id, weekStartDate);
+      const lockedDays = await databaseService.getLockedWeekDays(req.user.organization_id, weekStartDate);
+      const overrides = await databaseService.getUnlockOverrides(req.user.organization_id, weekStartDate);
+
+      // unlocked_users is kept for older clients: users with an active whole-week override
+      const unlockedUsers = overrides.filter(override => !override.day_of_week).map(override => override.user_id);
 
-      const settings = await databaseService.getWeekSettings(weekStartDate);
-      res.json({ settings: settings || { week_start_date: weekStartDate, is_locked: 0, unlocked_users: '[]' } });
+      res.json({
+        settings: {
+          ...(settings || { week_start_date: weekStartDate, is_locked: 0 }),
+          unlocked_users: JSON.stringify(unlockedUsers)
+        },
+        locked_days: lockedDays,
+        unlock_overrides: overrides
+      });
     } catch (error) {
-      console.error('Get week settings error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -64,19 +72,14 @@ class AdminController {
    * Lock a week
    * @route POST /api/admin/weeks/:weekStartDate/lock
    */
-  async lockWeek(req, res) {
+  async lockWeek(req, res, next) {
     try {
       const { weekStartDate } = req.params;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
-      await databaseService.lockWeek(weekStartDate);
+      await databaseService.lockWeek(req.user.organization_id, weekStartDate);
       res.json({ success: true, message: 'Săptămâna a fost blocată cu succes' });
     } catch (error) {
-      console.error('Lock week error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -84,180 +87,345 @@ class AdminController {
    * Unlock a week
    * @route POST /api/admin/weeks/:weekStartDate/unlock
    */
-  async unlockWeek(req, res) {
+  async unlockWeek(req, res, next) {
     try {
       const { weekStartDate } = req.params;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
-      await databaseService.unlockWeek(weekStartDate);
+      await databaseService.unlockWeek(req.user.organization_id, weekStartDate);
       res.json({ success: true, message: 'Săptămâna a fost deblocată cu succes' });
     } catch (error) {
-      console.error('Unlock week error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
+    }
+  }
+
+  /**
+   * Lock a single day of a week
+   * @route POST /api/admin/weeks/:weekStartDate/days/:day/lock
+   */
+  async lockWeekDay(req, res, next) {
+    try {
+      const { weekStartDate, day } = req.params;
+
+      await databaseService.lockWeekDay(req.user.organization_id, weekStartDate, day);
+      res.json({ success: true, message: 'Ziua a fost blocată cu succes' });
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
-   * Grant unlock permission to a specific user
+   * Unlock a single day of a week
+   * @route POST /api/admin/weeks/:weekStartDate/days/:day/unlock
+   */
+  async unlockWeekDay(req, res, next) {
+    try {
+      const { weekStartDate, day } = req.params;
+
+      await databaseService.unlockWeekDay(req.user.organization_id, weekStartDate, day);
+      res.json({ success: true, message: 'Ziua a fost deblocată cu succes' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Grant unlock permission to a specific user (for the week or one day, optionally expiring)
    * @route POST /api/admin/weeks/:weekStartDate/grant-unlock/:userId
    */
-  async grantUserUnlock(req, res) {
+  async grantUserUnlock(req, res, next) {
     try {
       const { weekStartDate, userId } = req.params;
+      const { day, expires_in_minutes } = req.body || {};
 
-      if (!weekStartDate || !userId) {
-        return res.status(400).json({ error: 'Week start date and user ID are required' });
+      if (!await databaseService.getOrganizationUser(req.user.organization_id, parseInt(userId))) {
+        return res.sendError(404, 'USER_NOT_FOUND');
       }
 
-      await databaseService.grantUserUnlock(weekStartDate, parseInt(userId));
-      res.json({ success: true, message: 'Permisiunea de deblocare a fost acordată utilizatorului' });
+      const override = await databaseService.grantUserUnlock(weekStartDate, parseInt(userId), {
+        dayOfWeek: day || null,
+        grantedBy: req.user.id,
+        expiresInMinutes: expires_in_minutes || null
+      });
+      res.json({ success: true, message: 'Permisiunea de deblocare a fost acordată utilizatorului', override });
     } catch (error) {
-      console.error('Grant user unlock error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Revoke unlock permission from a specific user
+   * Revoke unlock permission from a specific user (all overrides, or one day's)
    * @route POST /api/admin/weeks/:weekStartDate/revoke-unlock/:userId
    */
-  async revokeUserUnlock(req, res) {
+  async revokeUserUnlock(req, res, next) {
     try {
       const { weekStartDate, userId } = req.params;
+      const { day } = req.body || {};
 
-      if (!weekStartDate || !userId) {
-        return res.status(400).json({ error: 'Week start date and user ID are required' });
+      if (!await databaseService.getOrganizationUser(req.user.organization_id, parseInt(userId))) {
+        return res.sendError(404, 'USER_NOT_FOUND');
       }
 
-      await databaseService.revokeUserUnlock(weekStartDate, parseInt(userId));
-      res.json({ success: true, message: 'Permisiunea de deblocare a fost revocată de la utilizator' });
+      const revoked = await databaseService.revokeUserUnlock(weekStartDate, parseInt(userId), day || null);
+      res.json({ success: true, message: 'Permisiunea de deblocare a fost revocată de la utilizator', revoked });
     } catch (error) {
-      console.error('Revoke user unlock error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Test email configuration
-   * @route POST /api/admin/test-email
+   * List the unlock overrides of a week
+   * @route GET /api/admin/weeks/:weekStartDate/unlock-overrides
+   */
+  async getUnlockOverrides(req, res, next) {
+    try {
+      const { weekStartDate } = req.params;
+      const includeExpired = req.query.include_expired === 'true';
+
+      const overrides = await databaseService.getUnlockOverrides(req.user.organization_id, weekStartDate, includeExpired);
+      res.json({ week_start_date: weekStartDate, overrides });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the ordering cutoff rules
+   * @route GET /api/admin/cutoffs
+   */
+  async getCutoffRules(req, res, next) {
+    try {
+      const rules = await databaseService.getCutoffRules(req.user.organization_id);
+      res.json({
+        default: rules.find(rule => rule.week_start_date === null) || null,
+        weeks: rules.filter(rule => rule.week_start_date !== null)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the default ordering cutoff rule
+   * @route PUT /api/admin/cutoffs/default
+   */
+  async saveDefaultCutoffRule(req, res, next) {
+    await this._saveCutoffRule(null, req, res, next);
+  }
+
+  /**
+   * Remove the default ordering cutoff rule
+   * @route DELETE /api/admin/cutoffs/default
+   */
+  async deleteDefaultCutoffRule(req, res, next) {
+    await this._deleteCutoffRule(null, req, res, next);
+  }
+
+  /**
+   * Get the cutoff of a week (its own rule or the default) with each day's deadline
+   * @route GET /api/admin/weeks/:weekStartDate/cutoff
+   */
+  async getWeekCutoff(req, res, next) {
+    try {
+      const { weekStartDate } = req.params;
+
+      const rule = await databaseService.getCutoffRule(req.user.organization_id, weekStartDate);
+      if (!rule) {
+        return res.json({ rule: null, cutoffs: null });
+      }
+
+      res.json({ rule, cutoffs: cutoffService.getStatus(weekStartDate, rule) });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set the ordering cutoff rule of a week (overrides the default)
+   * @route PUT /api/admin/weeks/:weekStartDate/cutoff
    */
-  async testEmail(req, res) {
+  async saveWeekCutoffRule(req, res, next) {
+    await this._saveCutoffRule(req.params.weekStartDate, req, res, next);
+  }
+
+  /**
+   * Remove the ordering cutoff rule of a week (falls back to the default)
+   * @route DELETE /api/admin/weeks/:weekStartDate/cutoff
+   */
+  async deleteWeekCutoffRule(req, res, next) {
+    await this._deleteCutoffRule(req.params.weekStartDate, req, res, next);
+  }
+
+  /**
+   * Validate and store a cutoff rule from a request body
+   * @private
+   */
+  async _saveCutoffRule(weekStartDate, req, res, next) {
     try {
-      const { to } = req.body;
+      const rule = {
+        mode: req.body.mode,
+        day: req.body.day ? String(req.body.day).toLowerCase() : req.body.day,
+        time: req.body.time,
+        days_before: req.body.days_before
+      };
+
+      const errors = cutoffService.validateRule(rule);
+      if (errors.length > 0) {
+        return res.sendError(400, 'INVALID_CUTOFF_RULE', {}, { details: errors });
+      }
+
+      await databaseService.saveCutoffRule(req.user.organization_id, weekStartDate, rule);
+      res.json({ success: true, message: 'Termenul limită a fost salvat' });
+    } catch (error) {
+      next(error);
+    }
+  }
 
-      if (!to) {
-        return res.status(400).json({ error: 'Recipient email address is required' });
+  /**
+   * Delete a cutoff rule
+   * @private
+   */
+  async _deleteCutoffRule(weekStartDate, req, res, next) {
+    try {
+      const deleted = await databaseService.deleteCutoffRule(req.user.organization_id, weekStartDate);
+      if (!deleted) {
+        return res.sendError(404, 'CUTOFF_RULE_NOT_FOUND');
       }
 
+      res.json({ success: true, message: 'Termenul limită a fost șters' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get all meal options import profiles
+   * @route GET /api/admin/import-profiles
+   */
+  async getImportProfiles(req, res, next) {
+    try {
+      const profiles = await databaseService.getImportProfiles(req.user.organization_id);
+      res.json({ profiles });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create a meal options import profile
+   * @route POST /api/admin/import-profiles
+   */
+  async createImportProfile(req, res, next) {
+    try {
+      const profile = this._profileFromBody(req.body);
+
+      const errors = mealOptionsImportService.validateProfile(profile);
+      if (errors.length > 0) {
+        return res.sendError(400, 'INVALID_IMPORT_PROFILE', {}, { details: errors });
+      }
+
+      if (await databaseService.getImportProfile(req.user.organization_id, profile.name.trim())) {
+        return res.sendError(400, 'IMPORT_PROFILE_EXISTS', { name: profile.name });
+      }
+
+      const created = await databaseService.createImportProfile(req.user.organization_id, profile);
+      res.json({ success: true, profile: created });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update a meal options import profile
+   * @route PUT /api/admin/import-profiles/:id
+   */
+  async updateImportProfile(req, res, next) {
+    try {
+      const profileId = parseInt(req.params.id);
+
+      const existing = profileId ? await databaseService.getImportProfile(req.user.organization_id, profileId) : null;
+      if (!existing) {
+        return res.sendError(404, 'IMPORT_PROFILE_NOT_FOUND');
+      }
+
+      const profile = this._profileFromBody({ ...existing, ...req.body });
+
+      const errors = mealOptionsImportService.validateProfile(profile);
+      if (errors.length > 0) {
+        return res.sendError(400, 'INVALID_IMPORT_PROFILE', {}, { details: errors });
+      }
+
+      const sameName = await databaseService.getImportProfile(req.user.organization_id, profile.name.trim());
+      if (sameName && sameName.id !== profileId) {
+        return res.sendError(400, 'IMPORT_PROFILE_EXISTS', { name: profile.name });
+      }
+
+      const updated = await databaseService.updateImportProfile(req.user.organization_id, profileId, profile);
+      res.json({ success: true, profile: updated });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Delete a meal options import profile
+   * @route DELETE /api/admin/import-profiles/:id
+   */
+  async deleteImportProfile(req, res, next) {
+    try {
+      const profileId = parseInt(req.params.id);
+
+      const existing = profileId ? await databaseService.getImportProfile(req.user.organization_id, profileId) : null;
+      if (!existing) {
+        return res.sendError(404, 'IMPORT_PROFILE_NOT_FOUND');
+      }
+
+      if (existing.is_default) {
+        return res.sendError(400, 'DEFAULT_IMPORT_PROFILE_UNDELETABLE');
+      }
+
+      await databaseService.deleteImportProfile(req.user.organization_id, profileId);
+      res.json({ success: true, message: 'Import profile deleted' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Pick the import profile fields from a request body
+   * @private
+   */
+  _profileFromBody(body) {
+    return {
+      name: body.name,
+      sheet_name: body.sheet_name === undefined ? null : body.sheet_name,
+      header_row: body.header_row === undefined ? 1 : body.header_row,
+      day_columns: body.day_columns,
+      category_patterns: body.category_patterns,
+      is_default: Boolean(body.is_default)
+    };
+  }
+
+  /**
+   * Test email configuration
+   * @route POST /api/admin/test-email
+   */
+  async testEmail(req, res, next) {
+    try {
+      const { to, locale } = req.body;
+
       // Check if email is configured
       if (!emailService.isConfigured()) {
-        return res.status(400).json({
-          error: 'Email service is not configured. Please set EMAIL_USER and EMAIL_PASSWORD in your .env file.'
-        });
+        return res.sendError(400, 'EMAIL_NOT_CONFIGURED');
       }
 
       // Verify connection first
       const isReady = await emailService.testConfig();
       if (!isReady) {
-        return res.status(500).json({
-          error: 'Failed to connect to email server. Please check your EMAIL_HOST, EMAIL_PORT, EMAIL_USER, and EMAIL_PASSWORD settings.'
-        });
+        return res.sendError(500, 'EMAIL_CONNECTION_FAILED');
       }
 
       // Send test email
-      const result = await emailService.sendEmail({
-        to,
-        subject: '✅ Test Email from Dobby Food Search',
-        html: `
-          <!DOCTYPE html>
-          <html>
-          <head>
-            <style>
-              body {
-                font-family: Arial, sans-serif;
-                line-height: 1.6;
-                color: #333;
-                max-width: 600px;
-                margin: 0 auto;
-                padding: 20px;
-              }
-              .header {
-                background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-                color: white;
-                padding: 30px 20px;
-                text-align: center;
-                border-radius: 10px 10px 0 0;
-              }
-              .content {
-                background: #f9fafb;
-                padding: 30px;
-                border-radius: 0 0 10px 10px;
-              }
-              .success-badge {
-                display: inline-block;
-                background: #10b981;
-                color: white;
-                padding: 8px 16px;
-                border-radius: 20px;
-                font-weight: bold;
-                margin: 20px 0;
-              }
-              .info-box {
-                background: white;
-                padding: 20px;
-                border-left: 4px solid #667eea;
-                margin: 20px 0;
-                border-radius: 4px;
-              }
-              .footer {
-                text-align: center;
-                margin-top: 30px;
-                padding-top: 20px;
-                border-top: 1px solid #e5e7eb;
-                font-size: 12px;
-                color: #6b7280;
-              }
-            </style>
-          </head>
-          <body>
-            <div class="header">
-              <h1>✅ Email Configuration Test</h1>
-              <p style="margin: 0; opacity: 0.9;">Dobby Food Search System</p>
-            </div>
-            <div class="content">
-              <h2>Congratulations!</h2>
-              <div class="success-badge">✓ Email Service is Working!</div>
-
-              <p>Your email configuration is working correctly. The SMTP server successfully sent this test email.</p>
-
-              <div class="info-box">
-                <p style="margin: 0;"><strong>📧 Recipient:</strong> ${to}</p>
-                <p style="margin: 10px 0 0 0;"><strong>🖥️ Server:</strong> ${process.env.EMAIL_HOST || 'dobby.devhub.tech'}</p>
-                <p style="margin: 10px 0 0 0;"><strong>🔌 Port:</strong> ${process.env.EMAIL_PORT || '465'} (${parseInt(process.env.EMAIL_PORT || '465') === 465 ? 'SSL/TLS' : 'STARTTLS'})</p>
-              </div>
-
-              <p>You can now use the following features:</p>
-              <ul>
-                <li>📨 Send user invitations</li>
-                <li>🍽️ Notify users of new meal options</li>
-                <li>🔔 Send automated notifications</li>
-              </ul>
-
-              <p style="margin-top: 30px;">
-                This is an automated test email.<br>
-                <strong>The Dobby Team</strong>
-              </p>
-            </div>
-            <div class="footer">
-              <p>Test email sent on ${new Date().toLocaleString()}</p>
-            </div>
-          </body>
-          </html>
-        `
-      });
+      const result = await emailService.sendTestEmail(to, locale);
 
       if (result.success) {
         res.json({
@@ -265,69 +433,233 @@ class AdminController {
           message: `Test email sent successfully to ${to}!`
         });
       } else {
-        res.status(500).json({
-          error: `Failed to send test email: ${result.error}`
-        });
+        res.sendError(500, 'EMAIL_SEND_FAILED', {}, { details: result.error });
       }
     } catch (error) {
-      console.error('Test email error:', error);
-      res.status(500).json({
-        error: 'Server error while sending test email',
-        details: error.message
-      });
+      next(error);
     }
   }
 
   /**
-   * Notify all users about new meal options
+   * Notify all users of the organization about new meal options
    * @route POST /api/admin/notify-users
    */
-  async notifyUsers(req, res) {
+  async notifyUsers(req, res, next) {
     try {
       const { weekStartDate, message } = req.body;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
       // Check if email is configured
       if (!emailService.isConfigured()) {
-        return res.status(400).json({
-          error: 'Email service is not configured. Please set EMAIL_USER and EMAIL_PASSWORD in your .env file.'
-        });
+        return res.sendError(400, 'EMAIL_NOT_CONFIGURED');
       }
 
       // Get all users
-      const users = await databaseService.getAllUsers();
+      const users = await databaseService.getAllUsers(req.user.organization_id);
 
       if (!users || users.length === 0) {
-        return res.status(400).json({ error: 'No users to notify' });
+        return res.sendError(400, 'NO_USERS_TO_NOTIFY');
       }
 
-      // Send notifications
+      // Queue notifications (delivered by the outbox worker)
       const result = await emailService.sendMealOptionsNotification(weekStartDate, users);
 
       if (result.success) {
         res.json({
           success: true,
-          message: `Notifications sent successfully to ${result.sent} users`,
-          sent: result.sent,
-          failed: result.failed,
-          errors: result.errors
+          message: `Notifications queued for ${result.queued} users`,
+          queued: result.queued,
+          skipped: result.skipped
         });
       } else {
-        res.status(500).json({
-          error: `Failed to send notifications: ${result.error}`,
-          sent: result.sent || 0,
-          failed: result.failed || users.length
-        });
+        res.sendError(500, 'NOTIFICATIONS_QUEUE_FAILED', {}, { details: result.error });
       }
     } catch (error) {
-      console.error('Notify users error:', error);
-      res.status(500).json({
-        error: 'Server error while sending notifications',
-        details: error.message
+      next(error);
+    }
+  }
+
+  // ===== EMAIL OUTBOX =====
+
+  /**
+   * List email outbox messages with status counts
+   * @route GET /api/admin/emails
+   */
+  async getOutboxEmails(req, res, next) {
+    try {
+      const { status, kind, to } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const result = await databaseService.getOutboxEmails(req.user.organization_id, { status, kind, to, limit, offset });
+
+      res.json({ ...result, limit, offset });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get an email outbox message
+   * @route GET /api/admin/emails/:id
+   */
+  async getOutboxEmail(req, res, next) {
+    try {
+      const email = await databaseService.getOutboxEmail(req.user.organization_id, parseInt(req.params.id));
+
+      if (!email) {
+        return res.sendError(404, 'EMAIL_NOT_FOUND');
+      }
+
+      res.json({ email });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Queue an email outbox message again
+   * @route POST /api/admin/emails/:id/resend
+   */
+  async resendOutboxEmail(req, res, next) {
+    try {
+      const emailId = parseInt(req.params.id);
+      const requeued = await emailOutboxService.resend(req.user.organization_id, emailId);
+
+      if (!requeued) {
+        return res.sendError(404, 'EMAIL_NOT_FOUND');
+      }
+
+      res.json({
+        success: true,
+        message: 'Email queued for delivery',
+        email: await databaseService.getOutboxEmail(req.user.organization_id, emailId)
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ===== ORDER REMINDERS =====
+
+  /**
+   * List the "you haven't ordered yet" reminders sent, newest first
+   * @route GET /api/admin/reminders
+   */
+  async getOrderReminders(req, res, next) {
+    try {
+      const { week, status } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const result = await databaseService.getOrderReminders(req.user.organization_id, {
+        weekStartDate: week,
+        userId: req.query.userId ? parseInt(req.query.userId) : null,
+        status,
+        limit,
+        offset
+      });
+
+      res.json({ ...result, limit, offset });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  // ===== LOGIN LOCKOUTS =====
+
+  /**
+   * List the accounts locked out after failed logins
+   * Platform admins also see the other organizations' accounts and the locked out IP addresses.
+   * @route GET /api/admin/login-lockouts
+   */
+  async getLoginLockouts(req, res, next) {
+    try {
+      const lockouts = await databaseService.getLoginLockouts(this._loginAuditOrganization(req.user));
+      res.json({ lockouts });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Lift a login lockout
+   * @route DELETE /api/admin/login-lockouts/:id
+   */
+  async clearLoginLockout(req, res, next) {
+    try {
+      const cleared = await loginThrottleService.clearLockout(req.params.id, req.user, this._loginAuditOrganization(req.user));
+      res.json({ success: true, message: 'Blocarea a fost ridicată', ...cleared });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * List suspicious login events, newest first
+   * @route GET /api/admin/login-audit
+   */
+  async getLoginAudit(req, res, next) {
+    try {
+      const { event, email, ip } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const result = await databaseService.getLoginAuditEvents({
+        organizationId: this._loginAuditOrganization(req.user), event, email, ip, limit, offset
+      });
+
+      res.json({ ...result, limit, offset });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Organization whose login lockouts and events an admin sees (null: all of them)
+   * @private
+   */
+  _loginAuditOrganization(user) {
+    return getPermissions(getUserRoles(user)).includes('organizations:manage') ? null : user.organization_id;
+  }
+
+  // ===== EMAIL TEMPLATES =====
+
+  /**
+   * List the email templates and supported locales
+   * @route GET /api/admin/email-templates
+   */
+  async getEmailTemplates(req, res) {
+    res.json({
+      templates: emailTemplatesService.names,
+      locales: emailTemplatesService.getLocales(),
+      default_locale: emailTemplatesService.defaultLocale
+    });
+  }
+
+  /**
+   * Render an email template with example data
+   * Returns { subject, html, text } by default; format=html or format=text returns just that body.
+   * @route GET /api/admin/email-templates/:name/preview
+   */
+  async previewEmailTemplate(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { locale, format = 'json' } = req.query;
+
+      if (!emailTemplatesService.hasTemplate(name)) {
+        return res.sendError(404, 'EMAIL_TEMPLATE_NOT_FOUND', { name });
+      }
+
+      const resolvedLocale = emailTemplatesService.resolveLocale(locale);
+      const email = emailTemplatesService.preview(name, resolvedLocale);
+
+      if (format === 'html') {
+        return res.type('html').send(email.html);
+      }
+      if (format === 'text') {
+        return res.type('text').send(email.text);
+      }
+
+      res.json({ name, locale: resolvedLocale, ...email });
+    } catch (error) {
+      next(error);
     }
   }
 }
@@ -1,7 +1,10 @@
 const databaseService = require('../services/database.service');
 const { validateEmail, extractNameFromEmail } = require('../utils/validators');
 const { validatePasswordStrength } = require('../utils/password');
-const jwt = require('jsonwebtoken');
+const { getPermissions } = require('../config/roles');
+const authSessionsService = require('../services/authSessions.service');
+const passwordsService = require('../services/passwords.service');
+const loginThrottleService = require('../services/loginThrottle.service');
 
 /**
  * Authentication Controller
@@ -12,27 +15,28 @@ class AuthController {
    * Login user
    * @route POST /api/auth/login
    */
-  async login(req, res) {
+  async login(req, res, next) {
     try {
       const { email, password } = req.body;
 
-      if (!email || !password) {
-        return res.status(400).json({ error: 'Email și parola sunt obligatorii' });
+      const retryAfter = await loginThrottleService.check(email, req.ip);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.sendError(429, 'TOO_MANY_LOGIN_ATTEMPTS', { seconds: retryAfter }, { retry_after: retryAfter });
       }
 
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          error: 'Email-ul trebuie să fie @devhub.tech, @titans.net sau @solidstake.com'
-        });
+      // Unknown emails, other domains and inactive placeholders of imported employee names
+      // (no password yet) all get the same answer as a wrong password
+      const user = validateEmail(email) ? await databaseService.getUserByEmail(email) : null;
+      if (!user || !user.password || !databaseService.verifyPassword(password, user.password)) {
+        await loginThrottleService.recordFailure(email, req);
+        return res.sendError(401, 'INVALID_CREDENTIALS');
       }
 
-      const user = await databaseService.getUserByEmail(email);
-      if (!user) {
-        return res.status(401).json({ error: 'Credențiale invalide' });
-      }
+      await loginThrottleService.recordSuccess(email, req);
 
-      if (!databaseService.verifyPassword(password, user.password)) {
-        return res.status(401).json({ error: 'Credențiale invalide' });
+      if (!user.is_active) {
+        return res.sendError(403, 'ACCOUNT_DISABLED');
       }
 
       // Auto-set employee name from email if not set
@@ -46,41 +50,36 @@ class AuthController {
         }
       }
 
-      // Generate JWT token
-      const tokenPayload = {
-        id: user.id,
-        email: user.email,
-        is_admin: Boolean(user.is_admin),
-        employee_name: employeeName
-      };
-
-      const token = jwt.sign(
-        tokenPayload,
-        process.env.JWT_SECRET || 'food-search-jwt-secret-2024-change-this-in-production',
-        { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-      );
+      // Open a session: short-lived access token (roles are checked per route by requirePermission) and refresh token
+      const session = await authSessionsService.createSession({ ...user, employee_name: employeeName }, req);
+      const { roles } = session.payload;
 
       // Also set session for backward compatibility
-      req.session.user = tokenPayload;
+      req.session.user = session.payload;
 
       console.log('✓ User logged in:', {
         email: user.email,
         is_admin: Boolean(user.is_admin),
-        token_generated: true
+        roles,
+        session: session.sessionId
       });
 
       res.json({
         success: true,
-        token,
+        token: session.token,
+        refresh_token: session.refreshToken,
+        expires_in: session.expiresIn,
         user: {
           email: user.email,
+          organization_id: user.organization_id,
           is_admin: Boolean(user.is_admin),
+          roles,
+          permissions: getPermissions(roles),
           employee_name: employeeName
         }
       });
     } catch (error) {
-      console.error('Login error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -88,36 +87,31 @@ class AuthController {
    * Register new user
    * @route POST /api/auth/register
    */
-  async register(req, res) {
+  async register(req, res, next) {
     try {
       const { email, password } = req.body;
 
-      if (!email || !password) {
-        return res.status(400).json({ error: 'Email și parola sunt obligatorii' });
-      }
-
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          error: 'Email-ul trebuie să fie @devhub.tech, @titans.net sau @solidstake.com'
-        });
+      // The account joins the organization owning the email's domain
+      const organization = validateEmail(email) ? await databaseService.getOrganizationByEmail(email) : null;
+      if (!organization) {
+        return res.sendError(400, 'EMAIL_DOMAIN_NOT_ALLOWED');
       }
 
       // Validate password strength
       const passwordValidation = validatePasswordStrength(password);
       if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          error: 'Parola nu îndeplinește cerințele de securitate',
-          details: passwordValidation.feedback.join('. ')
-        });
+        return res.sendError(400, 'WEAK_PASSWORD', {}, { details: passwordValidation.feedback.join('. ') });
       }
 
       // Extract expected employee name from email
       const expectedEmployeeName = extractNameFromEmail(email);
 
       // Check for inactive user with matching employee name
-      const allUsers = await databaseService.getAllUsers();
+      const allUsers = await databaseService.getAllUsers(organization.id);
+      // Only placeholders of imported employee names; accounts an admin disabled stay disabled
       const inactiveUser = allUsers.find(u =>
         u.is_active === 0 &&
+        !u.deactivated_at &&
         u.employee_name &&
         u.employee_name.toLowerCase() === expectedEmployeeName.toLowerCase()
       );
@@ -127,17 +121,14 @@ class AuthController {
 
         // Update email if different
         if (inactiveUser.email !== email.toLowerCase().trim()) {
-          await databaseService.db.run(
-            'UPDATE users SET email = ? WHERE id = ?',
-            [email.toLowerCase().trim(), inactiveUser.id]
-          );
+          await databaseService.updateUserEmail(inactiveUser.id, email);
         }
 
         console.log(`Activated inactive user: ${inactiveUser.employee_name} with email ${email}`);
         res.json({ success: true, message: 'Cont activat cu succes! Te poți autentifica acum.' });
       } else {
         // Create new user
-        await databaseService.createUser(email, password, 0);
+        await databaseService.createUser(organization.id, email, password, 0);
 
         // Auto-set employee name from email
         const autoEmployeeName = extractNameFromEmail(email);
@@ -152,47 +143,174 @@ class AuthController {
         res.json({ success: true, message: 'Cont creat cu succes! Te poți autentifica acum.' });
       }
     } catch (error) {
-      console.error('Register error:', error);
-      if (error.message && error.message.includes('Invalid email domain')) {
-        res.status(400).json({ error: error.message });
-      } else {
-        res.status(400).json({ error: 'Email-ul există deja' });
+      next(error);
+    }
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * @route POST /api/auth/refresh
+   */
+  async refresh(req, res, next) {
+    try {
+      const session = await authSessionsService.refresh(req.body.refresh_token, req);
+
+      if (req.session && req.session.user && req.session.user.sid === session.sessionId) {
+        req.session.user = session.payload;
       }
+
+      res.json({
+        success: true,
+        token: session.token,
+        refresh_token: session.refreshToken,
+        expires_in: session.expiresIn
+      });
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
-   * Logout user
+   * Logout user: revokes the session, so its access and refresh tokens stop working
    * @route POST /api/auth/logout
    */
-  async logout(req, res) {
+  async logout(req, res, next) {
+    try {
+      await authSessionsService.revokeRequestSession(req);
+    } catch (error) {
+      return next(error);
+    }
+
     req.session.destroy((err) => {
       if (err) {
-        console.error('Logout error:', err);
-        return res.status(500).json({ error: 'Server error' });
+        return next(err);
       }
       res.json({ success: true });
     });
   }
 
+  /**
+   * List the current user's active sessions (signed-in devices)
+   * @route GET /api/auth/sessions
+   */
+  async getSessions(req, res, next) {
+    try {
+      const sessions = await authSessionsService.listSessions(req.user.id, req.user.sid);
+      res.json({ sessions });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign out every other device of the current user
+   * @route DELETE /api/auth/sessions
+   */
+  async revokeOtherSessions(req, res, next) {
+    try {
+      const revoked = await authSessionsService.revokeOtherSessions(req.user.id, req.user.sid);
+      res.json({ success: true, revoked });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Sign out one device of the current user
+   * @route DELETE /api/auth/sessions/:id
+   */
+  async revokeSession(req, res, next) {
+    try {
+      await authSessionsService.revokeSession(req.user.id, req.params.id);
+
+      if (req.params.id === req.user.sid) {
+        return req.session.destroy((err) => {
+          if (err) {
+            return next(err);
+          }
+          res.json({ success: true, revoked: 1 });
+        });
+      }
+
+      res.json({ success: true, revoked: 1 });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Email a password reset link
+   * Answers the same whether or not the email has an account.
+   * @route POST /api/auth/password/forgot
+   */
+  async forgotPassword(req, res, next) {
+    try {
+      const retryAfter = await loginThrottleService.limitResetRequest(req.body.email, req.ip);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.sendError(429, 'TOO_MANY_RESET_REQUESTS', { minutes: Math.ceil(retryAfter / 60) }, { retry_after: retryAfter });
+      }
+
+      await passwordsService.requestReset(req.body.email, req);
+      res.json({
+        success: true,
+        message: 'Dacă există un cont cu acest email, vei primi un link pentru resetarea parolei.'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Set a new password with the token from a reset link
+   * @route POST /api/auth/password/reset
+   */
+  async resetPassword(req, res, next) {
+    try {
+      const { token, password } = req.body;
+      await passwordsService.resetPassword(token, password);
+      res.json({ success: true, message: 'Parola a fost schimbată. Te poți autentifica acum.' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Change the current user's password, signing out their other devices
+   * @route POST /api/auth/password/change
+   */
+  async changePassword(req, res, next) {
+    try {
+      const { current_password, new_password } = req.body;
+      const revoked = await passwordsService.changePassword(req.user, current_password, new_password);
+      res.json({ success: true, message: 'Parola a fost schimbată', revoked });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   /**
    * Get current user
    * @route GET /api/auth/me
    */
-  async me(req, res) {
+  async me(req, res, next) {
     try {
       const user = await databaseService.getUserById(req.user.id);
+      const roles = await databaseService.getUserRoles(req.user.id);
       res.json({
         user: {
           id: user.id,
           email: user.email,
+          organization_id: user.organization_id,
           is_admin: user.is_admin,
-          employee_name: user.employee_name
+          roles,
+          permissions: getPermissions(roles),
+          employee_name: user.employee_name,
+          locale: user.locale
         }
       });
     } catch (error) {
-      console.error('Get user error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 }
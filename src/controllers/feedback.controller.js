@@ -10,17 +10,13 @@ class FeedbackController {
    * Submit feedback
    * @route POST /api/feedback
    */
-  async submitFeedback(req, res) {
+  async submitFeedback(req, res, next) {
     try {
       const { subject, message } = req.body;
       const user = req.user;
 
-      if (!subject || !message) {
-        return res.status(400).json({ error: 'Subject and message are required' });
-      }
-
       if (!user) {
-        return res.status(401).json({ error: 'User not authenticated' });
+        return res.sendError(401, 'AUTH_REQUIRED');
       }
 
       console.log('\n=== Feedback Submission ===');
@@ -31,42 +27,10 @@ class FeedbackController {
       const savedFeedback = await databaseService.saveFeedback(user.id, subject, message);
       console.log('✓ Feedback saved to database');
 
-      // Try to send email (but don't fail if email is not configured)
+      // Queue the email for the admins (but don't fail if email is not configured)
       if (emailService.isConfigured()) {
-        const feedbackEmail = {
-          to: 'sergiu.tigan@devhub.tech',
-          from: 'dobby@devhub.tech',
-          subject: `Feedback from ${user.employee_name || user.email} - ${subject}`,
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-              <h2 style="color: #7c3aed;">New Feedback from Dobby App</h2>
-
-              <div style="background: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                <p><strong>From:</strong> ${user.employee_name || 'Unknown'} (${user.email})</p>
-                <p><strong>Subject:</strong> ${subject}</p>
-                <p><strong>Date:</strong> ${new Date().toLocaleString('ro-RO')}</p>
-              </div>
-
-              <div style="background: white; padding: 20px; border: 1px solid #e5e7eb; border-radius: 8px;">
-                <h3 style="color: #374151;">Message:</h3>
-                <p style="white-space: pre-wrap; color: #1f2937;">${message}</p>
-              </div>
-
-              <div style="margin-top: 20px; padding: 15px; background: #ecfdf5; border-left: 4px solid #10b981; border-radius: 4px;">
-                <p style="margin: 0; color: #065f46;">
-                  <strong>💡 Tip:</strong> This feedback was submitted through the Dobby meal selection app.
-                </p>
-              </div>
-            </div>
-          `
-        };
-
-        const emailResult = await emailService.sendEmail(feedbackEmail);
-        if (emailResult.success) {
-          console.log('✓ Feedback email sent successfully');
-        } else {
-          console.log('⚠ Email not sent, but feedback saved to database');
-        }
+        await emailService.sendFeedbackNotification(user, { subject, message });
+        console.log('✓ Feedback email queued');
       } else {
         console.log('⚠ Email not configured, feedback saved to database only');
       }
@@ -77,22 +41,20 @@ class FeedbackController {
         id: savedFeedback.id
       });
     } catch (error) {
-      console.error('Feedback submission error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Get all feedback (admin only)
+   * Get all feedback of the admin's organization (admin only)
    * @route GET /api/feedback
    */
-  async getAllFeedback(req, res) {
+  async getAllFeedback(req, res, next) {
     try {
-      const feedback = await databaseService.getAllFeedback();
+      const feedback = await databaseService.getAllFeedback(req.user.organization_id);
       res.json({ feedback });
     } catch (error) {
-      console.error('Get feedback error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -100,20 +62,15 @@ class FeedbackController {
    * Update feedback status (admin only)
    * @route PATCH /api/feedback/:id
    */
-  async updateFeedbackStatus(req, res) {
+  async updateFeedbackStatus(req, res, next) {
     try {
       const { id } = req.params;
       const { status } = req.body;
 
-      if (!status) {
-        return res.status(400).json({ error: 'Status is required' });
-      }
-
-      await databaseService.updateFeedbackStatus(id, status);
+      await databaseService.updateFeedbackStatus(req.user.organization_id, id, status);
       res.json({ success: true, message: 'Feedback status updated' });
     } catch (error) {
-      console.error('Update feedback status error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 }
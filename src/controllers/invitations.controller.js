@@ -2,6 +2,7 @@ const databaseService = require('../services/database.service');
 const emailService = require('../config/email');
 const { validateEmail } = require('../utils/validators');
 const { generateToken, validatePasswordStrength } = require('../utils/password');
+const { getUserRoles, getPermissions } = require('../config/roles');
 
 /**
  * Invitations Controller
@@ -10,38 +11,34 @@ const { generateToken, validatePasswordStrength } = require('../utils/password')
 class InvitationsController {
   /**
    * Send user invitation
+   * The invitee joins the organization owning the email's domain: the admin's own, or any
+   * organization for platform admins (which is how a new organization gets its first admin).
    * @route POST /api/invitations/send
    */
-  async sendInvitation(req, res) {
+  async sendInvitation(req, res, next) {
     try {
-      const { email, is_admin = false } = req.body;
+      const { email, is_admin = false, locale } = req.body;
 
-      if (!email) {
-        return res.status(400).json({ error: 'Email is required' });
-      }
-
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          error: 'Email must be from allowed domains (@devhub.tech, @titans.net, @solidstake.com)'
-        });
+      const organization = validateEmail(email) ? await databaseService.getOrganizationByEmail(email) : null;
+      const canInviteAnywhere = getPermissions(getUserRoles(req.user)).includes('organizations:manage');
+      if (!organization || (organization.id !== req.user.organization_id && !canInviteAnywhere)) {
+        return res.sendError(400, 'EMAIL_DOMAIN_NOT_ALLOWED');
       }
 
       // Check if user already exists
       const existingUser = await databaseService.getUserByEmail(email);
       if (existingUser && existingUser.is_active === 1) {
-        return res.status(400).json({ error: 'User already exists with this email' });
+        return res.sendError(400, 'EMAIL_ALREADY_EXISTS');
       }
 
       // Check for existing pending invitation
-      const pendingInvitations = await databaseService.getPendingInvitations();
+      const pendingInvitations = await databaseService.getPendingInvitations(organization.id);
       const existingInvitation = pendingInvitations.find(inv =>
         inv.email.toLowerCase() === email.toLowerCase()
       );
 
       if (existingInvitation) {
-        return res.status(400).json({
-          error: 'An invitation has already been sent to this email'
-        });
+        return res.sendError(400, 'INVITATION_ALREADY_SENT');
       }
 
       // Generate secure invitation token
@@ -49,6 +46,7 @@ class InvitationsController {
 
       // Create invitation
       const invitation = await databaseService.createInvitation(
+        organization.id,
         email,
         is_admin,
         req.user.id,
@@ -60,7 +58,8 @@ class InvitationsController {
         email,
         invitationToken,
         is_admin,
-        req.user.email
+        req.user.email,
+        locale
       );
 
       if (!emailResult.success) {
@@ -74,14 +73,14 @@ class InvitationsController {
         message: 'Invitation sent successfully',
         invitation: {
           id: invitation.id,
+          organization_id: invitation.organization_id,
           email: invitation.email,
           is_admin: invitation.is_admin,
           expires_at: invitation.expires_at
         }
       });
     } catch (error) {
-      console.error('Send invitation error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -89,21 +88,14 @@ class InvitationsController {
    * Validate invitation token
    * @route GET /api/invitations/validate/:token
    */
-  async validateInvitation(req, res) {
+  async validateInvitation(req, res, next) {
     try {
       const { token } = req.params;
 
-      if (!token) {
-        return res.status(400).json({ error: 'Token is required' });
-      }
-
       const validation = await databaseService.validateInvitation(token);
 
       if (!validation.valid) {
-        return res.status(400).json({
-          valid: false,
-          error: validation.error
-        });
+        return res.sendError(400, validation.code, {}, { valid: false });
       }
 
       res.json({
@@ -112,8 +104,7 @@ class InvitationsController {
         is_admin: validation.invitation.is_admin
       });
     } catch (error) {
-      console.error('Validate invitation error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -121,19 +112,15 @@ class InvitationsController {
    * Accept invitation and create account
    * @route POST /api/invitations/accept
    */
-  async acceptInvitation(req, res) {
+  async acceptInvitation(req, res, next) {
     try {
       const { token, password } = req.body;
 
-      if (!token || !password) {
-        return res.status(400).json({ error: 'Token and password are required' });
-      }
-
       // Validate invitation
       const validation = await databaseService.validateInvitation(token);
 
       if (!validation.valid) {
-        return res.status(400).json({ error: validation.error });
+        return res.sendError(400, validation.code);
       }
 
       const invitation = validation.invitation;
@@ -141,10 +128,7 @@ class InvitationsController {
       // Validate password strength
       const passwordValidation = validatePasswordStrength(password);
       if (!passwordValidation.isValid) {
-        return res.status(400).json({
-          error: 'Password does not meet security requirements',
-          details: passwordValidation.feedback.join('. ')
-        });
+        return res.sendError(400, 'WEAK_PASSWORD', {}, { details: passwordValidation.feedback.join('. ') });
       }
 
       // Check if user already exists (inactive user activation)
@@ -164,6 +148,7 @@ class InvitationsController {
       } else {
         // Create new user
         await databaseService.createUser(
+          invitation.organization_id,
           invitation.email,
           password,
           invitation.is_admin
@@ -181,18 +166,17 @@ class InvitationsController {
         email: invitation.email
       });
     } catch (error) {
-      console.error('Accept invitation error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Get pending invitations (Admin only)
+   * Get pending invitations of the admin's organization (Admin only)
    * @route GET /api/invitations/pending
    */
-  async getPendingInvitations(req, res) {
+  async getPendingInvitations(req, res, next) {
     try {
-      const invitations = await databaseService.getPendingInvitations();
+      const invitations = await databaseService.getPendingInvitations(req.user.organization_id);
 
       res.json({
         invitations: invitations.map(inv => ({
@@ -205,8 +189,7 @@ class InvitationsController {
         }))
       });
     } catch (error) {
-      console.error('Get pending invitations error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -214,15 +197,11 @@ class InvitationsController {
    * Cancel invitation (Admin only)
    * @route DELETE /api/invitations/:id
    */
-  async cancelInvitation(req, res) {
+  async cancelInvitation(req, res, next) {
     try {
       const { id } = req.params;
 
-      if (!id) {
-        return res.status(400).json({ error: 'Invitation ID is required' });
-      }
-
-      await databaseService.cancelInvitation(parseInt(id));
+      await databaseService.cancelInvitation(req.user.organization_id, parseInt(id));
 
       console.log(`✓ Invitation ${id} cancelled by ${req.user.email}`);
 
@@ -231,8 +210,7 @@ class InvitationsController {
         message: 'Invitation cancelled successfully'
       });
     } catch (error) {
-      console.error('Cancel invitation error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 }
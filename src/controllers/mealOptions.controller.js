@@ -1,7 +1,10 @@
 const databaseService = require('../services/database.service');
+const mealOptionsImportService = require('../services/mealOptionsImport.service');
 const emailService = require('../config/email');
-const { parsePeriodFromFilename, parseMonthYearFromFilename, calculateFileHash } = require('../utils/validators');
-const xlsx = require('xlsx');
+const { calculateFileHash } = require('../utils/validators');
+const { resolveWeek, formatPeriod } = require('../utils/weekResolver');
+const { getParserForFile, getSupportedExtensions, jsonParser } = require('../services/parsers');
+const { AppError } = require('../utils/errors');
 const fs = require('fs');
 
 /**
@@ -10,190 +13,270 @@ const fs = require('fs');
  */
 class MealOptionsController {
   /**
-   * Upload meal options from Excel file
+   * Upload meal options from a spreadsheet/CSV file or a JSON body
    * @route POST /api/meal-options/upload
    */
-  async uploadMealOptions(req, res) {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No file uploaded' });
+  async uploadMealOptions(req, res, next) {
+    const isJsonUpload = !req.file && req.is('application/json');
+
+    if (!req.file && !isJsonUpload) {
+      return res.sendError(400, 'NO_FILE_UPLOADED');
     }
 
+    const removeUploadedFile = () => {
+      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
+        fs.unlinkSync(req.file.path);
+      }
+    };
+
     try {
-      const filename = req.file.originalname;
-      const period = parsePeriodFromFilename(filename);
+      // Dry run parses and compares without saving anything or sending emails
+      const dryRun = req.query.dryRun === 'true';
+      const replace = req.query.replace === 'true';
+      const notify = req.query.notify;
 
-      console.log(`\n=== Meal Options Upload ===`);
-      console.log(`Filename: ${filename}`);
-      console.log(`Parsed period: ${period || 'N/A'}`);
+      let filename, fileHash, categoryItems, parseWarnings;
+      let profile = null;
+      let source;
 
-      // Calculate file hash for duplicate detection
-      const fileBuffer = fs.readFileSync(req.file.path);
-      const fileHash = calculateFileHash(fileBuffer);
+      if (isJsonUpload) {
+        const { categories, errors } = jsonParser.read(req.body);
 
-      // Check for duplicates
-      const existingUpload = await databaseService.checkUploadExists(fileHash);
-      if (existingUpload) {
-        fs.unlinkSync(req.file.path);
-        return res.status(400).json({
-          error: 'Acest fișier a fost deja încărcat',
-          details: {
-            filename: existingUpload.filename,
-            upload_date: existingUpload.upload_date,
-            period: existingUpload.period
-          }
-        });
-      }
+        if (errors.length > 0) {
+          return res.sendError(400, 'INVALID_MEAL_OPTIONS_PAYLOAD', {}, { details: { errors } });
+        }
 
-      // Check if period already exists
-      if (period) {
-        const existingPeriod = await databaseService.checkPeriodExists(period, 'meal_options');
-        if (existingPeriod) {
-          fs.unlinkSync(req.file.path);
-          return res.status(400).json({
-            error: `Opțiunile de mâncare pentru perioada ${period} au fost deja încărcate`,
-            details: {
-              filename: existingPeriod.filename,
-              upload_date: existingPeriod.upload_date,
-              period: existingPeriod.period
-            }
-          });
+        filename = req.body.source || `api-${req.body.week_start_date}.json`;
+        fileHash = calculateFileHash(Buffer.from(JSON.stringify({ week_start_date: req.body.week_start_date, categories })));
+        categoryItems = categories;
+        parseWarnings = mealOptionsImportService.findEmptyDays(categories);
+        source = { parser: jsonParser.name };
+
+        console.log(`\n=== Meal Options Upload (JSON) ===`);
+        console.log(`Source: ${filename}`);
+      } else {
+        filename = req.file.originalname;
+
+        console.log(`\n=== Meal Options Upload ===`);
+        console.log(`Filename: ${filename}`);
+
+        // Calculate file hash for duplicate detection
+        const fileBuffer = fs.readFileSync(req.file.path);
+        fileHash = calculateFileHash(fileBuffer);
+
+        // Resolve import profile
+        profile = req.query.profile
+          ? await databaseService.getImportProfile(req.user.organization_id, req.query.profile)
+          : await databaseService.getDefaultImportProfile(req.user.organization_id);
+
+        if (!profile) {
+          removeUploadedFile();
+          return res.sendError(400, 'IMPORT_PROFILE_NOT_FOUND', {}, { details: { profile: req.query.profile } });
         }
-      }
 
-      // Parse Excel file
-      const workbook = xlsx.readFile(req.file.path);
-      const sheet = workbook.Sheets['Sheet1'];
+        console.log(`Import profile: ${profile.name}`);
 
-      if (!sheet) {
-        fs.unlinkSync(req.file.path);
-        return res.status(400).json({ error: 'Sheet1 not found in Excel file' });
-      }
+        const parser = getParserForFile(filename);
+        if (!parser) {
+          removeUploadedFile();
+          return res.sendError(400, 'UNSUPPORTED_FILE_TYPE', { extensions: getSupportedExtensions().join(', ') }, { details: { filename } });
+        }
 
-      const rawData = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: '' });
+        // A file the parser cannot read is the uploader's problem, so its message is returned
+        let parsed;
+        try {
+          parsed = parser.read(fileBuffer, profile);
+        } catch (parseError) {
+          removeUploadedFile();
+          return res.sendError(400, 'INVALID_FILE_FORMAT', {}, { details: { filename, parser: parser.name, error: parseError.message } });
+        }
+        const { rows, details } = parsed;
 
-      if (rawData.length <= 1) {
-        fs.unlinkSync(req.file.path);
-        return res.status(400).json({ error: 'Excel file is empty or has no data' });
-      }
+        if (!rows) {
+          removeUploadedFile();
+          return res.sendError(400, 'SHEET_NOT_FOUND', { sheet: profile.sheet_name }, {
+            details: { profile: profile.name, ...details }
+          });
+        }
 
-      // Calculate week start date from period
-      let weekStartDate;
-      if (period) {
-        const startDay = parseInt(period.split('-')[0]);
-        const monthYearInfo = parseMonthYearFromFilename(filename);
-
-        let targetMonth, targetYear;
-        if (monthYearInfo) {
-          targetMonth = monthYearInfo.month;
-          targetYear = monthYearInfo.year;
-          console.log(`✓ Parsed month/year from filename: ${targetMonth + 1}/${targetYear}`);
-        } else {
-          // Fallback to current month/year logic
-          const today = new Date();
-          targetMonth = today.getMonth();
-          targetYear = today.getFullYear();
-
-          let candidateDate = new Date(targetYear, targetMonth, startDay);
-          if (candidateDate < today) {
-            targetMonth = targetMonth + 1;
-            if (targetMonth > 11) {
-              targetMonth = 0;
-              targetYear++;
-            }
-          }
+        if (rows.length <= profile.header_row) {
+          removeUploadedFile();
+          return res.sendError(400, 'FILE_EMPTY');
         }
 
-        // Use string formatting to avoid timezone issues
-        const month = String(targetMonth + 1).padStart(2, '0');
-        const day = String(startDay).padStart(2, '0');
-        weekStartDate = `${targetYear}-${month}-${day}`;
-        console.log(`✓ Calculated week_start_date: ${weekStartDate}`);
-      } else {
-        weekStartDate = req.body.week_start_date || new Date().toISOString().split('T')[0];
-        console.log(`✓ Using week_start_date: ${weekStartDate}`);
+        source = { parser: parser.name, ...details };
+        console.log(`Parser: ${JSON.stringify(source)}`);
+
+        ({ categories: categoryItems, warnings: parseWarnings } = mealOptionsImportService.parseRows(rows, profile));
       }
 
-      // Parse meal options
-      const mealOptionsData = [];
-      let currentCategory = null;
-      const categoryItems = {};
+      // Resolve the week from the filename, unless the admin names it explicitly
+      const week = resolveWeek({
+        filename: isJsonUpload ? null : filename,
+        override: req.body.week_start_date
+      });
 
-      for (let i = 0; i < rawData.length; i++) {
-        const row = rawData[i];
+      if (week.error) {
+        removeUploadedFile();
+        return res.sendError(400, 'WEEK_UNRESOLVED', {}, { details: week.error });
+      }
 
-        if (i === 0 || !row[1]) continue;
+      const weekStartDate = week.weekStartDate;
+      const period = isJsonUpload && req.body.period ? formatPeriod(...req.body.period.split('-')) : week.period;
+      const uploadWarnings = [...week.warnings];
 
-        const isDifferentValues = row[1] !== row[2] || row[2] !== row[3] || row[3] !== row[4] || row[4] !== row[5];
+      console.log(`✓ Resolved week_start_date: ${weekStartDate} (${week.source}, ISO week ${week.isoWeek.year}-W${week.isoWeek.week})`);
 
-        if (!isDifferentValues && row[1] && row[1].trim() !== '') {
-          const categoryName = row[1].trim();
-          if (categoryName.includes('Meniu') || categoryName.includes('Special') ||
-              categoryName.includes('Salat') || categoryName.includes('Extra')) {
-            currentCategory = categoryName;
-            categoryItems[currentCategory] = {
-              monday: [], tuesday: [], wednesday: [], thursday: [], friday: []
-            };
-          }
-        } else if (currentCategory && row[1] && row[1].trim() !== '') {
-          if (row[1] && row[1].trim()) categoryItems[currentCategory].monday.push(row[1].trim());
-          if (row[2] && row[2].trim()) categoryItems[currentCategory].tuesday.push(row[2].trim());
-          if (row[3] && row[3].trim()) categoryItems[currentCategory].wednesday.push(row[3].trim());
-          if (row[4] && row[4].trim()) categoryItems[currentCategory].thursday.push(row[4].trim());
-          if (row[5] && row[5].trim()) categoryItems[currentCategory].friday.push(row[5].trim());
+      // Check for duplicates
+      const existingUpload = await databaseService.checkUploadExists(req.user.organization_id, fileHash);
+      if (existingUpload) {
+        if (!dryRun) {
+          removeUploadedFile();
+          return res.sendError(400, 'FILE_ALREADY_UPLOADED', {}, {
+            details: {
+              filename: existingUpload.filename,
+              upload_date: existingUpload.upload_date,
+              period: existingUpload.period
+            }
+          });
         }
+        uploadWarnings.push({ type: 'duplicate_file', filename: existingUpload.filename, upload_date: existingUpload.upload_date });
       }
 
+      // A week that already has options only gets a new revision when asked for
+      const currentRevision = await databaseService.getLatestMealOptionRevision(req.user.organization_id, weekStartDate);
+      if (currentRevision && !replace && !dryRun) {
+        removeUploadedFile();
+        return res.sendError(400, 'MEAL_OPTIONS_ALREADY_UPLOADED', { week: weekStartDate }, {
+          details: {
+            week_start_date: weekStartDate,
+            revision: currentRevision.revision,
+            filename: currentRevision.source_file,
+            upload_date: currentRevision.created_at,
+            hint: 'Use ?replace=true to upload a new revision or ?dryRun=true to preview the changes'
+          }
+        });
+      }
+      const revision = currentRevision ? currentRevision.revision + 1 : 1;
+
+      const mealOptionsData = [];
+      const warnings = [...uploadWarnings, ...parseWarnings];
+
+      warnings.forEach(warning => console.log('⚠ Import warning:', warning));
+
       // Convert to database format
       for (const [category, items] of Object.entries(categoryItems)) {
         mealOptionsData.push({
           week_start_date: weekStartDate,
           category: category,
-          monday: items.monday.join('\n'),
-          tuesday: items.tuesday.join('\n'),
-          wednesday: items.wednesday.join('\n'),
-          thursday: items.thursday.join('\n'),
-          friday: items.friday.join('\n')
+          items
         });
       }
 
       if (mealOptionsData.length === 0) {
-        fs.unlinkSync(req.file.path);
-        return res.status(400).json({ error: 'No valid meal options found in Excel file' });
+        removeUploadedFile();
+        return res.sendError(400, 'NO_VALID_MEAL_OPTIONS', {}, {
+          details: { profile: profile && profile.name, warnings }
+        });
+      }
+
+      // Compare with the current revision and find selections that would lose an item
+      const existingItems = await databaseService.getMealOptionItems(req.user.organization_id, weekStartDate);
+      const diff = mealOptionsImportService.diffOptions(existingItems, categoryItems);
+      const affectedSelections = await databaseService.getSelectionsReferencingItems(diff.removed.map(item => item.item_id));
+
+      if (dryRun) {
+        const days = {};
+        ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].forEach(day => {
+          days[day] = mealOptionsData.map(option => ({ category: option.category, items: option.items[day] }));
+        });
+
+        removeUploadedFile();
+
+        return res.json({
+          success: true,
+          dry_run: true,
+          message: `Parsed ${mealOptionsData.length} meal option categories (nothing was saved)`,
+          week_start_date: weekStartDate,
+          period,
+          iso_week: week.isoWeek,
+          week_source: week.source,
+          revision,
+          profile: profile && profile.name,
+          source,
+          days,
+          warnings,
+          diff,
+          affected_selections: affectedSelections
+        });
       }
 
       // Save to database
-      await databaseService.saveMealOptions(mealOptionsData, period, filename);
-      await databaseService.saveUploadHistory(filename, fileHash, 'meal_options', period, weekStartDate, mealOptionsData.length);
+      await databaseService.saveMealOptions(
+        req.user.organization_id,
+        mealOptionsData,
+        period,
+        filename,
+        diff.changed.map(change => ({ item_id: change.item_id, to: change.to }))
+      );
+      await databaseService.saveMealOptionRevision(req.user.organization_id, weekStartDate, {
+        period,
+        sourceFile: filename,
+        uploadedBy: req.user.id,
+        categoryCount: mealOptionsData.length,
+        itemCount: existingItems.length + diff.added.length - diff.removed.length,
+        diff,
+        affectedSelections: new Set(affectedSelections.map(row => `${row.user_id}:${row.day_of_week}`)).size
+      });
+      await databaseService.saveUploadHistory(req.user.organization_id, filename, fileHash, 'meal_options', period, weekStartDate, mealOptionsData.length);
 
-      console.log(`✓ Saved ${mealOptionsData.length} meal option categories`);
+      console.log(`✓ Saved ${mealOptionsData.length} meal option categories (revision ${revision})`);
 
       // Delete uploaded file
-      fs.unlinkSync(req.file.path);
+      removeUploadedFile();
 
-      // Send email notifications
+      // Queue email notifications: everyone for a new week, nobody for a revision unless asked
+      const notifyMode = notify || (revision === 1 ? 'all' : 'none');
       try {
-        const allUsers = await databaseService.getAllUsers();
-        const emailResult = await emailService.sendMealOptionsNotification(weekStartDate, allUsers);
-        if (emailResult.success) {
-          console.log(`✓ Email notifications sent: ${emailResult.sent} sent, ${emailResult.failed} failed`);
+        let emailResult = null;
+
+        if (notifyMode === 'all') {
+          const allUsers = await databaseService.getAllUsers(req.user.organization_id);
+          emailResult = await emailService.sendMealOptionsNotification(weekStartDate, allUsers);
+        } else if (notifyMode === 'affected') {
+          const affectedUsers = new Map();
+          affectedSelections.forEach(row => {
+            if (!affectedUsers.has(row.user_id)) affectedUsers.set(row.user_id, { id: row.user_id, email: row.email, locale: row.locale, items: [] });
+            affectedUsers.get(row.user_id).items.push(row);
+          });
+          emailResult = await emailService.sendMealOptionsChangedNotification(weekStartDate, [...affectedUsers.values()]);
+        }
+
+        if (emailResult && emailResult.success) {
+          console.log(`✓ Email notifications queued: ${emailResult.queued}`);
         }
       } catch (emailError) {
-        console.error('Error sending email notification:', emailError);
+        console.error('Error queueing email notification:', emailError);
       }
 
       res.json({
         success: true,
         message: `Successfully uploaded ${mealOptionsData.length} meal option categories`,
-        week_start_date: weekStartDate
+        week_start_date: weekStartDate,
+        iso_week: week.isoWeek,
+        week_source: week.source,
+        revision,
+        profile: profile && profile.name,
+        source,
+        warnings,
+        diff,
+        affected_selections: affectedSelections,
+        notified: notifyMode
       });
     } catch (error) {
-      console.error('Error processing meal options Excel file:', error);
-
-      if (req.file && req.file.path && fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-      }
-
-      res.status(500).json({ error: 'Error processing Excel file: ' + error.message });
+      removeUploadedFile();
+      // Anything else is internal: the cause is logged by the error handler, not returned
+      next(error instanceof AppError ? error : new AppError('UPLOAD_FAILED', { cause: error }));
     }
   }
 
@@ -201,19 +284,95 @@ class MealOptionsController {
    * Get meal options for a week
    * @route GET /api/meal-options
    */
-  async getMealOptions(req, res) {
+  async getMealOptions(req, res, next) {
     try {
-      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek();
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
 
       if (!weekStartDate) {
         return res.json({ options: [], message: 'No meal options available' });
       }
 
-      const options = await databaseService.getMealOptions(weekStartDate);
+      const options = await databaseService.getMealOptions(req.user.organization_id, weekStartDate);
       res.json({ options, week_start_date: weekStartDate });
     } catch (error) {
-      console.error('Get meal options error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
+    }
+  }
+
+  /**
+   * Get the item catalog for a week, grouped by category and day
+   * @route GET /api/meal-options/items
+   */
+  async getMealOptionItems(req, res, next) {
+    try {
+      const { day, category } = req.query;
+
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
+
+      if (!weekStartDate) {
+        return res.json({ categories: [], items: [], message: 'No meal options available' });
+      }
+
+      const items = await databaseService.getMealOptionItems(req.user.organization_id, weekStartDate, { day, category });
+
+      const categories = [];
+      const byCategory = {};
+      items.forEach(item => {
+        if (!byCategory[item.category]) {
+          byCategory[item.category] = {
+            category: item.category,
+            days: { monday: [], tuesday: [], wednesday: [], thursday: [], friday: [] }
+          };
+          categories.push(byCategory[item.category]);
+        }
+        byCategory[item.category].days[item.day_of_week].push(item);
+      });
+
+      res.json({ categories, items, week_start_date: weekStartDate });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get the upload revisions of a week's meal options (admin only)
+   * @route GET /api/meal-options/revisions
+   */
+  async getMealOptionRevisions(req, res, next) {
+    try {
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
+
+      if (!weekStartDate) {
+        return res.json({ revisions: [], message: 'No meal options available' });
+      }
+
+      const revisions = await databaseService.getMealOptionRevisions(req.user.organization_id, weekStartDate);
+      res.json({ revisions, week_start_date: weekStartDate });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update price and allergens of a meal option item (admin only)
+   * @route PATCH /api/meal-options/items/:id
+   */
+  async updateMealOptionItem(req, res, next) {
+    try {
+      const itemId = parseInt(req.params.id);
+      const { price, allergens } = req.body;
+
+      const item = await databaseService.getMealOptionItemById(req.user.organization_id, itemId);
+      if (!item) {
+        return res.sendError(404, 'MEAL_OPTION_ITEM_NOT_FOUND');
+      }
+
+      await databaseService.updateMealOptionItem(req.user.organization_id, itemId, { price, allergens });
+      const updated = await databaseService.getMealOptionItemById(req.user.organization_id, itemId);
+
+      res.json({ success: true, item: updated });
+    } catch (error) {
+      next(error);
     }
   }
 }
@@ -1,5 +1,10 @@
 const databaseService = require('../services/database.service');
+const cutoffService = require('../services/cutoff.service');
+const emailService = require('../config/email');
 const { parsePeriodFromFilename, parseMonthYearFromFilename, calculateFileHash, extractNameFromEmail, reverseNameOrder } = require('../utils/validators');
+const { LockedError } = require('../utils/errors');
+const { translate } = require('../utils/i18n');
+const { getRequestLocale } = require('../middleware/locale');
 const xlsx = require('xlsx');
 const ExcelJS = require('exceljs');
 const fs = require('fs');
@@ -13,41 +18,75 @@ class MealSelectionsController {
    * Save meal selection for current user
    * @route POST /api/meal-selections
    */
-  async saveMealSelection(req, res) {
+  async saveMealSelection(req, res, next) {
     try {
       const { week_start_date, monday, tuesday, wednesday, thursday, friday } = req.body;
 
-      if (!week_start_date) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
       // Check if week is locked for this user (admin lock)
-      const isWeekLocked = await databaseService.isWeekLockedForUser(week_start_date, req.user.id);
+      const isWeekLocked = await databaseService.isWeekLockedForUser(req.user.organization_id, week_start_date, req.user.id);
       if (isWeekLocked) {
-        return res.status(403).json({
-          error: 'Săptămâna este blocată și nu mai pot fi făcute modificări',
-          locked: true
-        });
+        throw new LockedError('WEEK_LOCKED');
       }
 
       // Check if user has self-locked their selection
       const isUserLocked = await databaseService.isUserSelectionLocked(req.user.id, week_start_date);
       if (isUserLocked) {
-        return res.status(403).json({
-          error: 'Selecția ta este blocată. Deblochează-o mai întâi pentru a face modificări',
-          locked: true,
-          userLocked: true
-        });
+        return res.sendError(403, 'SELECTION_LOCKED', {}, { locked: true, userLocked: true });
       }
 
-      await databaseService.saveMealSelection(req.user.id, week_start_date, {
+      // Validate picks against the week's menu and resolve item references
+      const { selections, itemRefs, invalid } = await databaseService.resolveMealSelection(req.user.organization_id, week_start_date, {
         monday, tuesday, wednesday, thursday, friday
       });
 
+      if (invalid.length > 0) {
+        const locale = await getRequestLocale(req);
+        const invalidPicks = invalid.map(({ params, ...pick }) => ({ ...pick, message: translate(locale, pick.code, params) }));
+        return res.sendError(400, 'INVALID_PICKS', {}, { invalid_picks: invalidPicks });
+      }
+
+      // Days that can no longer change keep what is already stored: days locked by an admin
+      // or by the user, and days past their ordering cutoff
+      const reasons = {};
+      (await cutoffService.getClosedDays(req.user.organization_id, week_start_date, req.user.id)).forEach(day => { reasons[day] = 'cutoff'; });
+      (await databaseService.getUserLockedDays(req.user.id, week_start_date)).forEach(day => { reasons[day] = 'user_locked'; });
+      (await databaseService.getLockedDaysForUser(req.user.organization_id, week_start_date, req.user.id)).forEach(day => { reasons[day] = 'locked'; });
+
+      const closedDays = Object.keys(reasons);
+      if (closedDays.length > 0) {
+        const stored = await databaseService.getMealSelection(req.user.id, week_start_date) || {};
+        const storedItems = await databaseService.getMealSelectionItems(req.user.id, week_start_date);
+
+        const changedDays = closedDays.filter(day =>
+          req.body[day] !== undefined && (selections[day] || '') !== (stored[day] || '')
+        );
+        if (changedDays.length > 0) {
+          const changedReasons = changedDays.map(day => reasons[day]);
+          let code = 'CUTOFF_PASSED';
+          if (changedReasons.includes('locked')) {
+            code = 'DAY_LOCKED';
+          } else if (changedReasons.includes('user_locked')) {
+            code = 'DAY_SELF_LOCKED';
+          }
+
+          return res.sendError(403, code, {}, {
+            locked: true,
+            closed_days: changedDays,
+            reasons: changedDays.reduce((acc, day) => ({ ...acc, [day]: reasons[day] }), {})
+          });
+        }
+
+        closedDays.forEach(day => {
+          selections[day] = stored[day] || '';
+          itemRefs[day] = storedItems[day].map(item => item.id);
+        });
+      }
+
+      await databaseService.saveMealSelection(req.user.id, week_start_date, selections, itemRefs);
+
       res.json({ success: true, message: 'Meal selections saved successfully' });
     } catch (error) {
-      console.error('Save meal selection error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -55,31 +94,40 @@ class MealSelectionsController {
    * Get current user's meal selection
    * @route GET /api/meal-selections/me
    */
-  async getMyMealSelection(req, res) {
+  async getMyMealSelection(req, res, next) {
     try {
-      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek();
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
 
       if (!weekStartDate) {
         return res.json({ selection: null, message: 'No meal options available' });
       }
 
       const selection = await databaseService.getMealSelection(req.user.id, weekStartDate);
-      const isWeekLocked = await databaseService.isWeekLockedForUser(weekStartDate, req.user.id);
+      const selectionItems = await databaseService.getMealSelectionItems(req.user.id, weekStartDate);
+      const isWeekLocked = await databaseService.isWeekLockedForUser(req.user.organization_id, weekStartDate, req.user.id);
       const isUserLocked = await databaseService.isUserSelectionLocked(req.user.id, weekStartDate);
       const hasPendingRequest = await databaseService.hasPendingUnlockRequest(req.user.id, weekStartDate);
       const passedMeals = await databaseService.getUserPassedMeals(req.user.id, weekStartDate);
+      const cutoffs = await cutoffService.getUserStatus(req.user.organization_id, weekStartDate, req.user.id);
+      const lockedDays = await databaseService.getLockedDaysForUser(req.user.organization_id, weekStartDate, req.user.id);
+      const userLockedDays = await databaseService.getUserLockedDays(req.user.id, weekStartDate);
+      const pendingUnlockDays = await databaseService.getPendingUnlockRequestDays(req.user.id, weekStartDate);
 
       res.json({
         selection,
+        selection_items: selectionItems,
         week_start_date: weekStartDate,
         is_locked: isWeekLocked,
         is_user_locked: isUserLocked,
+        locked_days: lockedDays,
+        user_locked_days: userLockedDays,
         has_pending_unlock_request: hasPendingRequest,
-        passed_meals: passedMeals
+        pending_unlock_days: pendingUnlockDays,
+        passed_meals: passedMeals,
+        cutoffs
       });
     } catch (error) {
-      console.error('Get meal selection error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -87,13 +135,12 @@ class MealSelectionsController {
    * Get user's meal selection history
    * @route GET /api/meal-selections/history
    */
-  async getMealHistory(req, res) {
+  async getMealHistory(req, res, next) {
     try {
       const history = await databaseService.getUserMealHistory(req.user.id);
       res.json({ history });
     } catch (error) {
-      console.error('Get meal history error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -101,23 +148,22 @@ class MealSelectionsController {
    * Get all meal selections for a week (admin only)
    * @route GET /api/meal-selections/all
    */
-  async getAllMealSelections(req, res) {
+  async getAllMealSelections(req, res, next) {
     try {
-      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek();
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
 
       if (!weekStartDate) {
         return res.json({ selections: [], message: 'No meal options available' });
       }
 
-      const userSelections = await databaseService.getAllMealSelections(weekStartDate);
-      const mealSelections = await databaseService.getAllMeals(weekStartDate);
+      const userSelections = await databaseService.getAllMealSelections(req.user.organization_id, weekStartDate);
+      const mealSelections = await databaseService.getAllMeals(req.user.organization_id, weekStartDate);
 
       const allSelections = [...userSelections, ...mealSelections];
 
       res.json({ selections: allSelections, week_start_date: weekStartDate });
     } catch (error) {
-      console.error('Get all meal selections error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -125,16 +171,16 @@ class MealSelectionsController {
    * Get meal selection statistics (admin only)
    * @route GET /api/meal-selections/statistics
    */
-  async getStatistics(req, res) {
+  async getStatistics(req, res, next) {
     try {
-      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek();
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
 
       if (!weekStartDate) {
         return res.json({ statistics: null, message: 'No meal options available' });
       }
 
-      const userSelections = await databaseService.getAllMealSelections(weekStartDate);
-      const mealSelections = await databaseService.getAllMeals(weekStartDate);
+      const userSelections = await databaseService.getAllMealSelections(req.user.organization_id, weekStartDate);
+      const mealSelections = await databaseService.getAllMeals(req.user.organization_id, weekStartDate);
 
       // Combine all selections
       const allSelections = [...userSelections, ...mealSelections];
@@ -151,7 +197,7 @@ class MealSelectionsController {
       const employeesWithSelections = uniqueEmployees.size;
 
       // Get total number of employees from database
-      const totalEmployees = await databaseService.getTotalEmployeesCount();
+      const totalEmployees = await databaseService.getTotalEmployeesCount(req.user.organization_id);
 
       const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
       const dailyStats = {};
@@ -198,8 +244,7 @@ class MealSelectionsController {
 
       res.json({ statistics, week_start_date: weekStartDate });
     } catch (error) {
-      console.error('Get statistics error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -207,16 +252,16 @@ class MealSelectionsController {
    * Export statistics to Excel (admin only)
    * @route GET /api/meal-selections/statistics/export
    */
-  async exportStatistics(req, res) {
+  async exportStatistics(req, res, next) {
     try {
-      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek();
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
 
       if (!weekStartDate) {
-        return res.status(400).json({ error: 'No meal options available' });
+        return res.sendError(400, 'NO_MEAL_OPTIONS');
       }
 
-      const userSelections = await databaseService.getAllMealSelections(weekStartDate);
-      const mealSelections = await databaseService.getAllMeals(weekStartDate);
+      const userSelections = await databaseService.getAllMealSelections(req.user.organization_id, weekStartDate);
+      const mealSelections = await databaseService.getAllMeals(req.user.organization_id, weekStartDate);
 
       const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
       const dayNames = ['LUNI/MONDAY', 'MARTI/TUESDAY', 'MIERCURI/WEDNESDAY', 'JOI/THURSDAY', 'VINERI/FRIDAY'];
@@ -405,8 +450,7 @@ class MealSelectionsController {
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
       res.send(buffer);
     } catch (error) {
-      console.error('Export statistics error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -414,18 +458,18 @@ class MealSelectionsController {
    * Export meal selections to Excel (admin only)
    * @route GET /api/meal-selections/export
    */
-  async exportMealSelections(req, res) {
+  async exportMealSelections(req, res, next) {
     try {
-      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek();
+      const weekStartDate = req.query.week || await databaseService.getLatestMealOptionsWeek(req.user.organization_id);
 
       if (!weekStartDate) {
-        return res.status(400).json({ error: 'No meal options available' });
+        return res.sendError(400, 'NO_MEAL_OPTIONS');
       }
 
-      const userSelections = await databaseService.getAllMealSelections(weekStartDate);
-      const mealSelections = await databaseService.getAllMeals(weekStartDate);
+      const userSelections = await databaseService.getAllMealSelections(req.user.organization_id, weekStartDate);
+      const mealSelections = await databaseService.getAllMeals(req.user.organization_id, weekStartDate);
       const selections = [...userSelections, ...mealSelections];
-      const mealOptions = await databaseService.getMealOptions(weekStartDate);
+      const optionItems = await databaseService.getMealOptionItems(req.user.organization_id, weekStartDate);
 
       // Create mappings
       const itemToCategoryMap = {};
@@ -433,20 +477,12 @@ class MealSelectionsController {
       const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
       const dayLabels = ['LUNI/MONDAY', 'MARTI/TUESDAY', 'MIERCURI/WEDNESDAY', 'JOI/THURSDAY', 'VINERI/FRIDAY'];
 
-      mealOptions.forEach(option => {
-        const category = option.category;
-        days.forEach(day => {
-          if (option[day]) {
-            const items = option[day].split('\n').filter(item => item.trim());
-            const categoryKey = `${day}:${category}`;
-            categoryContentMap[categoryKey] = items.join('; ');
-
-            items.forEach(item => {
-              const itemKey = `${day}:${item.trim()}`;
-              itemToCategoryMap[itemKey] = category;
-            });
-          }
-        });
+      optionItems.forEach(item => {
+        const categoryKey = `${item.day_of_week}:${item.category}`;
+        categoryContentMap[categoryKey] = categoryContentMap[categoryKey]
+          ? `${categoryContentMap[categoryKey]}; ${item.name}`
+          : item.name;
+        itemToCategoryMap[`${item.day_of_week}:${item.name}`] = item.category;
       });
 
       function formatMealSelection(day, selection) {
@@ -593,61 +629,55 @@ class MealSelectionsController {
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
       res.send(buffer);
     } catch (error) {
-      console.error('Export meal selections error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Lock user's own meal selection
+   * Lock user's own meal selection (the whole week, or a single day)
    * @route POST /api/meal-selections/lock
    */
-  async lockMySelection(req, res) {
+  async lockMySelection(req, res, next) {
     try {
-      const { week_start_date } = req.body;
-
-      if (!week_start_date) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
+      const { week_start_date, day } = req.body;
 
       // Check if user has a selection for this week
       const selection = await databaseService.getMealSelection(req.user.id, week_start_date);
       if (!selection) {
-        return res.status(400).json({ error: 'Nu există selecție pentru această săptămână' });
+        return res.sendError(400, 'NO_SELECTION_FOR_WEEK');
+      }
+
+      if (day) {
+        await databaseService.lockUserSelectionDay(req.user.id, week_start_date, day);
+        return res.json({ success: true, message: 'Ziua a fost blocată cu succes în selecția ta!' });
       }
 
       await databaseService.lockUserSelection(req.user.id, week_start_date);
 
       res.json({ success: true, message: 'Selecția ta a fost blocată cu succes!' });
     } catch (error) {
-      console.error('Lock user selection error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Request unlock for user's own meal selection
+   * Request unlock for user's own meal selection (the whole week, or a single day)
    * @route POST /api/meal-selections/unlock
    */
-  async unlockMySelection(req, res) {
+  async unlockMySelection(req, res, next) {
     try {
-      const { week_start_date } = req.body;
-
-      if (!week_start_date) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
+      const { week_start_date, day, reason } = req.body;
 
-      // Check if week is admin-locked - user cannot request unlock if week is admin-locked
-      const isWeekLocked = await databaseService.isWeekLockedForUser(week_start_date, req.user.id);
+      // Check if week (or the day) is admin-locked - user cannot request unlock if it is admin-locked
+      const isWeekLocked = await databaseService.isWeekLockedForUser(req.user.organization_id, week_start_date, req.user.id, day);
       if (isWeekLocked) {
-        return res.status(403).json({
-          error: 'Săptămâna este blocată de administrator. Nu poți solicita deblocarea.',
-          locked: true
-        });
+        throw new LockedError(day ? 'DAY_LOCKED_BY_ADMIN' : 'WEEK_LOCKED_BY_ADMIN');
       }
 
       // Create unlock request instead of unlocking directly
-      const request = await databaseService.createUnlockRequest(req.user.id, week_start_date);
+      const request = await databaseService.createUnlockRequest(
+        req.user.id, week_start_date, day || null, reason ? reason.trim() || null : null
+      );
 
       res.json({
         success: true,
@@ -655,8 +685,7 @@ class MealSelectionsController {
         request
       });
     } catch (error) {
-      console.error('Unlock request error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -664,61 +693,102 @@ class MealSelectionsController {
    * Get all pending unlock requests (admin only)
    * @route GET /api/meal-selections/unlock-requests
    */
-  async getPendingUnlockRequests(req, res) {
+  async getPendingUnlockRequests(req, res, next) {
     try {
-      const requests = await databaseService.getPendingUnlockRequests();
+      const requests = await databaseService.getPendingUnlockRequests(req.user.organization_id);
       res.json({ requests });
     } catch (error) {
-      console.error('Get pending unlock requests error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Approve an unlock request (admin only)
-   * @route POST /api/meal-selections/unlock-requests/:id/approve
+   * Get unlock requests of any status (admin only)
+   * @route GET /api/meal-selections/unlock-requests/history
    */
-  async approveUnlockRequest(req, res) {
+  async getUnlockRequestHistory(req, res, next) {
     try {
-      const requestId = parseInt(req.params.id);
-
-      if (!requestId) {
-        return res.status(400).json({ error: 'Invalid request ID' });
-      }
-
-      await databaseService.approveUnlockRequest(requestId, req.user.id);
-
-      res.json({
-        success: true,
-        message: 'Cererea de deblocare a fost aprobată!'
+      const { status, week, user_id, processed_by, from, to } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+      const { requests, total } = await databaseService.getUnlockRequestHistory(req.user.organization_id, {
+        status,
+        weekStartDate: week,
+        userId: user_id ? parseInt(user_id) : null,
+        processedBy: processed_by ? parseInt(processed_by) : null,
+        from,
+        to,
+        limit,
+        offset
       });
+
+      res.json({ requests, total, limit, offset });
     } catch (error) {
-      console.error('Approve unlock request error:', error);
-      res.status(500).json({ error: error.message || 'Server error' });
+      next(error);
     }
   }
 
+  /**
+   * Approve an unlock request (admin only)
+   * @route POST /api/meal-selections/unlock-requests/:id/approve
+   */
+  async approveUnlockRequest(req, res, next) {
+    await this._processUnlockRequest(req, res, next, 'approved');
+  }
+
   /**
    * Reject an unlock request (admin only)
    * @route POST /api/meal-selections/unlock-requests/:id/reject
    */
-  async rejectUnlockRequest(req, res) {
+  async rejectUnlockRequest(req, res, next) {
+    await this._processUnlockRequest(req, res, next, 'rejected');
+  }
+
+  /**
+   * Approve or reject a pending unlock request and email the requester the decision
+   * @private
+   */
+  async _processUnlockRequest(req, res, next, decision) {
     try {
       const requestId = parseInt(req.params.id);
+      const comment = req.body ? req.body.comment : undefined;
 
-      if (!requestId) {
-        return res.status(400).json({ error: 'Invalid request ID' });
+      const request = await databaseService.getUnlockRequestById(req.user.organization_id, requestId);
+      if (!request) {
+        return res.sendError(404, 'UNLOCK_REQUEST_NOT_FOUND');
       }
 
-      await databaseService.rejectUnlockRequest(requestId, req.user.id);
+      if (request.status !== 'pending') {
+        return res.sendError(400, 'UNLOCK_REQUEST_ALREADY_PROCESSED', { status: request.status });
+      }
+
+      const adminComment = comment ? comment.trim() || null : null;
+      const decided = decision === 'approved'
+        ? await databaseService.approveUnlockRequest(req.user.organization_id, requestId, req.user.id, adminComment)
+        : await databaseService.rejectUnlockRequest(req.user.organization_id, requestId, req.user.id, adminComment);
+
+      // Another admin decided in the meantime: they sent the email
+      if (!decided) {
+        const current = await databaseService.getUnlockRequestById(req.user.organization_id, requestId);
+        return res.sendError(400, 'UNLOCK_REQUEST_ALREADY_PROCESSED', { status: current.status });
+      }
+
+      const emailResult = await emailService.sendUnlockRequestDecision({
+        ...request,
+        status: decision,
+        admin_comment: adminComment
+      });
 
       res.json({
         success: true,
-        message: 'Cererea de deblocare a fost respinsă.'
+        message: decision === 'approved'
+          ? 'Cererea de deblocare a fost aprobată!'
+          : 'Cererea de deblocare a fost respinsă.',
+        notified: emailResult.success
       });
     } catch (error) {
-      console.error('Reject unlock request error:', error);
-      res.status(500).json({ error: error.message || 'Server error' });
+      next(error);
     }
   }
 }
@@ -9,7 +9,7 @@ class MealTransfersController {
    * Create a meal transfer (pass meal to colleagues)
    * @route POST /api/meal-transfers
    */
-  async createMealTransfer(req, res) {
+  async createMealTransfer(req, res, next) {
     try {
       const { weekStartDate, dayOfWeek, mealDetails } = req.body;
       const userId = req.user.id;
@@ -20,17 +20,11 @@ class MealTransfersController {
       console.log('Day of Week:', dayOfWeek);
       console.log('Meal Details:', mealDetails);
 
-      if (!weekStartDate || !dayOfWeek || !mealDetails) {
-        console.log('❌ Missing required fields');
-        return res.status(400).json({ error: 'Toate câmpurile sunt obligatorii' });
-      }
-
       await databaseService.createMealTransfer(userId, weekStartDate, dayOfWeek, mealDetails);
       console.log('✅ Meal transfer created successfully');
       res.json({ success: true, message: 'Masa ta a fost pusă la dispoziție pentru colegi' });
     } catch (error) {
-      console.error('❌ Create meal transfer error:', error);
-      res.status(500).json({ error: 'Server error', details: error.message });
+      next(error);
     }
   }
 
@@ -38,19 +32,14 @@ class MealTransfersController {
    * Get available meal transfers for a week
    * @route GET /api/meal-transfers
    */
-  async getAvailableMealTransfers(req, res) {
+  async getAvailableMealTransfers(req, res, next) {
     try {
       const { weekStartDate } = req.query;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
-      const transfers = await databaseService.getAvailableMealTransfers(weekStartDate);
+      const transfers = await databaseService.getAvailableMealTransfers(req.user.organization_id, weekStartDate);
       res.json({ transfers });
     } catch (error) {
-      console.error('Get meal transfers error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -58,16 +47,15 @@ class MealTransfersController {
    * Claim a meal transfer
    * @route POST /api/meal-transfers/:transferId/claim
    */
-  async claimMealTransfer(req, res) {
+  async claimMealTransfer(req, res, next) {
     try {
       const { transferId } = req.params;
       const userId = req.user.id;
 
-      await databaseService.claimMealTransfer(transferId, userId);
+      await databaseService.claimMealTransfer(req.user.organization_id, transferId, userId);
       res.json({ success: true, message: 'Ai revendicat masa cu succes' });
     } catch (error) {
-      console.error('Claim meal transfer error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -75,7 +63,7 @@ class MealTransfersController {
    * Cancel a meal transfer
    * @route DELETE /api/meal-transfers/:transferId
    */
-  async cancelMealTransfer(req, res) {
+  async cancelMealTransfer(req, res, next) {
     try {
       const { transferId } = req.params;
       const userId = req.user.id;
@@ -83,8 +71,7 @@ class MealTransfersController {
       await databaseService.cancelMealTransfer(transferId, userId);
       res.json({ success: true, message: 'Transfer anulat cu succes' });
     } catch (error) {
-      console.error('Cancel meal transfer error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -92,20 +79,15 @@ class MealTransfersController {
    * Check if user has already transferred a meal for a specific day
    * @route GET /api/meal-transfers/check
    */
-  async checkMealTransfer(req, res) {
+  async checkMealTransfer(req, res, next) {
     try {
       const { weekStartDate, dayOfWeek } = req.query;
       const userId = req.user.id;
 
-      if (!weekStartDate || !dayOfWeek) {
-        return res.status(400).json({ error: 'Week start date and day of week are required' });
-      }
-
       const transfer = await databaseService.getUserMealTransfer(userId, weekStartDate, dayOfWeek);
       res.json({ hasTransfer: !!transfer, transfer });
     } catch (error) {
-      console.error('Check meal transfer error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -113,20 +95,15 @@ class MealTransfersController {
    * Get meals claimed by the current user
    * @route GET /api/meal-transfers/claimed
    */
-  async getClaimedMealTransfers(req, res) {
+  async getClaimedMealTransfers(req, res, next) {
     try {
       const { weekStartDate } = req.query;
       const userId = req.user.id;
 
-      if (!weekStartDate) {
-        return res.status(400).json({ error: 'Week start date is required' });
-      }
-
       const claimedMeals = await databaseService.getClaimedMealTransfers(userId, weekStartDate);
       res.json({ claimedMeals });
     } catch (error) {
-      console.error('Get claimed meals error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -134,7 +111,7 @@ class MealTransfersController {
    * Unclaim a meal transfer (re-pass it back to available)
    * @route POST /api/meal-transfers/:transferId/unclaim
    */
-  async unclaimMealTransfer(req, res) {
+  async unclaimMealTransfer(req, res, next) {
     try {
       const { transferId } = req.params;
       const userId = req.user.id;
@@ -142,8 +119,7 @@ class MealTransfersController {
       await databaseService.unclaimMealTransfer(transferId, userId);
       res.json({ success: true, message: 'Masa a fost repusă la dispoziție' });
     } catch (error) {
-      console.error('Unclaim meal transfer error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -153,15 +129,14 @@ class MealTransfersController {
    * Get all user menus for a specific week
    * @route GET /api/menus/:weekStartDate
    */
-  async getAllUserMenus(req, res) {
+  async getAllUserMenus(req, res, next) {
     try {
       const { weekStartDate } = req.params;
 
-      const menus = await databaseService.getAllUserMenusForWeek(weekStartDate);
+      const menus = await databaseService.getAllUserMenusForWeek(req.user.organization_id, weekStartDate);
       res.json({ menus });
     } catch (error) {
-      console.error('Get all user menus error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -169,20 +144,20 @@ class MealTransfersController {
    * Copy a user's menu for a specific day
    * @route POST /api/menus/copy
    */
-  async copyUserMenu(req, res) {
+  async copyUserMenu(req, res, next) {
     try {
       const { copiedFromUserId, weekStartDate, dayOfWeek, menuDetails } = req.body;
       const userId = req.user.id;
 
-      if (!copiedFromUserId || !weekStartDate || !dayOfWeek || !menuDetails) {
-        return res.status(400).json({ error: 'Toate câmpurile sunt obligatorii' });
+      // Only menus of colleagues in the same organization can be copied
+      if (!await databaseService.getOrganizationUser(req.user.organization_id, copiedFromUserId)) {
+        return res.sendError(404, 'USER_NOT_FOUND');
       }
 
       await databaseService.copyUserMenu(userId, copiedFromUserId, weekStartDate, dayOfWeek, menuDetails);
       res.json({ success: true, message: 'Meniul a fost copiat cu succes' });
     } catch (error) {
-      console.error('Copy user menu error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -190,19 +165,14 @@ class MealTransfersController {
    * Get menu copies for a specific day
    * @route GET /api/menus/copies
    */
-  async getMenuCopies(req, res) {
+  async getMenuCopies(req, res, next) {
     try {
       const { weekStartDate, dayOfWeek } = req.query;
 
-      if (!weekStartDate || !dayOfWeek) {
-        return res.status(400).json({ error: 'Week start date and day of week are required' });
-      }
-
-      const copies = await databaseService.getMenuCopies(weekStartDate, dayOfWeek);
+      const copies = await databaseService.getMenuCopies(req.user.organization_id, weekStartDate, dayOfWeek);
       res.json({ copies });
     } catch (error) {
-      console.error('Get menu copies error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -210,20 +180,19 @@ class MealTransfersController {
    * Get users who copied from a specific user
    * @route GET /api/menus/copies/:userId
    */
-  async getMenuCopiesForUser(req, res) {
+  async getMenuCopiesForUser(req, res, next) {
     try {
       const { userId } = req.params;
       const { weekStartDate, dayOfWeek } = req.query;
 
-      if (!weekStartDate || !dayOfWeek) {
-        return res.status(400).json({ error: 'Week start date and day of week are required' });
+      if (!await databaseService.getOrganizationUser(req.user.organization_id, userId)) {
+        return res.sendError(404, 'USER_NOT_FOUND');
       }
 
       const copies = await databaseService.getMenuCopiesForUser(userId, weekStartDate, dayOfWeek);
       res.json({ copies });
     } catch (error) {
-      console.error('Get menu copies for user error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 }
@@ -0,0 +1,140 @@
+const databaseService = require('../services/database.service');
+
+/**
+ * Organizations Controller
+ * Organizations and the email domains that sign up to them. Platform admins create
+ * organizations and assign their domains; an organization's admins can only remove its
+ * domains, since claiming one would route every later signup with it to their organization.
+ */
+class OrganizationsController {
+  /**
+   * Get the current user's organization and its email domains
+   * @route GET /api/organizations/current
+   */
+  async getCurrentOrganization(req, res, next) {
+    try {
+      const organization = await databaseService.getOrganizationById(req.user.organization_id);
+      if (!organization) {
+        return res.sendError(404, 'ORGANIZATION_NOT_FOUND');
+      }
+
+      const domains = await databaseService.getOrganizationDomains(organization.id);
+      res.json({ organization: { ...organization, domains } });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove an email domain of the current user's organization
+   * @route DELETE /api/organizations/current/domains/:domainId
+   */
+  async removeCurrentOrganizationDomain(req, res, next) {
+    await this._removeDomain(req.user.organization_id, req, res, next);
+  }
+
+  /**
+   * Get all organizations (platform admin only)
+   * @route GET /api/organizations
+   */
+  async getOrganizations(req, res, next) {
+    try {
+      const organizations = await databaseService.getOrganizations();
+      res.json({ organizations });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Create an organization, optionally with its first email domains (platform admin only)
+   * Its first admin is then invited with an email from one of its domains.
+   * @route POST /api/organizations
+   */
+  async createOrganization(req, res, next) {
+    try {
+      const { name, domains = [] } = req.body;
+
+      // Checked up front so a taken domain doesn't leave a half-created organization behind
+      for (const domain of domains) {
+        if (await databaseService.getOrganizationByDomain(domain)) {
+          return res.sendError(409, 'DOMAIN_ALREADY_EXISTS', { domain });
+        }
+      }
+
+      const organization = await databaseService.createOrganization(name);
+      for (const domain of domains) {
+        await databaseService.addOrganizationDomain(organization.id, domain, req.user.id);
+      }
+
+      console.log(`✓ Organization ${organization.name} created by ${req.user.email}`);
+      res.json({
+        success: true,
+        message: 'Organizația a fost creată',
+        organization: { ...organization, domains: await databaseService.getOrganizationDomains(organization.id) }
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Rename an organization (platform admin only)
+   * @route PUT /api/organizations/:id
+   */
+  async updateOrganization(req, res, next) {
+    try {
+      const organization = await databaseService.updateOrganization(req.params.id, req.body.name);
+      res.json({ success: true, message: 'Organizația a fost salvată', organization });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Allow an email domain to sign up to an organization (platform admin only)
+   * @route POST /api/organizations/:id/domains
+   */
+  async addOrganizationDomain(req, res, next) {
+    try {
+      if (!await databaseService.getOrganizationById(req.params.id)) {
+        return res.sendError(404, 'ORGANIZATION_NOT_FOUND');
+      }
+
+      const domain = await databaseService.addOrganizationDomain(req.params.id, req.body.domain, req.user.id);
+      console.log(`✓ Domain ${domain.domain} added to organization ${req.params.id} by ${req.user.email}`);
+      res.json({ success: true, message: 'Domeniul a fost adăugat', domain });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Remove an email domain of an organization (platform admin only)
+   * @route DELETE /api/organizations/:id/domains/:domainId
+   */
+  async removeOrganizationDomain(req, res, next) {
+    await this._removeDomain(req.params.id, req, res, next);
+  }
+
+  /**
+   * Remove a domain of an organization
+   * Accounts already created with it stay in the organization.
+   * @private
+   */
+  async _removeDomain(organizationId, req, res, next) {
+    try {
+      const removed = await databaseService.removeOrganizationDomain(organizationId, req.params.domainId);
+      if (!removed) {
+        return res.sendError(404, 'DOMAIN_NOT_FOUND');
+      }
+
+      console.log(`✓ Domain ${removed.domain} removed from organization ${organizationId} by ${req.user.email}`);
+      res.json({ success: true, message: 'Domeniul a fost șters', domain: removed });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = new OrganizationsController();
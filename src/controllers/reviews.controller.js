@@ -9,21 +9,13 @@ class ReviewsController {
    * Save or update a meal review
    * @route POST /api/reviews
    */
-  async saveMealReview(req, res) {
+  async saveMealReview(req, res, next) {
     try {
       const { mealName, reviewText, rating, weekStartDate, dayOfWeek } = req.body;
 
-      // Validation
-      if (!mealName || !weekStartDate || !dayOfWeek) {
-        return res.status(400).json({ error: 'Missing required fields' });
-      }
-
-      if (rating && (rating < 1 || rating > 5)) {
-        return res.status(400).json({ error: 'Rating must be between 1 and 5' });
-      }
-
+      // The length limit is in words, which the request schema cannot express
       if (reviewText && reviewText.trim().split(/\s+/).length > 500) {
-        return res.status(400).json({ error: 'Review text must not exceed 500 words' });
+        return res.sendError(400, 'REVIEW_TOO_LONG', { maxWords: 500 });
       }
 
       const review = await databaseService.saveMealReview(
@@ -37,8 +29,7 @@ class ReviewsController {
 
       res.json({ success: true, review });
     } catch (error) {
-      console.error('Save meal review error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -46,14 +37,10 @@ class ReviewsController {
    * Get user's review for a specific meal
    * @route GET /api/reviews/my-review
    */
-  async getMyReview(req, res) {
+  async getMyReview(req, res, next) {
     try {
       const { mealName, weekStartDate, dayOfWeek } = req.query;
 
-      if (!mealName || !weekStartDate || !dayOfWeek) {
-        return res.status(400).json({ error: 'Missing required parameters' });
-      }
-
       const review = await databaseService.getMealReview(
         req.user.id,
         mealName,
@@ -63,8 +50,7 @@ class ReviewsController {
 
       res.json({ review });
     } catch (error) {
-      console.error('Get my review error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -72,15 +58,12 @@ class ReviewsController {
    * Get all reviews for a specific meal
    * @route GET /api/reviews
    */
-  async getMealReviews(req, res) {
+  async getMealReviews(req, res, next) {
     try {
       const { mealName, weekStartDate, dayOfWeek } = req.query;
 
-      if (!mealName || !weekStartDate || !dayOfWeek) {
-        return res.status(400).json({ error: 'Missing required parameters' });
-      }
-
       const reviews = await databaseService.getMealReviews(
+        req.user.organization_id,
         mealName,
         weekStartDate,
         dayOfWeek
@@ -88,8 +71,7 @@ class ReviewsController {
 
       res.json({ reviews });
     } catch (error) {
-      console.error('Get meal reviews error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -97,20 +79,15 @@ class ReviewsController {
    * Get recent reviews for a meal (last 5 reviews)
    * @route GET /api/reviews/recent
    */
-  async getRecentReviews(req, res) {
+  async getRecentReviews(req, res, next) {
     try {
       const { mealName } = req.query;
 
-      if (!mealName) {
-        return res.status(400).json({ error: 'Missing meal name' });
-      }
-
-      const reviews = await databaseService.getRecentMealReviews(mealName);
+      const reviews = await databaseService.getRecentMealReviews(req.user.organization_id, mealName);
 
       res.json({ reviews });
     } catch (error) {
-      console.error('Get recent reviews error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -118,13 +95,12 @@ class ReviewsController {
    * Get all reviews by current user
    * @route GET /api/reviews/my-reviews
    */
-  async getMyReviews(req, res) {
+  async getMyReviews(req, res, next) {
     try {
       const reviews = await databaseService.getUserReviews(req.user.id);
       res.json({ reviews });
     } catch (error) {
-      console.error('Get user reviews error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -132,23 +108,19 @@ class ReviewsController {
    * Get prioritized reviews for a meal (user's reviews first, then others, up to 5 total)
    * @route GET /api/reviews/prioritized
    */
-  async getPrioritizedReviews(req, res) {
+  async getPrioritizedReviews(req, res, next) {
     try {
       const { mealName } = req.query;
 
-      if (!mealName) {
-        return res.status(400).json({ error: 'Missing meal name' });
-      }
-
       const reviews = await databaseService.getPrioritizedMealReviews(
+        req.user.organization_id,
         mealName,
         req.user.id
       );
 
       res.json({ reviews });
     } catch (error) {
-      console.error('Get prioritized reviews error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 }
@@ -9,14 +9,13 @@ class SearchController {
    * Get available weeks
    * @route GET /api/search/weeks
    */
-  async getWeeks(req, res) {
+  async getWeeks(req, res, next) {
     try {
-      const latestWeek = await databaseService.getLatestWeek();
+      const latestWeek = await databaseService.getLatestWeek(req.user.organization_id);
       const weeks = latestWeek ? [latestWeek] : [];
       res.json({ weeks });
     } catch (error) {
-      console.error('Get weeks error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -24,22 +23,17 @@ class SearchController {
    * Get meals for a specific week
    * @route GET /api/search/meals
    */
-  async getMeals(req, res) {
+  async getMeals(req, res, next) {
     try {
       const { week } = req.query;
 
-      if (!week) {
-        return res.status(400).json({ error: 'Week parameter required' });
-      }
-
-      const userSelections = await databaseService.getAllMealSelections(week);
-      const mealSelections = await databaseService.getAllMeals(week);
+      const userSelections = await databaseService.getAllMealSelections(req.user.organization_id, week);
+      const mealSelections = await databaseService.getAllMeals(req.user.organization_id, week);
       const allMeals = [...userSelections, ...mealSelections];
 
       res.json({ meals: allMeals, week_start_date: week });
     } catch (error) {
-      console.error('Get meals error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -47,22 +41,18 @@ class SearchController {
    * Search for colleague's meals by name
    * @route GET /api/search
    */
-  async searchByName(req, res) {
+  async searchByName(req, res, next) {
     try {
       const { name } = req.query;
 
-      if (!name) {
-        return res.status(400).json({ error: 'Name parameter required' });
-      }
-
-      const latestWeek = await databaseService.getLatestWeek();
+      const latestWeek = await databaseService.getLatestWeek(req.user.organization_id);
 
       if (!latestWeek) {
         return res.json({ meals: [] });
       }
 
-      const userSelections = await databaseService.getAllMealSelections(latestWeek);
-      const mealSelections = await databaseService.getAllMeals(latestWeek);
+      const userSelections = await databaseService.getAllMealSelections(req.user.organization_id, latestWeek);
+      const mealSelections = await databaseService.getAllMeals(req.user.organization_id, latestWeek);
       const allMeals = [...userSelections, ...mealSelections];
 
       const searchTerm = name.toLowerCase().trim();
@@ -75,18 +65,11 @@ class SearchController {
       let foundWeek = latestWeek;
 
       if (results.length === 0) {
-        const { rows: allWeeks } = await databaseService.db.sql`
-          SELECT DISTINCT week_start_date
-          FROM meals
-          WHERE week_start_date < ${latestWeek}
-          ORDER BY week_start_date DESC
-        `;
-
-        for (const weekRow of allWeeks) {
-          const week = weekRow.week_start_date;
-
-          const prevUserSelections = await databaseService.getAllMealSelections(week);
-          const prevMealSelections = await databaseService.getAllMeals(week);
+        const previousWeeks = await databaseService.getMealWeeksBefore(req.user.organization_id, latestWeek);
+
+        for (const week of previousWeeks) {
+          const prevUserSelections = await databaseService.getAllMealSelections(req.user.organization_id, week);
+          const prevMealSelections = await databaseService.getAllMeals(req.user.organization_id, week);
           const prevAllMeals = [...prevUserSelections, ...prevMealSelections];
 
           const prevResults = prevAllMeals.filter(meal => {
@@ -110,8 +93,7 @@ class SearchController {
         currentWeek: latestWeek
       });
     } catch (error) {
-      console.error('Search error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 }
@@ -1,5 +1,8 @@
 const databaseService = require('../services/database.service');
-const { validateEmail } = require('../utils/validators');
+const notificationPreferencesService = require('../services/notificationPreferences.service');
+const accountsService = require('../services/accounts.service');
+const { ROLES, PERMISSIONS, getUserRoles, getPermissions } = require('../config/roles');
+const { translateText } = require('../utils/i18n');
 
 /**
  * Users Controller
@@ -10,13 +13,12 @@ class UsersController {
    * Get list of employee names
    * @route GET /api/users/employees
    */
-  async getEmployees(req, res) {
+  async getEmployees(req, res, next) {
     try {
-      const employees = await databaseService.getEmployeeNames();
+      const employees = await databaseService.getEmployeeNames(req.user.organization_id);
       res.json({ employees });
     } catch (error) {
-      console.error('Get employees error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
@@ -24,18 +26,14 @@ class UsersController {
    * Set employee name for current user
    * @route POST /api/users/me/employee-name
    */
-  async setEmployeeName(req, res) {
+  async setEmployeeName(req, res, next) {
     try {
       const { employee_name } = req.body;
 
-      if (!employee_name) {
-        return res.status(400).json({ error: 'Numele angajatului este obligatoriu' });
-      }
-
       // Verify employee name exists in current menu
-      const employees = await databaseService.getEmployeeNames();
+      const employees = await databaseService.getEmployeeNames(req.user.organization_id);
       if (!employees.includes(employee_name)) {
-        return res.status(400).json({ error: 'Numele nu există în meniul curent' });
+        return res.sendError(400, 'EMPLOYEE_NAME_NOT_IN_MENU');
       }
 
       // Get user ID from either JWT or session
@@ -50,8 +48,23 @@ class UsersController {
 
       res.json({ success: true, message: 'Nume asignat cu succes' });
     } catch (error) {
-      console.error('Update employee name error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
+    }
+  }
+
+  /**
+   * Set the language of the current user's emails
+   * @route PUT /api/users/me/locale
+   */
+  async setLocale(req, res, next) {
+    try {
+      const { locale = null } = req.body;
+
+      await databaseService.updateUserLocale(req.user.id, locale);
+
+      res.json({ success: true, message: 'Limba a fost salvată', locale });
+    } catch (error) {
+      next(error);
     }
   }
 
@@ -59,63 +72,270 @@ class UsersController {
    * Get all employee names (for autocomplete)
    * @route GET /api/users/employees/names
    */
-  async getEmployeeNames(req, res) {
+  async getEmployeeNames(req, res, next) {
     try {
-      const users = await databaseService.getAllUsers();
+      const users = await databaseService.getAllUsers(req.user.organization_id);
       const employeeNames = users
         .map(user => user.employee_name)
         .filter(name => name && name.trim())
         .sort();
       res.json({ names: employeeNames });
     } catch (error) {
-      console.error('Get employee names error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
     }
   }
 
   /**
-   * Create new user (admin only)
+   * Create new user (admin only), in the admin's organization
    * @route POST /api/users
    */
-  async createUser(req, res) {
+  async createUser(req, res, next) {
     try {
-      const { email, password, is_admin } = req.body;
+      const { email, password, is_admin, roles = [] } = req.body;
 
-      if (!email || !password) {
-        return res.status(400).json({ error: 'Email și parola sunt obligatorii' });
+      if (roles.includes('platform_admin') && !this._canManageOrganizations(req.user)) {
+        return res.sendError(403, 'PERMISSION_REQUIRED', { permission: 'organizations:manage' });
       }
 
-      if (!validateEmail(email)) {
-        return res.status(400).json({
-          error: 'Email-ul trebuie să fie @devhub.tech, @titans.net sau @solidstake.com'
-        });
+      // Rejected unless the organization owns the email's domain
+      const isAdmin = Boolean(is_admin) || roles.includes('admin');
+      await databaseService.createUser(req.user.organization_id, email, password, isAdmin ? 1 : 0);
+
+      if (roles.length > 0) {
+        const user = await databaseService.getUserByEmail(email);
+        await databaseService.setUserRoles(user.id, isAdmin ? [...roles, 'admin'] : roles, req.user.id);
       }
 
-      await databaseService.createUser(email, password, is_admin ? 1 : 0);
       res.json({ success: true, message: 'Utilizator creat cu succes' });
     } catch (error) {
-      console.error('Create user error:', error);
-      if (error.message && error.message.includes('Invalid email domain')) {
-        res.status(400).json({ error: error.message });
-      } else {
-        res.status(400).json({ error: 'Email-ul există deja' });
-      }
+      next(error);
     }
   }
 
   /**
-   * Get all users (admin only)
+   * Get all users of the admin's organization (admin only)
    * @route GET /api/users
    */
-  async getAllUsers(req, res) {
+  async getAllUsers(req, res, next) {
     try {
-      const users = await databaseService.getAllUsers();
+      const users = await databaseService.getAllUsers(req.user.organization_id);
       res.json({ users });
     } catch (error) {
-      console.error('Get all users error:', error);
-      res.status(500).json({ error: 'Server error' });
+      next(error);
+    }
+  }
+
+  /**
+   * Get the roles that can be assigned and the permissions they grant
+   * @route GET /api/users/roles
+   */
+  async getRoles(req, res, next) {
+    try {
+      const roles = Object.entries(ROLES).map(([name, role]) => ({
+        name,
+        description: role.description,
+        permissions: role.permissions
+      }));
+      const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+      res.json({ roles, permissions });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get a user's roles and the permissions they grant
+   * @route GET /api/users/:id/roles
+   */
+  async getUserRoles(req, res, next) {
+    try {
+      if (!await databaseService.getOrganizationUser(req.user.organization_id, req.params.id)) {
+        return res.sendError(404, 'USER_NOT_FOUND');
+      }
+
+      const roles = await databaseService.getUserRoles(req.params.id);
+      res.json({ user_id: req.params.id, roles, permissions: getPermissions(roles) });
+    } catch (error) {
+      next(error);
     }
   }
+
+  /**
+   * Replace a user's roles (takes effect on the user's next request)
+   * @route PUT /api/users/:id/roles
+   */
+  async setUserRoles(req, res, next) {
+    try {
+      const { roles } = req.body;
+
+      // Keep at least the current admin able to manage roles
+      if (req.params.id === req.user.id && getUserRoles(req.user).includes('admin') && !roles.includes('admin')) {
+        return res.sendError(400, 'CANNOT_REMOVE_OWN_ADMIN');
+      }
+
+      if (!await databaseService.getOrganizationUser(req.user.organization_id, req.params.id)) {
+        return res.sendError(404, 'USER_NOT_FOUND');
+      }
+
+      // Only platform admins can grant or withdraw platform_admin
+      const current = await databaseService.getUserRoles(req.params.id);
+      if (current.includes('platform_admin') !== roles.includes('platform_admin') && !this._canManageOrganizations(req.user)) {
+        return res.sendError(403, 'PERMISSION_REQUIRED', { permission: 'organizations:manage' });
+      }
+
+      const assigned = await databaseService.setUserRoles(req.params.id, roles, req.user.id);
+      accountsService.invalidate(req.params.id);
+      console.log(`✓ Roles of user ${req.params.id} set to [${assigned.join(', ')}] by ${req.user.email}`);
+
+      res.json({
+        success: true,
+        message: 'Rolurile au fost salvate',
+        user_id: req.params.id,
+        roles: assigned,
+        permissions: getPermissions(assigned)
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Disable a user account, effective immediately
+   * @route POST /api/users/:id/deactivate
+   */
+  async deactivateUser(req, res, next) {
+    try {
+      const undone = await accountsService.deactivate(req.user.organization_id, req.params.id, req.user.id);
+      res.json({ success: true, message: 'Contul a fost dezactivat', ...undone });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Re-enable a disabled user account
+   * @route POST /api/users/:id/reactivate
+   */
+  async reactivateUser(req, res, next) {
+    try {
+      await accountsService.reactivate(req.user.organization_id, req.params.id);
+      res.json({ success: true, message: 'Contul a fost reactivat' });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Get current user's notification preferences
+   * @route GET /api/users/me/notifications
+   */
+  async getMyNotifications(req, res, next) {
+    try {
+      const preferences = await notificationPreferencesService.getPreferences(req.user.id);
+      res.json({ preferences });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Update current user's notification preferences (only the categories sent)
+   * @route PUT /api/users/me/notifications
+   */
+  async updateMyNotifications(req, res, next) {
+    try {
+      const preferences = await notificationPreferencesService.updatePreferences(req.user.id, req.body);
+      res.json({ success: true, message: 'Preferințele au fost salvate', preferences });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Unsubscribe from a notification category via a signed email link (no login required)
+   * GET is the link in the email body: it only asks for confirmation, so link scanners and
+   * prefetchers can't unsubscribe anyone. POST unsubscribes: from that confirmation page
+   * (answered with a page) or as the RFC 8058 one-click request from mail clients (JSON).
+   * Pages are in the user's language, else the one of the browser.
+   * @route GET|POST /api/users/unsubscribe?token=
+   */
+  async unsubscribe(req, res, next) {
+    try {
+      const token = req.query.token || (req.body && req.body.token);
+      const subscription = notificationPreferencesService.verifyUnsubscribeToken(token);
+      const user = subscription ? await databaseService.getUserById(subscription.userId) : null;
+      const locale = (user && user.locale) || req.locale;
+      const wantsPage = req.method === 'GET' || req.accepts(['json', 'html']) === 'html';
+
+      if (!subscription) {
+        if (!wantsPage) {
+          return res.sendError(400, 'INVALID_UNSUBSCRIBE_LINK');
+        }
+        return res.status(400).send(this._renderUnsubscribePage(locale, 'invalid'));
+      }
+
+      const category = notificationPreferencesService.describe(subscription.category, locale);
+
+      if (req.method === 'GET') {
+        return res.send(this._renderUnsubscribePage(locale, 'confirm', { category, token }));
+      }
+
+      if (user) {
+        await databaseService.setNotificationPreference(subscription.userId, subscription.category, false);
+      }
+
+      if (!wantsPage) {
+        return res.json({ success: true, category: subscription.category });
+      }
+
+      res.send(this._renderUnsubscribePage(locale, 'done', { category }));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  /**
+   * Whether a user may manage organizations (and so the platform_admin role)
+   * @private
+   */
+  _canManageOrganizations(user) {
+    return getPermissions(getUserRoles(user)).includes('organizations:manage');
+  }
+
+  /**
+   * Build an unsubscribe page: the confirmation form, the result or the invalid link notice
+   * @param {string} locale - Locale
+   * @param {string} step - 'confirm', 'done' or 'invalid'
+   * @param {Object} data - { category, token }
+   * @private
+   */
+  _renderUnsubscribePage(locale, step, { category, token } = {}) {
+    const t = key => translateText(locale, `unsubscribe.${key}`, { category });
+    const form = step === 'confirm'
+      ? `
+  <form method="post" action="unsubscribe">
+    <input type="hidden" name="token" value="${token}">
+    <button type="submit">${t('confirm_button')}</button>
+  </form>`
+      : '';
+
+    return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <title>${t(`${step}_title`)} - Food Search</title>
+  <style>
+    body { font-family: Arial, sans-serif; color: #333; max-width: 600px; margin: 60px auto; padding: 20px; text-align: center; }
+    button { background: #4CAF50; color: #fff; border: 0; border-radius: 4px; padding: 10px 24px; font-size: 16px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <h1>${t(`${step}_title`)}</h1>
+  <p>${t(`${step}_message`)}</p>${form}
+</body>
+</html>`;
+  }
 }
 
 module.exports = new UsersController();
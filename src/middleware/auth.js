@@ -1,41 +1,75 @@
 /**
  * Authentication Middleware
- * Provides JWT-based authentication and authorization (with session fallback)
+ * Provides JWT-based authentication and authorization (with session fallback).
+ * Access tokens and session users belong to an auth session, and are rejected once
+ * that session is revoked or expired (see services/authSessions.service.js). The account
+ * must still be active, and its current roles and organization replace those embedded in
+ * the token.
  */
 
-const jwt = require('jsonwebtoken');
+const authSessionsService = require('../services/authSessions.service');
+const accountsService = require('../services/accounts.service');
+const { PERMISSIONS, getUserRoles, getPermissions } = require('../config/roles');
 
 /**
- * Verify user is authenticated (JWT or Session)
+ * Authenticate a request (Bearer JWT, else the session cookie)
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * @returns {Promise<Object>} { user } or { code } - the error code when not authenticated
  */
-function isAuthenticated(req, res, next) {
-  // First try JWT authentication
+async function authenticate(req) {
   const token = req.headers.authorization?.replace('Bearer ', '');
+  let user = null;
 
   if (token) {
     try {
-      const decoded = jwt.verify(
-        token,
-        process.env.JWT_SECRET || 'food-search-jwt-secret-2024-change-this-in-production'
-      );
-      req.user = decoded;
-      return next();
+      user = authSessionsService.verifyAccessToken(token);
     } catch (error) {
       console.log('JWT verification failed:', error.message);
-      return res.status(401).json({ error: 'Invalid or expired token' });
+      return { code: 'INVALID_TOKEN' };
     }
+  } else if (req.session && req.session.user) {
+    user = req.session.user;
   }
 
-  // Fallback to session authentication
-  if (req.session && req.session.user) {
-    req.user = req.session.user;
-    return next();
+  if (!user) {
+    return { code: 'AUTH_REQUIRED' };
   }
 
-  res.status(401).json({ error: 'Not authenticated' });
+  // Checked before the session, which deactivation also revokes, to tell the user why
+  const account = await accountsService.getStatus(user.id);
+  if (!account || !account.is_active) {
+    return { code: 'ACCOUNT_DISABLED' };
+  }
+
+  if (!await authSessionsService.isActive(user)) {
+    return { code: token ? 'INVALID_TOKEN' : 'AUTH_REQUIRED' };
+  }
+
+  req.user = {
+    ...user,
+    organization_id: account.organization_id,
+    is_admin: account.is_admin,
+    roles: account.roles
+  };
+  return { user: req.user };
+}
+
+/**
+ * Verify user is authenticated (JWT or Session)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+async function isAuthenticated(req, res, next) {
+  try {
+    const { code } = await authenticate(req);
+    if (code) {
+      return res.sendError(401, code);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
 }
 
 /**
@@ -44,49 +78,54 @@ function isAuthenticated(req, res, next) {
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
-function isAdmin(req, res, next) {
-  // First authenticate the user (JWT or session)
-  const token = req.headers.authorization?.replace('Bearer ', '');
-  let user = null;
+async function isAdmin(req, res, next) {
+  try {
+    const { user, code } = await authenticate(req);
+    if (code) {
+      return res.sendError(401, code);
+    }
 
-  if (token) {
-    try {
-      user = jwt.verify(
-        token,
-        process.env.JWT_SECRET || 'food-search-jwt-secret-2024-change-this-in-production'
-      );
-      req.user = user;
-    } catch (error) {
-      console.log('JWT verification failed:', error.message);
+    if (!user.is_admin) {
+      console.log('✗ Admin access denied:', { userEmail: user.email });
+      return res.sendError(403, 'ADMIN_REQUIRED');
     }
+    next();
+  } catch (error) {
+    next(error);
   }
+}
 
-  // Fallback to session
-  if (!user && req.session && req.session.user) {
-    user = req.session.user;
-    req.user = user;
+/**
+ * Require a permission (granted by one of the user's roles, see config/roles.js)
+ * Roles are the user's current ones (see authenticate), so role changes apply immediately.
+ * @param {string} permission - Permission name, e.g. 'weeks:lock'
+ * @returns {Function} Express middleware (exposes the permission as `.permission` for the API docs)
+ */
+function requirePermission(permission) {
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
   }
 
-  console.log('🔐 Admin check:', {
-    hasUser: !!user,
-    userEmail: user?.email,
-    isAdmin: user?.is_admin,
-    authMethod: token ? 'JWT' : 'Session'
-  });
+  const middleware = async (req, res, next) => {
+    try {
+      const { user, code } = await authenticate(req);
+      if (code) {
+        return res.sendError(401, code);
+      }
 
-  if (user && user.is_admin) {
-    console.log('✓ Admin access granted');
-    next();
-  } else {
-    console.log('✗ Admin access denied');
-    res.status(403).json({
-      error: 'Admin access required',
-      debug: {
-        authenticated: !!user,
-        is_admin: user?.is_admin
+      if (!getPermissions(getUserRoles(user)).includes(permission)) {
+        console.log(`✗ Permission ${permission} denied:`, { userEmail: user.email, roles: getUserRoles(user) });
+        return res.sendError(403, 'PERMISSION_REQUIRED', { permission });
       }
-    });
-  }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  middleware.permission = permission;
+  return middleware;
 }
 
 /**
@@ -103,5 +142,6 @@ function optionalAuth(req, res, next) {
 module.exports = {
   isAuthenticated,
   isAdmin,
+  requirePermission,
   optionalAuth
 };
@@ -2,41 +2,61 @@
  * Global Error Handler Middleware
  */
 
+const { AppError, LockedError } = require('../utils/errors');
+
 /**
  * Handle errors and send appropriate response
+ * Domain errors (utils/errors.js) map to their status and code; anything else is logged
+ * and reported as a server error without leaking its message.
  * @param {Error} err - Error object
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
  */
 function errorHandler(err, req, res, next) {
-  console.error('Error:', err);
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof AppError) {
+    if (err.status >= 500) {
+      console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, err);
+    }
+
+    const extra = {};
+    if (err.details !== undefined) extra.details = err.details;
+    if (err instanceof LockedError) extra.locked = true;
+    return res.sendError(err.status, err.code, err.params, extra);
+  }
+
+  console.error(`Error [${req.id}] ${req.method} ${req.originalUrl}:`, err);
 
   // Multer file upload errors
   if (err.code === 'LIMIT_FILE_SIZE') {
-    return res.status(400).json({
-      error: 'File size too large. Maximum size is 10MB'
-    });
+    return res.sendError(400, 'FILE_TOO_LARGE');
+  }
+
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return res.sendError(400, 'INVALID_JSON');
   }
 
-  // Validation errors
+  // Validation errors from libraries
   if (err.name === 'ValidationError') {
-    return res.status(400).json({
-      error: err.message
-    });
+    return res.sendError(400, 'VALIDATION_ERROR', {}, { details: err.message });
   }
 
   // Database errors
   if (err.code === 'SQLITE_CONSTRAINT') {
-    return res.status(400).json({
-      error: 'Database constraint violation. Possible duplicate entry.'
-    });
+    return res.sendError(409, 'DB_CONSTRAINT_VIOLATION');
   }
 
   // Default server error
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error'
-  });
+  const status = err.status || err.statusCode || 500;
+  if (status >= 500) {
+    return res.sendError(500, 'SERVER_ERROR');
+  }
+  res.sendError(status, 'BAD_REQUEST', {}, { details: err.message });
 }
 
 /**
@@ -45,9 +65,7 @@ function errorHandler(err, req, res, next) {
  * @param {Object} res - Express response object
  */
 function notFound(req, res) {
-  res.status(404).json({
-    error: 'Route not found'
-  });
+  res.sendError(404, 'ROUTE_NOT_FOUND');
 }
 
 module.exports = {
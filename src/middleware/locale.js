@@ -0,0 +1,61 @@
+/**
+ * Locale Middleware
+ * Adds res.sendError(), which answers with a stable error code and its message in the
+ * user's language: the saved locale of the signed-in user, else the Accept-Language
+ * header, else Romanian.
+ */
+
+const databaseService = require('../services/database.service');
+const { DEFAULT_LOCALE, negotiateLocale, translate } = require('../utils/i18n');
+
+/**
+ * Get the locale of the request, looking up the user's saved locale once
+ * @param {Object} req - Express request object
+ * @returns {Promise<string>}
+ */
+async function getRequestLocale(req) {
+  if (req.user && req.user.id && req.savedLocale === undefined) {
+    try {
+      const user = await databaseService.getUserById(req.user.id);
+      req.savedLocale = user && user.locale ? user.locale : null;
+    } catch (error) {
+      console.error('Locale lookup error:', error);
+      req.savedLocale = null;
+    }
+  }
+
+  return req.savedLocale || req.locale || DEFAULT_LOCALE;
+}
+
+/**
+ * Negotiate the request locale and add res.sendError()
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function localize(req, res, next) {
+  req.locale = negotiateLocale(req.headers['accept-language']) || DEFAULT_LOCALE;
+
+  /**
+   * Send an error response: { error, code, message, ...extra, requestId }
+   * `error` repeats the message for clients written before `message` existed.
+   * @param {number} status - HTTP status
+   * @param {string} code - Error code from the message catalog
+   * @param {Object} params - Message placeholder values
+   * @param {Object} extra - Additional response fields (details, locked, ...)
+   */
+  res.sendError = async (status, code, params = {}, extra = {}) => {
+    const locale = await getRequestLocale(req);
+    res.vary('Accept-Language');
+    res.set('Content-Language', locale);
+    const message = translate(locale, code, params);
+    return res.status(status).json({ error: message, code, message, ...extra, requestId: req.id });
+  };
+
+  next();
+}
+
+module.exports = {
+  localize,
+  getRequestLocale
+};
@@ -0,0 +1,24 @@
+/**
+ * Request ID Middleware
+ * Tags every request with an ID (the caller's X-Request-Id, or a new UUID), returned in the
+ * X-Request-Id header and in error responses so a report can be matched with the server logs
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Assign req.id and echo it in the X-Request-Id response header
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.:-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = {
+  requestId
+};
@@ -1,6 +1,8 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { getSupportedExtensions } = require('../services/parsers');
+const { ValidationError } = require('../utils/errors');
 
 /**
  * File Upload Middleware Configuration
@@ -24,15 +26,15 @@ const storage = multer.diskStorage({
   }
 });
 
-// File filter for Excel files
+// File filter for files a meal options parser can read
 const fileFilter = (req, file, cb) => {
-  const allowedExtensions = ['.xlsx', '.xls', '.csv'];
+  const allowedExtensions = getSupportedExtensions();
   const ext = path.extname(file.originalname).toLowerCase();
 
   if (allowedExtensions.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error('Only Excel files (.xlsx, .xls) and CSV files are allowed'), false);
+    cb(new ValidationError('UNSUPPORTED_FILE_TYPE', { params: { extensions: allowedExtensions.join(', ') } }), false);
   }
 };
 
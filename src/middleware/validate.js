@@ -0,0 +1,109 @@
+/**
+ * Request Validation Middleware
+ * Checks req.params, req.query and req.body against a route's request schema (src/schemas)
+ * before the controller runs. The same schemas document the routes in the Swagger spec.
+ */
+
+const Ajv = require('ajv');
+const { isValidDate, isValidDay } = require('../utils/validators');
+const { ValidationError } = require('../utils/errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Create a validator with the formats used by the request schemas
+ * @param {Object} options - Extra Ajv options
+ * @returns {Ajv}
+ */
+function createValidator(options = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+  ajv.addFormat('date', value => isValidDate(value));
+  ajv.addFormat('day', value => isValidDay(value));
+  ajv.addFormat('email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/);
+  ajv.addFormat('password', () => true);
+  ajv.addFormat('binary', () => true);
+  ajv.addFormat('uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i);
+  return ajv;
+}
+
+// Route and query parameters arrive as strings: "5" is accepted (and converted) where an integer is expected
+const validators = {
+  params: createValidator({ coerceTypes: true }),
+  query: createValidator({ coerceTypes: true }),
+  body: createValidator()
+};
+
+/**
+ * Describe a schema violation: { in, field, message }
+ * @param {string} location - params, query or body
+ * @param {Object} error - Ajv error
+ * @returns {Object}
+ */
+function describeError(location, error) {
+  const path = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') path.push(error.params.missingProperty);
+  if (error.keyword === 'additionalProperties') path.push(error.params.additionalProperty);
+
+  let message = error.message;
+  if (error.keyword === 'enum') message = `must be one of: ${error.params.allowedValues.map(String).join(', ')}`;
+  if (error.keyword === 'format' && error.params.format === 'day') message = 'must be one of: monday, tuesday, wednesday, thursday, friday';
+
+  return { in: location, field: path.join('.') || null, message };
+}
+
+/**
+ * Fold the errors of each anyOf alternative into one "must be array or string" error
+ * @param {Array<Object>} errors - Ajv errors
+ * @returns {Array<Object>}
+ */
+function foldAlternatives(errors) {
+  const anyOfErrors = errors.filter(error => error.keyword === 'anyOf');
+  const isAlternative = error => anyOfErrors.some(anyOf =>
+    error !== anyOf && error.schemaPath.startsWith(`${anyOf.schemaPath}/`));
+
+  return errors
+    .filter(error => !isAlternative(error))
+    .map(error => {
+      if (error.keyword !== 'anyOf') return error;
+      const types = errors
+        .filter(other => other.keyword === 'type' && other.schemaPath.startsWith(`${error.schemaPath}/`))
+        .map(other => other.params.type);
+      return types.length > 0 ? { ...error, message: `must be ${types.join(' or ')}` } : error;
+    });
+}
+
+/**
+ * Validate a request against a schema before the route handler runs
+ * Violations are passed on as a ValidationError (400 VALIDATION_ERROR) listing each problem in `details`.
+ * @param {Object} schema - { params, query, body } JSON schemas
+ * @returns {Function} Express middleware (exposes the schema as `.schema` for the API docs)
+ */
+function validate(schema) {
+  const checks = LOCATIONS
+    .filter(location => schema[location])
+    .map(location => ({ location, check: validators[location].compile(schema[location]) }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+
+    checks.forEach(({ location, check }) => {
+      // A request without a JSON body is validated as an empty object
+      const data = req[location] === undefined ? {} : req[location];
+      if (!check(data)) {
+        details.push(...foldAlternatives(check.errors).map(error => describeError(location, error)));
+      }
+    });
+
+    if (details.length > 0) {
+      return next(new ValidationError('VALIDATION_ERROR', { details }));
+    }
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+}
+
+module.exports = {
+  validate
+};
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/admin.controller');
-const { isAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin.schemas');
 
 /**
  * @swagger
@@ -30,7 +32,7 @@ const { isAdmin } = require('../middleware/auth');
  *       500:
  *         description: Server error
  */
-router.get('/weeks', isAdmin, adminController.getAllWeeks.bind(adminController));
+router.get('/weeks', requirePermission('weeks:read'), adminController.getAllWeeks.bind(adminController));
 
 /**
  * @swagger
@@ -41,15 +43,6 @@ router.get('/weeks', isAdmin, adminController.getAllWeeks.bind(adminController))
  *     description: Delete all meal options, selections, reviews, and related data for a specific week
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: path
- *         name: weekStartDate
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date to delete
- *         example: 2024-11-20
  *     responses:
  *       200:
  *         description: Week data deleted successfully
@@ -64,42 +57,175 @@ router.get('/weeks', isAdmin, adminController.getAllWeeks.bind(adminController))
  *       500:
  *         description: Server error
  */
-router.delete('/weeks/:weekStartDate', isAdmin, adminController.deleteWeekData.bind(adminController));
+router.delete('/weeks/:weekStartDate', requirePermission('menus:manage'), validate(schemas.weekParams), adminController.deleteWeekData.bind(adminController));
 
 /**
  * @route GET /api/admin/weeks/:weekStartDate/settings
  * @desc Get week settings (lock status)
  * @access Private (Admin only)
  */
-router.get('/weeks/:weekStartDate/settings', isAdmin, adminController.getWeekSettings.bind(adminController));
+router.get('/weeks/:weekStartDate/settings', requirePermission('weeks:read'), validate(schemas.weekParams), adminController.getWeekSettings.bind(adminController));
 
 /**
  * @route POST /api/admin/weeks/:weekStartDate/lock
  * @desc Lock a week (prevent user modifications)
  * @access Private (Admin only)
  */
-router.post('/weeks/:weekStartDate/lock', isAdmin, adminController.lockWeek.bind(adminController));
+router.post('/weeks/:weekStartDate/lock', requirePermission('weeks:lock'), validate(schemas.weekParams), adminController.lockWeek.bind(adminController));
 
 /**
  * @route POST /api/admin/weeks/:weekStartDate/unlock
  * @desc Unlock a week (allow user modifications)
  * @access Private (Admin only)
  */
-router.post('/weeks/:weekStartDate/unlock', isAdmin, adminController.unlockWeek.bind(adminController));
+router.post('/weeks/:weekStartDate/unlock', requirePermission('weeks:lock'), validate(schemas.weekParams), adminController.unlockWeek.bind(adminController));
+
+/**
+ * @route POST /api/admin/weeks/:weekStartDate/days/:day/lock
+ * @desc Lock a single day of a week (e.g. once it was sent to the caterer)
+ * @access Private (Admin only)
+ */
+router.post('/weeks/:weekStartDate/days/:day/lock', requirePermission('weeks:lock'), validate(schemas.weekDayParams), adminController.lockWeekDay.bind(adminController));
+
+/**
+ * @route POST /api/admin/weeks/:weekStartDate/days/:day/unlock
+ * @desc Unlock a single day of a week
+ * @access Private (Admin only)
+ */
+router.post('/weeks/:weekStartDate/days/:day/unlock', requirePermission('weeks:lock'), validate(schemas.weekDayParams), adminController.unlockWeekDay.bind(adminController));
 
 /**
  * @route POST /api/admin/weeks/:weekStartDate/grant-unlock/:userId
- * @desc Grant unlock permission to a specific user
+ * @desc Grant unlock permission to a specific user (optional body: day, expires_in_minutes)
  * @access Private (Admin only)
  */
-router.post('/weeks/:weekStartDate/grant-unlock/:userId', isAdmin, adminController.grantUserUnlock.bind(adminController));
+router.post('/weeks/:weekStartDate/grant-unlock/:userId', requirePermission('unlocks:approve'), validate(schemas.grantUserUnlock), adminController.grantUserUnlock.bind(adminController));
 
 /**
  * @route POST /api/admin/weeks/:weekStartDate/revoke-unlock/:userId
- * @desc Revoke unlock permission from a specific user
+ * @desc Revoke unlock permission from a specific user (optional body: day)
+ * @access Private (Admin only)
+ */
+router.post('/weeks/:weekStartDate/revoke-unlock/:userId', requirePermission('unlocks:approve'), validate(schemas.revokeUserUnlock), adminController.revokeUserUnlock.bind(adminController));
+
+/**
+ * @route GET /api/admin/weeks/:weekStartDate/unlock-overrides
+ * @desc List the users let through the week's locks (?include_expired=true for past ones)
+ * @access Private (Admin only)
+ */
+router.get('/weeks/:weekStartDate/unlock-overrides', requirePermission('weeks:read'), validate(schemas.getUnlockOverrides), adminController.getUnlockOverrides.bind(adminController));
+
+/**
+ * @route GET /api/admin/cutoffs
+ * @desc Get the default and per-week ordering cutoff rules
+ * @access Private (Admin only)
+ */
+router.get('/cutoffs', requirePermission('cutoffs:manage'), adminController.getCutoffRules.bind(adminController));
+
+/**
+ * @route PUT /api/admin/cutoffs/default
+ * @desc Set the default ordering cutoff rule
+ * @access Private (Admin only)
+ */
+router.put('/cutoffs/default', requirePermission('cutoffs:manage'), validate(schemas.saveDefaultCutoffRule), adminController.saveDefaultCutoffRule.bind(adminController));
+
+/**
+ * @route DELETE /api/admin/cutoffs/default
+ * @desc Remove the default ordering cutoff rule
+ * @access Private (Admin only)
+ */
+router.delete('/cutoffs/default', requirePermission('cutoffs:manage'), adminController.deleteDefaultCutoffRule.bind(adminController));
+
+/**
+ * @route GET /api/admin/weeks/:weekStartDate/cutoff
+ * @desc Get the cutoff rule and day deadlines that apply to a week
  * @access Private (Admin only)
  */
-router.post('/weeks/:weekStartDate/revoke-unlock/:userId', isAdmin, adminController.revokeUserUnlock.bind(adminController));
+router.get('/weeks/:weekStartDate/cutoff', requirePermission('weeks:read'), validate(schemas.weekParams), adminController.getWeekCutoff.bind(adminController));
+
+/**
+ * @route PUT /api/admin/weeks/:weekStartDate/cutoff
+ * @desc Set a week's own ordering cutoff rule (overrides the default)
+ * @access Private (Admin only)
+ */
+router.put('/weeks/:weekStartDate/cutoff', requirePermission('cutoffs:manage'), validate(schemas.saveWeekCutoffRule), adminController.saveWeekCutoffRule.bind(adminController));
+
+/**
+ * @route DELETE /api/admin/weeks/:weekStartDate/cutoff
+ * @desc Remove a week's own ordering cutoff rule
+ * @access Private (Admin only)
+ */
+router.delete('/weeks/:weekStartDate/cutoff', requirePermission('cutoffs:manage'), validate(schemas.weekParams), adminController.deleteWeekCutoffRule.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/import-profiles:
+ *   get:
+ *     summary: List meal options import profiles (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Profiles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 profiles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportProfile'
+ *       403:
+ *         description: Admin access required
+ *   post:
+ *     summary: Create a meal options import profile (Admin only)
+ *     tags: [Admin]
+ *     description: Describe how a caterer spreadsheet is laid out so uploads can select it with ?profile=name
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile created successfully
+ *       400:
+ *         description: Invalid profile or name already in use
+ *       403:
+ *         description: Admin access required
+ */
+router.get('/import-profiles', requirePermission('menus:manage'), adminController.getImportProfiles.bind(adminController));
+router.post('/import-profiles', requirePermission('menus:manage'), validate(schemas.createImportProfile), adminController.createImportProfile.bind(adminController));
+
+/**
+ * @swagger
+ * /api/admin/import-profiles/{id}:
+ *   put:
+ *     summary: Update a meal options import profile (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Invalid profile or name already in use
+ *       404:
+ *         description: Profile not found
+ *   delete:
+ *     summary: Delete a meal options import profile (Admin only)
+ *     tags: [Admin]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile deleted successfully
+ *       400:
+ *         description: The default profile cannot be deleted
+ *       404:
+ *         description: Profile not found
+ */
+router.put('/import-profiles/:id', requirePermission('menus:manage'), validate(schemas.updateImportProfile), adminController.updateImportProfile.bind(adminController));
+router.delete('/import-profiles/:id', requirePermission('menus:manage'), validate(schemas.deleteImportProfile), adminController.deleteImportProfile.bind(adminController));
 
 /**
  * @swagger
@@ -110,20 +236,6 @@ router.post('/weeks/:weekStartDate/revoke-unlock/:userId', isAdmin, adminControl
  *     description: Send a test email to verify SMTP configuration
  *     security:
  *       - cookieAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - to
- *             properties:
- *               to:
- *                 type: string
- *                 format: email
- *                 description: Recipient email address
- *                 example: test@devhub.tech
  *     responses:
  *       200:
  *         description: Test email sent successfully
@@ -143,7 +255,7 @@ router.post('/weeks/:weekStartDate/revoke-unlock/:userId', isAdmin, adminControl
  *       500:
  *         description: Failed to send email
  */
-router.post('/test-email', isAdmin, adminController.testEmail.bind(adminController));
+router.post('/test-email', requirePermission('emails:manage'), validate(schemas.testEmail), adminController.testEmail.bind(adminController));
 
 /**
  * @swagger
@@ -154,26 +266,9 @@ router.post('/test-email', isAdmin, adminController.testEmail.bind(adminControll
  *     description: Send email notifications to all users about new meal options
  *     security:
  *       - cookieAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - weekStartDate
- *             properties:
- *               weekStartDate:
- *                 type: string
- *                 format: date
- *                 description: Week start date for meal options
- *                 example: 2024-11-25
- *               message:
- *                 type: string
- *                 description: Optional custom message
  *     responses:
  *       200:
- *         description: Notifications sent successfully
+ *         description: Notifications queued for delivery
  *         content:
  *           application/json:
  *             schema:
@@ -183,21 +278,81 @@ router.post('/test-email', isAdmin, adminController.testEmail.bind(adminControll
  *                   type: boolean
  *                 message:
  *                   type: string
- *                 sent:
+ *                 queued:
  *                   type: number
- *                 failed:
+ *                 skipped:
  *                   type: number
- *                 errors:
- *                   type: array
- *                   items:
- *                     type: object
+ *                   description: Users who unsubscribed from new menu emails
  *       400:
  *         description: Email not configured or invalid request
  *       403:
  *         description: Admin access required
  *       500:
- *         description: Failed to send notifications
+ *         description: Failed to queue notifications
+ */
+router.post('/notify-users', requirePermission('emails:manage'), validate(schemas.notifyUsers), adminController.notifyUsers.bind(adminController));
+
+/**
+ * @route GET /api/admin/emails
+ * @desc List email outbox messages (?status=&kind=&to=&limit=&offset=) with status counts
+ * @access Admin
+ */
+router.get('/emails', requirePermission('emails:manage'), validate(schemas.getOutboxEmails), adminController.getOutboxEmails.bind(adminController));
+
+/**
+ * @route GET /api/admin/emails/:id
+ * @desc Get an email outbox message, including its body and last error
+ * @access Admin
+ */
+router.get('/emails/:id', requirePermission('emails:manage'), validate(schemas.emailParams), adminController.getOutboxEmail.bind(adminController));
+
+/**
+ * @route POST /api/admin/emails/:id/resend
+ * @desc Queue an email again for immediate delivery with a fresh set of attempts
+ * @access Admin
+ */
+router.post('/emails/:id/resend', requirePermission('emails:manage'), validate(schemas.emailParams), adminController.resendOutboxEmail.bind(adminController));
+
+/**
+ * @route GET /api/admin/reminders
+ * @desc List the "you haven't ordered yet" reminders sent (?week=&userId=&status=&limit=&offset=)
+ * @access Admin
+ */
+router.get('/reminders', requirePermission('emails:manage'), validate(schemas.getOrderReminders), adminController.getOrderReminders.bind(adminController));
+
+/**
+ * @route GET /api/admin/login-lockouts
+ * @desc List the accounts and IP addresses locked out after too many failed logins
+ * @access Admin
+ */
+router.get('/login-lockouts', requirePermission('users:manage'), adminController.getLoginLockouts.bind(adminController));
+
+/**
+ * @route DELETE /api/admin/login-lockouts/:id
+ * @desc Lift a login lockout (recorded in the login audit)
+ * @access Admin
+ */
+router.delete('/login-lockouts/:id', requirePermission('users:manage'), validate(schemas.loginLockoutParams), adminController.clearLoginLockout.bind(adminController));
+
+/**
+ * @route GET /api/admin/login-audit
+ * @desc List suspicious login events: lockouts, logins after many failures, lockouts cleared (?event=&email=&ip=&limit=&offset=)
+ * @access Admin
+ */
+router.get('/login-audit', requirePermission('users:manage'), validate(schemas.getLoginAudit), adminController.getLoginAudit.bind(adminController));
+
+/**
+ * @route GET /api/admin/email-templates
+ * @desc List the email templates and supported locales
+ * @access Admin
+ */
+router.get('/email-templates', requirePermission('emails:manage'), adminController.getEmailTemplates.bind(adminController));
+
+/**
+ * @route GET /api/admin/email-templates/:name/preview
+ * @desc Render an email template with example data (?locale=ro|en&format=json|html|text)
+ * @access Admin
  */
-router.post('/notify-users', isAdmin, adminController.notifyUsers.bind(adminController));
+router.get('/email-templates/:name/preview', requirePermission('emails:manage'), validate(schemas.previewEmailTemplate), adminController.previewEmailTemplate.bind(adminController));
 
 module.exports = router;
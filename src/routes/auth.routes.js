@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const { isAuthenticated } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth.schemas');
 
 /**
  * @swagger
@@ -9,45 +11,31 @@ const { isAuthenticated } = require('../middleware/auth');
  *   post:
  *     summary: Login user
  *     tags: [Authentication]
- *     description: Authenticate user with email and password, creates a session cookie
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: sergiu.tigan@devhub.tech
- *               password:
- *                 type: string
- *                 format: password
- *                 example: password123
+ *     description: Authenticate user with email and password. Opens a session (one per device) and returns a short-lived access token with a refresh token; also sets a session cookie.
  *     responses:
  *       200:
  *         description: Login successful
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 user:
- *                   $ref: '#/components/schemas/User'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/AuthTokens'
+ *                 - type: object
+ *                   properties:
+ *                     user:
+ *                       $ref: '#/components/schemas/User'
  *       400:
- *         description: Invalid request or email domain
+ *         description: Invalid request
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials (also for unknown emails and other domains)
+ *       403:
+ *         description: Account disabled (ACCOUNT_DISABLED)
+ *       429:
+ *         description: Too many failed logins for this account or IP address; retry after `retry_after` seconds (TOO_MANY_LOGIN_ATTEMPTS, with a Retry-After header)
  *       500:
  *         description: Server error
  */
-router.post('/login', authController.login.bind(authController));
+router.post('/login', validate(schemas.login), authController.login.bind(authController));
 
 /**
  * @swagger
@@ -56,25 +44,6 @@ router.post('/login', authController.login.bind(authController));
  *     summary: Register new user
  *     tags: [Authentication]
  *     description: Create a new user account with email and password
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *                 example: john.doe@devhub.tech
- *               password:
- *                 type: string
- *                 format: password
- *                 minLength: 6
- *                 example: password123
  *     responses:
  *       200:
  *         description: Registration successful
@@ -87,7 +56,26 @@ router.post('/login', authController.login.bind(authController));
  *       500:
  *         description: Server error
  */
-router.post('/register', authController.register.bind(authController));
+router.post('/register', validate(schemas.register), authController.register.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     tags: [Authentication]
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. Each refresh token works once; reusing one revokes its session.
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Refresh token invalid, expired, reused or its session revoked (INVALID_REFRESH_TOKEN)
+ */
+router.post('/refresh', validate(schemas.refresh), authController.refresh.bind(authController));
 
 /**
  * @swagger
@@ -95,7 +83,7 @@ router.post('/register', authController.register.bind(authController));
  *   post:
  *     summary: Logout user
  *     tags: [Authentication]
- *     description: End user session and clear session cookie
+ *     description: Revoke the session of the access token (or refresh token, or session cookie) and clear the session cookie
  *     responses:
  *       200:
  *         description: Logout successful
@@ -106,7 +94,72 @@ router.post('/register', authController.register.bind(authController));
  *       500:
  *         description: Server error
  */
-router.post('/logout', authController.logout.bind(authController));
+router.post('/logout', validate(schemas.logout), authController.logout.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/password/forgot:
+ *   post:
+ *     summary: Request a password reset link
+ *     tags: [Authentication]
+ *     description: Emails a single-use link to reset the password, valid for PASSWORD_RESET_EXPIRES_MINUTES (default 60). Answers the same whether or not the email has an account; a new request replaces earlier links.
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       429:
+ *         description: Too many reset requests for this email or IP address; retry after `retry_after` seconds (TOO_MANY_RESET_REQUESTS, with a Retry-After header)
+ */
+router.post('/password/forgot', validate(schemas.forgotPassword), authController.forgotPassword.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/password/reset:
+ *   post:
+ *     summary: Reset the password with a reset link token
+ *     tags: [Authentication]
+ *     description: Sets the new password and signs the user out of every session.
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       400:
+ *         description: Token invalid, expired or already used (INVALID_RESET_TOKEN), or password too weak (WEAK_PASSWORD)
+ */
+router.post('/password/reset', validate(schemas.resetPassword), authController.resetPassword.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/password/change:
+ *   post:
+ *     summary: Change my password
+ *     tags: [Authentication]
+ *     description: Requires the current password. Signs out every other session; the current one stays signed in.
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *                   description: Other sessions signed out
+ *       400:
+ *         description: Current password wrong (WRONG_CURRENT_PASSWORD), new password too weak (WEAK_PASSWORD) or the same as the current one (PASSWORD_UNCHANGED)
+ */
+router.post('/password/change', isAuthenticated, validate(schemas.changePassword), authController.changePassword.bind(authController));
 
 /**
  * @swagger
@@ -134,4 +187,66 @@ router.post('/logout', authController.logout.bind(authController));
  */
 router.get('/me', isAuthenticated, authController.me.bind(authController));
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     tags: [Authentication]
+ *     description: Devices signed in to the current user's account, most recently used first
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuthSession'
+ *   delete:
+ *     summary: Sign out all my other sessions
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ */
+router.get('/sessions', isAuthenticated, authController.getSessions.bind(authController));
+router.delete('/sessions', isAuthenticated, authController.revokeOtherSessions.bind(authController));
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Sign out one of my sessions
+ *     tags: [Authentication]
+ *     description: Its access and refresh tokens stop working immediately
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ *       404:
+ *         description: No active session with this ID (SESSION_NOT_FOUND)
+ */
+router.delete('/sessions/:id', isAuthenticated, validate(schemas.revokeSession), authController.revokeSession.bind(authController));
+
 module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const feedbackController = require('../controllers/feedback.controller');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/feedback.schemas');
 
 const router = express.Router();
 
@@ -12,27 +14,13 @@ const router = express.Router();
  *     tags: [Feedback]
  *     security:
  *       - cookieAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - subject
- *               - message
- *             properties:
- *               subject:
- *                 type: string
- *               message:
- *                 type: string
  *     responses:
  *       200:
  *         description: Feedback submitted successfully
  *       401:
  *         description: Unauthorized
  */
-router.post('/', isAuthenticated, feedbackController.submitFeedback);
+router.post('/', isAuthenticated, validate(schemas.submitFeedback), feedbackController.submitFeedback);
 
 /**
  * @swagger
@@ -50,7 +38,7 @@ router.post('/', isAuthenticated, feedbackController.submitFeedback);
  *       403:
  *         description: Forbidden
  */
-router.get('/', isAuthenticated, isAdmin, feedbackController.getAllFeedback);
+router.get('/', requirePermission('feedback:manage'), feedbackController.getAllFeedback);
 
 /**
  * @swagger
@@ -60,23 +48,6 @@ router.get('/', isAuthenticated, isAdmin, feedbackController.getAllFeedback);
  *     tags: [Feedback]
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
  *     responses:
  *       200:
  *         description: Feedback status updated
@@ -85,6 +56,6 @@ router.get('/', isAuthenticated, isAdmin, feedbackController.getAllFeedback);
  *       403:
  *         description: Forbidden
  */
-router.patch('/:id', isAuthenticated, isAdmin, feedbackController.updateFeedbackStatus);
+router.patch('/:id', requirePermission('feedback:manage'), validate(schemas.updateFeedbackStatus), feedbackController.updateFeedbackStatus);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * API Routers
+ * Mount path and Swagger tag of every API router. server.js mounts them in this order and
+ * the OpenAPI document (config/swagger.js) is generated from their route definitions.
+ */
+
+const authRoutes = require('./auth.routes');
+const usersRoutes = require('./users.routes');
+const mealOptionsRoutes = require('./mealOptions.routes');
+const mealSelectionsRoutes = require('./mealSelections.routes');
+const reviewsRoutes = require('./reviews.routes');
+const searchRoutes = require('./search.routes');
+const adminRoutes = require('./admin.routes');
+const invitationsRoutes = require('./invitations.routes');
+const feedbackRoutes = require('./feedback.routes');
+const mealTransfersRoutes = require('./mealTransfers.routes');
+const menusRoutes = require('./menus.routes');
+const organizationsRoutes = require('./organizations.routes');
+
+const apiRoutes = [
+  { path: '/api/auth', router: authRoutes, tag: 'Authentication' },
+  { path: '/api/users', router: usersRoutes, tag: 'Users' },
+  { path: '/api/meal-options', router: mealOptionsRoutes, tag: 'Meal Options' },
+  { path: '/api/meal-selections', router: mealSelectionsRoutes, tag: 'Meal Selections' },
+  { path: '/api/reviews', router: reviewsRoutes, tag: 'Meal Reviews' },
+  { path: '/api/search', router: searchRoutes, tag: 'Search' },
+  { path: '/api/admin', router: adminRoutes, tag: 'Admin' },
+  { path: '/api/invitations', router: invitationsRoutes, tag: 'Invitations' },
+  { path: '/api/feedback', router: feedbackRoutes, tag: 'Feedback' },
+  { path: '/api/meal-transfers', router: mealTransfersRoutes, tag: 'Meal Transfers' },
+  { path: '/api/menus', router: menusRoutes, tag: 'Menus' },
+  { path: '/api/organizations', router: organizationsRoutes, tag: 'Organizations' }
+];
+
+module.exports = {
+  apiRoutes
+};
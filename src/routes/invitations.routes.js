@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const invitationsController = require('../controllers/invitations.controller');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/invitations.schemas');
 
 /**
  * @swagger
@@ -18,19 +20,6 @@ const { isAuthenticated, isAdmin } = require('../middleware/auth');
  *     tags: [Invitations]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               email:
- *                 type: string
- *                 example: user@devhub.tech
- *               is_admin:
- *                 type: boolean
- *                 example: false
  *     responses:
  *       200:
  *         description: Invitation sent successfully
@@ -41,7 +30,7 @@ const { isAuthenticated, isAdmin } = require('../middleware/auth');
  *       403:
  *         description: Not authorized (admin only)
  */
-router.post('/send', isAuthenticated, isAdmin, invitationsController.sendInvitation.bind(invitationsController));
+router.post('/send', requirePermission('users:manage'), validate(schemas.sendInvitation), invitationsController.sendInvitation.bind(invitationsController));
 
 /**
  * @swagger
@@ -49,19 +38,13 @@ router.post('/send', isAuthenticated, isAdmin, invitationsController.sendInvitat
  *   get:
  *     summary: Validate invitation token
  *     tags: [Invitations]
- *     parameters:
- *       - in: path
- *         name: token
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Token validation result
  *       400:
  *         description: Invalid or expired token
  */
-router.get('/validate/:token', invitationsController.validateInvitation.bind(invitationsController));
+router.get('/validate/:token', validate(schemas.validateInvitation), invitationsController.validateInvitation.bind(invitationsController));
 
 /**
  * @swagger
@@ -69,25 +52,13 @@ router.get('/validate/:token', invitationsController.validateInvitation.bind(inv
  *   post:
  *     summary: Accept invitation and create account
  *     tags: [Invitations]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               token:
- *                 type: string
- *               password:
- *                 type: string
- *                 format: password
  *     responses:
  *       200:
  *         description: Account created successfully
  *       400:
  *         description: Invalid token or weak password
  */
-router.post('/accept', invitationsController.acceptInvitation.bind(invitationsController));
+router.post('/accept', validate(schemas.acceptInvitation), invitationsController.acceptInvitation.bind(invitationsController));
 
 /**
  * @swagger
@@ -105,7 +76,7 @@ router.post('/accept', invitationsController.acceptInvitation.bind(invitationsCo
  *       403:
  *         description: Not authorized (admin only)
  */
-router.get('/pending', isAuthenticated, isAdmin, invitationsController.getPendingInvitations.bind(invitationsController));
+router.get('/pending', requirePermission('users:manage'), invitationsController.getPendingInvitations.bind(invitationsController));
 
 /**
  * @swagger
@@ -115,12 +86,6 @@ router.get('/pending', isAuthenticated, isAdmin, invitationsController.getPendin
  *     tags: [Invitations]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: integer
  *     responses:
  *       200:
  *         description: Invitation cancelled successfully
@@ -129,6 +94,6 @@ router.get('/pending', isAuthenticated, isAdmin, invitationsController.getPendin
  *       403:
  *         description: Not authorized (admin only)
  */
-router.delete('/:id', isAuthenticated, isAdmin, invitationsController.cancelInvitation.bind(invitationsController));
+router.delete('/:id', requirePermission('users:manage'), validate(schemas.cancelInvitation), invitationsController.cancelInvitation.bind(invitationsController));
 
 module.exports = router;
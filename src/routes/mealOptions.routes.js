@@ -1,16 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const mealOptionsController = require('../controllers/mealOptions.controller');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/mealOptions.schemas');
 
 /**
  * @swagger
  * /api/meal-options/upload:
  *   post:
- *     summary: Upload meal options from Excel file (Admin only)
+ *     summary: Upload meal options from a file or JSON (Admin only)
  *     tags: [Meal Options]
- *     description: Upload weekly meal options from an Excel file
+ *     description: Upload weekly meal options from an Excel (.xlsx, .xls) or CSV file, or push them as JSON from an integration. CSV encoding (UTF-8, UTF-16, Windows-1250) and delimiter (comma, semicolon, tab, pipe) are detected automatically.
  *     security:
  *       - cookieAuth: []
  *     requestBody:
@@ -25,11 +27,13 @@ const upload = require('../middleware/upload');
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Excel file (.xlsx, .xls) containing meal options
+ *                 description: Excel (.xlsx, .xls) or CSV file containing meal options
  *               week_start_date:
  *                 type: string
- *                 format: date
- *                 description: Optional week start date (auto-calculated from filename if not provided)
+ *                 description: Optional override of the week resolved from the filename - a date (normalized to its Monday) or an ISO week (2025-W42). A different week than the filename's is reported as a week_conflict warning
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MealOptionsPayload'
  *     responses:
  *       200:
  *         description: Meal options uploaded successfully
@@ -45,14 +49,53 @@ const upload = require('../middleware/upload');
  *                 week_start_date:
  *                   type: string
  *                   format: date
+ *                 profile:
+ *                   type: string
+ *                   nullable: true
+ *                 source:
+ *                   type: object
+ *                   description: Parser used and what it detected (sheet, encoding, delimiter)
+ *                 warnings:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 iso_week:
+ *                   type: object
+ *                   properties:
+ *                     year:
+ *                       type: integer
+ *                     week:
+ *                       type: integer
+ *                 week_source:
+ *                   type: string
+ *                   enum: [override, iso_week, date, period]
+ *                 revision:
+ *                   type: integer
+ *                 dry_run:
+ *                   type: boolean
+ *                   description: Present on dry runs
+ *                 days:
+ *                   type: object
+ *                   description: Dry run only - parsed categories per day
+ *                 diff:
+ *                   type: object
+ *                   description: Added, removed and changed items compared with the week's current options
+ *                 affected_selections:
+ *                   type: array
+ *                   description: User selections that reference removed items
+ *                   items:
+ *                     type: object
+ *                 notified:
+ *                   type: string
+ *                   enum: [all, affected, none]
  *       400:
- *         description: Invalid file or duplicate upload
+ *         description: Invalid file, unknown import profile, duplicate file or week already uploaded without replace=true
  *       403:
  *         description: Admin access required
  *       500:
  *         description: Server error
  */
-router.post('/upload', isAdmin, upload.single('file'), mealOptionsController.uploadMealOptions.bind(mealOptionsController));
+router.post('/upload', requirePermission('menus:manage'), validate(schemas.uploadMealOptions), upload.single('file'), mealOptionsController.uploadMealOptions.bind(mealOptionsController));
 
 /**
  * @swagger
@@ -63,13 +106,6 @@ router.post('/upload', isAdmin, upload.single('file'), mealOptionsController.upl
  *     description: Retrieve available meal options for a specific week
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date (defaults to latest week)
  *     responses:
  *       200:
  *         description: Meal options retrieved successfully
@@ -90,6 +126,93 @@ router.post('/upload', isAdmin, upload.single('file'), mealOptionsController.upl
  *       500:
  *         description: Server error
  */
-router.get('/', isAuthenticated, mealOptionsController.getMealOptions.bind(mealOptionsController));
+router.get('/', isAuthenticated, validate(schemas.getMealOptions), mealOptionsController.getMealOptions.bind(mealOptionsController));
+
+/**
+ * @swagger
+ * /api/meal-options/items:
+ *   get:
+ *     summary: Get the meal option item catalog for a week
+ *     tags: [Meal Options]
+ *     description: Retrieve individual dishes (with stable IDs) grouped by category and day
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Item catalog retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 categories:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       category:
+ *                         type: string
+ *                       days:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/MealOptionItem'
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/MealOptionItem'
+ *                 week_start_date:
+ *                   type: string
+ *                   format: date
+ *       400:
+ *         description: Invalid day of week
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/items', isAuthenticated, validate(schemas.getMealOptionItems), mealOptionsController.getMealOptionItems.bind(mealOptionsController));
+
+/**
+ * @swagger
+ * /api/meal-options/revisions:
+ *   get:
+ *     summary: Get upload revisions of a week's meal options (Admin only)
+ *     tags: [Meal Options]
+ *     description: Every upload of a week is recorded as a revision with its diff against the previous one
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Revisions retrieved successfully (newest first)
+ *       403:
+ *         description: Admin access required
+ *       500:
+ *         description: Server error
+ */
+router.get('/revisions', requirePermission('menus:manage'), validate(schemas.getMealOptionRevisions), mealOptionsController.getMealOptionRevisions.bind(mealOptionsController));
+
+/**
+ * @swagger
+ * /api/meal-options/items/{id}:
+ *   patch:
+ *     summary: Update price and allergens of a meal option item (Admin only)
+ *     tags: [Meal Options]
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Item updated successfully
+ *       400:
+ *         description: Invalid price or allergens
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         description: Item not found
+ *       500:
+ *         description: Server error
+ */
+router.patch('/items/:id', requirePermission('menus:manage'), validate(schemas.updateMealOptionItem), mealOptionsController.updateMealOptionItem.bind(mealOptionsController));
 
 module.exports = router;
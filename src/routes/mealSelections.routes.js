@@ -1,8 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const mealSelectionsController = require('../controllers/mealSelections.controller');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
 const upload = require('../middleware/upload');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/mealSelections.schemas');
 
 /**
  * @swagger
@@ -10,31 +12,12 @@ const upload = require('../middleware/upload');
  *   post:
  *     summary: Save meal selection for current user
  *     tags: [Meal Selections]
- *     description: Save or update user's meal selections for a week
+ *     description: |
+ *       Save or update user's meal selections for a week. Each day is a list of meal option
+ *       item IDs (see GET /api/meal-options/items); the legacy ' | '-joined string is still accepted.
+ *       Picks are validated against the week's menu: one item per category, only items offered that day.
  *     security:
  *       - cookieAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - week_start_date
- *             properties:
- *               week_start_date:
- *                 type: string
- *                 format: date
- *               monday:
- *                 type: string
- *               tuesday:
- *                 type: string
- *               wednesday:
- *                 type: string
- *               thursday:
- *                 type: string
- *               friday:
- *                 type: string
  *     responses:
  *       200:
  *         description: Meal selections saved successfully
@@ -43,13 +26,15 @@ const upload = require('../middleware/upload');
  *             schema:
  *               $ref: '#/components/schemas/Success'
  *       400:
- *         description: Invalid request
+ *         description: Invalid request or picks not on the week's menu (listed in invalid_picks)
  *       401:
  *         description: Not authenticated
+ *       403:
+ *         description: Week or selection locked, or ordering cutoff passed for a changed day (listed in closed_days)
  *       500:
  *         description: Server error
  */
-router.post('/', isAuthenticated, mealSelectionsController.saveMealSelection.bind(mealSelectionsController));
+router.post('/', isAuthenticated, validate(schemas.saveMealSelection), mealSelectionsController.saveMealSelection.bind(mealSelectionsController));
 
 /**
  * @swagger
@@ -60,13 +45,6 @@ router.post('/', isAuthenticated, mealSelectionsController.saveMealSelection.bin
  *     description: Retrieve current user's meal selection for a week
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date (defaults to latest week)
  *     responses:
  *       200:
  *         description: Meal selection retrieved successfully
@@ -80,12 +58,16 @@ router.post('/', isAuthenticated, mealSelectionsController.saveMealSelection.bin
  *                 week_start_date:
  *                   type: string
  *                   format: date
+ *                 cutoffs:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Deadline, seconds remaining and closed flag per day (null without a cutoff rule)
  *       401:
  *         description: Not authenticated
  *       500:
  *         description: Server error
  */
-router.get('/me', isAuthenticated, mealSelectionsController.getMyMealSelection.bind(mealSelectionsController));
+router.get('/me', isAuthenticated, validate(schemas.getMyMealSelection), mealSelectionsController.getMyMealSelection.bind(mealSelectionsController));
 
 /**
  * @swagger
@@ -124,13 +106,6 @@ router.get('/history', isAuthenticated, mealSelectionsController.getMealHistory.
  *     description: Retrieve all users' meal selections for a specific week
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date (defaults to latest week)
  *     responses:
  *       200:
  *         description: All meal selections retrieved successfully
@@ -151,7 +126,7 @@ router.get('/history', isAuthenticated, mealSelectionsController.getMealHistory.
  *       500:
  *         description: Server error
  */
-router.get('/all', isAdmin, mealSelectionsController.getAllMealSelections.bind(mealSelectionsController));
+router.get('/all', requirePermission('orders:export'), validate(schemas.getAllMealSelections), mealSelectionsController.getAllMealSelections.bind(mealSelectionsController));
 
 /**
  * @swagger
@@ -162,13 +137,6 @@ router.get('/all', isAdmin, mealSelectionsController.getAllMealSelections.bind(m
  *     description: Get aggregated statistics for meal selections
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date (defaults to latest week)
  *     responses:
  *       200:
  *         description: Statistics retrieved successfully
@@ -187,7 +155,7 @@ router.get('/all', isAdmin, mealSelectionsController.getAllMealSelections.bind(m
  *       500:
  *         description: Server error
  */
-router.get('/statistics', isAdmin, mealSelectionsController.getStatistics.bind(mealSelectionsController));
+router.get('/statistics', requirePermission('reports:view'), validate(schemas.getStatistics), mealSelectionsController.getStatistics.bind(mealSelectionsController));
 
 /**
  * @swagger
@@ -198,13 +166,6 @@ router.get('/statistics', isAdmin, mealSelectionsController.getStatistics.bind(m
  *     description: Export meal selection statistics as Excel file
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date (defaults to latest week)
  *     responses:
  *       200:
  *         description: Excel file generated successfully
@@ -218,7 +179,7 @@ router.get('/statistics', isAdmin, mealSelectionsController.getStatistics.bind(m
  *       500:
  *         description: Server error
  */
-router.get('/statistics/export', isAdmin, mealSelectionsController.exportStatistics.bind(mealSelectionsController));
+router.get('/statistics/export', requirePermission('reports:view'), validate(schemas.exportStatistics), mealSelectionsController.exportStatistics.bind(mealSelectionsController));
 
 /**
  * @swagger
@@ -229,13 +190,6 @@ router.get('/statistics/export', isAdmin, mealSelectionsController.exportStatist
  *     description: Export all meal selections as Excel file
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date (defaults to latest week)
  *     responses:
  *       200:
  *         description: Excel file generated successfully
@@ -249,41 +203,48 @@ router.get('/statistics/export', isAdmin, mealSelectionsController.exportStatist
  *       500:
  *         description: Server error
  */
-router.get('/export', isAdmin, mealSelectionsController.exportMealSelections.bind(mealSelectionsController));
+router.get('/export', requirePermission('orders:export'), validate(schemas.exportMealSelections), mealSelectionsController.exportMealSelections.bind(mealSelectionsController));
 
 /**
  * @route POST /api/meal-selections/lock
- * @desc Lock user's own meal selection
+ * @desc Lock user's own meal selection (whole week, or one day with `day`)
  * @access Private (Authenticated user)
  */
-router.post('/lock', isAuthenticated, mealSelectionsController.lockMySelection.bind(mealSelectionsController));
+router.post('/lock', isAuthenticated, validate(schemas.lockMySelection), mealSelectionsController.lockMySelection.bind(mealSelectionsController));
 
 /**
  * @route POST /api/meal-selections/unlock
- * @desc Unlock user's own meal selection (creates unlock request)
+ * @desc Unlock user's own meal selection (creates unlock request; one day with `day`, optional `reason`)
  * @access Private (Authenticated user)
  */
-router.post('/unlock', isAuthenticated, mealSelectionsController.unlockMySelection.bind(mealSelectionsController));
+router.post('/unlock', isAuthenticated, validate(schemas.unlockMySelection), mealSelectionsController.unlockMySelection.bind(mealSelectionsController));
 
 /**
  * @route GET /api/meal-selections/unlock-requests
  * @desc Get all pending unlock requests
  * @access Private (Admin only)
  */
-router.get('/unlock-requests', isAdmin, mealSelectionsController.getPendingUnlockRequests.bind(mealSelectionsController));
+router.get('/unlock-requests', requirePermission('unlocks:approve'), mealSelectionsController.getPendingUnlockRequests.bind(mealSelectionsController));
+
+/**
+ * @route GET /api/meal-selections/unlock-requests/history
+ * @desc Get unlock requests of any status (filters: status, week, user_id, processed_by, from, to, limit, offset)
+ * @access Private (Admin only)
+ */
+router.get('/unlock-requests/history', requirePermission('unlocks:approve'), validate(schemas.getUnlockRequestHistory), mealSelectionsController.getUnlockRequestHistory.bind(mealSelectionsController));
 
 /**
  * @route POST /api/meal-selections/unlock-requests/:id/approve
- * @desc Approve an unlock request
+ * @desc Approve an unlock request (optional body: comment; emails the requester)
  * @access Private (Admin only)
  */
-router.post('/unlock-requests/:id/approve', isAdmin, mealSelectionsController.approveUnlockRequest.bind(mealSelectionsController));
+router.post('/unlock-requests/:id/approve', requirePermission('unlocks:approve'), validate(schemas.processUnlockRequest), mealSelectionsController.approveUnlockRequest.bind(mealSelectionsController));
 
 /**
  * @route POST /api/meal-selections/unlock-requests/:id/reject
- * @desc Reject an unlock request
+ * @desc Reject an unlock request (optional body: comment; emails the requester)
  * @access Private (Admin only)
  */
-router.post('/unlock-requests/:id/reject', isAdmin, mealSelectionsController.rejectUnlockRequest.bind(mealSelectionsController));
+router.post('/unlock-requests/:id/reject', requirePermission('unlocks:approve'), validate(schemas.processUnlockRequest), mealSelectionsController.rejectUnlockRequest.bind(mealSelectionsController));
 
 module.exports = router;
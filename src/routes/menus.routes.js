@@ -2,33 +2,35 @@ const express = require('express');
 const router = express.Router();
 const mealTransfersController = require('../controllers/mealTransfers.controller');
 const { isAuthenticated } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/menus.schemas');
 
 /**
  * @route POST /api/menus/copy
  * @desc Copy a user's menu for a specific day
  * @access Private
  */
-router.post('/copy', isAuthenticated, mealTransfersController.copyUserMenu.bind(mealTransfersController));
+router.post('/copy', isAuthenticated, validate(schemas.copyUserMenu), mealTransfersController.copyUserMenu.bind(mealTransfersController));
 
 /**
  * @route GET /api/menus/copies
  * @desc Get menu copies for a specific day
  * @access Private
  */
-router.get('/copies', isAuthenticated, mealTransfersController.getMenuCopies.bind(mealTransfersController));
+router.get('/copies', isAuthenticated, validate(schemas.getMenuCopies), mealTransfersController.getMenuCopies.bind(mealTransfersController));
 
 /**
  * @route GET /api/menus/copies/:userId
  * @desc Get users who copied from a specific user
  * @access Private
  */
-router.get('/copies/:userId', isAuthenticated, mealTransfersController.getMenuCopiesForUser.bind(mealTransfersController));
+router.get('/copies/:userId', isAuthenticated, validate(schemas.getMenuCopiesForUser), mealTransfersController.getMenuCopiesForUser.bind(mealTransfersController));
 
 /**
  * @route GET /api/menus/:weekStartDate
  * @desc Get all user menus for a specific week
  * @access Private
  */
-router.get('/:weekStartDate', isAuthenticated, mealTransfersController.getAllUserMenus.bind(mealTransfersController));
+router.get('/:weekStartDate', isAuthenticated, validate(schemas.getAllUserMenus), mealTransfersController.getAllUserMenus.bind(mealTransfersController));
 
 module.exports = router;
@@ -0,0 +1,143 @@
+const express = require('express');
+const router = express.Router();
+const organizationsController = require('../controllers/organizations.controller');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/organizations.schemas');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: Organizations and the email domains that sign up to them
+ */
+
+/**
+ * @swagger
+ * /api/organizations/current:
+ *   get:
+ *     summary: Get the current user's organization and its email domains
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: The organization
+ *       401:
+ *         description: Not authenticated
+ */
+router.get('/current', isAuthenticated, organizationsController.getCurrentOrganization.bind(organizationsController));
+
+/**
+ * @swagger
+ * /api/organizations/current/domains/{domainId}:
+ *   delete:
+ *     summary: Remove an email domain of the current user's organization (Admin only)
+ *     description: New accounts can no longer sign up with it; existing accounts are kept. Adding domains is reserved to platform admins (POST /api/organizations/{id}/domains), since a domain routes every later signup to its organization.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Domain removed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Domain not found
+ */
+router.delete('/current/domains/:domainId', requirePermission('domains:manage'), validate(schemas.removeCurrentOrganizationDomain), organizationsController.removeCurrentOrganizationDomain.bind(organizationsController));
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   get:
+ *     summary: Get all organizations with their domains (Platform admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of organizations
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/', requirePermission('organizations:manage'), organizationsController.getOrganizations.bind(organizationsController));
+
+/**
+ * @swagger
+ * /api/organizations:
+ *   post:
+ *     summary: Create an organization (Platform admin only)
+ *     description: Its first admin is then invited with an email from one of its domains
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization created
+ *       403:
+ *         description: Not authorized
+ *       409:
+ *         description: Name or domain already taken
+ */
+router.post('/', requirePermission('organizations:manage'), validate(schemas.createOrganization), organizationsController.createOrganization.bind(organizationsController));
+
+/**
+ * @swagger
+ * /api/organizations/{id}:
+ *   put:
+ *     summary: Rename an organization (Platform admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Organization saved
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: Name already taken
+ */
+router.put('/:id', requirePermission('organizations:manage'), validate(schemas.updateOrganization), organizationsController.updateOrganization.bind(organizationsController));
+
+/**
+ * @swagger
+ * /api/organizations/{id}/domains:
+ *   post:
+ *     summary: Allow an email domain to sign up to an organization (Platform admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Domain added
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Organization not found
+ *       409:
+ *         description: The domain already belongs to an organization
+ */
+router.post('/:id/domains', requirePermission('organizations:manage'), validate(schemas.addOrganizationDomain), organizationsController.addOrganizationDomain.bind(organizationsController));
+
+/**
+ * @swagger
+ * /api/organizations/{id}/domains/{domainId}:
+ *   delete:
+ *     summary: Remove an email domain of an organization (Platform admin only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Domain removed
+ *       403:
+ *         description: Not authorized
+ *       404:
+ *         description: Domain not found
+ */
+router.delete('/:id/domains/:domainId', requirePermission('organizations:manage'), validate(schemas.removeOrganizationDomain), organizationsController.removeOrganizationDomain.bind(organizationsController));
+
+module.exports = router;
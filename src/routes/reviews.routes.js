@@ -2,20 +2,22 @@ const express = require('express');
 const router = express.Router();
 const reviewsController = require('../controllers/reviews.controller');
 const { isAuthenticated } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/reviews.schemas');
 
 /**
  * @route POST /api/reviews
  * @desc Save or update a meal review
  * @access Private
  */
-router.post('/', isAuthenticated, reviewsController.saveMealReview.bind(reviewsController));
+router.post('/', isAuthenticated, validate(schemas.saveMealReview), reviewsController.saveMealReview.bind(reviewsController));
 
 /**
  * @route GET /api/reviews/my-review
  * @desc Get user's review for a specific meal
  * @access Private
  */
-router.get('/my-review', isAuthenticated, reviewsController.getMyReview.bind(reviewsController));
+router.get('/my-review', isAuthenticated, validate(schemas.getMyReview), reviewsController.getMyReview.bind(reviewsController));
 
 /**
  * @route GET /api/reviews/my-reviews
@@ -29,20 +31,20 @@ router.get('/my-reviews', isAuthenticated, reviewsController.getMyReviews.bind(r
  * @desc Get recent reviews for a meal
  * @access Private
  */
-router.get('/recent', isAuthenticated, reviewsController.getRecentReviews.bind(reviewsController));
+router.get('/recent', isAuthenticated, validate(schemas.getRecentReviews), reviewsController.getRecentReviews.bind(reviewsController));
 
 /**
  * @route GET /api/reviews/prioritized
  * @desc Get prioritized reviews for a meal (user's reviews first, then others, up to 5 total)
  * @access Private
  */
-router.get('/prioritized', isAuthenticated, reviewsController.getPrioritizedReviews.bind(reviewsController));
+router.get('/prioritized', isAuthenticated, validate(schemas.getPrioritizedReviews), reviewsController.getPrioritizedReviews.bind(reviewsController));
 
 /**
  * @route GET /api/reviews
  * @desc Get all reviews for a specific meal
  * @access Private
  */
-router.get('/', isAuthenticated, reviewsController.getMealReviews.bind(reviewsController));
+router.get('/', isAuthenticated, validate(schemas.getMealReviews), reviewsController.getMealReviews.bind(reviewsController));
 
 module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/search.controller');
 const { isAuthenticated } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/search.schemas');
 
 /**
  * @swagger
@@ -41,14 +43,6 @@ router.get('/weeks', isAuthenticated, searchController.getWeeks.bind(searchContr
  *     description: Retrieve all meal selections for a specific week
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: week
- *         required: true
- *         schema:
- *           type: string
- *           format: date
- *         description: Week start date
  *     responses:
  *       200:
  *         description: Meals retrieved successfully
@@ -71,7 +65,7 @@ router.get('/weeks', isAuthenticated, searchController.getWeeks.bind(searchContr
  *       500:
  *         description: Server error
  */
-router.get('/meals', isAuthenticated, searchController.getMeals.bind(searchController));
+router.get('/meals', isAuthenticated, validate(schemas.getMeals), searchController.getMeals.bind(searchController));
 
 /**
  * @swagger
@@ -82,14 +76,6 @@ router.get('/meals', isAuthenticated, searchController.getMeals.bind(searchContr
  *     description: Search for a colleague's meal selections by name (searches current week, then previous weeks if not found)
  *     security:
  *       - cookieAuth: []
- *     parameters:
- *       - in: query
- *         name: name
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee name to search for (partial match supported)
- *         example: John
  *     responses:
  *       200:
  *         description: Search results retrieved successfully
@@ -120,6 +106,6 @@ router.get('/meals', isAuthenticated, searchController.getMeals.bind(searchContr
  *       500:
  *         description: Server error
  */
-router.get('/', isAuthenticated, searchController.searchByName.bind(searchController));
+router.get('/', isAuthenticated, validate(schemas.searchByName), searchController.searchByName.bind(searchController));
 
 module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const usersController = require('../controllers/users.controller');
-const { isAuthenticated, isAdmin } = require('../middleware/auth');
+const { isAuthenticated, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users.schemas');
 
 /**
  * @swagger
@@ -40,18 +42,6 @@ router.get('/employees', isAuthenticated, usersController.getEmployees.bind(user
  *     description: Associate current user with an employee name from the menu
  *     security:
  *       - cookieAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - employee_name
- *             properties:
- *               employee_name:
- *                 type: string
- *                 example: John Doe
  *     responses:
  *       200:
  *         description: Employee name set successfully
@@ -66,7 +56,131 @@ router.get('/employees', isAuthenticated, usersController.getEmployees.bind(user
  *       500:
  *         description: Server error
  */
-router.post('/me/employee-name', isAuthenticated, usersController.setEmployeeName.bind(usersController));
+router.post('/me/employee-name', isAuthenticated, validate(schemas.setEmployeeName), usersController.setEmployeeName.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/me/locale:
+ *   put:
+ *     summary: Set the language of the current user's emails
+ *     tags: [Users]
+ *     description: Notification emails are sent in this language. null uses the default (EMAIL_DEFAULT_LOCALE).
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Locale saved
+ *       400:
+ *         description: Unsupported locale
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.put('/me/locale', isAuthenticated, validate(schemas.setLocale), usersController.setLocale.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/me/notifications:
+ *   get:
+ *     summary: Get notification preferences for current user
+ *     tags: [Users]
+ *     description: Which notification emails the user receives. Every category is enabled until turned off.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification preferences
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ *   put:
+ *     summary: Update notification preferences for current user
+ *     tags: [Users]
+ *     description: Turn notification categories on or off. Categories not sent keep their current value.
+ *     security:
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Preferences saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 preferences:
+ *                   $ref: '#/components/schemas/NotificationPreferences'
+ *       400:
+ *         description: Unknown category or non-boolean value
+ *       401:
+ *         description: Not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/me/notifications', isAuthenticated, usersController.getMyNotifications.bind(usersController));
+router.put('/me/notifications', isAuthenticated, validate(schemas.updateMyNotifications), usersController.updateMyNotifications.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/unsubscribe:
+ *   get:
+ *     summary: Unsubscribe from a notification category
+ *     tags: [Users]
+ *     description: Target of the unsubscribe link in notification emails. Works without logging in; the signed token identifies the user and category. Only asks for confirmation (the page's button POSTs the token), so link scanners can't unsubscribe anyone.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page asking to confirm
+ *       400:
+ *         description: Invalid token (HTML page)
+ *       500:
+ *         description: Server error
+ *   post:
+ *     summary: Confirm unsubscribing, or one-click unsubscribe (RFC 8058)
+ *     tags: [Users]
+ *     description: Sent by the confirmation page (answered with an HTML page) or by mail clients from the List-Unsubscribe header (answered with JSON). Works without logging in.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Unsubscribed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 category:
+ *                   type: string
+ *       400:
+ *         description: Invalid token
+ *       500:
+ *         description: Server error
+ */
+router.get('/unsubscribe', usersController.unsubscribe.bind(usersController));
+router.post('/unsubscribe', usersController.unsubscribe.bind(usersController));
 
 /**
  * @swagger
@@ -105,24 +219,6 @@ router.get('/employees/names', isAuthenticated, usersController.getEmployeeNames
  *     description: Create a new user account (admin functionality)
  *     security:
  *       - cookieAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - email
- *               - password
- *             properties:
- *               email:
- *                 type: string
- *                 format: email
- *               password:
- *                 type: string
- *                 format: password
- *               is_admin:
- *                 type: boolean
  *     responses:
  *       200:
  *         description: User created successfully
@@ -159,7 +255,129 @@ router.get('/employees/names', isAuthenticated, usersController.getEmployeeNames
  *       500:
  *         description: Server error
  */
-router.post('/', isAdmin, usersController.createUser.bind(usersController));
-router.get('/', isAdmin, usersController.getAllUsers.bind(usersController));
+router.post('/', requirePermission('users:manage'), validate(schemas.createUser), usersController.createUser.bind(usersController));
+router.get('/', requirePermission('users:manage'), usersController.getAllUsers.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/roles:
+ *   get:
+ *     summary: Get assignable roles and their permissions (Admin only)
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: Roles and permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 roles:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Role'
+ *                 permissions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       name:
+ *                         type: string
+ *                         example: weeks:lock
+ *                       description:
+ *                         type: string
+ */
+router.get('/roles', requirePermission('users:manage'), usersController.getRoles.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/{id}/roles:
+ *   get:
+ *     summary: Get a user's roles (Admin only)
+ *     tags: [Users]
+ *     responses:
+ *       200:
+ *         description: The user's roles and the permissions they grant
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserRoles'
+ *       404:
+ *         description: User not found
+ *   put:
+ *     summary: Replace a user's roles (Admin only)
+ *     tags: [Users]
+ *     description: Applies from the user's next request; tokens issued before the change carry the old roles but are checked against the current ones.
+ *     responses:
+ *       200:
+ *         description: Roles saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserRoles'
+ *       400:
+ *         description: Invalid roles, or removing the admin role from your own account (CANNOT_REMOVE_OWN_ADMIN)
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/roles', requirePermission('users:manage'), validate(schemas.getUserRoles), usersController.getUserRoles.bind(usersController));
+router.put('/:id/roles', requirePermission('users:manage'), validate(schemas.setUserRoles), usersController.setUserRoles.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   post:
+ *     summary: Disable a user account (Admin only)
+ *     tags: [Users]
+ *     description: Takes effect on the user's next request. Signs the user out of every session, withdraws the meals they offered that nobody claimed, rejects their pending unlock requests and cancels pending invitations to their email.
+ *     responses:
+ *       200:
+ *         description: Account disabled, with what was undone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 sessions:
+ *                   type: integer
+ *                 transfers:
+ *                   type: integer
+ *                 unlock_requests:
+ *                   type: integer
+ *                 invitations:
+ *                   type: integer
+ *       400:
+ *         description: Deactivating your own account (CANNOT_DEACTIVATE_SELF)
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account already disabled (USER_ALREADY_DEACTIVATED)
+ */
+router.post('/:id/deactivate', requirePermission('users:manage'), validate(schemas.deactivateUser), usersController.deactivateUser.bind(usersController));
+
+/**
+ * @swagger
+ * /api/users/{id}/reactivate:
+ *   post:
+ *     summary: Re-enable a disabled user account (Admin only)
+ *     tags: [Users]
+ *     description: The user signs in again with their existing password.
+ *     responses:
+ *       200:
+ *         description: Account enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Success'
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Account was not disabled by an admin (USER_NOT_DEACTIVATED)
+ */
+router.post('/:id/reactivate', requirePermission('users:manage'), validate(schemas.reactivateUser), usersController.reactivateUser.bind(usersController));
 
 module.exports = router;
@@ -0,0 +1,202 @@
+/**
+ * Admin Request Schemas
+ */
+
+const { LOCALES } = require('../utils/i18n');
+const { weekStartDate, day, id, email, locale, nonEmptyString, flag, pagination, weekParams, idParams } = require('./common');
+
+const OUTBOX_STATUSES = ['queued', 'sent', 'failed', 'bounced'];
+const REMINDER_STATUSES = ['queued', 'unsubscribed'];
+const LOGIN_AUDIT_EVENTS = ['lockout', 'success_after_failures', 'lockout_cleared'];
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+const weekDayParams = {
+  type: 'object',
+  required: ['weekStartDate', 'day'],
+  properties: { weekStartDate, day }
+};
+
+const weekUserParams = {
+  type: 'object',
+  required: ['weekStartDate', 'userId'],
+  properties: { weekStartDate, userId: id }
+};
+
+// Which fields a rule needs depends on its mode; cutoffService.validateRule checks the combination
+const cutoffRule = {
+  body: {
+    type: 'object',
+    required: ['mode', 'time'],
+    properties: {
+      mode: { type: 'string', enum: ['week', 'day'], description: 'One deadline for the whole week, or one per day' },
+      time: { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: 'HH:MM (24h, server local time)', example: '12:00' },
+      day: { type: 'string', description: 'week mode: day of the previous week the deadline falls on', example: 'thursday' },
+      days_before: { type: 'integer', minimum: 0, maximum: 7, description: 'day mode: how many days before each day it closes (default 0)' }
+    }
+  }
+};
+
+const importProfileProperties = {
+  name: { ...nonEmptyString, example: 'caterer-2025' },
+  sheet_name: { type: 'string', nullable: true, description: 'Sheet to read (null = first sheet)', example: 'Sheet1' },
+  header_row: { type: 'integer', minimum: 0, description: 'Number of leading header rows to skip', example: 1 },
+  day_columns: {
+    type: 'object',
+    description: 'Zero-based column index per day (column A = 0)',
+    required: DAYS,
+    properties: Object.fromEntries(DAYS.map(dayName => [dayName, { type: 'integer', minimum: 0 }])),
+    example: { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5 }
+  },
+  category_patterns: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string' },
+    description: 'Regular expressions that identify category rows ("Meniu" or "/^salat/i")',
+    example: ['Meniu', 'Special', 'Salat', 'Extra']
+  },
+  is_default: { type: 'boolean', description: 'Used when the upload does not name a profile' }
+};
+
+const createImportProfile = {
+  body: {
+    type: 'object',
+    required: ['name', 'day_columns', 'category_patterns'],
+    properties: importProfileProperties
+  }
+};
+
+// Fields not sent keep their current value
+const updateImportProfile = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: importProfileProperties
+  }
+};
+
+const grantUserUnlock = {
+  params: weekUserParams,
+  body: {
+    type: 'object',
+    properties: {
+      day: { ...day, nullable: true, description: 'Only let the user through this day\'s lock (whole week when omitted)' },
+      expires_in_minutes: { type: 'integer', nullable: true, minimum: 1, description: 'The override expires after this many minutes (never when omitted)' }
+    }
+  }
+};
+
+const revokeUserUnlock = {
+  params: weekUserParams,
+  body: {
+    type: 'object',
+    properties: {
+      day: { ...day, nullable: true, description: 'Only revoke this day\'s override (all of the user\'s overrides when omitted)' }
+    }
+  }
+};
+
+const getUnlockOverrides = {
+  params: weekParams,
+  query: {
+    type: 'object',
+    properties: {
+      include_expired: { ...flag, description: 'Also list expired overrides' }
+    }
+  }
+};
+
+const testEmail = {
+  body: {
+    type: 'object',
+    required: ['to'],
+    properties: {
+      to: { ...email, description: 'Recipient email address', example: 'test@devhub.tech' },
+      locale: { ...locale, description: 'Language of the test email (defaults to EMAIL_DEFAULT_LOCALE)' }
+    }
+  }
+};
+
+const notifyUsers = {
+  body: {
+    type: 'object',
+    required: ['weekStartDate'],
+    properties: {
+      weekStartDate,
+      message: { type: 'string', description: 'Optional custom message' }
+    }
+  }
+};
+
+const getOutboxEmails = {
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: OUTBOX_STATUSES },
+      kind: { type: 'string', description: 'Email kind (template name)' },
+      to: { type: 'string', description: 'Recipient (partial match)' },
+      ...pagination
+    }
+  }
+};
+
+const getOrderReminders = {
+  query: {
+    type: 'object',
+    properties: {
+      week: { ...weekStartDate, description: 'Week start date' },
+      userId: id,
+      status: { type: 'string', enum: REMINDER_STATUSES },
+      ...pagination
+    }
+  }
+};
+
+const getLoginAudit = {
+  query: {
+    type: 'object',
+    properties: {
+      event: { type: 'string', enum: LOGIN_AUDIT_EVENTS },
+      email: { type: 'string', description: 'Email tried (partial match)' },
+      ip: { type: 'string', description: 'IP address' },
+      ...pagination
+    }
+  }
+};
+
+const previewEmailTemplate = {
+  params: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { ...nonEmptyString, example: 'meal_options' }
+    }
+  },
+  query: {
+    type: 'object',
+    properties: {
+      locale: { type: 'string', enum: LOCALES, description: 'Defaults to EMAIL_DEFAULT_LOCALE' },
+      format: { type: 'string', enum: ['json', 'html', 'text'], description: 'json returns { subject, html, text } (default)' }
+    }
+  }
+};
+
+module.exports = {
+  weekParams: { params: weekParams },
+  weekDayParams: { params: weekDayParams },
+  grantUserUnlock,
+  revokeUserUnlock,
+  getUnlockOverrides,
+  saveDefaultCutoffRule: cutoffRule,
+  saveWeekCutoffRule: { params: weekParams, body: cutoffRule.body },
+  createImportProfile,
+  updateImportProfile,
+  deleteImportProfile: { params: idParams },
+  testEmail,
+  notifyUsers,
+  getOutboxEmails,
+  emailParams: { params: idParams },
+  getOrderReminders,
+  loginLockoutParams: { params: idParams },
+  getLoginAudit,
+  previewEmailTemplate
+};
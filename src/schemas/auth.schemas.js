@@ -0,0 +1,92 @@
+/**
+ * Authentication Request Schemas
+ */
+
+const { email, password, nonEmptyString } = require('./common');
+
+const refreshToken = { ...nonEmptyString, description: 'Refresh token returned by login or the previous refresh' };
+
+const credentials = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email,
+    password: { ...password, example: 'password123' }
+  }
+};
+
+const login = {
+  body: credentials
+};
+
+const register = {
+  body: credentials
+};
+
+const refresh = {
+  body: {
+    type: 'object',
+    required: ['refresh_token'],
+    properties: { refresh_token: refreshToken }
+  }
+};
+
+const logout = {
+  body: {
+    type: 'object',
+    properties: {
+      refresh_token: { ...refreshToken, description: 'Signs out this session when no access token or session cookie is sent' }
+    }
+  }
+};
+
+const forgotPassword = {
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: { email }
+  }
+};
+
+const resetPassword = {
+  body: {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: {
+      token: { ...nonEmptyString, description: 'Token from the reset link' },
+      password: { ...password, description: 'New password (same strength rules as registration)' }
+    }
+  }
+};
+
+const changePassword = {
+  body: {
+    type: 'object',
+    required: ['current_password', 'new_password'],
+    properties: {
+      current_password: password,
+      new_password: { ...password, description: 'Same strength rules as registration' }
+    }
+  }
+};
+
+const revokeSession = {
+  params: {
+    type: 'object',
+    required: ['id'],
+    properties: {
+      id: { type: 'string', format: 'uuid', description: 'Session ID (from GET /api/auth/sessions)' }
+    }
+  }
+};
+
+module.exports = {
+  login,
+  register,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  revokeSession
+};
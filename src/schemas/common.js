@@ -0,0 +1,70 @@
+/**
+ * Common Request Schema Fragments
+ * Building blocks shared by the per-route request schemas (OpenAPI 3.0 flavoured JSON Schema)
+ */
+
+const { LOCALES } = require('../utils/i18n');
+
+const date = { type: 'string', format: 'date', example: '2025-10-13' };
+
+const weekStartDate = { ...date, description: 'Week start date (Monday, YYYY-MM-DD)' };
+
+const day = {
+  type: 'string',
+  format: 'day',
+  description: 'Day of the week: monday, tuesday, wednesday, thursday or friday',
+  example: 'monday'
+};
+
+const id = { type: 'integer', minimum: 1 };
+
+const email = { type: 'string', format: 'email', example: 'john.doe@devhub.tech' };
+
+const password = { type: 'string', format: 'password', minLength: 1 };
+
+const locale = { type: 'string', nullable: true, enum: [...LOCALES, null], example: 'en' };
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+const flag = { type: 'string', enum: ['true', 'false'] };
+
+const pagination = {
+  limit: { type: 'integer', minimum: 1, description: 'Page size (default 50, at most 200)' },
+  offset: { type: 'integer', minimum: 0, description: 'Rows to skip (default 0)' }
+};
+
+// ?week=YYYY-MM-DD, defaulting to the latest week with meal options
+const weekQuery = {
+  type: 'object',
+  properties: {
+    week: { ...date, description: 'Week start date (defaults to the latest week)' }
+  }
+};
+
+const weekParams = {
+  type: 'object',
+  required: ['weekStartDate'],
+  properties: { weekStartDate }
+};
+
+const idParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id }
+};
+
+module.exports = {
+  date,
+  weekStartDate,
+  day,
+  id,
+  email,
+  password,
+  locale,
+  nonEmptyString,
+  flag,
+  pagination,
+  weekQuery,
+  weekParams,
+  idParams
+};
@@ -0,0 +1,32 @@
+/**
+ * Feedback Request Schemas
+ */
+
+const { nonEmptyString, idParams } = require('./common');
+
+const submitFeedback = {
+  body: {
+    type: 'object',
+    required: ['subject', 'message'],
+    properties: {
+      subject: nonEmptyString,
+      message: nonEmptyString
+    }
+  }
+};
+
+const updateFeedbackStatus = {
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { ...nonEmptyString, example: 'resolved' }
+    }
+  }
+};
+
+module.exports = {
+  submitFeedback,
+  updateFeedbackStatus
+};
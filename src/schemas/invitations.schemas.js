@@ -0,0 +1,49 @@
+/**
+ * Invitations Request Schemas
+ */
+
+const { email, password, locale, nonEmptyString, idParams } = require('./common');
+
+const sendInvitation = {
+  body: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { ...email, example: 'user@devhub.tech' },
+      is_admin: { type: 'boolean', example: false },
+      locale: { ...locale, description: 'Language of the invitation email (defaults to EMAIL_DEFAULT_LOCALE)' }
+    }
+  }
+};
+
+const validateInvitation = {
+  params: {
+    type: 'object',
+    required: ['token'],
+    properties: {
+      token: nonEmptyString
+    }
+  }
+};
+
+const acceptInvitation = {
+  body: {
+    type: 'object',
+    required: ['token', 'password'],
+    properties: {
+      token: nonEmptyString,
+      password
+    }
+  }
+};
+
+const cancelInvitation = {
+  params: idParams
+};
+
+module.exports = {
+  sendInvitation,
+  validateInvitation,
+  acceptInvitation,
+  cancelInvitation
+};
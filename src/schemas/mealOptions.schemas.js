@@ -0,0 +1,66 @@
+/**
+ * Meal Options Request Schemas
+ */
+
+const { day, flag, nonEmptyString, weekQuery, idParams } = require('./common');
+
+// The file (multipart) or JSON payload itself is checked by the parsers; only the options are validated here
+const uploadMealOptions = {
+  query: {
+    type: 'object',
+    properties: {
+      profile: { ...nonEmptyString, description: 'Import profile name or ID (defaults to the default profile)' },
+      dryRun: {
+        ...flag,
+        description: 'Parse and preview the upload (categories per day, warnings, diff against the week\'s current options, affected selections) without saving or emailing'
+      },
+      replace: {
+        ...flag,
+        description: 'Upload a new revision for a week that already has options (otherwise rejected)'
+      },
+      notify: {
+        type: 'string',
+        enum: ['all', 'affected', 'none'],
+        description: 'Who gets emailed. Defaults to all users for a new week and nobody for a revision; "affected" emails only users whose selections lost an item'
+      }
+    }
+  }
+};
+
+const getMealOptions = {
+  query: weekQuery
+};
+
+const getMealOptionItems = {
+  query: {
+    type: 'object',
+    properties: {
+      ...weekQuery.properties,
+      day: { ...day, description: 'Only return items for this day' },
+      category: { type: 'string', description: 'Only return items for this category' }
+    }
+  }
+};
+
+const getMealOptionRevisions = {
+  query: weekQuery
+};
+
+const updateMealOptionItem = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      price: { type: 'number', nullable: true, minimum: 0, example: 25.5 },
+      allergens: { type: 'array', nullable: true, items: { type: 'string' }, example: ['gluten', 'lactoza'] }
+    }
+  }
+};
+
+module.exports = {
+  uploadMealOptions,
+  getMealOptions,
+  getMealOptionItems,
+  getMealOptionRevisions,
+  updateMealOptionItem
+};
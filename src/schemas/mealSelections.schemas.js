@@ -0,0 +1,89 @@
+/**
+ * Meal Selections Request Schemas
+ */
+
+const { date, weekStartDate, day, id, pagination, weekQuery, idParams } = require('./common');
+
+// A day's picks: meal option item IDs, or the legacy ' | '-joined names
+const daySelection = {
+  anyOf: [
+    { type: 'array', items: { type: 'integer' }, description: 'Meal option item IDs' },
+    { type: 'string', nullable: true, description: "Legacy ' | '-joined dish or category names" }
+  ]
+};
+
+const saveMealSelection = {
+  body: {
+    type: 'object',
+    required: ['week_start_date'],
+    properties: {
+      week_start_date: weekStartDate,
+      monday: daySelection,
+      tuesday: daySelection,
+      wednesday: daySelection,
+      thursday: daySelection,
+      friday: daySelection
+    }
+  }
+};
+
+const lockMySelection = {
+  body: {
+    type: 'object',
+    required: ['week_start_date'],
+    properties: {
+      week_start_date: weekStartDate,
+      day: { ...day, description: 'Lock only this day (whole week when omitted)' }
+    }
+  }
+};
+
+const unlockMySelection = {
+  body: {
+    type: 'object',
+    required: ['week_start_date'],
+    properties: {
+      week_start_date: weekStartDate,
+      day: { ...day, description: 'Request unlocking only this day (whole week when omitted)' },
+      reason: { type: 'string', nullable: true, maxLength: 500, description: 'Shown to the admin' }
+    }
+  }
+};
+
+const getUnlockRequestHistory = {
+  query: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['pending', 'approved', 'rejected'] },
+      week: { ...date, description: 'Week start date' },
+      user_id: { ...id, description: 'Requesting user' },
+      processed_by: { ...id, description: 'Admin who processed the request' },
+      from: { ...date, description: 'Requested on or after this date' },
+      to: { ...date, description: 'Requested on or before this date' },
+      ...pagination
+    }
+  }
+};
+
+const processUnlockRequest = {
+  params: idParams,
+  body: {
+    type: 'object',
+    properties: {
+      comment: { type: 'string', nullable: true, maxLength: 1000, description: 'Included in the email to the requester' }
+    }
+  }
+};
+
+module.exports = {
+  saveMealSelection,
+  getMyMealSelection: { query: weekQuery },
+  getAllMealSelections: { query: weekQuery },
+  getStatistics: { query: weekQuery },
+  exportStatistics: { query: weekQuery },
+  exportMealSelections: { query: weekQuery },
+  lockMySelection,
+  unlockMySelection,
+  getUnlockRequestHistory,
+  processUnlockRequest
+};
@@ -0,0 +1,52 @@
+/**
+ * Meal Transfers Request Schemas
+ */
+
+const { weekStartDate, day, id, nonEmptyString } = require('./common');
+
+const weekDayQuery = {
+  type: 'object',
+  required: ['weekStartDate', 'dayOfWeek'],
+  properties: {
+    weekStartDate,
+    dayOfWeek: day
+  }
+};
+
+const weekOnlyQuery = {
+  type: 'object',
+  required: ['weekStartDate'],
+  properties: { weekStartDate }
+};
+
+const transferParams = {
+  type: 'object',
+  required: ['transferId'],
+  properties: {
+    transferId: id
+  }
+};
+
+const createMealTransfer = {
+  body: {
+    type: 'object',
+    required: ['weekStartDate', 'dayOfWeek', 'mealDetails'],
+    properties: {
+      weekStartDate,
+      dayOfWeek: day,
+      mealDetails: { ...nonEmptyString, description: 'The dishes being passed on' }
+    }
+  }
+};
+
+module.exports = {
+  weekDayQuery,
+  weekOnlyQuery,
+  createMealTransfer,
+  checkMealTransfer: { query: weekDayQuery },
+  getClaimedMealTransfers: { query: weekOnlyQuery },
+  getAvailableMealTransfers: { query: weekOnlyQuery },
+  claimMealTransfer: { params: transferParams },
+  unclaimMealTransfer: { params: transferParams },
+  cancelMealTransfer: { params: transferParams }
+};
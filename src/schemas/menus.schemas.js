@@ -0,0 +1,37 @@
+/**
+ * Menu Copies Request Schemas
+ */
+
+const { weekStartDate, day, id, nonEmptyString, weekParams } = require('./common');
+const { weekDayQuery } = require('./mealTransfers.schemas');
+
+const copyUserMenu = {
+  body: {
+    type: 'object',
+    required: ['copiedFromUserId', 'weekStartDate', 'dayOfWeek', 'menuDetails'],
+    properties: {
+      copiedFromUserId: { ...id, description: 'User whose menu is copied' },
+      weekStartDate,
+      dayOfWeek: day,
+      menuDetails: { ...nonEmptyString, description: 'The copied dishes' }
+    }
+  }
+};
+
+const getMenuCopiesForUser = {
+  params: {
+    type: 'object',
+    required: ['userId'],
+    properties: {
+      userId: id
+    }
+  },
+  query: weekDayQuery
+};
+
+module.exports = {
+  copyUserMenu,
+  getMenuCopies: { query: weekDayQuery },
+  getMenuCopiesForUser,
+  getAllUserMenus: { params: weekParams }
+};
@@ -0,0 +1,69 @@
+/**
+ * Organizations Request Schemas
+ */
+
+const { id, nonEmptyString, idParams } = require('./common');
+
+const domain = {
+  type: 'string',
+  pattern: '^@?[A-Za-z0-9-]+(\\.[A-Za-z0-9-]+)*\\.[A-Za-z]{2,}$',
+  description: 'Email domain, with or without a leading "@"',
+  example: 'devhub.tech'
+};
+
+const organizationName = { ...nonEmptyString, maxLength: 100, example: 'DevHub' };
+
+const domainBody = {
+  type: 'object',
+  required: ['domain'],
+  properties: { domain }
+};
+
+const createOrganization = {
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: organizationName,
+      domains: { type: 'array', items: domain, uniqueItems: true, description: 'Email domains that sign up to the organization' }
+    }
+  }
+};
+
+const updateOrganization = {
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: organizationName }
+  }
+};
+
+const removeCurrentOrganizationDomain = {
+  params: {
+    type: 'object',
+    required: ['domainId'],
+    properties: { domainId: id }
+  }
+};
+
+const addOrganizationDomain = {
+  params: idParams,
+  body: domainBody
+};
+
+const removeOrganizationDomain = {
+  params: {
+    type: 'object',
+    required: ['id', 'domainId'],
+    properties: { id, domainId: id }
+  }
+};
+
+module.exports = {
+  createOrganization,
+  updateOrganization,
+  removeCurrentOrganizationDomain,
+  addOrganizationDomain,
+  removeOrganizationDomain
+};
@@ -0,0 +1,45 @@
+/**
+ * Meal Reviews Request Schemas
+ */
+
+const { weekStartDate, day, nonEmptyString } = require('./common');
+
+const mealName = { ...nonEmptyString, description: 'Dish name' };
+
+const mealQuery = {
+  type: 'object',
+  required: ['mealName', 'weekStartDate', 'dayOfWeek'],
+  properties: {
+    mealName,
+    weekStartDate,
+    dayOfWeek: day
+  }
+};
+
+const mealNameQuery = {
+  type: 'object',
+  required: ['mealName'],
+  properties: { mealName }
+};
+
+const saveMealReview = {
+  body: {
+    type: 'object',
+    required: ['mealName', 'weekStartDate', 'dayOfWeek'],
+    properties: {
+      mealName,
+      reviewText: { type: 'string', nullable: true, description: 'At most 500 words' },
+      rating: { type: 'integer', nullable: true, minimum: 1, maximum: 5 },
+      weekStartDate,
+      dayOfWeek: day
+    }
+  }
+};
+
+module.exports = {
+  saveMealReview,
+  getMyReview: { query: mealQuery },
+  getMealReviews: { query: mealQuery },
+  getRecentReviews: { query: mealNameQuery },
+  getPrioritizedReviews: { query: mealNameQuery }
+};
@@ -0,0 +1,30 @@
+/**
+ * Search Request Schemas
+ */
+
+const { weekStartDate, nonEmptyString } = require('./common');
+
+const getMeals = {
+  query: {
+    type: 'object',
+    required: ['week'],
+    properties: {
+      week: weekStartDate
+    }
+  }
+};
+
+const searchByName = {
+  query: {
+    type: 'object',
+    required: ['name'],
+    properties: {
+      name: { ...nonEmptyString, description: 'Colleague name (or part of it)', example: 'John' }
+    }
+  }
+};
+
+module.exports = {
+  getMeals,
+  searchByName
+};
@@ -0,0 +1,92 @@
+/**
+ * Users Request Schemas
+ */
+
+const notificationPreferencesService = require('../services/notificationPreferences.service');
+const { ROLE_NAMES } = require('../config/roles');
+const { email, password, locale, nonEmptyString, idParams } = require('./common');
+
+const roles = {
+  type: 'array',
+  uniqueItems: true,
+  items: { type: 'string', enum: ROLE_NAMES },
+  description: 'Assigned roles (admin grants every permission; see GET /api/users/roles)',
+  example: ['kitchen_manager']
+};
+
+const setEmployeeName = {
+  body: {
+    type: 'object',
+    required: ['employee_name'],
+    properties: {
+      employee_name: { ...nonEmptyString, description: 'Name as it appears in the current menu', example: 'John Doe' }
+    }
+  }
+};
+
+const setLocale = {
+  body: {
+    type: 'object',
+    properties: {
+      locale: { ...locale, description: 'Language of emails and error messages (null = default)' }
+    }
+  }
+};
+
+const updateMyNotifications = {
+  body: {
+    type: 'object',
+    description: 'Categories to turn on (true) or off (false); categories not sent keep their current value',
+    minProperties: 1,
+    additionalProperties: false,
+    properties: Object.fromEntries(notificationPreferencesService.categories.map(category => [
+      category,
+      { type: 'boolean', description: notificationPreferencesService.describe(category) }
+    ]))
+  }
+};
+
+const createUser = {
+  body: {
+    type: 'object',
+    required: ['email', 'password'],
+    properties: {
+      email,
+      password,
+      is_admin: { type: 'boolean', description: 'Same as including admin in roles' },
+      roles
+    }
+  }
+};
+
+const getUserRoles = {
+  params: idParams
+};
+
+const deactivateUser = {
+  params: idParams
+};
+
+const reactivateUser = {
+  params: idParams
+};
+
+const setUserRoles = {
+  params: idParams,
+  body: {
+    type: 'object',
+    required: ['roles'],
+    properties: { roles }
+  }
+};
+
+module.exports = {
+  setEmployeeName,
+  setLocale,
+  updateMyNotifications,
+  createUser,
+  getUserRoles,
+  setUserRoles,
+  deactivateUser,
+  reactivateUser
+};
@@ -3,22 +3,19 @@ const express = require('express');
 const session = require('express-session');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
-const swaggerSpec = require('./config/swagger');
+const { buildSpec } = require('./config/swagger');
 const databaseService = require('./services/database.service');
 const emailService = require('./config/email');
+const cutoffService = require('./services/cutoff.service');
+const unlockRequestsService = require('./services/unlockRequests.service');
+const emailOutboxService = require('./services/emailOutbox.service');
+const orderRemindersService = require('./services/orderReminders.service');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { localize } = require('./middleware/locale');
+const { requestId } = require('./middleware/requestId');
 
 // Import routes
-const authRoutes = require('./routes/auth.routes');
-const usersRoutes = require('./routes/users.routes');
-const mealOptionsRoutes = require('./routes/mealOptions.routes');
-const mealSelectionsRoutes = require('./routes/mealSelections.routes');
-const reviewsRoutes = require('./routes/reviews.routes');
-const searchRoutes = require('./routes/search.routes');
-const adminRoutes = require('./routes/admin.routes');
-const invitationsRoutes = require('./routes/invitations.routes');
-const mealTransfersRoutes = require('./routes/mealTransfers.routes');
-const menusRoutes = require('./routes/menus.routes');
+const { apiRoutes } = require('./routes');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -31,6 +28,18 @@ async function initializeApp() {
     // Initialize database
     await databaseService.initialize();
 
+    // Lock weeks automatically once their ordering cutoff passes
+    cutoffService.startScheduler();
+
+    // Email admins a digest of new unlock requests
+    unlockRequestsService.startScheduler();
+
+    // Deliver queued emails in the background
+    emailOutboxService.startWorker();
+
+    // Remind users who haven't ordered yet before the cutoff
+    orderRemindersService.startScheduler();
+
     // Test email configuration (non-blocking - don't wait for it)
     emailService.testConfig().then(emailConfigured => {
       if (!emailConfigured) {
@@ -64,11 +73,24 @@ app.use(cors({
   origin: true, // Allow all origins for testing
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie'],
-  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Set-Cookie'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Cookie', 'Accept-Language', 'X-Request-Id'],
+  exposedHeaders: ['Content-Range', 'X-Content-Range', 'Set-Cookie', 'Content-Language', 'X-Request-Id'],
   maxAge: 600 // Cache preflight requests for 10 minutes
 }));
 
+// Behind a reverse proxy, take the client address from X-Forwarded-For (login throttling
+// counts failures per address): TRUST_PROXY=1 trusts one proxy hop, see Express "trust proxy"
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
+// Request IDs for error responses and logs
+app.use(requestId);
+
+// Error messages in the language of the request (Accept-Language or the user's saved locale)
+app.use(localize);
+
 // Body parsing
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -88,7 +110,10 @@ app.use(session({
 
 /**
  * API Documentation
+ * Generated from the registered routes and their validation schemas
  */
+const swaggerSpec = buildSpec(apiRoutes);
+
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec, {
   customCss: '.swagger-ui .topbar { display: none }',
   customSiteTitle: 'Food Search API Documentation',
@@ -145,17 +170,7 @@ app.get('/', (req, res) => {
 /**
  * API Routes
  */
-app.use('/api/auth', authRoutes);
-app.use('/api/users', usersRoutes);
-app.use('/api/meal-options', mealOptionsRoutes);
-app.use('/api/meal-selections', mealSelectionsRoutes);
-app.use('/api/reviews', reviewsRoutes);
-app.use('/api/search', searchRoutes);
-app.use('/api/admin', adminRoutes);
-app.use('/api/invitations', invitationsRoutes);
-app.use('/api/feedback', require('./routes/feedback.routes'));
-app.use('/api/meal-transfers', mealTransfersRoutes);
-app.use('/api/menus', menusRoutes);
+apiRoutes.forEach(({ path, router }) => app.use(path, router));
 
 /**
  * Error Handling
@@ -0,0 +1,122 @@
+/**
+ * Accounts Service
+ * Disables and re-enables user accounts, and gives the auth middleware each user's
+ * current status and roles so a deactivation or demotion applies to the very next
+ * request instead of when the user's token expires.
+ *
+ * Statuses are cached per user for a few seconds (ACCOUNT_STATUS_CACHE_MS) to spare a
+ * lookup on every request; changes made through this API clear the cache right away.
+ */
+
+const databaseService = require('./database.service');
+const authSessionsService = require('./authSessions.service');
+const { ConflictError, NotFoundError, ValidationError } = require('../utils/errors');
+const { translateText } = require('../utils/i18n');
+
+class AccountsService {
+  constructor() {
+    this.cache = new Map();
+    this.cacheTtlMs = parseInt(process.env.ACCOUNT_STATUS_CACHE_MS || '30000');
+  }
+
+  /**
+   * Get a user's current status
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} { is_active, is_admin, roles, organization_id }, or null if the user no longer exists
+   */
+  async getStatus(userId) {
+    const cached = this.cache.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.status;
+    }
+
+    const user = await databaseService.getUserById(userId);
+    const status = user
+      ? {
+        is_active: user.is_active === 1,
+        is_admin: Boolean(user.is_admin),
+        roles: await databaseService.getUserRoles(userId),
+        organization_id: user.organization_id
+      }
+      : null;
+
+    this.cache.set(userId, { status, expiresAt: Date.now() + this.cacheTtlMs });
+    return status;
+  }
+
+  /**
+   * Forget a user's cached status (after changing their account or roles)
+   * @param {number} userId - User ID
+   */
+  invalidate(userId) {
+    this.cache.delete(userId);
+  }
+
+  /**
+   * Disable an account
+   * Signs the user out everywhere, withdraws the meals they offered that nobody claimed,
+   * rejects their pending unlock requests and cancels pending invitations to their email.
+   * @param {number} organizationId - Organization of the admin (the user must belong to it)
+   * @param {number} userId - User to disable
+   * @param {number} adminId - Admin disabling the account
+   * @returns {Promise<Object>} What was undone: { sessions, transfers, unlock_requests, invitations }
+   */
+  async deactivate(organizationId, userId, adminId) {
+    if (userId === adminId) {
+      throw new ValidationError('CANNOT_DEACTIVATE_SELF');
+    }
+
+    const user = await databaseService.getOrganizationUser(organizationId, userId);
+    if (!user) {
+      throw new NotFoundError('USER_NOT_FOUND');
+    }
+    if (!user.is_active) {
+      throw new ConflictError('USER_ALREADY_DEACTIVATED');
+    }
+
+    await databaseService.deactivateUser(userId, adminId);
+    this.invalidate(userId);
+
+    const sessions = await authSessionsService.revokeOtherSessions(userId);
+
+    const transfers = await databaseService.getOpenMealTransfersFromUser(userId);
+    for (const transfer of transfers) {
+      await databaseService.cancelMealTransfer(transfer.id, userId);
+    }
+
+    // The rejection comment is shown to the user, in their language
+    const unlockRequests = await databaseService.rejectPendingUnlockRequests(
+      userId, adminId, translateText(user.locale, 'unlock_requests.account_deactivated')
+    );
+    const invitations = await databaseService.cancelPendingInvitationsForEmail(user.email);
+
+    console.log(`✓ User ${user.email} deactivated:`, {
+      sessions, transfers: transfers.length, unlockRequests, invitations
+    });
+
+    return { sessions, transfers: transfers.length, unlock_requests: unlockRequests, invitations };
+  }
+
+  /**
+   * Re-enable an account disabled with deactivate()
+   * The user signs in again; withdrawn transfers and rejected requests stay as they are.
+   * @param {number} organizationId - Organization of the admin (the user must belong to it)
+   * @param {number} userId - User ID
+   */
+  async reactivate(organizationId, userId) {
+    const user = await databaseService.getOrganizationUser(organizationId, userId);
+    if (!user) {
+      throw new NotFoundError('USER_NOT_FOUND');
+    }
+    // Inactive placeholders of imported employee names are activated by registering instead
+    if (user.is_active || !user.deactivated_at) {
+      throw new ConflictError('USER_NOT_DEACTIVATED');
+    }
+
+    await databaseService.reactivateUser(userId);
+    this.invalidate(userId);
+    console.log(`✓ User ${user.email} reactivated`);
+  }
+}
+
+module.exports = new AccountsService();
@@ -0,0 +1,215 @@
+/**
+ * Auth Sessions Service
+ * Every login opens a session (one per device) that issues short-lived access tokens
+ * (JWT) and a refresh token stored server-side as a hash. Refreshing rotates the refresh
+ * token, so each one works once; presenting an already rotated token revokes the session
+ * in case it was stolen.
+ *
+ * Access tokens carry their session ID (`sid`), and the auth middleware rejects tokens
+ * whose session was revoked (logout, DELETE /api/auth/sessions) or has expired.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const databaseService = require('./database.service');
+const { AuthenticationError, NotFoundError } = require('../utils/errors');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'food-search-jwt-secret-2024-change-this-in-production';
+
+class AuthSessionsService {
+  constructor() {
+    this.accessTokenTtl = process.env.JWT_EXPIRES_IN || '15m';
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || '30');
+  }
+
+  /**
+   * Sign in a user on a new session
+   * @param {Object} user - User row
+   * @param {Object} req - Express request (user agent and IP of the device)
+   * @returns {Promise<Object>} { sessionId, token, refreshToken, expiresIn, payload }
+   */
+  async createSession(user, req) {
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    await databaseService.deleteExpiredAuthSessions();
+    await databaseService.createAuthSession({
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: this._hash(secret),
+      userAgent: req.get('User-Agent') || null,
+      ipAddress: req.ip || null,
+      expiresAt: this._refreshExpiry()
+    });
+
+    return await this._issue(user, sessionId, secret);
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token
+   * The user's roles and name are read again, so changes apply from the next refresh.
+   * @param {string} refreshToken - "<session ID>.<secret>"
+   * @param {Object} req - Express request
+   * @returns {Promise<Object>} { sessionId, token, refreshToken, expiresIn, payload }
+   */
+  async refresh(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken).split('.');
+    const session = sessionId && secret ? await databaseService.getAuthSession(sessionId) : null;
+
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+      throw new AuthenticationError('INVALID_REFRESH_TOKEN');
+    }
+
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+    const rotated = await databaseService.rotateAuthSession(sessionId, this._hash(secret), {
+      refreshTokenHash: this._hash(nextSecret),
+      userAgent: req.get('User-Agent') || null,
+      ipAddress: req.ip || null,
+      expiresAt: this._refreshExpiry()
+    });
+
+    if (!rotated) {
+      // The token was already exchanged: whoever holds the current one may not be the user
+      console.warn(`⚠️  Refresh token reused for session ${sessionId} (user ${session.user_id}), revoking it`);
+      await databaseService.revokeAuthSession(session.user_id, sessionId);
+      throw new AuthenticationError('INVALID_REFRESH_TOKEN');
+    }
+
+    const user = await databaseService.getUserById(session.user_id);
+    if (!user || !user.is_active) {
+      throw new AuthenticationError('INVALID_REFRESH_TOKEN');
+    }
+
+    return await this._issue(user, sessionId, nextSecret);
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT
+   * @returns {Object} Token payload
+   * @throws {Error} When the signature is invalid or the token expired
+   */
+  verifyAccessToken(token) {
+    return jwt.verify(token, JWT_SECRET);
+  }
+
+  /**
+   * Check that the session of an authenticated user is still active
+   * Tokens issued before sessions existed carry no session ID and are no longer accepted.
+   * @param {Object} user - Token payload or session user
+   * @returns {Promise<boolean>}
+   */
+  async isActive(user) {
+    return Boolean(user.sid) && await databaseService.isAuthSessionActive(user.sid);
+  }
+
+  /**
+   * List a user's active sessions
+   * @param {number} userId - User ID
+   * @param {string} currentSessionId - Session of the request, flagged as `current`
+   * @returns {Promise<Array>}
+   */
+  async listSessions(userId, currentSessionId) {
+    const sessions = await databaseService.getActiveAuthSessions(userId);
+    return sessions.map(session => ({ ...session, current: session.id === currentSessionId }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session ID
+   */
+  async revokeSession(userId, sessionId) {
+    const revoked = await databaseService.revokeAuthSession(userId, sessionId);
+    if (!revoked) {
+      throw new NotFoundError('SESSION_NOT_FOUND');
+    }
+  }
+
+  /**
+   * Revoke all of a user's sessions except the current one
+   * @param {number} userId - User ID
+   * @param {string|null} currentSessionId - Session to keep
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(userId, currentSessionId = null) {
+    return await databaseService.revokeAuthSessions(userId, currentSessionId);
+  }
+
+  /**
+   * Revoke the session a logout request belongs to, found from its access token (even an
+   * expired one), its refresh token or its session cookie
+   * @param {Object} req - Express request
+   * @returns {Promise<boolean>} Whether a session was revoked
+   */
+  async revokeRequestSession(req) {
+    const token = req.headers.authorization?.replace('Bearer ', '');
+    const refreshToken = req.body && req.body.refresh_token;
+    let owner = null;
+
+    if (token) {
+      try {
+        owner = jwt.verify(token, JWT_SECRET, { ignoreExpiration: true });
+      } catch (error) {
+        owner = null;
+      }
+    } else if (refreshToken) {
+      const [sessionId, secret] = String(refreshToken).split('.');
+      const session = sessionId && secret ? await databaseService.getAuthSession(sessionId) : null;
+      if (session && session.refresh_token_hash === this._hash(secret)) {
+        owner = { id: session.user_id, sid: session.id };
+      }
+    } else if (req.session && req.session.user) {
+      owner = req.session.user;
+    }
+
+    if (!owner || !owner.sid) {
+      return false;
+    }
+    return await databaseService.revokeAuthSession(owner.id, owner.sid);
+  }
+
+  /**
+   * Sign the access token of a session
+   * @private
+   */
+  async _issue(user, sessionId, secret) {
+    const payload = {
+      id: user.id,
+      email: user.email,
+      organization_id: user.organization_id,
+      is_admin: Boolean(user.is_admin),
+      roles: await databaseService.getUserRoles(user.id),
+      employee_name: user.employee_name,
+      sid: sessionId
+    };
+
+    const token = jwt.sign(payload, JWT_SECRET, { expiresIn: this.accessTokenTtl });
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+      sessionId,
+      token,
+      refreshToken: `${sessionId}.${secret}`,
+      expiresIn: exp - iat,
+      payload
+    };
+  }
+
+  /**
+   * Expiry of a refresh token issued now (refreshing slides it forward)
+   * @private
+   */
+  _refreshExpiry() {
+    return new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  /**
+   * @private
+   */
+  _hash(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+  }
+}
+
+module.exports = new AuthSessionsService();
@@ -0,0 +1,199 @@
+/**
+ * Cutoff Service
+ * Ordering deadlines: computes when each day of a week closes, tells which days a user
+ * can no longer change, and locks weeks automatically once their cutoff has passed.
+ * Every organization sets its own rules.
+ *
+ * Rules come in two modes (times are server local time, see TZ):
+ * - week: one deadline for the whole week, on a day of the previous week
+ *         ({ mode: 'week', day: 'thursday', time: '12:00' })
+ * - day:  each day closes on its own, `days_before` days earlier at `time`
+ *         ({ mode: 'day', time: '09:30', days_before: 0 })
+ */
+
+const databaseService = require('./database.service');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+class CutoffService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Validate a cutoff rule
+   * @param {Object} rule - Rule to validate
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validateRule(rule) {
+    const errors = [];
+
+    if (!rule || !['week', 'day'].includes(rule.mode)) {
+      return ['mode must be "week" or "day"'];
+    }
+
+    if (typeof rule.time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(rule.time)) {
+      errors.push('time must be HH:MM (24h)');
+    }
+
+    if (rule.mode === 'week' && !WEEKDAYS.includes(rule.day)) {
+      errors.push(`day must be one of: ${WEEKDAYS.join(', ')} (of the previous week)`);
+    }
+
+    if (rule.mode === 'day' && rule.days_before !== undefined &&
+        (!Number.isInteger(rule.days_before) || rule.days_before < 0 || rule.days_before > 7)) {
+      errors.push('days_before must be an integer between 0 and 7');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compute the deadline of every day of a week
+   * @param {string} weekStartDate - Week start date (Monday)
+   * @param {Object} rule - Cutoff rule
+   * @returns {Object} Deadline Date per day
+   */
+  getDeadlines(weekStartDate, rule) {
+    const [year, month, date] = weekStartDate.split('-').map(Number);
+    const [hours, minutes] = rule.time.split(':').map(Number);
+    const at = offset => new Date(year, month - 1, date + offset, hours, minutes);
+
+    const deadlines = {};
+    DAYS.forEach((day, index) => {
+      deadlines[day] = rule.mode === 'week'
+        ? at(WEEKDAYS.indexOf(rule.day) - 7)
+        : at(index - (rule.days_before || 0));
+    });
+    return deadlines;
+  }
+
+  /**
+   * Get when a week locks as a whole (the last of its day deadlines)
+   * @param {string} weekStartDate - Week start date
+   * @param {Object} rule - Cutoff rule
+   * @returns {Date}
+   */
+  getLockTime(weekStartDate, rule) {
+    return this.getDeadlines(weekStartDate, rule).friday;
+  }
+
+  /**
+   * Describe the cutoff of each day of a week
+   * @param {string} weekStartDate - Week start date
+   * @param {Object} rule - Cutoff rule
+   * @param {Date} now - Reference time
+   * @returns {Object} { mode, days: { monday: { deadline, seconds_remaining, closed } } }
+   */
+  getStatus(weekStartDate, rule, now = new Date()) {
+    const deadlines = this.getDeadlines(weekStartDate, rule);
+    const days = {};
+
+    DAYS.forEach(day => {
+      const remaining = Math.floor((deadlines[day] - now) / 1000);
+      days[day] = {
+        deadline: deadlines[day].toISOString(),
+        seconds_remaining: Math.max(remaining, 0),
+        closed: remaining <= 0
+      };
+    });
+
+    return { mode: rule.mode, days };
+  }
+
+  /**
+   * Get the cutoff status of a week for a user
+   * Days the user holds an unlock override for, and weeks whose cutoffs an admin lifted,
+   * are never closed.
+   * @param {number} organizationId - Organization of the user
+   * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object|null>} Status (see getStatus) plus `exempt`, or null without a rule
+   */
+  async getUserStatus(organizationId, weekStartDate, userId, now = new Date()) {
+    const rule = await databaseService.getCutoffRule(organizationId, weekStartDate);
+    if (!rule) return null;
+
+    const settings = await databaseService.getWeekSettings(organizationId, weekStartDate);
+    const unlockedDays = settings && settings.cutoffs_lifted
+      ? DAYS
+      : await databaseService.getUnlockedDaysForUser(weekStartDate, userId);
+
+    const status = this.getStatus(weekStartDate, rule, now);
+    unlockedDays.forEach(day => { status.days[day].closed = false; });
+
+    return { ...status, exempt: unlockedDays.length === DAYS.length };
+  }
+
+  /**
+   * Get the days of a week a user can no longer change
+   * @param {number} organizationId - Organization of the user
+   * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>}
+   */
+  async getClosedDays(organizationId, weekStartDate, userId) {
+    const status = await this.getUserStatus(organizationId, weekStartDate, userId);
+    return status ? DAYS.filter(day => status.days[day].closed) : [];
+  }
+
+  /**
+   * Lock every recent week whose cutoff has passed, in every organization
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} { organization_id, week_start_date } of the weeks locked by this run
+   */
+  async runAutoLock(now = new Date()) {
+    // Weeks that started more than two weeks ago are history, not worth locking
+    const since = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const locked = [];
+
+    for (const organization of await databaseService.getOrganizations()) {
+      const weeks = await databaseService.getWeeksPendingAutoLock(organization.id, since);
+
+      for (const weekStartDate of weeks) {
+        const rule = await databaseService.getCutoffRule(organization.id, weekStartDate);
+        if (rule && this.getLockTime(weekStartDate, rule) <= now) {
+          await databaseService.autoLockWeek(organization.id, weekStartDate);
+          locked.push({ organization_id: organization.id, week_start_date: weekStartDate });
+          console.log(`🔒 Week ${weekStartDate} of ${organization.name} locked automatically (cutoff passed)`);
+        }
+      }
+    }
+
+    return locked;
+  }
+
+  /**
+   * Start checking cutoffs periodically
+   * @param {number} intervalMs - Check interval (defaults to CUTOFF_CHECK_INTERVAL_MS or 60s)
+   */
+  startScheduler(intervalMs = parseInt(process.env.CUTOFF_CHECK_INTERVAL_MS || '60000')) {
+    if (this.timer) return;
+
+    const run = () => this.runAutoLock().catch(error => {
+      console.error('Cutoff scheduler error:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`✓ Cutoff scheduler started (every ${Math.round(intervalMs / 1000)}s)`);
+  }
+
+  /**
+   * Stop the cutoff scheduler
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const cutoffService = new CutoffService();
+module.exports = cutoffService;
@@ -1,6 +1,25 @@
 const bcrypt = require('bcrypt');
 const database = require('../config/database');
-const { validateEmail, extractNameFromEmail, reverseNameOrder } = require('../utils/validators');
+const { validateEmail, getEmailDomain, normalizeDomain, extractNameFromEmail, reverseNameOrder } = require('../utils/validators');
+const { ValidationError, NotFoundError, ConflictError, ForbiddenError } = require('../utils/errors');
+const mealOptionsImportService = require('./mealOptionsImport.service');
+
+// Tables whose rows belong to an organization and whose unique keys include it
+// (rebuilt with organization_id by _migrateOrganizations on databases created before organizations)
+const ORGANIZATION_TABLES = [
+  'meals',
+  'meal_options',
+  'meal_option_items',
+  'meal_option_revisions',
+  'upload_history',
+  'import_profiles',
+  'week_settings',
+  'week_day_locks',
+  'cutoff_rules'
+];
+
+// Email domains of the default organization on databases created before organizations
+const LEGACY_EMAIL_DOMAINS = '@devhub.tech,@titans.net,@solidstake.com';
 
 /**
  * Database Service
@@ -18,6 +37,11 @@ class DatabaseService {
     try {
       await this.db.connect();
       await this._createTables();
+      await this._migrateOrganizations();
+      await this._migrateMealOptionItems();
+      await this._migrateMealOptionRevisions();
+      await this._migrateUnlockedUsers();
+      await this._createDefaultImportProfile();
       await this._createDefaultAdmin();
       console.log('✓ Database initialized successfully');
     } catch (error) {
@@ -31,6 +55,30 @@ class DatabaseService {
    * @private
    */
   async _createTables() {
+    // Organizations table (tenants: each has its own users, admins, menus, weeks and caterer import profiles)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS organizations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Organization domains table (email domains whose addresses may sign up to an organization)
+    // Stored lowercase without the '@'; a domain belongs to one organization
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS organization_domains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        domain TEXT UNIQUE NOT NULL,
+        created_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (organization_id) REFERENCES organizations(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
     // Users table
     await this.db.run(`
       CREATE TABLE IF NOT EXISTS users (
@@ -43,10 +91,152 @@ class DatabaseService {
       )
     `);
 
+    // Add locale column to existing users table (language of the user's emails and error messages; null = default)
+    try {
+      await this.db.run(`ALTER TABLE users ADD COLUMN locale TEXT`);
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('duplicate column name')) {
+        console.error('Error adding locale column:', error);
+      }
+    }
+
+    // Add deactivation columns to existing users table
+    // deactivated_at distinguishes accounts an admin disabled from inactive placeholders of imported employee names
+    for (const column of ['deactivated_at TEXT', 'deactivated_by INTEGER']) {
+      try {
+        await this.db.run(`ALTER TABLE users ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('duplicate column name')) {
+          console.error('Error adding users column:', error);
+        }
+      }
+    }
+
+    // Add organization column to existing users table (set for every user; nullable only because
+    // SQLite can't add a NOT NULL column to an existing table)
+    try {
+      await this.db.run(`ALTER TABLE users ADD COLUMN organization_id INTEGER REFERENCES organizations(id)`);
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('duplicate column name')) {
+        console.error('Error adding organization_id column:', error);
+      }
+    }
+
+    await this.db.run(`
+      CREATE INDEX IF NOT EXISTS idx_users_organization
+      ON users(organization_id)
+    `);
+
+    // User roles table (roles other than admin, which is users.is_admin)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS user_roles (
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        assigned_by INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, role),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (assigned_by) REFERENCES users(id)
+      )
+    `);
+
+    // Auth sessions table (one row per signed-in device; holds the hash of its current refresh token)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS auth_sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT NOT NULL,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        revoked_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    try {
+      await this.db.run(`
+        CREATE INDEX IF NOT EXISTS idx_auth_sessions_user
+        ON auth_sessions(user_id)
+      `);
+    } catch (error) {
+      if (!error.message || !error.message.includes('already exists')) {
+        console.error('Error creating auth sessions index:', error);
+      }
+    }
+
+    // Password reset tokens (single use; only the hash of the token sent by email is stored)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        ip_address TEXT,
+        created_at TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Failed login tracking, one row per account (email) and per IP address; password reset
+    // requests are counted in the same table under the reset_account and reset_ip scopes
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS login_throttles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        scope TEXT NOT NULL,
+        key TEXT NOT NULL,
+        failures INTEGER NOT NULL DEFAULT 0,
+        lockouts INTEGER NOT NULL DEFAULT 0,
+        last_failure_at TEXT NOT NULL,
+        blocked_until TEXT,
+        locked_at TEXT,
+        blocked_attempts INTEGER NOT NULL DEFAULT 0,
+        UNIQUE(scope, key)
+      )
+    `);
+
+    // Audit trail of suspicious logins (lockouts, success after many failures, lockouts cleared)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS login_audit (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        event TEXT NOT NULL,
+        scope TEXT,
+        key TEXT,
+        email TEXT,
+        ip_address TEXT,
+        user_agent TEXT,
+        failures INTEGER,
+        locked_until TEXT,
+        admin_id INTEGER,
+        created_at TEXT NOT NULL,
+        FOREIGN KEY (admin_id) REFERENCES users(id)
+      )
+    `);
+
+    // Add organization column to existing login tables: the organization owning the domain of the
+    // email tried (NULL for IP addresses and unknown domains, which only platform admins see)
+    for (const table of ['login_throttles', 'login_audit']) {
+      try {
+        await this.db.run(`ALTER TABLE ${table} ADD COLUMN organization_id INTEGER REFERENCES organizations(id) ON DELETE SET NULL`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('duplicate column name')) {
+          console.error(`Error adding ${table} column:`, error);
+        }
+      }
+    }
+
     // Meals table
     await this.db.run(`
       CREATE TABLE IF NOT EXISTS meals (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         employee_name TEXT NOT NULL,
         division TEXT,
         week_start_date TEXT NOT NULL,
@@ -57,7 +247,8 @@ class DatabaseService {
         wednesday TEXT,
         thursday TEXT,
         friday TEXT,
-        UNIQUE(employee_name, week_start_date)
+        UNIQUE(organization_id, employee_name, week_start_date),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
       )
     `);
 
@@ -65,6 +256,7 @@ class DatabaseService {
     await this.db.run(`
       CREATE TABLE IF NOT EXISTS meal_options (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         week_start_date TEXT NOT NULL,
         period TEXT,
         source_file TEXT,
@@ -74,7 +266,60 @@ class DatabaseService {
         wednesday TEXT,
         thursday TEXT,
         friday TEXT,
-        UNIQUE(week_start_date, category)
+        UNIQUE(organization_id, week_start_date, category),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    // Meal option items table (one row per dish: week -> category -> day -> item)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS meal_option_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        week_start_date TEXT NOT NULL,
+        category TEXT NOT NULL,
+        day_of_week TEXT NOT NULL,
+        name TEXT NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        price REAL,
+        allergens TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, week_start_date, category, day_of_week, name),
+        CHECK(day_of_week IN ('monday', 'tuesday', 'wednesday', 'thursday', 'friday')),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    try {
+      await this.db.run(`
+        CREATE INDEX IF NOT EXISTS idx_meal_option_items_week
+        ON meal_option_items(organization_id, week_start_date, day_of_week)
+      `);
+    } catch (error) {
+      if (!error.message || !error.message.includes('already exists')) {
+        console.error('Error creating meal option items index:', error);
+      }
+    }
+
+    // Meal option revisions table (one row per upload of a week's options)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS meal_option_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        week_start_date TEXT NOT NULL,
+        revision INTEGER NOT NULL,
+        period TEXT,
+        source_file TEXT,
+        uploaded_by INTEGER,
+        category_count INTEGER DEFAULT 0,
+        item_count INTEGER DEFAULT 0,
+        diff TEXT,
+        affected_selections INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, week_start_date, revision),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id),
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL
       )
     `);
 
@@ -96,6 +341,21 @@ class DatabaseService {
       )
     `);
 
+    // Meal selection items table (item references behind a user's daily selection)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS meal_selection_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        week_start_date TEXT NOT NULL,
+        day_of_week TEXT NOT NULL,
+        item_id INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, week_start_date, day_of_week, item_id),
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        FOREIGN KEY (item_id) REFERENCES meal_option_items(id) ON DELETE CASCADE
+      )
+    `);
+
     // Add is_locked column to existing meal_selections table if it doesn't exist
     try {
       await this.db.run(`ALTER TABLE meal_selections ADD COLUMN is_locked INTEGER DEFAULT 0`);
@@ -110,6 +370,7 @@ class DatabaseService {
     await this.db.run(`
       CREATE TABLE IF NOT EXISTS upload_history (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
         filename TEXT NOT NULL,
         file_hash TEXT NOT NULL,
         upload_type TEXT NOT NULL,
@@ -117,7 +378,26 @@ class DatabaseService {
         week_start_date TEXT,
         upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         row_count INTEGER,
-        UNIQUE(file_hash)
+        UNIQUE(organization_id, file_hash),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    // Import profiles table (how to read a caterer's meal options spreadsheet)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS import_profiles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        sheet_name TEXT,
+        header_row INTEGER NOT NULL DEFAULT 1,
+        day_columns TEXT NOT NULL,
+        category_patterns TEXT NOT NULL,
+        is_default INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, name),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
       )
     `);
 
@@ -140,10 +420,183 @@ class DatabaseService {
     // Week settings table (for lock/unlock functionality)
     await this.db.run(`
       CREATE TABLE IF NOT EXISTS week_settings (
-        week_start_date TEXT PRIMARY KEY,
+        organization_id INTEGER NOT NULL,
+        week_start_date TEXT NOT NULL,
         is_locked INTEGER DEFAULT 0,
         locked_at TIMESTAMP,
-        unlocked_users TEXT DEFAULT '[]'
+        unlocked_users TEXT DEFAULT '[]', -- legacy, moved to week_unlock_overrides on startup
+        auto_locked_at TIMESTAMP,
+        cutoffs_lifted INTEGER DEFAULT 0,
+        PRIMARY KEY (organization_id, week_start_date),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    // Add cutoff columns to existing week_settings table if they don't exist
+    for (const column of ['auto_locked_at TIMESTAMP', 'cutoffs_lifted INTEGER DEFAULT 0']) {
+      try {
+        await this.db.run(`ALTER TABLE week_settings ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('duplicate column name')) {
+          console.error('Error adding week_settings column:', error);
+        }
+      }
+    }
+
+    // Email outbox table (every notification is queued here and delivered by the outbox worker)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS email_outbox (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        to_address TEXT NOT NULL,
+        subject TEXT NOT NULL,
+        html TEXT,
+        text TEXT,
+        status TEXT NOT NULL DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP,
+        CHECK(status IN ('queued', 'sent', 'failed', 'bounced'))
+      )
+    `);
+
+    await this.db.run(`
+      CREATE INDEX IF NOT EXISTS idx_email_outbox_due
+      ON email_outbox(status, next_attempt_at)
+    `);
+
+    // Add recipient columns to existing email_outbox table
+    // user_id/category: set for notifications a user can unsubscribe from
+    // organization_id: organization whose admins see the email in the outbox
+    // secret: encrypted token of a reset or invitation link, kept out of the stored body
+    for (const column of [
+      'user_id INTEGER REFERENCES users(id) ON DELETE SET NULL',
+      'category TEXT',
+      'organization_id INTEGER REFERENCES organizations(id)',
+      'secret TEXT'
+    ]) {
+      try {
+        await this.db.run(`ALTER TABLE email_outbox ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('duplicate column name')) {
+          console.error('Error adding email_outbox column:', error);
+        }
+      }
+    }
+
+    // Reset and invitation links queued before secrets were kept out of the body: blank the
+    // token in messages no longer waiting for delivery (queued ones are handled once sent)
+    const exposed = await this.db.all(
+      `SELECT id, html, text FROM email_outbox
+       WHERE kind IN ('password_reset', 'invitation') AND secret IS NULL AND status != 'queued'
+         AND COALESCE(text, html) NOT LIKE '%TOKEN-REDACTED%'`
+    );
+    // HTML bodies escape the "=" of the link
+    const redact = body => (body ? body.replace(/token(=|&#x3D;)[A-Za-z0-9_-]+/g, 'token$1TOKEN-REDACTED') : body);
+    for (const email of exposed) {
+      await this.db.run(
+        'UPDATE email_outbox SET html = ?, text = ? WHERE id = ?',
+        [redact(email.html), redact(email.text), email.id]
+      );
+    }
+
+    // Notification preferences table (only categories a user changed; missing = enabled)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER NOT NULL,
+        category TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, category),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Order reminders table (one "you haven't ordered yet" reminder per user and week)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS order_reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        week_start_date DATE NOT NULL,
+        user_id INTEGER NOT NULL,
+        missing_days TEXT NOT NULL,
+        status TEXT NOT NULL,
+        email_id INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (email_id) REFERENCES email_outbox(id) ON DELETE SET NULL,
+        UNIQUE(week_start_date, user_id),
+        CHECK(status IN ('queued', 'unsubscribed'))
+      )
+    `);
+
+    // Week unlock overrides table (users an admin let through a week or day lock, optionally for a limited time)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS week_unlock_overrides (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        week_start_date TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        day_of_week TEXT,
+        granted_by INTEGER,
+        granted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (granted_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // One override per user, week and day (NULL day = the whole week)
+    await this.db.run(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_unlock_override
+      ON week_unlock_overrides(week_start_date, user_id, COALESCE(day_of_week, ''))
+    `);
+
+    // Week day locks table (admin locks of single days, e.g. a day already sent to the caterer)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS week_day_locks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        week_start_date TEXT NOT NULL,
+        day_of_week TEXT NOT NULL,
+        locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, week_start_date, day_of_week),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
+      )
+    `);
+
+    // Meal selection day locks table (users locking single days of their own selection)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS meal_selection_day_locks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        week_start_date TEXT NOT NULL,
+        day_of_week TEXT NOT NULL,
+        locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, week_start_date, day_of_week),
+        FOREIGN KEY (user_id) REFERENCES users(id)
+      )
+    `);
+
+    // Cutoff rules table (ordering deadlines; the row without a week is the organization's default for all weeks)
+    await this.db.run(`
+      CREATE TABLE IF NOT EXISTS cutoff_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        organization_id INTEGER NOT NULL,
+        week_start_date TEXT,
+        mode TEXT NOT NULL,
+        day TEXT,
+        time TEXT NOT NULL,
+        days_before INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(organization_id, week_start_date),
+        CHECK(mode IN ('week', 'day')),
+        FOREIGN KEY (organization_id) REFERENCES organizations(id)
       )
     `);
 
@@ -162,11 +615,26 @@ class DatabaseService {
       )
     `);
 
+    // Add workflow columns to existing unlock_requests table
+    // day_of_week: NULL = whole week; digest_sent_at: when admins were told about the request
+    for (const column of ['day_of_week TEXT', 'reason TEXT', 'admin_comment TEXT', 'digest_sent_at TIMESTAMP']) {
+      try {
+        await this.db.run(`ALTER TABLE unlock_requests ADD COLUMN ${column}`);
+      } catch (error) {
+        // Column already exists, ignore error
+        if (!error.message.includes('duplicate column name')) {
+          console.error('Error adding unlock_requests column:', error);
+        }
+      }
+    }
+
     // Create a unique index only for pending requests (allows multiple approved/rejected in history)
+    // One pending request per user, week and day (the whole week counts as its own "day")
     try {
+      await this.db.run('DROP INDEX IF EXISTS idx_unique_pending_request');
       await this.db.run(`
-        CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_pending_request
-        ON unlock_requests(user_id, week_start_date)
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_unique_pending_day_request
+        ON unlock_requests(user_id, week_start_date, COALESCE(day_of_week, ''))
         WHERE status = 'pending'
       `);
     } catch (error) {
@@ -192,6 +660,16 @@ class DatabaseService {
       )
     `);
 
+    // Add organization column to existing user_invitations table (organization the invitee joins)
+    try {
+      await this.db.run(`ALTER TABLE user_invitations ADD COLUMN organization_id INTEGER REFERENCES organizations(id)`);
+    } catch (error) {
+      // Column already exists, ignore error
+      if (!error.message.includes('duplicate column name')) {
+        console.error('Error adding user_invitations column:', error);
+      }
+    }
+
     // Create index on token for fast lookup
     try {
       await this.db.run(`
@@ -255,6 +733,8 @@ class DatabaseService {
 
   /**
    * Create default admin user
+   * Also makes an existing ADMIN_EMAIL admin the platform admin while there is none, e.g. in a
+   * database from before organizations. Any other platform admin is assigned explicitly.
    * @private
    */
   async _createDefaultAdmin() {
@@ -267,7 +747,16 @@ class DatabaseService {
       [adminEmail]
     );
 
-    if (!existingAdmin) {
+    if (existingAdmin) {
+      const platformAdmin = await this.db.get("SELECT 1 FROM user_roles WHERE role = 'platform_admin'");
+      if (!platformAdmin && existingAdmin.is_admin) {
+        await this.db.run(
+          "INSERT OR IGNORE INTO user_roles (user_id, role) VALUES (?, 'platform_admin')",
+          [existingAdmin.id]
+        );
+        console.log(`✓ ${adminEmail} is the platform admin`);
+      }
+    } else {
       // Only create admin if password is provided in environment
       if (!adminPassword) {
         console.warn('⚠️  ADMIN_PASSWORD not set in environment variables.');
@@ -282,960 +771,3251 @@ class DatabaseService {
         return;
       }
 
+      // The default admin belongs to the organization owning its domain (else the default one)
+      // and manages the organizations of the platform
+      const organization = await this.getOrganizationByEmail(adminEmail) || await this.getDefaultOrganization();
+
       const hashedPassword = bcrypt.hashSync(adminPassword, 10);
-      await this.db.run(
-        'INSERT INTO users (email, password, is_admin) VALUES (?, ?, ?)',
-        [adminEmail, hashedPassword, 1]
+      const result = await this.db.run(
+        'INSERT INTO users (email, password, is_admin, organization_id) VALUES (?, ?, ?, ?)',
+        [adminEmail, hashedPassword, 1, organization.id]
       );
+      await this.setUserRoles(result.lastID, ['admin', 'platform_admin']);
       console.log(`✓ Default admin user created (email: ${adminEmail})`);
       console.log('⚠️  Please change the admin password after first login!');
     }
   }
 
-  // ===== USER OPERATIONS =====
-
   /**
-   * Create a new user
-   * @param {string} email - User email
-   * @param {string} password - User password
-   * @param {number} isAdmin - Admin status (0 or 1)
-   * @param {number} isActive - Active status (0 or 1)
+   * Create the built-in import profile for every organization without any profile yet
+   * @private
    */
-  async createUser(email, password, isAdmin = 0, isActive = 1) {
-    if (!validateEmail(email)) {
-      throw new Error('Invalid email domain');
+  async _createDefaultImportProfile() {
+    const organizations = await this.db.all(`
+      SELECT o.id FROM organizations o
+      WHERE NOT EXISTS (SELECT 1 FROM import_profiles ip WHERE ip.organization_id = o.id)
+    `);
+
+    for (const organization of organizations) {
+      await this._insertDefaultImportProfile(organization.id);
     }
 
-    const emailLower = email.toLowerCase().trim();
-    const hashedPassword = password ? bcrypt.hashSync(password, 10) : null;
+    if (organizations.length > 0) {
+      console.log('✓ Default import profile created');
+    }
+  }
 
+  /**
+   * @private
+   */
+  async _insertDefaultImportProfile(organizationId) {
+    const profile = mealOptionsImportService.getDefaultProfile();
     await this.db.run(
-      'INSERT INTO users (email, password, is_admin, is_active) VALUES (?, ?, ?, ?)',
-      [emailLower, hashedPassword, isAdmin, isActive]
+      `INSERT INTO import_profiles (organization_id, name, sheet_name, header_row, day_columns, category_patterns, is_default)
+       VALUES (?, ?, ?, ?, ?, ?, 1)`,
+      [
+        organizationId,
+        profile.name,
+        profile.sheet_name,
+        profile.header_row,
+        JSON.stringify(profile.day_columns),
+        JSON.stringify(profile.category_patterns)
+      ]
     );
   }
 
   /**
-   * Create an inactive user (for imported employee names)
-   * @param {string} employeeName - Employee name
+   * Create the default organization and move data from before organizations into it
+   * Tables keyed by organization are rebuilt (SQLite can't change a unique key in place), users,
+   * invitations and queued emails are assigned to it, and its admins become platform admins.
+   * Safe to run on every start.
+   * @private
    */
-  async createInactiveUser(employeeName) {
-    const nameParts = employeeName.toLowerCase().split(' ').filter(p => p);
-    const dummyEmail = nameParts.join('.') + '@placeholder.com';
+  async _migrateOrganizations() {
+    const organization = await this._createDefaultOrganization();
+
+    const legacyTables = [];
+    for (const table of ORGANIZATION_TABLES) {
+      const columns = await this.db.all(`PRAGMA table_info(${table})`);
+      if (!columns.some(column => column.name === 'organization_id')) {
+        legacyTables.push({ table, columns: columns.map(column => column.name) });
+      }
+    }
 
-    try {
-      await this.db.run(
-        'INSERT INTO users (email, password, is_admin, employee_name, is_active) VALUES (?, ?, ?, ?, ?)',
-        [dummyEmail, null, 0, employeeName, 0]
-      );
-      return dummyEmail;
-    } catch (error) {
-      if (error.message && error.message.includes('UNIQUE constraint')) {
-        return null;
+    if (legacyTables.length > 0) {
+      // With foreign keys off, dropping the old tables doesn't cascade to rows referencing them
+      // (meal_selection_items -> meal_option_items), and with legacy_alter_table renaming them
+      // doesn't rewrite those references
+      await this.db.run('PRAGMA foreign_keys = OFF');
+      await this.db.run('PRAGMA legacy_alter_table = ON');
+      await this.db.run('BEGIN');
+      try {
+        for (const { table } of legacyTables) {
+          const indexes = await this.db.all(
+            'SELECT name FROM sqlite_master WHERE type = \'index\' AND tbl_name = ? AND sql IS NOT NULL',
+            [table]
+          );
+          for (const index of indexes) {
+            await this.db.run(`DROP INDEX ${index.name}`);
+          }
+          await this.db.run(`ALTER TABLE ${table} RENAME TO ${table}_legacy`);
+        }
+
+        // Recreates the renamed tables (and their indexes) with organization_id
+        await this._createTables();
+
+        for (const { table, columns } of legacyTables) {
+          const columnList = columns.join(', ');
+          await this.db.run(
+            `INSERT INTO ${table} (organization_id, ${columnList}) SELECT ?, ${columnList} FROM ${table}_legacy`,
+            [organization.id]
+          );
+          await this.db.run(`DROP TABLE ${table}_legacy`);
+        }
+
+        await this.db.run('COMMIT');
+      } catch (error) {
+        await this.db.run('ROLLBACK');
+        throw error;
+      } finally {
+        await this.db.run('PRAGMA legacy_alter_table = OFF');
+        await this.db.run('PRAGMA foreign_keys = ON');
       }
-      throw error;
+
+      console.log(`✓ Moved ${legacyTables.map(({ table }) => table).join(', ')} into organization "${organization.name}"`);
     }
-  }
 
-  /**
-   * Activate an inactive user
-   * @param {string} email - User email
-   * @param {string} password - New password
-   */
-  async activateUser(email, password) {
-    const hashedPassword = bcrypt.hashSync(password, 10);
+    for (const table of ['users', 'user_invitations']) {
+      await this.db.run(`UPDATE ${table} SET organization_id = ? WHERE organization_id IS NULL`, [organization.id]);
+    }
     await this.db.run(
-      'UPDATE users SET password = ?, is_active = 1 WHERE email = ?',
-      [hashedPassword, email]
+      `UPDATE email_outbox
+       SET organization_id = COALESCE((SELECT organization_id FROM users WHERE users.id = email_outbox.user_id), ?)
+       WHERE organization_id IS NULL`,
+      [organization.id]
     );
   }
 
   /**
-   * Get user by email
-   * @param {string} email - User email
-   * @returns {Promise<Object|null>}
+   * Create the default organization if there is none yet
+   * Its email domains come from ALLOWED_EMAIL_DOMAINS. Existing admins stay admins of it only:
+   * platform_admin goes to the ADMIN_EMAIL account (see _createDefaultAdmin).
+   * @private
+   * @returns {Promise<Object>} The default organization
    */
-  async getUserByEmail(email) {
-    const emailLower = email.toLowerCase().trim();
-    return await this.db.get('SELECT * FROM users WHERE email = ?', [emailLower]);
+  async _createDefaultOrganization() {
+    const existing = await this.getDefaultOrganization();
+    if (existing) return existing;
+
+    const result = await this.db.run('INSERT INTO organizations (name) VALUES (?)', ['Default']);
+    const domains = (process.env.ALLOWED_EMAIL_DOMAINS || LEGACY_EMAIL_DOMAINS)
+      .split(',')
+      .map(normalizeDomain)
+      .filter(Boolean);
+    for (const domain of domains) {
+      await this.db.run(
+        'INSERT OR IGNORE INTO organization_domains (organization_id, domain) VALUES (?, ?)',
+        [result.lastID, domain]
+      );
+    }
+
+    console.log(`✓ Default organization created (domains: ${domains.join(', ')})`);
+    return this.getOrganizationById(result.lastID);
   }
 
   /**
-   * Get user by ID
-   * @param {number} userId - User ID
-   * @returns {Promise<Object|null>}
+   * Backfill meal_option_items from the newline-joined day columns of meal_options
+   * Only categories without any item rows are migrated, so this is safe to run on every start
+   * @private
    */
-  async getUserById(userId) {
-    return await this.db.get('SELECT * FROM users WHERE id = ?', [userId]);
+  async _migrateMealOptionItems() {
+    const rows = await this.db.all(`
+      SELECT mo.*
+      FROM meal_options mo
+      WHERE NOT EXISTS (
+        SELECT 1 FROM meal_option_items moi
+        WHERE moi.organization_id = mo.organization_id
+          AND moi.week_start_date = mo.week_start_date AND moi.category = mo.category
+      )
+    `);
+
+    for (const option of rows) {
+      await this._upsertMealOptionItems(option.organization_id, option);
+    }
+
+    if (rows.length > 0) {
+      console.log(`✓ Migrated ${rows.length} meal option categories to item catalog`);
+    }
   }
 
   /**
-   * Verify password
-   * @param {string} password - Plain text password
-   * @param {string} hashedPassword - Hashed password
-   * @returns {boolean}
+   * Record weeks uploaded before revisions were tracked as their revision 1
+   * @private
    */
-  verifyPassword(password, hashedPassword) {
-    return bcrypt.compareSync(password, hashedPassword);
+  async _migrateMealOptionRevisions() {
+    const result = await this.db.run(`
+      INSERT INTO meal_option_revisions (organization_id, week_start_date, revision, period, source_file, category_count, item_count)
+      SELECT mo.organization_id, mo.week_start_date, 1, MAX(mo.period), MAX(mo.source_file), COUNT(*),
+        (SELECT COUNT(*) FROM meal_option_items moi
+         WHERE moi.organization_id = mo.organization_id AND moi.week_start_date = mo.week_start_date)
+      FROM meal_options mo
+      WHERE NOT EXISTS (
+        SELECT 1 FROM meal_option_revisions mor
+        WHERE mor.organization_id = mo.organization_id AND mor.week_start_date = mo.week_start_date
+      )
+      GROUP BY mo.organization_id, mo.week_start_date
+    `);
+
+    if (result.changes > 0) {
+      console.log(`✓ Recorded ${result.changes} existing meal option weeks as revision 1`);
+    }
   }
 
   /**
-   * Update user employee name
-   * @param {number} userId - User ID
-   * @param {string} employeeName - Employee name
+   * Move the legacy week_settings.unlocked_users JSON arrays into week_unlock_overrides
+   * @private
    */
-  async updateUserEmployeeName(userId, employeeName) {
-    await this.db.run('UPDATE users SET employee_name = ? WHERE id = ?', [employeeName, userId]);
+  async _migrateUnlockedUsers() {
+    const rows = await this.db.all(
+      `SELECT organization_id, week_start_date, unlocked_users FROM week_settings
+       WHERE unlocked_users IS NOT NULL AND unlocked_users NOT IN ('', '[]')`
+    );
+
+    for (const row of rows) {
+      const userIds = JSON.parse(row.unlocked_users || '[]');
+      for (const userId of userIds) {
+        await this.db.run(
+          `INSERT OR IGNORE INTO week_unlock_overrides (week_start_date, user_id)
+           SELECT ?, id FROM users WHERE id = ?`,
+          [row.week_start_date, userId]
+        );
+      }
+      await this.db.run(
+        'UPDATE week_settings SET unlocked_users = \'[]\' WHERE organization_id = ? AND week_start_date = ?',
+        [row.organization_id, row.week_start_date]
+      );
+    }
+
+    if (rows.length > 0) {
+      console.log(`✓ Moved unlocked users of ${rows.length} weeks to week_unlock_overrides`);
+    }
   }
 
+  // ===== ORGANIZATION OPERATIONS =====
+
   /**
-   * Get all users (non-admin)
+   * Get all organizations with their email domains and number of users
    * @returns {Promise<Array>}
    */
-  async getAllUsers() {
-    return await this.db.all(`
-      SELECT id, email, employee_name, is_admin, is_active
-      FROM users
-      WHERE is_admin = 0
-      ORDER BY employee_name, email
+  async getOrganizations() {
+    const organizations = await this.db.all(`
+      SELECT o.*, (SELECT COUNT(*) FROM users u WHERE u.organization_id = o.id AND u.is_active = 1) as user_count
+      FROM organizations o
+      ORDER BY o.name
     `);
+
+    for (const organization of organizations) {
+      organization.domains = await this.getOrganizationDomains(organization.id);
+    }
+    return organizations;
   }
 
-  async getTotalEmployeesCount() {
-    const result = await this.db.get(`
-      SELECT COUNT(*) as count
-      FROM users
-      WHERE is_admin = 0 AND is_active = 1
-    `);
-    return result.count || 0;
+  /**
+   * Get an organization by ID
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Object|null>}
+   */
+  async getOrganizationById(organizationId) {
+    return await this.db.get('SELECT * FROM organizations WHERE id = ?', [organizationId]);
   }
 
-  // ===== MEAL OPTIONS OPERATIONS =====
+  /**
+   * Get the default organization (the first one, which holds data from before organizations)
+   * @returns {Promise<Object|null>}
+   */
+  async getDefaultOrganization() {
+    return await this.db.get('SELECT * FROM organizations ORDER BY id LIMIT 1');
+  }
 
   /**
-   * Save meal options
-   * @param {Array} optionsData - Array of meal option objects
-   * @param {string} period - Week period
-   * @param {string} sourceFile - Source filename
+   * Get the organization owning the domain of an email address
+   * @param {string} email - Email address
+   * @returns {Promise<Object|null>} The organization, null when no organization owns the domain
+   */
+  async getOrganizationByEmail(email) {
+    const domain = getEmailDomain(email);
+    return domain ? await this.getOrganizationByDomain(domain) : null;
+  }
+
+  /**
+   * Get the organization owning an email domain
+   * @param {string} domain - Domain, with or without a leading "@"
+   * @returns {Promise<Object|null>} The organization, null when no organization owns the domain
+   */
+  async getOrganizationByDomain(domain) {
+    return await this.db.get(`
+      SELECT o.*
+      FROM organizations o
+      JOIN organization_domains od ON od.organization_id = o.id
+      WHERE od.domain = ?
+    `, [normalizeDomain(domain)]);
+  }
+
+  /**
+   * Create an organization, with the built-in import profile
+   * @param {string} name - Organization name
+   * @returns {Promise<Object>} The organization
    */
-  async saveMealOptions(optionsData, period = null, sourceFile = null) {
-    if (optionsData.length > 0) {
-      const weekStartDate = optionsData[0].week_start_date;
-      await this.db.run('DELETE FROM meal_options WHERE week_start_date = ?', [weekStartDate]);
+  async createOrganization(name) {
+    let result;
+    try {
+      result = await this.db.run('INSERT INTO organizations (name) VALUES (?)', [name.trim()]);
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint')) {
+        throw new ConflictError('ORGANIZATION_ALREADY_EXISTS', { params: { name }, cause: error });
+      }
+      throw error;
     }
 
-    for (const option of optionsData) {
-      await this.db.run(
-        `INSERT INTO meal_options (week_start_date, period, source_file, category, monday, tuesday, wednesday, thursday, friday)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          option.week_start_date,
-          period || option.period || '',
-          sourceFile || option.source_file || '',
-          option.category,
-          option.monday || '',
-          option.tuesday || '',
-          option.wednesday || '',
-          option.thursday || '',
-          option.friday || ''
-        ]
+    await this._insertDefaultImportProfile(result.lastID);
+    return await this.getOrganizationById(result.lastID);
+  }
+
+  /**
+   * Rename an organization
+   * @param {number} organizationId - Organization ID
+   * @param {string} name - New name
+   * @returns {Promise<Object>} The organization
+   */
+  async updateOrganization(organizationId, name) {
+    let result;
+    try {
+      result = await this.db.run(
+        'UPDATE organizations SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [name.trim(), organizationId]
       );
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint')) {
+        throw new ConflictError('ORGANIZATION_ALREADY_EXISTS', { params: { name }, cause: error });
+      }
+      throw error;
     }
+
+    if (result.changes === 0) {
+      throw new NotFoundError('ORGANIZATION_NOT_FOUND');
+    }
+    return await this.getOrganizationById(organizationId);
   }
 
   /**
-   * Get meal options for a week
-   * @param {string} weekStartDate - Week start date
+   * Get the email domains of an organization
+   * @param {number} organizationId - Organization ID
    * @returns {Promise<Array>}
    */
-  async getMealOptions(weekStartDate) {
+  async getOrganizationDomains(organizationId) {
     return await this.db.all(
-      'SELECT * FROM meal_options WHERE week_start_date = ? ORDER BY category',
-      [weekStartDate]
+      'SELECT id, domain, created_by, created_at FROM organization_domains WHERE organization_id = ? ORDER BY domain',
+      [organizationId]
     );
   }
 
   /**
-   * Get latest meal options week
-   * @returns {Promise<string|null>}
+   * Allow an email domain to sign up to an organization
+   * @param {number} organizationId - Organization ID
+   * @param {string} domain - Domain, with or without a leading "@"
+   * @param {number} createdBy - ID of the admin adding it
+   * @returns {Promise<Object>} The domain
    */
-  async getLatestMealOptionsWeek() {
-    const result = await this.db.get(
-      'SELECT DISTINCT week_start_date FROM meal_options ORDER BY week_start_date DESC LIMIT 1'
+  async addOrganizationDomain(organizationId, domain, createdBy = null) {
+    const normalized = normalizeDomain(domain);
+
+    let result;
+    try {
+      result = await this.db.run(
+        'INSERT INTO organization_domains (organization_id, domain, created_by) VALUES (?, ?, ?)',
+        [organizationId, normalized, createdBy]
+      );
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint')) {
+        throw new ConflictError('DOMAIN_ALREADY_EXISTS', { params: { domain: normalized }, cause: error });
+      }
+      throw error;
+    }
+
+    return await this.db.get(
+      'SELECT id, domain, created_by, created_at FROM organization_domains WHERE id = ?',
+      [result.lastID]
     );
-    return result ? result.week_start_date : null;
   }
 
   /**
-   * Get employee names from current menu
-   * @param {string} weekStartDate - Week start date (optional)
-   * @returns {Promise<Array>}
+   * Stop an email domain from signing up to an organization (existing users keep their accounts)
+   * @param {number} organizationId - Organization ID
+   * @param {number} domainId - Domain ID
+   * @returns {Promise<Object|null>} The removed domain, null when the organization has no such domain
    */
-  async getEmployeeNames(weekStartDate = null) {
-    let week = weekStartDate || await this.getLatestWeek();
-    if (!week) return [];
-
-    const rows = await this.db.all(
-      'SELECT DISTINCT employee_name FROM meals WHERE week_start_date = ? ORDER BY employee_name',
-      [week]
+  async removeOrganizationDomain(organizationId, domainId) {
+    const domain = await this.db.get(
+      'SELECT id, domain FROM organization_domains WHERE id = ? AND organization_id = ?',
+      [domainId, organizationId]
     );
+    if (!domain) return null;
 
-    return rows.map(row => row.employee_name);
+    await this.db.run('DELETE FROM organization_domains WHERE id = ?', [domainId]);
+    return domain;
   }
 
+  // ===== USER OPERATIONS =====
+
   /**
-   * Find matching employee in current menu
+   * Create a new user
+   * @param {number} organizationId - Organization the user joins (must own the email's domain)
    * @param {string} email - User email
-   * @returns {Promise<string|null>}
+   * @param {string} password - User password
+   * @param {number} isAdmin - Admin status (0 or 1)
+   * @param {number} isActive - Active status (0 or 1)
    */
-  async findMatchingEmployee(email) {
-    try {
-      const extractedName = extractNameFromEmail(email);
-      if (!extractedName) return null;
-
-      const employees = await this.getEmployeeNames();
+  async createUser(organizationId, email, password, isAdmin = 0, isActive = 1) {
+    const organization = validateEmail(email) ? await this.getOrganizationByEmail(email) : null;
+    if (!organization || organization.id !== organizationId) {
+      throw new ValidationError('EMAIL_DOMAIN_NOT_ALLOWED');
+    }
 
-      // Try exact match
-      let match = employees.find(emp => emp.toLowerCase() === extractedName.toLowerCase());
-      if (match) return match;
+    const emailLower = email.toLowerCase().trim();
+    const hashedPassword = password ? bcrypt.hashSync(password, 10) : null;
 
-      // Try reversed name
-      const reversedName = reverseNameOrder(extractedName);
-      match = employees.find(emp => emp.toLowerCase() === reversedName.toLowerCase());
-      if (match) return match;
+    try {
+      await this.db.run(
+        'INSERT INTO users (email, password, is_admin, is_active, organization_id) VALUES (?, ?, ?, ?, ?)',
+        [emailLower, hashedPassword, isAdmin, isActive, organizationId]
+      );
+    } catch (error) {
+      if (error.message && error.message.includes('UNIQUE constraint')) {
+        throw new ConflictError('EMAIL_ALREADY_EXISTS', { cause: error });
+      }
+      throw error;
+    }
+  }
 
-      // Try partial match
-      match = employees.find(emp => emp.toLowerCase().includes(extractedName.toLowerCase()));
-      if (match) return match;
+  /**
+   * Create an inactive user (for imported employee names)
+   * @param {number} organizationId - Organization ID
+   * @param {string} employeeName - Employee name
+   */
+  async createInactiveUser(organizationId, employeeName) {
+    const nameParts = employeeName.toLowerCase().split(' ').filter(p => p);
+    const dummyEmail = nameParts.join('.') + '@placeholder.com';
 
-      return null;
+    try {
+      await this.db.run(
+        'INSERT INTO users (email, password, is_admin, employee_name, is_active, organization_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [dummyEmail, null, 0, employeeName, 0, organizationId]
+      );
+      return dummyEmail;
     } catch (error) {
-      console.error('Error finding matching employee:', error);
-      return null;
+      if (error.message && error.message.includes('UNIQUE constraint')) {
+        return null;
+      }
+      throw error;
     }
   }
 
-  // ===== MEAL SELECTIONS OPERATIONS =====
-
   /**
-   * Save meal selection for a user
-   * @param {number} userId - User ID
-   * @param {string} weekStartDate - Week start date
-   * @param {Object} selections - Meal selections by day
+   * Activate an inactive user
+   * @param {string} email - User email
+   * @param {string} password - New password
    */
-  async saveMealSelection(userId, weekStartDate, selections) {
+  async activateUser(email, password) {
+    const hashedPassword = bcrypt.hashSync(password, 10);
     await this.db.run(
-      `INSERT INTO meal_selections (user_id, week_start_date, monday, tuesday, wednesday, thursday, friday, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-       ON CONFLICT (user_id, week_start_date)
-       DO UPDATE SET
-         monday = ?,
-         tuesday = ?,
-         wednesday = ?,
-         thursday = ?,
-         friday = ?,
-         updated_at = CURRENT_TIMESTAMP`,
-      [
-        userId,
-        weekStartDate,
-        selections.monday || '',
-        selections.tuesday || '',
-        selections.wednesday || '',
-        selections.thursday || '',
-        selections.friday || '',
-        selections.monday || '',
-        selections.tuesday || '',
-        selections.wednesday || '',
-        selections.thursday || '',
-        selections.friday || ''
-      ]
+      'UPDATE users SET password = ?, is_active = 1, deactivated_at = NULL, deactivated_by = NULL WHERE email = ?',
+      [hashedPassword, email]
     );
   }
 
   /**
-   * Get meal selection for a user
+   * Set a user's password
    * @param {number} userId - User ID
-   * @param {string} weekStartDate - Week start date
-   * @returns {Promise<Object|null>}
+   * @param {string} password - New password (plain text, hashed here)
    */
-  async getMealSelection(userId, weekStartDate) {
-    return await this.db.get(
-      'SELECT * FROM meal_selections WHERE user_id = ? AND week_start_date = ?',
-      [userId, weekStartDate]
-    );
+  async updateUserPassword(userId, password) {
+    const hashedPassword = bcrypt.hashSync(password, 10);
+    await this.db.run('UPDATE users SET password = ? WHERE id = ?', [hashedPassword, userId]);
   }
 
   /**
-   * Get all meal selections for a week
-   * @param {string} weekStartDate - Week start date
-   * @returns {Promise<Array>}
+   * Disable a user account (kept for history; the user can no longer sign in)
+   * @param {number} userId - User ID
+   * @param {number} deactivatedBy - ID of the admin disabling the account
    */
-  async getAllMealSelections(weekStartDate) {
-    return await this.db.all(
-      `SELECT ms.*, u.email, u.employee_name
-       FROM meal_selections ms
-       JOIN users u ON ms.user_id = u.id
-       WHERE ms.week_start_date = ?
-       ORDER BY u.employee_name`,
-      [weekStartDate]
+  async deactivateUser(userId, deactivatedBy) {
+    await this.db.run(
+      'UPDATE users SET is_active = 0, deactivated_at = ?, deactivated_by = ? WHERE id = ?',
+      [new Date().toISOString(), deactivatedBy, userId]
     );
   }
 
   /**
-   * Get user meal history
+   * Re-enable an account disabled with deactivateUser
    * @param {number} userId - User ID
-   * @returns {Promise<Array>}
    */
-  async getUserMealHistory(userId) {
-    const user = await this.getUserById(userId);
-    if (!user) return [];
-
-    const userSelections = await this.db.all(
-      `SELECT ms.*, mo.period
-       FROM meal_selections ms
-       LEFT JOIN meal_options mo ON ms.week_start_date = mo.week_start_date
-       WHERE ms.user_id = ?
-       ORDER BY ms.week_start_date DESC`,
+  async reactivateUser(userId) {
+    await this.db.run(
+      'UPDATE users SET is_active = 1, deactivated_at = NULL, deactivated_by = NULL WHERE id = ?',
       [userId]
     );
+  }
 
-    let mealRecords = [];
-    if (user.employee_name) {
-      mealRecords = await this.db.all(
-        'SELECT * FROM meals WHERE employee_name = ? ORDER BY week_start_date DESC',
-        [user.employee_name]
-      );
-    }
-
-    const combined = [];
-    const seenWeeks = new Set();
-
-    userSelections.forEach(sel => {
-      if (!seenWeeks.has(sel.week_start_date)) {
-        combined.push({
-          week_start_date: sel.week_start_date,
-          period: sel.period,
-          monday: sel.monday,
-          tuesday: sel.tuesday,
-          wednesday: sel.wednesday,
-          thursday: sel.thursday,
-          friday: sel.friday,
-          source: 'selection'
-        });
-        seenWeeks.add(sel.week_start_date);
-      }
-    });
+  /**
+   * Get user by email
+   * @param {string} email - User email
+   * @returns {Promise<Object|null>}
+   */
+  async getUserByEmail(email) {
+    const emailLower = email.toLowerCase().trim();
+    return await this.db.get('SELECT * FROM users WHERE email = ?', [emailLower]);
+  }
 
-    mealRecords.forEach(meal => {
-      if (!seenWeeks.has(meal.week_start_date)) {
-        combined.push({
-          week_start_date: meal.week_start_date,
-          period: meal.period,
-          monday: meal.monday,
-          tuesday: meal.tuesday,
-          wednesday: meal.wednesday,
-          thursday: meal.thursday,
-          friday: meal.friday,
-          source: 'imported'
-        });
-        seenWeeks.add(meal.week_start_date);
-      }
-    });
+  /**
+   * Get user by ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>}
+   */
+  async getUserById(userId) {
+    return await this.db.get('SELECT * FROM users WHERE id = ?', [userId]);
+  }
 
-    return combined;
+  /**
+   * Get a user of an organization by ID
+   * @param {number} organizationId - Organization ID
+   * @param {number} userId - User ID
+   * @returns {Promise<Object|null>} The user, null when it doesn't exist or belongs to another organization
+   */
+  async getOrganizationUser(organizationId, userId) {
+    return await this.db.get('SELECT * FROM users WHERE id = ? AND organization_id = ?', [userId, organizationId]);
   }
 
-  // ===== MEALS OPERATIONS =====
+  /**
+   * Change a user's email address
+   * @param {number} userId - User ID
+   * @param {string} email - New email
+   */
+  async updateUserEmail(userId, email) {
+    await this.db.run('UPDATE users SET email = ? WHERE id = ?', [email.toLowerCase().trim(), userId]);
+  }
 
   /**
-   * Save meals (imported data)
-   * @param {Array} mealsData - Array of meal objects
-   * @param {boolean} clearExisting - Clear existing meals for the week
-   * @param {string} period - Week period
-   * @param {string} sourceFile - Source filename
+   * Verify password
+   * @param {string} password - Plain text password
+   * @param {string} hashedPassword - Hashed password
+   * @returns {boolean}
    */
-  async saveMeals(mealsData, clearExisting = false, period = null, sourceFile = null) {
-    if (clearExisting && mealsData.length > 0) {
-      const weekStartDate = mealsData[0].week_start_date;
-      await this.db.run('DELETE FROM meals WHERE week_start_date = ?', [weekStartDate]);
+  verifyPassword(password, hashedPassword) {
+    return bcrypt.compareSync(password, hashedPassword);
+  }
+
+  /**
+   * Update user employee name
+   * @param {number} userId - User ID
+   * @param {string} employeeName - Employee name
+   */
+  async updateUserEmployeeName(userId, employeeName) {
+    await this.db.run('UPDATE users SET employee_name = ? WHERE id = ?', [employeeName, userId]);
+  }
+
+  /**
+   * Set the language of a user's emails
+   * @param {number} userId - User ID
+   * @param {string|null} locale - Locale (ro, en), or null for the default
+   */
+  async updateUserLocale(userId, locale) {
+    await this.db.run('UPDATE users SET locale = ? WHERE id = ?', [locale, userId]);
+  }
+
+  /**
+   * Get the roles of a user (admin when users.is_admin is set)
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>}
+   */
+  async getUserRoles(userId) {
+    const user = await this.db.get('SELECT is_admin FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      throw new NotFoundError('USER_NOT_FOUND');
     }
 
-    for (const meal of mealsData) {
+    const rows = await this.db.all('SELECT role FROM user_roles WHERE user_id = ? ORDER BY role', [userId]);
+    return [...(user.is_admin ? ['admin'] : []), ...rows.map(row => row.role)];
+  }
+
+  /**
+   * Replace the roles of a user
+   * @param {number} userId - User ID
+   * @param {Array<string>} roles - Role names; admin sets users.is_admin
+   * @param {number} assignedBy - ID of the user assigning the roles
+   * @returns {Promise<Array<string>>} The user's roles
+   */
+  async setUserRoles(userId, roles, assignedBy = null) {
+    const user = await this.db.get('SELECT id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      throw new NotFoundError('USER_NOT_FOUND');
+    }
+
+    await this.db.run('UPDATE users SET is_admin = ? WHERE id = ?', [roles.includes('admin') ? 1 : 0, userId]);
+    await this.db.run('DELETE FROM user_roles WHERE user_id = ?', [userId]);
+    for (const role of new Set(roles.filter(role => role !== 'admin'))) {
       await this.db.run(
-        `INSERT INTO meals (employee_name, division, week_start_date, period, source_file, monday, tuesday, wednesday, thursday, friday)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-         ON CONFLICT (employee_name, week_start_date)
-         DO UPDATE SET
-           division = ?,
-           period = ?,
-           source_file = ?,
-           monday = ?,
-           tuesday = ?,
-           wednesday = ?,
-           thursday = ?,
-           friday = ?`,
-        [
-          meal.employee_name,
-          meal.division || '',
-          meal.week_start_date,
-          period || meal.period || '',
-          sourceFile || meal.source_file || '',
-          meal.monday || '',
-          meal.tuesday || '',
-          meal.wednesday || '',
-          meal.thursday || '',
-          meal.friday || '',
-          meal.division || '',
-          period || meal.period || '',
-          sourceFile || meal.source_file || '',
-          meal.monday || '',
-          meal.tuesday || '',
-          meal.wednesday || '',
-          meal.thursday || '',
-          meal.friday || ''
-        ]
+        'INSERT INTO user_roles (user_id, role, assigned_by) VALUES (?, ?, ?)',
+        [userId, role, assignedBy]
       );
     }
+
+    return await this.getUserRoles(userId);
+  }
+
+  /**
+   * Get active users of an organization holding any of the given roles
+   * @param {number} organizationId - Organization ID
+   * @param {Array<string>} roles - Role names (admin matches users.is_admin)
+   * @returns {Promise<Array>}
+   */
+  async getUsersWithRoles(organizationId, roles) {
+    const otherRoles = roles.filter(role => role !== 'admin');
+    const placeholders = otherRoles.map(() => '?').join(', ');
+
+    return await this.db.all(`
+      SELECT id, email, employee_name, locale
+      FROM users
+      WHERE is_active = 1 AND organization_id = ?
+        AND (${roles.includes('admin') ? 'is_admin = 1' : '0'}
+          ${otherRoles.length > 0 ? `OR id IN (SELECT user_id FROM user_roles WHERE role IN (${placeholders}))` : ''})
+      ORDER BY email
+    `, [organizationId, ...otherRoles]);
+  }
+
+  /**
+   * Get all users (non-admin) of an organization
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array>}
+   */
+  async getAllUsers(organizationId) {
+    return await this.db.all(`
+      SELECT id, email, employee_name, is_admin, is_active, deactivated_at, locale
+      FROM users
+      WHERE is_admin = 0 AND organization_id = ?
+      ORDER BY employee_name, email
+    `, [organizationId]);
+  }
+
+  async getTotalEmployeesCount(organizationId) {
+    const result = await this.db.get(`
+      SELECT COUNT(*) as count
+      FROM users
+      WHERE is_admin = 0 AND is_active = 1 AND organization_id = ?
+    `, [organizationId]);
+    return result.count || 0;
+  }
+
+  // ===== AUTH SESSION OPERATIONS =====
+
+  /**
+   * Create an auth session
+   * @param {Object} session - { id, userId, refreshTokenHash, userAgent, ipAddress, expiresAt }
+   */
+  async createAuthSession({ id, userId, refreshTokenHash, userAgent = null, ipAddress = null, expiresAt }) {
+    const now = new Date().toISOString();
+    await this.db.run(
+      `INSERT INTO auth_sessions (id, user_id, refresh_token_hash, user_agent, ip_address, created_at, last_used_at, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [id, userId, refreshTokenHash, userAgent, ipAddress, now, now, expiresAt]
+    );
+  }
+
+  /**
+   * Get an auth session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Object|null>}
+   */
+  async getAuthSession(sessionId) {
+    return await this.db.get('SELECT * FROM auth_sessions WHERE id = ?', [sessionId]);
+  }
+
+  /**
+   * Check that a session is neither revoked nor expired
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>}
+   */
+  async isAuthSessionActive(sessionId) {
+    const row = await this.db.get(
+      'SELECT 1 FROM auth_sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?',
+      [sessionId, new Date().toISOString()]
+    );
+    return Boolean(row);
+  }
+
+  /**
+   * Store the rotated refresh token of a session
+   * Only succeeds while the session still holds the previous token, so a token can be used once.
+   * @param {string} sessionId - Session ID
+   * @param {string} previousHash - Hash of the refresh token being exchanged
+   * @param {Object} update - { refreshTokenHash, userAgent, ipAddress, expiresAt }
+   * @returns {Promise<boolean>} Whether the session was updated
+   */
+  async rotateAuthSession(sessionId, previousHash, { refreshTokenHash, userAgent = null, ipAddress = null, expiresAt }) {
+    const result = await this.db.run(
+      `UPDATE auth_sessions
+       SET refresh_token_hash = ?, user_agent = COALESCE(?, user_agent), ip_address = COALESCE(?, ip_address),
+           last_used_at = ?, expires_at = ?
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [refreshTokenHash, userAgent, ipAddress, new Date().toISOString(), expiresAt, sessionId, previousHash]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Get a user's active sessions, most recently used first
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getActiveAuthSessions(userId) {
+    return await this.db.all(
+      `SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+       FROM auth_sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+       ORDER BY last_used_at DESC`,
+      [userId, new Date().toISOString()]
+    );
+  }
+
+  /**
+   * Revoke a user's session
+   * @param {number} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<boolean>} Whether an active session was revoked
+   */
+  async revokeAuthSession(userId, sessionId) {
+    const result = await this.db.run(
+      'UPDATE auth_sessions SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+      [new Date().toISOString(), sessionId, userId]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Revoke all of a user's sessions, optionally keeping one
+   * @param {number} userId - User ID
+   * @param {string|null} exceptSessionId - Session to keep (the current one)
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeAuthSessions(userId, exceptSessionId = null) {
+    const result = await this.db.run(
+      'UPDATE auth_sessions SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL AND id != ?',
+      [new Date().toISOString(), userId, exceptSessionId || '']
+    );
+    return result.changes;
+  }
+
+  /**
+   * Delete sessions that expired (revoked sessions are kept until they expire)
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async deleteExpiredAuthSessions() {
+    const result = await this.db.run('DELETE FROM auth_sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+    return result.changes;
+  }
+
+  // ===== PASSWORD RESET OPERATIONS =====
+
+  /**
+   * Create a password reset token, replacing the user's earlier unused ones
+   * @param {Object} token - { userId, tokenHash, ipAddress, expiresAt }
+   */
+  async createPasswordResetToken({ userId, tokenHash, ipAddress = null, expiresAt }) {
+    await this.deletePasswordResetTokens(userId);
+    await this.db.run(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, ip_address, created_at, expires_at)
+       VALUES (?, ?, ?, ?, ?)`,
+      [userId, tokenHash, ipAddress, new Date().toISOString(), expiresAt]
+    );
+  }
+
+  /**
+   * Get a password reset token by its hash
+   * @param {string} tokenHash - SHA-256 of the token
+   * @returns {Promise<Object|null>}
+   */
+  async getPasswordResetToken(tokenHash) {
+    return await this.db.get('SELECT * FROM password_reset_tokens WHERE token_hash = ?', [tokenHash]);
+  }
+
+  /**
+   * Mark a password reset token as used, if it still is unused and unexpired
+   * @param {number} tokenId - Token ID
+   * @returns {Promise<boolean>} Whether this call used it (false when it was used or expired meanwhile)
+   */
+  async usePasswordResetToken(tokenId) {
+    const now = new Date().toISOString();
+    const result = await this.db.run(
+      `UPDATE password_reset_tokens SET used_at = ?
+       WHERE id = ? AND used_at IS NULL AND expires_at > ?`,
+      [now, tokenId, now]
+    );
+    return result.changes > 0;
+  }
+
+  /**
+   * Delete a user's unused password reset tokens (used ones are kept as history)
+   * @param {number} userId - User ID
+   * @returns {Promise<number>} Number of tokens deleted
+   */
+  async deletePasswordResetTokens(userId) {
+    const result = await this.db.run(
+      'DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL',
+      [userId]
+    );
+    return result.changes;
+  }
+
+  // ===== LOGIN THROTTLE OPERATIONS =====
+
+  /**
+   * Get the failed login tracking of an account or IP address
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - Email (lowercase) or IP address
+   * @returns {Promise<Object|null>}
+   */
+  async getLoginThrottle(scope, key) {
+    return await this.db.get('SELECT * FROM login_throttles WHERE scope = ? AND key = ?', [scope, key]);
+  }
+
+  /**
+   * Create or update the failed login tracking of an account or IP address
+   * Accounts belong to the organization owning the domain of the email.
+   * @param {Object} throttle - { scope, key, failures, lockouts, lastFailureAt, blockedUntil, lockedAt }
+   */
+  async saveLoginThrottle({ scope, key, failures, lockouts, lastFailureAt, blockedUntil = null, lockedAt = null }) {
+    const domain = scope === 'account' ? getEmailDomain(key) : null;
+
+    await this.db.run(
+      `INSERT INTO login_throttles (scope, key, failures, lockouts, last_failure_at, blocked_until, locked_at, organization_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT organization_id FROM organization_domains WHERE domain = ?))
+       ON CONFLICT(scope, key) DO UPDATE SET
+         failures = excluded.failures,
+         lockouts = excluded.lockouts,
+         last_failure_at = excluded.last_failure_at,
+         blocked_until = excluded.blocked_until,
+         locked_at = excluded.locked_at,
+         blocked_attempts = CASE WHEN excluded.locked_at IS login_throttles.locked_at
+                                 THEN login_throttles.blocked_attempts ELSE 0 END`,
+      [scope, key, failures, lockouts, lastFailureAt, blockedUntil, lockedAt, domain]
+    );
+  }
+
+  /**
+   * Count a login attempt rejected while locked out
+   * @param {number} throttleId - Throttle ID
+   */
+  async addBlockedLoginAttempt(throttleId) {
+    await this.db.run('UPDATE login_throttles SET blocked_attempts = blocked_attempts + 1 WHERE id = ?', [throttleId]);
+  }
+
+  /**
+   * Forget the failed logins of an account or IP address
+   * @param {string} scope - 'account' or 'ip'
+   * @param {string} key - Email (lowercase) or IP address
+   */
+  async deleteLoginThrottle(scope, key) {
+    await this.db.run('DELETE FROM login_throttles WHERE scope = ? AND key = ?', [scope, key]);
+  }
+
+  /**
+   * Get the accounts and IP addresses currently locked out
+   * @param {number|null} organizationId - Only accounts of this organization; null for all accounts and IP addresses
+   * @returns {Promise<Array>}
+   */
+  async getLoginLockouts(organizationId = null) {
+    return await this.db.all(
+      `SELECT id, scope, key, organization_id, lockouts, locked_at, blocked_until AS locked_until, blocked_attempts, last_failure_at
+       FROM login_throttles
+       WHERE locked_at IS NOT NULL AND blocked_until > ?
+         AND (? IS NULL OR organization_id = ?)
+       ORDER BY locked_at DESC`,
+      [new Date().toISOString(), organizationId, organizationId]
+    );
+  }
+
+  /**
+   * Get a failed login tracking row by ID
+   * @param {number} throttleId - Throttle ID
+   * @param {number|null} organizationId - Only an account of this organization; null for any row
+   * @returns {Promise<Object|null>}
+   */
+  async getLoginThrottleById(throttleId, organizationId = null) {
+    return await this.db.get(
+      'SELECT * FROM login_throttles WHERE id = ? AND (? IS NULL OR organization_id = ?)',
+      [throttleId, organizationId, organizationId]
+    );
+  }
+
+  /**
+   * Delete failed login tracking that has been quiet since a date
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Number of rows deleted
+   */
+  async deleteStaleLoginThrottles(before) {
+    const result = await this.db.run(
+      'DELETE FROM login_throttles WHERE last_failure_at < ? AND (blocked_until IS NULL OR blocked_until < ?)',
+      [before, new Date().toISOString()]
+    );
+    return result.changes;
+  }
+
+  /**
+   * Record a suspicious login event
+   * Events about an email belong to the organization owning its domain.
+   * @param {Object} event - { event, scope, key, email, ipAddress, userAgent, failures, lockedUntil, adminId }
+   */
+  async createLoginAuditEvent({ event, scope = null, key = null, email = null, ipAddress = null, userAgent = null, failures = null, lockedUntil = null, adminId = null }) {
+    await this.db.run(
+      `INSERT INTO login_audit (event, scope, key, email, ip_address, user_agent, failures, locked_until, admin_id, created_at, organization_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, (SELECT organization_id FROM organization_domains WHERE domain = ?))`,
+      [event, scope, key, email, ipAddress, userAgent, failures, lockedUntil, adminId, new Date().toISOString(), getEmailDomain(email)]
+    );
+  }
+
+  /**
+   * Get suspicious login events, newest first
+   * @param {Object} filters - { organizationId (null for all), event, email (partial match), ip, limit, offset }
+   * @returns {Promise<Object>} { events, total }
+   */
+  async getLoginAuditEvents({ organizationId = null, event, email, ip, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (organizationId !== null) {
+      conditions.push('a.organization_id = ?');
+      params.push(organizationId);
+    }
+    if (event) {
+      conditions.push('a.event = ?');
+      params.push(event);
+    }
+    if (email) {
+      conditions.push('a.email LIKE ?');
+      params.push(`%${email.toLowerCase()}%`);
+    }
+    if (ip) {
+      conditions.push('a.ip_address = ?');
+      params.push(ip);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const events = await this.db.all(
+      `SELECT a.*, u.email AS admin_email
+       FROM login_audit a
+       LEFT JOIN users u ON a.admin_id = u.id
+       ${where}
+       ORDER BY a.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM login_audit a ${where}`, params);
+
+    return { events, total };
+  }
+
+  /**
+   * Delete suspicious login events older than a date
+   * @param {string} before - ISO timestamp
+   * @returns {Promise<number>} Number of events deleted
+   */
+  async deleteOldLoginAuditEvents(before) {
+    const result = await this.db.run('DELETE FROM login_audit WHERE created_at < ?', [before]);
+    return result.changes;
+  }
+
+  // ===== MEAL OPTIONS OPERATIONS =====
+
+  /**
+   * Save meal options
+   * Each option may carry structured `items` per day ({ monday: [{ name, price, allergens }] })
+   * or the legacy newline-joined day strings; both the category row and the item catalog are written.
+   *
+   * Renamed items (e.g. a typo fix reported as `changed` by the upload diff) are updated in
+   * place so user selections keep pointing at them. Selections that referenced a dropped item
+   * lose that reference, and their stored dish names are rebuilt from the remaining ones.
+   *
+   * @param {number} organizationId - Organization ID
+   * @param {Array} optionsData - Array of meal option objects
+   * @param {string} period - Week period
+   * @param {string} sourceFile - Source filename
+   * @param {Array} renames - Items to rename before saving ([{ item_id, to }])
+   */
+  async saveMealOptions(organizationId, optionsData, period = null, sourceFile = null, renames = []) {
+    if (optionsData.length === 0) return;
+
+    const weekStartDate = optionsData[0].week_start_date;
+    await this.db.run(
+      'DELETE FROM meal_options WHERE organization_id = ? AND week_start_date = ?',
+      [organizationId, weekStartDate]
+    );
+
+    for (const rename of renames) {
+      await this.db.run(
+        `UPDATE meal_option_items SET name = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND organization_id = ? AND week_start_date = ?`,
+        [rename.to, rename.item_id, organizationId, weekStartDate]
+      );
+    }
+
+    const keptItemIds = [];
+
+    for (const option of optionsData) {
+      const dayValues = {};
+      ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].forEach(day => {
+        dayValues[day] = this._normalizeOptionItems(option, day).map(item => item.name).join('\n');
+      });
+
+      await this.db.run(
+        `INSERT INTO meal_options (organization_id, week_start_date, period, source_file, category, monday, tuesday, wednesday, thursday, friday)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          organizationId,
+          option.week_start_date,
+          period || option.period || '',
+          sourceFile || option.source_file || '',
+          option.category,
+          dayValues.monday,
+          dayValues.tuesday,
+          dayValues.wednesday,
+          dayValues.thursday,
+          dayValues.friday
+        ]
+      );
+
+      keptItemIds.push(...await this._upsertMealOptionItems(organizationId, option));
+    }
+
+    // Selections whose stored names go stale: they reference a renamed or dropped item
+    const placeholders = keptItemIds.map(() => '?').join(',');
+    const renamedIds = renames.map(rename => rename.item_id);
+    const staleSelections = await this.db.all(
+      `SELECT DISTINCT user_id, day_of_week FROM meal_selection_items
+       WHERE week_start_date = ?
+         AND user_id IN (SELECT id FROM users WHERE organization_id = ?)
+         AND (${keptItemIds.length > 0 ? `item_id NOT IN (${placeholders})` : '1 = 1'}
+           OR item_id IN (${renamedIds.map(() => '?').join(',') || 'NULL'}))`,
+      [weekStartDate, organizationId, ...keptItemIds, ...renamedIds]
+    );
+
+    // Drop items that are no longer on the menu; surviving dishes keep their IDs
+    await this.db.run(
+      `DELETE FROM meal_option_items
+       WHERE organization_id = ? AND week_start_date = ?${keptItemIds.length > 0 ? ` AND id NOT IN (${placeholders})` : ''}`,
+      [organizationId, weekStartDate, ...keptItemIds]
+    );
+
+    for (const selection of staleSelections) {
+      await this._refreshSelectionNames(selection.user_id, weekStartDate, selection.day_of_week);
+    }
+  }
+
+  /**
+   * Get the items of a meal option for one day as objects
+   * @param {Object} option - Meal option with `items` or legacy day columns
+   * @param {string} day - Day of week
+   * @returns {Array<{name: string, price: number|null, allergens: Array|null}>}
+   * @private
+   */
+  _normalizeOptionItems(option, day) {
+    const source = option.items && option.items[day]
+      ? option.items[day]
+      : (option[day] || '').split('\n');
+
+    return source
+      .map(item => (typeof item === 'string' ? { name: item } : item))
+      .filter(item => item && item.name && item.name.trim())
+      .map(item => ({
+        name: item.name.trim(),
+        price: item.price !== undefined && item.price !== null && item.price !== '' ? Number(item.price) : null,
+        allergens: Array.isArray(item.allergens) && item.allergens.length > 0 ? item.allergens : null
+      }));
+  }
+
+  /**
+   * Insert or update the catalog items of one meal option category
+   * Existing items are matched by (week, category, day, name) so their IDs stay stable;
+   * price and allergens already set on an item are kept unless the new data provides them.
+   * @param {number} organizationId - Organization ID
+   * @param {Object} option - Meal option with `items` or legacy day columns
+   * @returns {Promise<Array<number>>} IDs of all items of the category
+   * @private
+   */
+  async _upsertMealOptionItems(organizationId, option) {
+    const ids = [];
+
+    for (const day of ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']) {
+      const items = this._normalizeOptionItems(option, day);
+
+      for (let position = 0; position < items.length; position++) {
+        const item = items[position];
+        await this.db.run(
+          `INSERT INTO meal_option_items (organization_id, week_start_date, category, day_of_week, name, position, price, allergens)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (organization_id, week_start_date, category, day_of_week, name)
+           DO UPDATE SET
+             position = excluded.position,
+             price = COALESCE(excluded.price, meal_option_items.price),
+             allergens = COALESCE(excluded.allergens, meal_option_items.allergens),
+             updated_at = CURRENT_TIMESTAMP`,
+          [
+            organizationId,
+            option.week_start_date,
+            option.category,
+            day,
+            item.name,
+            position,
+            item.price,
+            item.allergens ? JSON.stringify(item.allergens) : null
+          ]
+        );
+
+        const row = await this.db.get(
+          `SELECT id FROM meal_option_items
+           WHERE organization_id = ? AND week_start_date = ? AND category = ? AND day_of_week = ? AND name = ?`,
+          [organizationId, option.week_start_date, option.category, day, item.name]
+        );
+        ids.push(row.id);
+      }
+    }
+
+    return ids;
+  }
+
+  /**
+   * Get meal option items for a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @param {Object} filters - Optional filters
+   * @param {string} filters.day - Day of week
+   * @param {string} filters.category - Category name
+   * @returns {Promise<Array>}
+   */
+  async getMealOptionItems(organizationId, weekStartDate, filters = {}) {
+    const conditions = ['organization_id = ?', 'week_start_date = ?'];
+    const params = [organizationId, weekStartDate];
+
+    if (filters.day) {
+      conditions.push('day_of_week = ?');
+      params.push(filters.day.toLowerCase());
+    }
+    if (filters.category) {
+      conditions.push('category = ?');
+      params.push(filters.category);
+    }
+
+    const rows = await this.db.all(
+      `SELECT * FROM meal_option_items
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY category,
+         CASE day_of_week
+           WHEN 'monday' THEN 1 WHEN 'tuesday' THEN 2 WHEN 'wednesday' THEN 3
+           WHEN 'thursday' THEN 4 WHEN 'friday' THEN 5
+         END,
+         position`,
+      params
+    );
+
+    return rows.map(row => this._formatMealOptionItem(row));
+  }
+
+  /**
+   * Get a meal option item by ID
+   * @param {number} organizationId - Organization ID
+   * @param {number} itemId - Item ID
+   * @returns {Promise<Object|null>}
+   */
+  async getMealOptionItemById(organizationId, itemId) {
+    const row = await this.db.get(
+      'SELECT * FROM meal_option_items WHERE id = ? AND organization_id = ?',
+      [itemId, organizationId]
+    );
+    return row ? this._formatMealOptionItem(row) : null;
+  }
+
+  /**
+   * Update price and allergens of a meal option item
+   * @param {number} organizationId - Organization ID
+   * @param {number} itemId - Item ID
+   * @param {Object} fields - Fields to update
+   * @param {number|null} fields.price - Price (null clears it)
+   * @param {Array|null} fields.allergens - Allergen list (null clears it)
+   */
+  async updateMealOptionItem(organizationId, itemId, fields) {
+    const updates = [];
+    const params = [];
+
+    if (fields.price !== undefined) {
+      updates.push('price = ?');
+      params.push(fields.price);
+    }
+    if (fields.allergens !== undefined) {
+      updates.push('allergens = ?');
+      params.push(fields.allergens && fields.allergens.length > 0 ? JSON.stringify(fields.allergens) : null);
+    }
+
+    if (updates.length === 0) return;
+
+    await this.db.run(
+      `UPDATE meal_option_items SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND organization_id = ?`,
+      [...params, itemId, organizationId]
+    );
+  }
+
+  /**
+   * Convert a meal_option_items row to its API shape
+   * @private
+   */
+  _formatMealOptionItem(row) {
+    return {
+      id: row.id,
+      week_start_date: row.week_start_date,
+      category: row.category,
+      day_of_week: row.day_of_week,
+      name: row.name,
+      position: row.position,
+      price: row.price,
+      allergens: row.allergens ? JSON.parse(row.allergens) : []
+    };
+  }
+
+  /**
+   * Get meal options for a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array>}
+   */
+  async getMealOptions(organizationId, weekStartDate) {
+    return await this.db.all(
+      'SELECT * FROM meal_options WHERE organization_id = ? AND week_start_date = ? ORDER BY category',
+      [organizationId, weekStartDate]
+    );
+  }
+
+  /**
+   * Get latest meal options week
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<string|null>}
+   */
+  async getLatestMealOptionsWeek(organizationId) {
+    const result = await this.db.get(
+      'SELECT DISTINCT week_start_date FROM meal_options WHERE organization_id = ? ORDER BY week_start_date DESC LIMIT 1',
+      [organizationId]
+    );
+    return result ? result.week_start_date : null;
+  }
+
+  /**
+   * Get employee names from current menu
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date (optional)
+   * @returns {Promise<Array>}
+   */
+  async getEmployeeNames(organizationId, weekStartDate = null) {
+    let week = weekStartDate || await this.getLatestWeek(organizationId);
+    if (!week) return [];
+
+    const rows = await this.db.all(
+      'SELECT DISTINCT employee_name FROM meals WHERE organization_id = ? AND week_start_date = ? ORDER BY employee_name',
+      [organizationId, week]
+    );
+
+    return rows.map(row => row.employee_name);
+  }
+
+  /**
+   * Find matching employee in current menu
+   * @param {number} organizationId - Organization ID
+   * @param {string} email - User email
+   * @returns {Promise<string|null>}
+   */
+  async findMatchingEmployee(organizationId, email) {
+    try {
+      const extractedName = extractNameFromEmail(email);
+      if (!extractedName) return null;
+
+      const employees = await this.getEmployeeNames(organizationId);
+
+      // Try exact match
+      let match = employees.find(emp => emp.toLowerCase() === extractedName.toLowerCase());
+      if (match) return match;
+
+      // Try reversed name
+      const reversedName = reverseNameOrder(extractedName);
+      match = employees.find(emp => emp.toLowerCase() === reversedName.toLowerCase());
+      if (match) return match;
+
+      // Try partial match
+      match = employees.find(emp => emp.toLowerCase().includes(extractedName.toLowerCase()));
+      if (match) return match;
+
+      return null;
+    } catch (error) {
+      console.error('Error finding matching employee:', error);
+      return null;
+    }
+  }
+
+  // ===== MEAL OPTION REVISION OPERATIONS =====
+
+  /**
+   * Get all revisions of a week's meal options, newest first
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array>}
+   */
+  async getMealOptionRevisions(organizationId, weekStartDate) {
+    const rows = await this.db.all(
+      `SELECT mor.*, u.email as uploaded_by_email
+       FROM meal_option_revisions mor
+       LEFT JOIN users u ON mor.uploaded_by = u.id
+       WHERE mor.organization_id = ? AND mor.week_start_date = ?
+       ORDER BY mor.revision DESC`,
+      [organizationId, weekStartDate]
+    );
+
+    return rows.map(row => ({ ...row, diff: row.diff ? JSON.parse(row.diff) : null }));
+  }
+
+  /**
+   * Get the current revision of a week's meal options
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Object|null>}
+   */
+  async getLatestMealOptionRevision(organizationId, weekStartDate) {
+    return await this.db.get(
+      `SELECT * FROM meal_option_revisions
+       WHERE organization_id = ? AND week_start_date = ?
+       ORDER BY revision DESC
+       LIMIT 1`,
+      [organizationId, weekStartDate]
+    );
+  }
+
+  /**
+   * Record a new revision of a week's meal options
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @param {Object} revision - Revision details
+   * @param {string} revision.period - Week period
+   * @param {string} revision.sourceFile - Source filename
+   * @param {number} revision.uploadedBy - Admin user ID
+   * @param {number} revision.categoryCount - Number of categories
+   * @param {number} revision.itemCount - Number of items
+   * @param {Object} revision.diff - Diff against the previous revision
+   * @param {number} revision.affectedSelections - Number of selections that lost an item
+   * @returns {Promise<number>} The new revision number
+   */
+  async saveMealOptionRevision(organizationId, weekStartDate, revision) {
+    const latest = await this.getLatestMealOptionRevision(organizationId, weekStartDate);
+    const number = latest ? latest.revision + 1 : 1;
+
+    await this.db.run(
+      `INSERT INTO meal_option_revisions
+       (organization_id, week_start_date, revision, period, source_file, uploaded_by, category_count, item_count, diff, affected_selections)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        organizationId,
+        weekStartDate,
+        number,
+        revision.period || null,
+        revision.sourceFile || null,
+        revision.uploadedBy || null,
+        revision.categoryCount || 0,
+        revision.itemCount || 0,
+        revision.diff ? JSON.stringify(revision.diff) : null,
+        revision.affectedSelections || 0
+      ]
+    );
+
+    return number;
+  }
+
+  /**
+   * Get the user selections that reference any of the given meal option items
+   * @param {Array<number>} itemIds - Meal option item IDs
+   * @returns {Promise<Array>} One row per (user, day, item)
+   */
+  async getSelectionsReferencingItems(itemIds) {
+    if (itemIds.length === 0) return [];
+
+    return await this.db.all(
+      `SELECT msi.user_id, u.email, u.employee_name, u.locale, msi.week_start_date, msi.day_of_week,
+              moi.id as item_id, moi.category, moi.name
+       FROM meal_selection_items msi
+       JOIN users u ON msi.user_id = u.id
+       JOIN meal_option_items moi ON msi.item_id = moi.id
+       WHERE msi.item_id IN (${itemIds.map(() => '?').join(',')})
+       ORDER BY u.email, msi.day_of_week`,
+      itemIds
+    );
+  }
+
+  // ===== MEAL SELECTIONS OPERATIONS =====
+
+  /**
+   * Save meal selection for a user
+   * @param {number} userId - User ID
+   * @param {string} weekStartDate - Week start date
+   * @param {Object} selections - Meal selections by day
+   * @param {Object} itemRefs - Meal option item IDs by day (days without refs have theirs cleared)
+   */
+  async saveMealSelection(userId, weekStartDate, selections, itemRefs = {}) {
+    await this.db.run(
+      `INSERT INTO meal_selections (user_id, week_start_date, monday, tuesday, wednesday, thursday, friday, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id, week_start_date)
+       DO UPDATE SET
+         monday = ?,
+         tuesday = ?,
+         wednesday = ?,
+         thursday = ?,
+         friday = ?,
+         updated_at = CURRENT_TIMESTAMP`,
+      [
+        userId,
+        weekStartDate,
+        selections.monday || '',
+        selections.tuesday || '',
+        selections.wednesday || '',
+        selections.thursday || '',
+        selections.friday || '',
+        selections.monday || '',
+        selections.tuesday || '',
+        selections.wednesday || '',
+        selections.thursday || '',
+        selections.friday || ''
+      ]
+    );
+
+    for (const day of ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']) {
+      await this._replaceSelectionItems(userId, weekStartDate, day, itemRefs[day] || []);
+    }
+  }
+
+  /**
+   * Replace the item references of one day of a user's selection
+   * @param {number} userId - User ID
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   * @param {Array<number>} itemIds - Meal option item IDs
+   * @private
+   */
+  async _replaceSelectionItems(userId, weekStartDate, dayOfWeek, itemIds) {
+    const day = dayOfWeek.toLowerCase();
+
+    await this.db.run(
+      'DELETE FROM meal_selection_items WHERE user_id = ? AND week_start_date = ? AND day_of_week = ?',
+      [userId, weekStartDate, day]
+    );
+
+    for (const itemId of itemIds) {
+      await this.db.run(
+        `INSERT OR IGNORE INTO meal_selection_items (user_id, week_start_date, day_of_week, item_id)
+         VALUES (?, ?, ?, ?)`,
+        [userId, weekStartDate, day, itemId]
+      );
+    }
+  }
+
+  /**
+   * Copy the item references of one day from one user's selection to another's
+   * @param {number} fromUserId - Source user ID
+   * @param {number} toUserId - Target user ID
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   * @private
+   */
+  async _copySelectionItems(fromUserId, toUserId, weekStartDate, dayOfWeek) {
+    const rows = await this.db.all(
+      'SELECT item_id FROM meal_selection_items WHERE user_id = ? AND week_start_date = ? AND day_of_week = ?',
+      [fromUserId, weekStartDate, dayOfWeek.toLowerCase()]
+    );
+    await this._replaceSelectionItems(toUserId, weekStartDate, dayOfWeek, rows.map(row => row.item_id));
+  }
+
+  /**
+   * Rebuild the stored dish names of one day of a user's selection from its item references
+   * @param {number} userId - User ID
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   * @private
+   */
+  async _refreshSelectionNames(userId, weekStartDate, dayOfWeek) {
+    const day = dayOfWeek.toLowerCase();
+    if (!['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].includes(day)) return;
+
+    const rows = await this.db.all(
+      `SELECT moi.name
+       FROM meal_selection_items msi
+       JOIN meal_option_items moi ON msi.item_id = moi.id
+       WHERE msi.user_id = ? AND msi.week_start_date = ? AND msi.day_of_week = ?
+       ORDER BY moi.category, moi.position`,
+      [userId, weekStartDate, day]
+    );
+
+    await this.db.run(
+      `UPDATE meal_selections SET ${day} = ?, updated_at = CURRENT_TIMESTAMP WHERE user_id = ? AND week_start_date = ?`,
+      [rows.map(row => row.name).join(' | '), userId, weekStartDate]
+    );
+  }
+
+  /**
+   * Get the meal option items referenced by a user's selection, grouped by day
+   * @param {number} userId - User ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Object>} Items by day
+   */
+  async getMealSelectionItems(userId, weekStartDate) {
+    const rows = await this.db.all(
+      `SELECT moi.*
+       FROM meal_selection_items msi
+       JOIN meal_option_items moi ON msi.item_id = moi.id
+       WHERE msi.user_id = ? AND msi.week_start_date = ?
+       ORDER BY moi.category, moi.position`,
+      [userId, weekStartDate]
+    );
+
+    const itemsByDay = { monday: [], tuesday: [], wednesday: [], thursday: [], friday: [] };
+    rows.forEach(row => itemsByDay[row.day_of_week].push(this._formatMealOptionItem(row)));
+    return itemsByDay;
+  }
+
+  /**
+   * Resolve and validate a submitted meal selection against the week's item catalog
+   *
+   * A day can be submitted as an array of meal option item IDs (preferred) or as the
+   * legacy ' | '-joined string of dish/category names. Every pick must be offered on that
+   * day, and at most one pick per category is allowed. Each invalid pick carries a message
+   * catalog code and its params, so it can be reported in the user's language.
+   *
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @param {Object} input - Submitted values by day
+   * @returns {Promise<Object>} { selections, itemRefs, invalid }
+   */
+  async resolveMealSelection(organizationId, weekStartDate, input) {
+    const catalog = await this.getMealOptionItems(organizationId, weekStartDate);
+    const itemsById = new Map(catalog.map(item => [item.id, item]));
+
+    const selections = {};
+    const itemRefs = {};
+    const invalid = [];
+
+    for (const day of ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']) {
+      const value = input[day];
+      const dayItems = catalog.filter(item => item.day_of_week === day);
+      const seenCategories = new Set();
+
+      const checkCategory = (category, pick) => {
+        if (seenCategories.has(category)) {
+          invalid.push({
+            day,
+            ...pick,
+            reason: 'duplicate_category',
+            code: 'PICK_DUPLICATE_CATEGORY',
+            params: { category }
+          });
+          return false;
+        }
+        seenCategories.add(category);
+        return true;
+      };
+
+      if (Array.isArray(value)) {
+        const names = [];
+        itemRefs[day] = [];
+
+        value.forEach(ref => {
+          const itemId = Number(ref);
+          const item = itemsById.get(itemId);
+
+          if (!Number.isInteger(itemId) || !item) {
+            invalid.push({ day, item_id: ref, reason: 'unknown_item', code: 'PICK_UNKNOWN_ITEM', params: {} });
+          } else if (item.day_of_week !== day) {
+            invalid.push({
+              day,
+              item_id: itemId,
+              name: item.name,
+              offered_day: item.day_of_week,
+              reason: 'wrong_day',
+              code: 'PICK_WRONG_DAY',
+              params: { name: item.name, category: item.category }
+            });
+          } else if (checkCategory(item.category, { item_id: itemId, name: item.name })) {
+            itemRefs[day].push(itemId);
+            names.push(item.name);
+          }
+        });
+
+        selections[day] = names.join(' | ');
+      } else if (value === undefined || value === null || value === '') {
+        selections[day] = '';
+      } else if (typeof value === 'string') {
+        const parts = value.split(' | ').map(p => p.trim()).filter(p => p);
+        const byName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+        // Dishes picked by name are linked like item IDs; a pick of a whole category has no item
+        itemRefs[day] = [];
+
+        parts.forEach(part => {
+          const categoryItem = dayItems.find(item => byName(item.category, part));
+          const item = dayItems.find(i => byName(i.name, part));
+
+          if (categoryItem) {
+            checkCategory(categoryItem.category, { value: part });
+          } else if (item) {
+            if (checkCategory(item.category, { value: part })) {
+              itemRefs[day].push(item.id);
+            }
+          } else {
+            invalid.push({ day, value: part, reason: 'not_on_menu', code: 'PICK_NOT_ON_MENU', params: { value: part } });
+          }
+        });
+
+        selections[day] = value;
+      } else {
+        invalid.push({ day, value, reason: 'invalid_format', code: 'PICK_INVALID_FORMAT', params: {} });
+      }
+    }
+
+    return { selections, itemRefs, invalid };
+  }
+
+  /**
+   * Get meal selection for a user
+   * @param {number} userId - User ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Object|null>}
+   */
+  async getMealSelection(userId, weekStartDate) {
+    return await this.db.get(
+      'SELECT * FROM meal_selections WHERE user_id = ? AND week_start_date = ?',
+      [userId, weekStartDate]
+    );
+  }
+
+  /**
+   * Get all meal selections for a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array>}
+   */
+  async getAllMealSelections(organizationId, weekStartDate) {
+    return await this.db.all(
+      `SELECT ms.*, u.email, u.employee_name
+       FROM meal_selections ms
+       JOIN users u ON ms.user_id = u.id
+       WHERE ms.week_start_date = ? AND u.organization_id = ?
+       ORDER BY u.employee_name`,
+      [weekStartDate, organizationId]
+    );
+  }
+
+  /**
+   * Get user meal history
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getUserMealHistory(userId) {
+    const user = await this.getUserById(userId);
+    if (!user) return [];
+
+    const userSelections = await this.db.all(
+      `SELECT ms.*, mo.period
+       FROM meal_selections ms
+       LEFT JOIN meal_options mo ON ms.week_start_date = mo.week_start_date AND mo.organization_id = ?
+       WHERE ms.user_id = ?
+       ORDER BY ms.week_start_date DESC`,
+      [user.organization_id, userId]
+    );
+
+    let mealRecords = [];
+    if (user.employee_name) {
+      mealRecords = await this.db.all(
+        'SELECT * FROM meals WHERE organization_id = ? AND employee_name = ? ORDER BY week_start_date DESC',
+        [user.organization_id, user.employee_name]
+      );
+    }
+
+    const combined = [];
+    const seenWeeks = new Set();
+
+    userSelections.forEach(sel => {
+      if (!seenWeeks.has(sel.week_start_date)) {
+        combined.push({
+          week_start_date: sel.week_start_date,
+          period: sel.period,
+          monday: sel.monday,
+          tuesday: sel.tuesday,
+          wednesday: sel.wednesday,
+          thursday: sel.thursday,
+          friday: sel.friday,
+          source: 'selection'
+        });
+        seenWeeks.add(sel.week_start_date);
+      }
+    });
+
+    mealRecords.forEach(meal => {
+      if (!seenWeeks.has(meal.week_start_date)) {
+        combined.push({
+          week_start_date: meal.week_start_date,
+          period: meal.period,
+          monday: meal.monday,
+          tuesday: meal.tuesday,
+          wednesday: meal.wednesday,
+          thursday: meal.thursday,
+          friday: meal.friday,
+          source: 'imported'
+        });
+        seenWeeks.add(meal.week_start_date);
+      }
+    });
+
+    return combined;
+  }
+
+  // ===== MEALS OPERATIONS =====
+
+  /**
+   * Save meals (imported data)
+   * @param {number} organizationId - Organization ID
+   * @param {Array} mealsData - Array of meal objects
+   * @param {boolean} clearExisting - Clear existing meals for the week
+   * @param {string} period - Week period
+   * @param {string} sourceFile - Source filename
+   */
+  async saveMeals(organizationId, mealsData, clearExisting = false, period = null, sourceFile = null) {
+    if (clearExisting && mealsData.length > 0) {
+      const weekStartDate = mealsData[0].week_start_date;
+      await this.db.run('DELETE FROM meals WHERE organization_id = ? AND week_start_date = ?', [organizationId, weekStartDate]);
+    }
+
+    for (const meal of mealsData) {
+      await this.db.run(
+        `INSERT INTO meals (organization_id, employee_name, division, week_start_date, period, source_file, monday, tuesday, wednesday, thursday, friday)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT (organization_id, employee_name, week_start_date)
+         DO UPDATE SET
+           division = ?,
+           period = ?,
+           source_file = ?,
+           monday = ?,
+           tuesday = ?,
+           wednesday = ?,
+           thursday = ?,
+           friday = ?`,
+        [
+          organizationId,
+          meal.employee_name,
+          meal.division || '',
+          meal.week_start_date,
+          period || meal.period || '',
+          sourceFile || meal.source_file || '',
+          meal.monday || '',
+          meal.tuesday || '',
+          meal.wednesday || '',
+          meal.thursday || '',
+          meal.friday || '',
+          meal.division || '',
+          period || meal.period || '',
+          sourceFile || meal.source_file || '',
+          meal.monday || '',
+          meal.tuesday || '',
+          meal.wednesday || '',
+          meal.thursday || '',
+          meal.friday || ''
+        ]
+      );
+    }
+  }
+
+  /**
+   * Get all meals for a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array>}
+   */
+  async getAllMeals(organizationId, weekStartDate) {
+    return await this.db.all(
+      'SELECT * FROM meals WHERE organization_id = ? AND week_start_date = ?',
+      [organizationId, weekStartDate]
+    );
+  }
+
+  /**
+   * Get latest week with meal data
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<string|null>}
+   */
+  async getLatestWeek(organizationId) {
+    const result = await this.db.get(
+      'SELECT DISTINCT week_start_date FROM meals WHERE organization_id = ? ORDER BY week_start_date DESC LIMIT 1',
+      [organizationId]
+    );
+    return result ? result.week_start_date : null;
+  }
+
+  /**
+   * Get the weeks with meal data before a week, newest first
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array<string>>}
+   */
+  async getMealWeeksBefore(organizationId, weekStartDate) {
+    const rows = await this.db.all(
+      `SELECT DISTINCT week_start_date FROM meals
+       WHERE organization_id = ? AND week_start_date < ?
+       ORDER BY week_start_date DESC`,
+      [organizationId, weekStartDate]
+    );
+    return rows.map(row => row.week_start_date);
+  }
+
+  /**
+   * Get all available weeks
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array>}
+   */
+  async getAllWeeks(organizationId) {
+    const mealWeeks = await this.db.all(
+      'SELECT DISTINCT week_start_date FROM meals WHERE organization_id = ? ORDER BY week_start_date DESC',
+      [organizationId]
+    );
+    const optionWeeks = await this.db.all(
+      'SELECT DISTINCT week_start_date FROM meal_options WHERE organization_id = ? ORDER BY week_start_date DESC',
+      [organizationId]
+    );
+    const selectionWeeks = await this.db.all(
+      `SELECT DISTINCT ms.week_start_date FROM meal_selections ms
+       JOIN users u ON ms.user_id = u.id
+       WHERE u.organization_id = ?
+       ORDER BY ms.week_start_date DESC`,
+      [organizationId]
+    );
+
+    const allWeeks = new Set();
+    mealWeeks.forEach(w => allWeeks.add(w.week_start_date));
+    optionWeeks.forEach(w => allWeeks.add(w.week_start_date));
+    selectionWeeks.forEach(w => allWeeks.add(w.week_start_date));
+
+    return Array.from(allWeeks).sort().reverse();
+  }
+
+  /**
+   * Delete all data of an organization for a specific week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   */
+  async deleteWeekData(organizationId, weekStartDate) {
+    const params = [weekStartDate, organizationId];
+
+    for (const table of ['meal_reviews', 'meal_selection_items', 'meal_selections', 'meal_selection_day_locks', 'week_unlock_overrides']) {
+      await this.db.run(
+        `DELETE FROM ${table} WHERE week_start_date = ? AND user_id IN (SELECT id FROM users WHERE organization_id = ?)`,
+        params
+      );
+    }
+    for (const table of ['meals', 'meal_options', 'meal_option_items', 'meal_option_revisions', 'cutoff_rules', 'week_day_locks', 'upload_history']) {
+      await this.db.run(`DELETE FROM ${table} WHERE week_start_date = ? AND organization_id = ?`, params);
+    }
+  }
+
+  // ===== UPLOAD HISTORY OPERATIONS =====
+
+  /**
+   * Check if upload exists
+   * @param {number} organizationId - Organization ID
+   * @param {string} fileHash - File hash
+   * @returns {Promise<Object|null>}
+   */
+  async checkUploadExists(organizationId, fileHash) {
+    return await this.db.get(
+      'SELECT * FROM upload_history WHERE organization_id = ? AND file_hash = ?',
+      [organizationId, fileHash]
+    );
+  }
+
+  /**
+   * Save upload history
+   * @param {number} organizationId - Organization ID
+   * @param {string} filename - Filename
+   * @param {string} fileHash - File hash
+   * @param {string} uploadType - Upload type
+   * @param {string} period - Week period
+   * @param {string} weekStartDate - Week start date
+   * @param {number} rowCount - Number of rows processed
+   */
+  async saveUploadHistory(organizationId, filename, fileHash, uploadType, period, weekStartDate, rowCount) {
+    try {
+      await this.db.run(
+        `INSERT INTO upload_history (organization_id, filename, file_hash, upload_type, period, week_start_date, row_count)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [organizationId, filename, fileHash, uploadType, period, weekStartDate, rowCount]
+      );
+    } catch (error) {
+      if (!error.message || !error.message.includes('UNIQUE constraint')) {
+        throw error;
+      }
+    }
+  }
+
+  // ===== IMPORT PROFILE OPERATIONS =====
+
+  /**
+   * Get all import profiles of an organization
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array>}
+   */
+  async getImportProfiles(organizationId) {
+    const rows = await this.db.all(
+      'SELECT * FROM import_profiles WHERE organization_id = ? ORDER BY is_default DESC, name',
+      [organizationId]
+    );
+    return rows.map(row => this._formatImportProfile(row));
+  }
+
+  /**
+   * Get an import profile by name or ID
+   * @param {number} organizationId - Organization ID
+   * @param {string|number} nameOrId - Profile name or ID
+   * @returns {Promise<Object|null>}
+   */
+  async getImportProfile(organizationId, nameOrId) {
+    const row = await this.db.get(
+      'SELECT * FROM import_profiles WHERE organization_id = ? AND (name = ? OR id = ?)',
+      [organizationId, String(nameOrId), Number(nameOrId) || 0]
+    );
+    return row ? this._formatImportProfile(row) : null;
+  }
+
+  /**
+   * Get the default import profile of an organization
+   * Falls back to the built-in profile if none is marked as default
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Object>}
+   */
+  async getDefaultImportProfile(organizationId) {
+    const row = await this.db.get(
+      'SELECT * FROM import_profiles WHERE organization_id = ? AND is_default = 1 LIMIT 1',
+      [organizationId]
+    );
+    return row ? this._formatImportProfile(row) : mealOptionsImportService.getDefaultProfile();
+  }
+
+  /**
+   * Create an import profile
+   * @param {number} organizationId - Organization ID
+   * @param {Object} profile - Profile definition
+   * @returns {Promise<Object>} Created profile
+   */
+  async createImportProfile(organizationId, profile) {
+    if (profile.is_default) {
+      await this.db.run('UPDATE import_profiles SET is_default = 0 WHERE organization_id = ?', [organizationId]);
+    }
+
+    const result = await this.db.run(
+      `INSERT INTO import_profiles (organization_id, name, sheet_name, header_row, day_columns, category_patterns, is_default)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        organizationId,
+        profile.name.trim(),
+        profile.sheet_name || null,
+        profile.header_row,
+        JSON.stringify(profile.day_columns),
+        JSON.stringify(profile.category_patterns),
+        profile.is_default ? 1 : 0
+      ]
+    );
+
+    return await this.getImportProfile(organizationId, result.lastID);
+  }
+
+  /**
+   * Update an import profile
+   * @param {number} organizationId - Organization ID
+   * @param {number} profileId - Profile ID
+   * @param {Object} profile - Complete profile definition
+   * @returns {Promise<Object>} Updated profile
+   */
+  async updateImportProfile(organizationId, profileId, profile) {
+    if (profile.is_default) {
+      await this.db.run(
+        'UPDATE import_profiles SET is_default = 0 WHERE organization_id = ? AND id != ?',
+        [organizationId, profileId]
+      );
+    }
+
+    await this.db.run(
+      `UPDATE import_profiles
+       SET name = ?, sheet_name = ?, header_row = ?, day_columns = ?, category_patterns = ?,
+           is_default = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND organization_id = ?`,
+      [
+        profile.name.trim(),
+        profile.sheet_name || null,
+        profile.header_row,
+        JSON.stringify(profile.day_columns),
+        JSON.stringify(profile.category_patterns),
+        profile.is_default ? 1 : 0,
+        profileId,
+        organizationId
+      ]
+    );
+
+    return await this.getImportProfile(organizationId, profileId);
+  }
+
+  /**
+   * Delete an import profile
+   * @param {number} organizationId - Organization ID
+   * @param {number} profileId - Profile ID
+   */
+  async deleteImportProfile(organizationId, profileId) {
+    await this.db.run('DELETE FROM import_profiles WHERE id = ? AND organization_id = ?', [profileId, organizationId]);
+  }
+
+  /**
+   * Convert an import_profiles row to its API shape
+   * @private
+   */
+  _formatImportProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      sheet_name: row.sheet_name,
+      header_row: row.header_row,
+      day_columns: JSON.parse(row.day_columns),
+      category_patterns: JSON.parse(row.category_patterns),
+      is_default: row.is_default === 1,
+      created_at: row.created_at,
+      updated_at: row.updated_at
+    };
+  }
+
+  // ===== MEAL REVIEWS OPERATIONS =====
+
+  /**
+   * Save meal review
+   * @param {number} userId - User ID
+   * @param {string} mealName - Meal name
+   * @param {string} reviewText - Review text
+   * @param {number} rating - Rating (1-5)
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   */
+  async saveMealReview(userId, mealName, reviewText, rating, weekStartDate, dayOfWeek) {
+    const wordCount = reviewText.trim().split(/\s+/).length;
+    if (wordCount > 500) {
+      throw new ValidationError('REVIEW_TOO_LONG', { params: { maxWords: 500 } });
+    }
+
+    await this.db.run(
+      `INSERT INTO meal_reviews (user_id, meal_name, review_text, rating, week_start_date, day_of_week, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id, meal_name, week_start_date, day_of_week)
+       DO UPDATE SET
+         review_text = ?,
+         rating = ?,
+         updated_at = CURRENT_TIMESTAMP`,
+      [
+        userId, mealName, reviewText, rating, weekStartDate, dayOfWeek,
+        reviewText, rating
+      ]
+    );
+  }
+
+  /**
+   * Get meal review by user
+   * @param {number} userId - User ID
+   * @param {string} mealName - Meal name
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   * @returns {Promise<Object|null>}
+   */
+  async getMealReview(userId, mealName, weekStartDate, dayOfWeek) {
+    return await this.db.get(
+      'SELECT * FROM meal_reviews WHERE user_id = ? AND meal_name = ? AND week_start_date = ? AND day_of_week = ?',
+      [userId, mealName, weekStartDate, dayOfWeek]
+    );
+  }
+
+  /**
+   * Get all reviews for a meal
+   * @param {number} organizationId - Organization ID
+   * @param {string} mealName - Meal name
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   * @returns {Promise<Array>}
+   */
+  async getMealReviews(organizationId, mealName, weekStartDate, dayOfWeek) {
+    return await this.db.all(
+      `SELECT mr.*, u.email, u.employee_name
+       FROM meal_reviews mr
+       JOIN users u ON mr.user_id = u.id
+       WHERE mr.meal_name = ? AND mr.week_start_date = ? AND mr.day_of_week = ? AND u.organization_id = ?
+       ORDER BY mr.created_at DESC`,
+      [mealName, weekStartDate, dayOfWeek, organizationId]
+    );
+  }
+
+  /**
+   * Get all reviews by user
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getUserReviews(userId) {
+    return await this.db.all(
+      'SELECT * FROM meal_reviews WHERE user_id = ? ORDER BY created_at DESC',
+      [userId]
+    );
+  }
+
+  /**
+   * Get recent reviews for a meal
+   * @param {number} organizationId - Organization ID
+   * @param {string} mealName - Meal name
+   * @returns {Promise<Array>}
+   */
+  async getRecentMealReviews(organizationId, mealName) {
+    const recentReviewers = await this.db.all(
+      `SELECT DISTINCT mr.user_id
+       FROM meal_reviews mr
+       JOIN users u ON mr.user_id = u.id
+       WHERE mr.meal_name = ? AND u.organization_id = ?
+       ORDER BY mr.created_at DESC
+       LIMIT 5`,
+      [mealName, organizationId]
+    );
+
+    if (recentReviewers.length === 0) return [];
+
+    const userIds = recentReviewers.map(r => r.user_id);
+    const placeholders = userIds.map(() => '?').join(',');
+
+    return await this.db.all(
+      `SELECT mr.*, u.email, u.employee_name
+       FROM meal_reviews mr
+       JOIN users u ON mr.user_id = u.id
+       WHERE mr.meal_name = ? AND mr.user_id IN (${placeholders})
+       ORDER BY mr.created_at DESC
+       LIMIT 3`,
+      [mealName, ...userIds]
+    );
+  }
+
+  /**
+   * Get recent reviews for a meal with user prioritization
+   * Returns up to 5 reviews: user's reviews first, then others of the organization
+   * @param {number} organizationId - Organization ID
+   * @param {string} mealName - Meal name
+   * @param {number} userId - Current user ID
+   * @returns {Promise<Array>}
+   */
+  async getPrioritizedMealReviews(organizationId, mealName, userId) {
+    // Get user's reviews first
+    const userReviews = await this.db.all(
+      `SELECT mr.*, u.email, u.employee_name
+       FROM meal_reviews mr
+       JOIN users u ON mr.user_id = u.id
+       WHERE mr.meal_name = ? AND mr.user_id = ?
+       ORDER BY mr.created_at DESC`,
+      [mealName, userId]
+    );
+
+    // Calculate how many more reviews we need
+    const remainingSlots = 5 - userReviews.length;
+
+    if (remainingSlots <= 0) {
+      // User has 5 or more reviews, return only user's reviews (limited to 5)
+      return userReviews.slice(0, 5);
+    }
+
+    // Get reviews from other users
+    const otherReviews = await this.db.all(
+      `SELECT mr.*, u.email, u.employee_name
+       FROM meal_reviews mr
+       JOIN users u ON mr.user_id = u.id
+       WHERE mr.meal_name = ? AND mr.user_id != ? AND u.organization_id = ?
+       ORDER BY mr.created_at DESC
+       LIMIT ?`,
+      [mealName, userId, organizationId, remainingSlots]
+    );
+
+    // Combine: user's reviews first, then others
+    return [...userReviews, ...otherReviews];
+  }
+
+  // ===== WEEK LOCK OPERATIONS =====
+
+  /**
+   * Get week settings
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Object|null>}
+   */
+  async getWeekSettings(organizationId, weekStartDate) {
+    return await this.db.get(
+      'SELECT * FROM week_settings WHERE organization_id = ? AND week_start_date = ?',
+      [organizationId, weekStartDate]
+    );
+  }
+
+  /**
+   * Lock a week (ends the week's unlock overrides)
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   */
+  async lockWeek(organizationId, weekStartDate) {
+    await this.db.run(
+      `INSERT INTO week_settings (organization_id, week_start_date, is_locked, locked_at)
+       VALUES (?, ?, 1, CURRENT_TIMESTAMP)
+       ON CONFLICT (organization_id, week_start_date)
+       DO UPDATE SET
+         is_locked = 1,
+         locked_at = CURRENT_TIMESTAMP,
+         cutoffs_lifted = 0`,
+      [organizationId, weekStartDate]
+    );
+    await this._expireUnlockOverrides(organizationId, weekStartDate);
+  }
+
+  /**
+   * Unlock a week (including its locked days)
+   * Unlocking a week that was locked by its cutoff also lifts the cutoff deadlines for it
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   */
+  async unlockWeek(organizationId, weekStartDate) {
+    await this.db.run(
+      `INSERT INTO week_settings (organization_id, week_start_date, is_locked, locked_at)
+       VALUES (?, ?, 0, NULL)
+       ON CONFLICT (organization_id, week_start_date)
+       DO UPDATE SET
+         is_locked = 0,
+         locked_at = NULL,
+         cutoffs_lifted = CASE WHEN auto_locked_at IS NOT NULL THEN 1 ELSE cutoffs_lifted END`,
+      [organizationId, weekStartDate]
+    );
+    await this.db.run(
+      'DELETE FROM week_day_locks WHERE organization_id = ? AND week_start_date = ?',
+      [organizationId, weekStartDate]
+    );
+    await this._expireUnlockOverrides(organizationId, weekStartDate);
+  }
+
+  /**
+   * Lock a week because its ordering cutoff has passed
+   * Unlock overrides already granted are kept; the week is only auto-locked once
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   */
+  async autoLockWeek(organizationId, weekStartDate) {
+    await this.db.run(
+      `INSERT INTO week_settings (organization_id, week_start_date, is_locked, locked_at, auto_locked_at)
+       VALUES (?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+       ON CONFLICT (organization_id, week_start_date)
+       DO UPDATE SET
+         is_locked = 1,
+         locked_at = CURRENT_TIMESTAMP,
+         auto_locked_at = CURRENT_TIMESTAMP`,
+      [organizationId, weekStartDate]
+    );
+  }
+
+  /**
+   * Get weeks with meal options that have not been auto-locked yet
+   * @param {number} organizationId - Organization ID
+   * @param {string} sinceDate - Oldest week start date to consider
+   * @returns {Promise<Array<string>>} Week start dates
+   */
+  async getWeeksPendingAutoLock(organizationId, sinceDate) {
+    const rows = await this.db.all(
+      `SELECT DISTINCT mo.week_start_date
+       FROM meal_options mo
+       LEFT JOIN week_settings ws
+         ON ws.organization_id = mo.organization_id AND ws.week_start_date = mo.week_start_date
+       WHERE mo.organization_id = ? AND mo.week_start_date >= ? AND ws.auto_locked_at IS NULL
+       ORDER BY mo.week_start_date`,
+      [organizationId, sinceDate]
+    );
+    return rows.map(row => row.week_start_date);
+  }
+
+  // ===== UNLOCK OVERRIDE OPERATIONS =====
+
+  /**
+   * Grant a user an unlock override for a week or a single day
+   * Granting again replaces the previous override of the same scope.
+   * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID to grant unlock permission
+   * @param {Object} options - Override options
+   * @param {string} options.dayOfWeek - Day to unlock (optional; null for the whole week)
+   * @param {number} options.grantedBy - Admin user ID (optional)
+   * @param {number} options.expiresInMinutes - Minutes until the override expires (optional; never if omitted)
+   * @returns {Promise<Object>} The override
+   */
+  async grantUserUnlock(weekStartDate, userId, { dayOfWeek = null, grantedBy = null, expiresInMinutes = null } = {}) {
+    const day = dayOfWeek ? dayOfWeek.toLowerCase() : null;
+    const expiry = expiresInMinutes ? `+${expiresInMinutes} minutes` : null;
+
+    await this.db.run(
+      `INSERT INTO week_unlock_overrides (week_start_date, user_id, day_of_week, granted_by, expires_at)
+       VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+       ON CONFLICT (week_start_date, user_id, COALESCE(day_of_week, ''))
+       DO UPDATE SET
+         granted_by = excluded.granted_by,
+         granted_at = CURRENT_TIMESTAMP,
+         expires_at = excluded.expires_at`,
+      [weekStartDate, userId, day, grantedBy, expiry, expiry]
+    );
+
+    return await this.db.get(
+      'SELECT * FROM week_unlock_overrides WHERE week_start_date = ? AND user_id = ? AND day_of_week IS ?',
+      [weekStartDate, userId, day]
+    );
+  }
+
+  /**
+   * Revoke a user's unlock overrides for a week
+   * The override is expired rather than deleted, so the record of the grant stays.
+   * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID to revoke unlock permission
+   * @param {string} dayOfWeek - Day override to revoke (optional; all of the user's overrides if omitted)
+   * @returns {Promise<number>} Number of overrides revoked
+   */
+  async revokeUserUnlock(weekStartDate, userId, dayOfWeek = null) {
+    const dayFilter = dayOfWeek ? 'AND day_of_week = ?' : '';
+    const params = dayOfWeek ? [weekStartDate, userId, dayOfWeek.toLowerCase()] : [weekStartDate, userId];
+
+    const result = await this.db.run(
+      `UPDATE week_unlock_overrides SET expires_at = CURRENT_TIMESTAMP
+       WHERE week_start_date = ? AND user_id = ? ${dayFilter}
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      params
+    );
+    return result.changes;
+  }
+
+  /**
+   * Get the unlock overrides of a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @param {boolean} includeExpired - Also return expired and revoked overrides
+   * @returns {Promise<Array>} Overrides with user and granting admin info
+   */
+  async getUnlockOverrides(organizationId, weekStartDate, includeExpired = false) {
+    return await this.db.all(
+      `SELECT wuo.*, u.email, u.employee_name, g.email AS granted_by_email,
+         (wuo.expires_at IS NULL OR wuo.expires_at > CURRENT_TIMESTAMP) AS is_active
+       FROM week_unlock_overrides wuo
+       JOIN users u ON wuo.user_id = u.id
+       LEFT JOIN users g ON wuo.granted_by = g.id
+       WHERE wuo.week_start_date = ? AND u.organization_id = ?
+         ${includeExpired ? '' : 'AND (wuo.expires_at IS NULL OR wuo.expires_at > CURRENT_TIMESTAMP)'}
+       ORDER BY wuo.granted_at DESC, wuo.id DESC`,
+      [weekStartDate, organizationId]
+    );
+  }
+
+  /**
+   * Get the days of a week a user has an active unlock override for
+   * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Unlocked days (all days for a whole-week override)
+   */
+  async getUnlockedDaysForUser(weekStartDate, userId) {
+    const rows = await this.db.all(
+      `SELECT day_of_week FROM week_unlock_overrides
+       WHERE week_start_date = ? AND user_id = ?
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+      [weekStartDate, userId]
+    );
+
+    const days = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+    if (rows.some(row => row.day_of_week === null)) return days;
+    return days.filter(day => rows.some(row => row.day_of_week === day));
+  }
+
+  /**
+   * Expire every active unlock override of an organization's week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @private
+   */
+  async _expireUnlockOverrides(organizationId, weekStartDate) {
+    await this.db.run(
+      `UPDATE week_unlock_overrides SET expires_at = CURRENT_TIMESTAMP
+       WHERE week_start_date = ? AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+         AND user_id IN (SELECT id FROM users WHERE organization_id = ?)`,
+      [weekStartDate, organizationId]
+    );
+  }
+
+  // ===== DAY LOCK OPERATIONS =====
+
+  /**
+   * Lock a single day of a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   */
+  async lockWeekDay(organizationId, weekStartDate, dayOfWeek) {
+    await this.db.run(
+      'INSERT OR IGNORE INTO week_day_locks (organization_id, week_start_date, day_of_week) VALUES (?, ?, ?)',
+      [organizationId, weekStartDate, dayOfWeek.toLowerCase()]
+    );
   }
 
   /**
-   * Get all meals for a week
+   * Unlock a single day of a week
+   * @param {number} organizationId - Organization ID
    * @param {string} weekStartDate - Week start date
-   * @returns {Promise<Array>}
+   * @param {string} dayOfWeek - Day of week
    */
-  async getAllMeals(weekStartDate) {
-    return await this.db.all('SELECT * FROM meals WHERE week_start_date = ?', [weekStartDate]);
+  async unlockWeekDay(organizationId, weekStartDate, dayOfWeek) {
+    await this.db.run(
+      'DELETE FROM week_day_locks WHERE organization_id = ? AND week_start_date = ? AND day_of_week = ?',
+      [organizationId, weekStartDate, dayOfWeek.toLowerCase()]
+    );
   }
 
   /**
-   * Get latest week with meal data
-   * @returns {Promise<string|null>}
+   * Get the days of a week locked by an admin
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array<string>>} Locked days, Monday first
    */
-  async getLatestWeek() {
-    const result = await this.db.get(
-      'SELECT DISTINCT week_start_date FROM meals ORDER BY week_start_date DESC LIMIT 1'
+  async getLockedWeekDays(organizationId, weekStartDate) {
+    const rows = await this.db.all(
+      'SELECT day_of_week FROM week_day_locks WHERE organization_id = ? AND week_start_date = ?',
+      [organizationId, weekStartDate]
     );
-    return result ? result.week_start_date : null;
+    const days = rows.map(row => row.day_of_week);
+    return ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].filter(day => days.includes(day));
   }
 
   /**
-   * Get all available weeks
-   * @returns {Promise<Array>}
+   * Get the days of a week locked by an admin for a specific user
+   * A locked week locks every day once it has started (or once its cutoff locked it); day
+   * locks apply before the week starts too, as that is when days are sent to the caterer.
+   * Days the user holds an active unlock override for are not locked.
+   * @param {number} organizationId - Organization ID of the user
+   * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID
+   * @returns {Promise<Array<string>>} Locked days
    */
-  async getAllWeeks() {
-    const mealWeeks = await this.db.all(
-      'SELECT DISTINCT week_start_date FROM meals ORDER BY week_start_date DESC'
-    );
-    const optionWeeks = await this.db.all(
-      'SELECT DISTINCT week_start_date FROM meal_options ORDER BY week_start_date DESC'
-    );
-    const selectionWeeks = await this.db.all(
-      'SELECT DISTINCT week_start_date FROM meal_selections ORDER BY week_start_date DESC'
-    );
+  async getLockedDaysForUser(organizationId, weekStartDate, userId) {
+    // Check if current date is before week start date
+    // If yes, the week lock doesn't apply (people can make selections for future weeks)
+    const today = new Date();
+    today.setHours(0, 0, 0, 0); // Reset to start of day for comparison
 
-    const allWeeks = new Set();
-    mealWeeks.forEach(w => allWeeks.add(w.week_start_date));
-    optionWeeks.forEach(w => allWeeks.add(w.week_start_date));
-    selectionWeeks.forEach(w => allWeeks.add(w.week_start_date));
+    const weekStart = new Date(weekStartDate);
+    weekStart.setHours(0, 0, 0, 0);
 
-    return Array.from(allWeeks).sort().reverse();
+    const settings = await this.getWeekSettings(organizationId, weekStartDate);
+    const weekLocked = settings && settings.is_locked && (today >= weekStart || settings.auto_locked_at);
+
+    const days = weekLocked
+      ? ['monday', 'tuesday', 'wednesday', 'thursday', 'friday']
+      : await this.getLockedWeekDays(organizationId, weekStartDate);
+    if (days.length === 0) return [];
+
+    const unlockedDays = await this.getUnlockedDaysForUser(weekStartDate, userId);
+    return days.filter(day => !unlockedDays.includes(day));
   }
 
   /**
-   * Delete all data for a specific week
+   * Check if a week (or one day of it) is locked for a specific user
+   * @param {number} organizationId - Organization ID of the user
    * @param {string} weekStartDate - Week start date
+   * @param {number} userId - User ID
+   * @param {string} dayOfWeek - Day of week (optional; without it, true only if every day is locked)
+   * @returns {Promise<boolean>} True if locked for this user
    */
-  async deleteWeekData(weekStartDate) {
-    await this.db.run('DELETE FROM meal_reviews WHERE week_start_date = ?', [weekStartDate]);
-    await this.db.run('DELETE FROM meal_selections WHERE week_start_date = ?', [weekStartDate]);
-    await this.db.run('DELETE FROM meals WHERE week_start_date = ?', [weekStartDate]);
-    await this.db.run('DELETE FROM meal_options WHERE week_start_date = ?', [weekStartDate]);
-    await this.db.run('DELETE FROM upload_history WHERE week_start_date = ?', [weekStartDate]);
+  async isWeekLockedForUser(organizationId, weekStartDate, userId, dayOfWeek = null) {
+    const lockedDays = await this.getLockedDaysForUser(organizationId, weekStartDate, userId);
+    return dayOfWeek ? lockedDays.includes(dayOfWeek.toLowerCase()) : lockedDays.length === 5;
   }
 
-  // ===== UPLOAD HISTORY OPERATIONS =====
+  /**
+   * Unlock Request Methods
+   */
 
   /**
-   * Check if upload exists
-   * @param {string} fileHash - File hash
-   * @returns {Promise<Object|null>}
+   * Create an unlock request
+   * A pending request for the same week and day is returned as is.
+   * @param {number} userId - User ID
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day to unlock (optional; null for the whole week)
+   * @param {string} reason - Why the user needs the unlock (optional)
+   * @returns {Promise<object>} Created request
    */
-  async checkUploadExists(fileHash) {
-    return await this.db.get('SELECT * FROM upload_history WHERE file_hash = ?', [fileHash]);
+  async createUnlockRequest(userId, weekStartDate, dayOfWeek = null, reason = null) {
+    const day = dayOfWeek ? dayOfWeek.toLowerCase() : null;
+
+    // First, check if there's already a pending request
+    const existingRequest = await this.db.get(
+      'SELECT * FROM unlock_requests WHERE user_id = ? AND week_start_date = ? AND day_of_week IS ? AND status = ?',
+      [userId, weekStartDate, day, 'pending']
+    );
+
+    if (existingRequest) {
+      return existingRequest;
+    }
+
+    // Create new request
+    const result = await this.db.run(
+      'INSERT INTO unlock_requests (user_id, week_start_date, day_of_week, reason, status) VALUES (?, ?, ?, ?, ?)',
+      [userId, weekStartDate, day, reason, 'pending']
+    );
+
+    return {
+      id: result.lastID,
+      user_id: userId,
+      week_start_date: weekStartDate,
+      day_of_week: day,
+      reason,
+      status: 'pending'
+    };
   }
 
   /**
-   * Check if period exists
-   * @param {string} period - Week period
-   * @param {string} uploadType - Upload type
+   * Get an unlock request with requester info
+   * @param {number} organizationId - Organization ID of the requester
+   * @param {number} requestId - Request ID
    * @returns {Promise<Object|null>}
    */
-  async checkPeriodExists(period, uploadType) {
-    if (!period) return null;
-
+  async getUnlockRequestById(organizationId, requestId) {
     return await this.db.get(
-      `SELECT * FROM upload_history
-       WHERE period = ? AND upload_type = ?
-       ORDER BY upload_date DESC
-       LIMIT 1`,
-      [period, uploadType]
+      `SELECT ur.*, u.email, u.employee_name, u.locale
+       FROM unlock_requests ur
+       JOIN users u ON ur.user_id = u.id
+       WHERE ur.id = ? AND u.organization_id = ?`,
+      [requestId, organizationId]
     );
   }
 
   /**
-   * Save upload history
-   * @param {string} filename - Filename
-   * @param {string} fileHash - File hash
-   * @param {string} uploadType - Upload type
-   * @param {string} period - Week period
-   * @param {string} weekStartDate - Week start date
-   * @param {number} rowCount - Number of rows processed
+   * Get all pending unlock requests of an organization
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array>} List of pending requests with user info
    */
-  async saveUploadHistory(filename, fileHash, uploadType, period, weekStartDate, rowCount) {
-    try {
-      await this.db.run(
-        'INSERT INTO upload_history (filename, file_hash, upload_type, period, week_start_date, row_count) VALUES (?, ?, ?, ?, ?, ?)',
-        [filename, fileHash, uploadType, period, weekStartDate, rowCount]
-      );
-    } catch (error) {
-      if (!error.message || !error.message.includes('UNIQUE constraint')) {
-        throw error;
-      }
-    }
+  async getPendingUnlockRequests(organizationId) {
+    return await this.db.all(`
+      SELECT ur.*, u.email, u.employee_name
+      FROM unlock_requests ur
+      JOIN users u ON ur.user_id = u.id
+      WHERE ur.status = 'pending' AND u.organization_id = ?
+      ORDER BY ur.requested_at DESC
+    `, [organizationId]);
   }
 
-  // ===== MEAL REVIEWS OPERATIONS =====
-
   /**
-   * Save meal review
-   * @param {number} userId - User ID
-   * @param {string} mealName - Meal name
-   * @param {string} reviewText - Review text
-   * @param {number} rating - Rating (1-5)
-   * @param {string} weekStartDate - Week start date
-   * @param {string} dayOfWeek - Day of week
+   * Get unlock requests of any status, newest first
+   * @param {number} organizationId - Organization ID
+   * @param {Object} filters - Filters (all optional)
+   * @param {string} filters.status - pending, approved or rejected
+   * @param {string} filters.weekStartDate - Week start date
+   * @param {number} filters.userId - Requesting user ID
+   * @param {number} filters.processedBy - Admin who processed the request
+   * @param {string} filters.from - Requested on or after (YYYY-MM-DD)
+   * @param {string} filters.to - Requested on or before (YYYY-MM-DD)
+   * @param {number} filters.limit - Page size (default 50)
+   * @param {number} filters.offset - Page offset (default 0)
+   * @returns {Promise<Object>} { requests, total }
    */
-  async saveMealReview(userId, mealName, reviewText, rating, weekStartDate, dayOfWeek) {
-    const wordCount = reviewText.trim().split(/\s+/).length;
-    if (wordCount > 500) {
-      throw new Error('Review-ul poate conține maxim 500 de cuvinte');
+  async getUnlockRequestHistory(organizationId, { status, weekStartDate, userId, processedBy, from, to, limit = 50, offset = 0 } = {}) {
+    const conditions = ['u.organization_id = ?'];
+    const params = [organizationId];
+
+    if (status) {
+      conditions.push('ur.status = ?');
+      params.push(status);
+    }
+    if (weekStartDate) {
+      conditions.push('ur.week_start_date = ?');
+      params.push(weekStartDate);
+    }
+    if (userId) {
+      conditions.push('ur.user_id = ?');
+      params.push(userId);
+    }
+    if (processedBy) {
+      conditions.push('ur.processed_by = ?');
+      params.push(processedBy);
+    }
+    if (from) {
+      conditions.push('date(ur.requested_at) >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('date(ur.requested_at) <= ?');
+      params.push(to);
     }
 
-    await this.db.run(
-      `INSERT INTO meal_reviews (user_id, meal_name, review_text, rating, week_start_date, day_of_week, updated_at)
-       VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
-       ON CONFLICT (user_id, meal_name, week_start_date, day_of_week)
-       DO UPDATE SET
-         review_text = ?,
-         rating = ?,
-         updated_at = CURRENT_TIMESTAMP`,
-      [
-        userId, mealName, reviewText, rating, weekStartDate, dayOfWeek,
-        reviewText, rating
-      ]
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const requests = await this.db.all(
+      `SELECT ur.*, u.email, u.employee_name, p.email AS processed_by_email
+       FROM unlock_requests ur
+       JOIN users u ON ur.user_id = u.id
+       LEFT JOIN users p ON ur.processed_by = p.id
+       ${where}
+       ORDER BY ur.requested_at DESC, ur.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const { total } = await this.db.get(
+      `SELECT COUNT(*) AS total FROM unlock_requests ur JOIN users u ON ur.user_id = u.id ${where}`,
+      params
     );
+
+    return { requests, total };
   }
 
   /**
-   * Get meal review by user
-   * @param {number} userId - User ID
-   * @param {string} mealName - Meal name
-   * @param {string} weekStartDate - Week start date
-   * @param {string} dayOfWeek - Day of week
-   * @returns {Promise<Object|null>}
+   * Get pending unlock requests of an organization its admins have not been told about yet
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array>} Requests with user info, oldest first
    */
-  async getMealReview(userId, mealName, weekStartDate, dayOfWeek) {
-    return await this.db.get(
-      'SELECT * FROM meal_reviews WHERE user_id = ? AND meal_name = ? AND week_start_date = ? AND day_of_week = ?',
-      [userId, mealName, weekStartDate, dayOfWeek]
+  async getUnlockRequestsPendingDigest(organizationId) {
+    return await this.db.all(`
+      SELECT ur.*, u.email, u.employee_name
+      FROM unlock_requests ur
+      JOIN users u ON ur.user_id = u.id
+      WHERE ur.status = 'pending' AND ur.digest_sent_at IS NULL AND u.organization_id = ?
+      ORDER BY ur.requested_at, ur.id
+    `, [organizationId]);
+  }
+
+  /**
+   * Mark unlock requests as included in an admin digest
+   * @param {Array<number>} requestIds - Request IDs
+   */
+  async markUnlockRequestsDigested(requestIds) {
+    if (requestIds.length === 0) return;
+
+    await this.db.run(
+      `UPDATE unlock_requests SET digest_sent_at = CURRENT_TIMESTAMP
+       WHERE id IN (${requestIds.map(() => '?').join(', ')})`,
+      requestIds
     );
   }
 
   /**
-   * Get all reviews for a meal
-   * @param {string} mealName - Meal name
+   * Check if user has a pending unlock request
+   * @param {number} userId - User ID
    * @param {string} weekStartDate - Week start date
-   * @param {string} dayOfWeek - Day of week
-   * @returns {Promise<Array>}
+   * @returns {Promise<boolean>} True if user has a pending request
    */
-  async getMealReviews(mealName, weekStartDate, dayOfWeek) {
-    return await this.db.all(
-      `SELECT mr.*, u.email, u.employee_name
-       FROM meal_reviews mr
-       JOIN users u ON mr.user_id = u.id
-       WHERE mr.meal_name = ? AND mr.week_start_date = ? AND mr.day_of_week = ?
-       ORDER BY mr.created_at DESC`,
-      [mealName, weekStartDate, dayOfWeek]
+  async hasPendingUnlockRequest(userId, weekStartDate) {
+    const request = await this.db.get(
+      'SELECT id FROM unlock_requests WHERE user_id = ? AND week_start_date = ? AND status = ?',
+      [userId, weekStartDate, 'pending']
     );
+    return !!request;
   }
 
   /**
-   * Get all reviews by user
+   * Get the days a user has pending unlock requests for
    * @param {number} userId - User ID
-   * @returns {Promise<Array>}
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array<string|null>>} Requested days (null for a whole-week request)
    */
-  async getUserReviews(userId) {
-    return await this.db.all(
-      'SELECT * FROM meal_reviews WHERE user_id = ? ORDER BY created_at DESC',
-      [userId]
+  async getPendingUnlockRequestDays(userId, weekStartDate) {
+    const rows = await this.db.all(
+      'SELECT day_of_week FROM unlock_requests WHERE user_id = ? AND week_start_date = ? AND status = ?',
+      [userId, weekStartDate, 'pending']
     );
+    return rows.map(row => row.day_of_week);
   }
 
   /**
-   * Get recent reviews for a meal
-   * @param {string} mealName - Meal name
-   * @returns {Promise<Array>}
+   * Approve unlock request
+   * The status changes first and only while the request is pending, so of two admins
+   * deciding at once only one unlocks the selection.
+   * @param {number} organizationId - Organization ID of the requester
+   * @param {number} requestId - Request ID
+   * @param {number} adminId - Admin user ID who approved
+   * @param {string} comment - Admin comment for the requester (optional)
+   * @returns {Promise<boolean>} False if the request was no longer pending
    */
-  async getRecentMealReviews(mealName) {
-    const recentReviewers = await this.db.all(
-      `SELECT DISTINCT user_id
-       FROM meal_reviews
-       WHERE meal_name = ?
-       ORDER BY created_at DESC
-       LIMIT 5`,
-      [mealName]
-    );
+  async approveUnlockRequest(organizationId, requestId, adminId, comment = null) {
+    // Get the request details
+    const request = await this.getUnlockRequestById(organizationId, requestId);
 
-    if (recentReviewers.length === 0) return [];
+    if (!request) {
+      throw new NotFoundError('UNLOCK_REQUEST_NOT_FOUND');
+    }
 
-    const userIds = recentReviewers.map(r => r.user_id);
-    const placeholders = userIds.map(() => '?').join(',');
+    if (!await this._decideUnlockRequest(organizationId, requestId, 'approved', adminId, comment)) {
+      return false;
+    }
 
-    return await this.db.all(
-      `SELECT mr.*, u.email, u.employee_name
-       FROM meal_reviews mr
-       JOIN users u ON mr.user_id = u.id
-       WHERE mr.meal_name = ? AND mr.user_id IN (${placeholders})
-       ORDER BY mr.created_at DESC
-       LIMIT 3`,
-      [mealName, ...userIds]
-    );
+    // Unlock the user's selection (only the requested day for a day request)
+    if (request.day_of_week) {
+      await this.unlockUserSelectionDay(request.user_id, request.week_start_date, request.day_of_week);
+    } else {
+      await this.unlockUserSelection(request.user_id, request.week_start_date);
+    }
+
+    // If the week (or the requested day) is admin-locked, also grant the user an unlock override for it
+    const weekSettings = await this.getWeekSettings(organizationId, request.week_start_date);
+    const lockedDays = await this.getLockedWeekDays(organizationId, request.week_start_date);
+    const dayLocked = request.day_of_week ? lockedDays.includes(request.day_of_week) : lockedDays.length > 0;
+    if ((weekSettings && weekSettings.is_locked) || dayLocked) {
+      await this.grantUserUnlock(request.week_start_date, request.user_id, {
+        dayOfWeek: request.day_of_week,
+        grantedBy: adminId
+      });
+    }
+
+    return true;
   }
 
   /**
-   * Get recent reviews for a meal with user prioritization
-   * Returns up to 5 reviews: user's reviews first, then others
-   * @param {string} mealName - Meal name
-   * @param {number} userId - Current user ID
-   * @returns {Promise<Array>}
+   * Reject all pending unlock requests of a user
+   * @param {number} userId - User ID
+   * @param {number} adminId - Admin user ID who rejected
+   * @param {string} comment - Admin comment for the requester (optional)
+   * @returns {Promise<number>} Number of requests rejected
    */
-  async getPrioritizedMealReviews(mealName, userId) {
-    // Get user's reviews first
-    const userReviews = await this.db.all(
-      `SELECT mr.*, u.email, u.employee_name
-       FROM meal_reviews mr
-       JOIN users u ON mr.user_id = u.id
-       WHERE mr.meal_name = ? AND mr.user_id = ?
-       ORDER BY mr.created_at DESC`,
-      [mealName, userId]
+  async rejectPendingUnlockRequests(userId, adminId, comment = null) {
+    const result = await this.db.run(
+      `UPDATE unlock_requests SET status = 'rejected', processed_at = CURRENT_TIMESTAMP, processed_by = ?, admin_comment = ?
+       WHERE user_id = ? AND status = 'pending'`,
+      [adminId, comment, userId]
     );
+    return result.changes;
+  }
 
-    // Calculate how many more reviews we need
-    const remainingSlots = 5 - userReviews.length;
-
-    if (remainingSlots <= 0) {
-      // User has 5 or more reviews, return only user's reviews (limited to 5)
-      return userReviews.slice(0, 5);
-    }
+  /**
+   * Reject unlock request
+   * @param {number} organizationId - Organization ID of the requester
+   * @param {number} requestId - Request ID
+   * @param {number} adminId - Admin user ID who rejected
+   * @param {string} comment - Admin comment for the requester (optional)
+   * @returns {Promise<boolean>} False if the request was no longer pending
+   */
+  async rejectUnlockRequest(organizationId, requestId, adminId, comment = null) {
+    return await this._decideUnlockRequest(organizationId, requestId, 'rejected', adminId, comment);
+  }
 
-    // Get reviews from other users
-    const otherReviews = await this.db.all(
-      `SELECT mr.*, u.email, u.employee_name
-       FROM meal_reviews mr
-       JOIN users u ON mr.user_id = u.id
-       WHERE mr.meal_name = ? AND mr.user_id != ?
-       ORDER BY mr.created_at DESC
-       LIMIT ?`,
-      [mealName, userId, remainingSlots]
+  /**
+   * Record the decision on a pending unlock request
+   * @param {number} organizationId - Organization ID of the requester
+   * @param {number} requestId - Request ID
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {number} adminId - Admin user ID who decided
+   * @param {string} comment - Admin comment for the requester (optional)
+   * @returns {Promise<boolean>} False if the request was no longer pending
+   * @private
+   */
+  async _decideUnlockRequest(organizationId, requestId, status, adminId, comment) {
+    const result = await this.db.run(
+      `UPDATE unlock_requests SET status = ?, processed_at = CURRENT_TIMESTAMP, processed_by = ?, admin_comment = ?
+       WHERE id = ? AND status = 'pending' AND user_id IN (SELECT id FROM users WHERE organization_id = ?)`,
+      [status, adminId, comment, requestId, organizationId]
     );
-
-    // Combine: user's reviews first, then others
-    return [...userReviews, ...otherReviews];
+    return result.changes > 0;
   }
 
-  // ===== WEEK LOCK OPERATIONS =====
+  /**
+   * User Self-Lock Methods
+   */
 
   /**
-   * Get week settings
+   * Lock user's own meal selection
+   * @param {number} userId - User ID
    * @param {string} weekStartDate - Week start date
-   * @returns {Promise<Object|null>}
+   * @returns {Promise<void>}
    */
-  async getWeekSettings(weekStartDate) {
-    return await this.db.get(
-      'SELECT * FROM week_settings WHERE week_start_date = ?',
-      [weekStartDate]
+  async lockUserSelection(userId, weekStartDate) {
+    await this.db.run(
+      'UPDATE meal_selections SET is_locked = 1 WHERE user_id = ? AND week_start_date = ?',
+      [userId, weekStartDate]
     );
   }
 
   /**
-   * Lock a week
+   * Unlock user's own meal selection (the whole week and any locked days)
+   * @param {number} userId - User ID
    * @param {string} weekStartDate - Week start date
+   * @returns {Promise<void>}
    */
-  async lockWeek(weekStartDate) {
+  async unlockUserSelection(userId, weekStartDate) {
     await this.db.run(
-      `INSERT INTO week_settings (week_start_date, is_locked, locked_at, unlocked_users)
-       VALUES (?, 1, CURRENT_TIMESTAMP, '[]')
-       ON CONFLICT (week_start_date)
-       DO UPDATE SET
-         is_locked = 1,
-         locked_at = CURRENT_TIMESTAMP,
-         unlocked_users = '[]'`,
-      [weekStartDate]
+      'UPDATE meal_selections SET is_locked = 0 WHERE user_id = ? AND week_start_date = ?',
+      [userId, weekStartDate]
+    );
+    await this.db.run(
+      'DELETE FROM meal_selection_day_locks WHERE user_id = ? AND week_start_date = ?',
+      [userId, weekStartDate]
     );
   }
 
   /**
-   * Unlock a week
+   * Lock a single day of user's own meal selection
+   * @param {number} userId - User ID
    * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week
+   * @returns {Promise<void>}
    */
-  async unlockWeek(weekStartDate) {
+  async lockUserSelectionDay(userId, weekStartDate, dayOfWeek) {
     await this.db.run(
-      `INSERT INTO week_settings (week_start_date, is_locked, locked_at, unlocked_users)
-       VALUES (?, 0, NULL, '[]')
-       ON CONFLICT (week_start_date)
-       DO UPDATE SET
-         is_locked = 0,
-         locked_at = NULL,
-         unlocked_users = '[]'`,
-      [weekStartDate]
+      `INSERT OR IGNORE INTO meal_selection_day_locks (user_id, week_start_date, day_of_week)
+       VALUES (?, ?, ?)`,
+      [userId, weekStartDate, dayOfWeek.toLowerCase()]
     );
   }
 
   /**
-   * Grant unlock permission to a specific user for a week
+   * Unlock a single day of user's own meal selection
+   * A whole-week lock is split into locks of the remaining days.
+   * @param {number} userId - User ID
    * @param {string} weekStartDate - Week start date
-   * @param {number} userId - User ID to grant unlock permission
+   * @param {string} dayOfWeek - Day of week
+   * @returns {Promise<void>}
    */
-  async grantUserUnlock(weekStartDate, userId) {
-    const settings = await this.getWeekSettings(weekStartDate);
+  async unlockUserSelectionDay(userId, weekStartDate, dayOfWeek) {
+    const day = dayOfWeek.toLowerCase();
 
-    if (!settings) {
-      // Create settings if they don't exist
+    if (await this.isUserSelectionLocked(userId, weekStartDate)) {
       await this.db.run(
-        'INSERT INTO week_settings (week_start_date, is_locked, unlocked_users) VALUES (?, 0, ?)',
-        [weekStartDate, JSON.stringify([userId])]
+        'UPDATE meal_selections SET is_locked = 0 WHERE user_id = ? AND week_start_date = ?',
+        [userId, weekStartDate]
       );
-    } else {
-      const unlockedUsers = JSON.parse(settings.unlocked_users || '[]');
-      if (!unlockedUsers.includes(userId)) {
-        unlockedUsers.push(userId);
-        await this.db.run(
-          'UPDATE week_settings SET unlocked_users = ? WHERE week_start_date = ?',
-          [JSON.stringify(unlockedUsers), weekStartDate]
-        );
+      for (const otherDay of ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].filter(d => d !== day)) {
+        await this.lockUserSelectionDay(userId, weekStartDate, otherDay);
       }
     }
+
+    await this.db.run(
+      'DELETE FROM meal_selection_day_locks WHERE user_id = ? AND week_start_date = ? AND day_of_week = ?',
+      [userId, weekStartDate, day]
+    );
   }
 
   /**
-   * Revoke unlock permission from a specific user for a week
+   * Get the days of a week the user has locked individually
+   * @param {number} userId - User ID
    * @param {string} weekStartDate - Week start date
-   * @param {number} userId - User ID to revoke unlock permission
+   * @returns {Promise<Array<string>>} Locked days, Monday first
    */
-  async revokeUserUnlock(weekStartDate, userId) {
-    const settings = await this.getWeekSettings(weekStartDate);
-
-    if (settings) {
-      const unlockedUsers = JSON.parse(settings.unlocked_users || '[]');
-      const filteredUsers = unlockedUsers.filter(id => id !== userId);
-      await this.db.run(
-        'UPDATE week_settings SET unlocked_users = ? WHERE week_start_date = ?',
-        [JSON.stringify(filteredUsers), weekStartDate]
-      );
-    }
+  async getUserLockedDays(userId, weekStartDate) {
+    const rows = await this.db.all(
+      'SELECT day_of_week FROM meal_selection_day_locks WHERE user_id = ? AND week_start_date = ?',
+      [userId, weekStartDate]
+    );
+    const days = rows.map(row => row.day_of_week);
+    return ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'].filter(day => days.includes(day));
   }
 
   /**
-   * Check if a week is locked for a specific user
-   * @param {string} weekStartDate - Week start date
+   * Check if user's selection (or one day of it) is self-locked
    * @param {number} userId - User ID
-   * @returns {Promise<boolean>} True if locked for this user
+   * @param {string} weekStartDate - Week start date
+   * @param {string} dayOfWeek - Day of week (optional; without it only the whole-week lock counts)
+   * @returns {Promise<boolean>} True if user's selection is locked
    */
-  async isWeekLockedForUser(weekStartDate, userId) {
-    // Check if current date is before week start date
-    // If yes, week should be unlocked (people can make selections for future weeks)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset to start of day for comparison
-
-    const weekStart = new Date(weekStartDate);
-    weekStart.setHours(0, 0, 0, 0);
+  async isUserSelectionLocked(userId, weekStartDate, dayOfWeek = null) {
+    const result = await this.db.get(
+      'SELECT is_locked FROM meal_selections WHERE user_id = ? AND week_start_date = ?',
+      [userId, weekStartDate]
+    );
+    if (result && result.is_locked === 1) return true;
 
-    // If we're before the week starts, it's always unlocked
-    if (today < weekStart) {
-      return false;
+    if (dayOfWeek) {
+      const lockedDays = await this.getUserLockedDays(userId, weekStartDate);
+      return lockedDays.includes(dayOfWeek.toLowerCase());
     }
 
-    const settings = await this.getWeekSettings(weekStartDate);
+    return false;
+  }
 
-    if (!settings || !settings.is_locked) {
-      return false;
-    }
+  // ===== EMAIL OUTBOX OPERATIONS =====
 
-    // Check if user has unlock permission
-    const unlockedUsers = JSON.parse(settings.unlocked_users || '[]');
-    return !unlockedUsers.includes(userId);
+  /**
+   * Queue an email for delivery
+   * Without an organizationId, the email belongs to the organization of the recipient user
+   * (userId, else the account with the `to` address), else to the one owning its domain.
+   * @param {Object} email - { kind, to, subject, html, text, maxAttempts, userId, category, organizationId, secret }
+   * @returns {Promise<number>} Outbox message ID
+   */
+  async queueEmail({ kind, to, subject, html = null, text = null, maxAttempts = 5, userId = null, category = null, organizationId = null, secret = null }) {
+    const result = await this.db.run(
+      `INSERT INTO email_outbox (kind, to_address, subject, html, text, max_attempts, user_id, category, secret, organization_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(
+         ?,
+         (SELECT organization_id FROM users WHERE id = ?),
+         (SELECT organization_id FROM users WHERE email = ?),
+         (SELECT organization_id FROM organization_domains WHERE domain = ?)
+       ))`,
+      [
+        kind, to, subject, html, text, maxAttempts, userId, category, secret,
+        organizationId, userId, String(to).toLowerCase().trim(), getEmailDomain(to)
+      ]
+    );
+    return result.lastID;
   }
 
   /**
-   * Unlock Request Methods
+   * Get queued emails that are due for a delivery attempt
+   * @param {number} limit - Maximum number of messages
+   * @returns {Promise<Array>} Messages, oldest first
    */
+  async getDueEmails(limit = 50) {
+    return await this.db.all(
+      `SELECT * FROM email_outbox
+       WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY next_attempt_at, id
+       LIMIT ?`,
+      [limit]
+    );
+  }
 
   /**
-   * Create an unlock request
-   * @param {number} userId - User ID
-   * @param {string} weekStartDate - Week start date
-   * @returns {Promise<object>} Created request
+   * Record a successful delivery
+   * @param {number} emailId - Outbox message ID
    */
-  async createUnlockRequest(userId, weekStartDate) {
-    // First, check if there's already a pending request
-    const existingRequest = await this.db.get(
-      'SELECT * FROM unlock_requests WHERE user_id = ? AND week_start_date = ? AND status = ?',
-      [userId, weekStartDate, 'pending']
+  async markEmailSent(emailId) {
+    await this.db.run(
+      `UPDATE email_outbox
+       SET status = 'sent', attempts = attempts + 1, last_error = NULL,
+           sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [emailId]
     );
+  }
 
-    if (existingRequest) {
-      return existingRequest;
-    }
+  /**
+   * Record a failed delivery attempt
+   * @param {number} emailId - Outbox message ID
+   * @param {string} error - Error message
+   * @param {Object} options - What happens next
+   * @param {string} options.status - 'queued' to retry, 'failed' or 'bounced' to give up
+   * @param {number} options.retryInSeconds - Delay before the next attempt (when retrying)
+   */
+  async markEmailAttemptFailed(emailId, error, { status, retryInSeconds = 0 }) {
+    await this.db.run(
+      `UPDATE email_outbox
+       SET status = ?, attempts = attempts + 1, last_error = ?,
+           next_attempt_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [status, error, `+${Math.round(retryInSeconds)} seconds`, emailId]
+    );
+  }
 
-    // Create new request
+  /**
+   * Put an email back in the queue for immediate delivery, with a fresh set of attempts
+   * @param {number} organizationId - Organization ID
+   * @param {number} emailId - Outbox message ID
+   * @returns {Promise<boolean>} True if the message exists
+   */
+  async requeueEmail(organizationId, emailId) {
     const result = await this.db.run(
-      'INSERT INTO unlock_requests (user_id, week_start_date, status) VALUES (?, ?, ?)',
-      [userId, weekStartDate, 'pending']
+      `UPDATE email_outbox
+       SET status = 'queued', attempts = 0, last_error = NULL,
+           next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND organization_id = ?`,
+      [emailId, organizationId]
     );
+    return result.changes > 0;
+  }
 
-    return {
-      id: result.lastID,
-      user_id: userId,
-      week_start_date: weekStartDate,
-      status: 'pending'
-    };
+  /**
+   * Get an outbox message (without its link secret)
+   * @param {number} organizationId - Organization ID
+   * @param {number} emailId - Outbox message ID
+   * @returns {Promise<Object|null>}
+   */
+  async getOutboxEmail(organizationId, emailId) {
+    return await this.db.get(
+      `SELECT id, kind, to_address, user_id, category, subject, html, text, status, attempts, max_attempts,
+              next_attempt_at, last_error, created_at, updated_at, sent_at, organization_id
+       FROM email_outbox WHERE id = ? AND organization_id = ?`,
+      [emailId, organizationId]
+    );
   }
 
   /**
-   * Get all pending unlock requests
-   * @returns {Promise<Array>} List of pending requests with user info
+   * List outbox messages of an organization, newest first (without bodies)
+   * @param {number} organizationId - Organization ID
+   * @param {Object} filters - { status, kind, to, limit, offset } (all optional)
+   * @returns {Promise<Object>} { emails, total, counts: { queued, sent, failed, bounced } }
    */
-  async getPendingUnlockRequests() {
-    return await this.db.all(`
-      SELECT ur.*, u.email, u.employee_name
-      FROM unlock_requests ur
-      JOIN users u ON ur.user_id = u.id
-      WHERE ur.status = 'pending'
-      ORDER BY ur.requested_at DESC
-    `);
+  async getOutboxEmails(organizationId, { status, kind, to, limit = 50, offset = 0 } = {}) {
+    const conditions = ['organization_id = ?'];
+    const params = [organizationId];
+
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (kind) {
+      conditions.push('kind = ?');
+      params.push(kind);
+    }
+    if (to) {
+      conditions.push('to_address LIKE ?');
+      params.push(`%${to}%`);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const emails = await this.db.all(
+      `SELECT id, kind, to_address, user_id, category, subject, status, attempts, max_attempts,
+              next_attempt_at, last_error, created_at, updated_at, sent_at
+       FROM email_outbox
+       ${where}
+       ORDER BY id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    const { total } = await this.db.get(`SELECT COUNT(*) AS total FROM email_outbox ${where}`, params);
+
+    const counts = { queued: 0, sent: 0, failed: 0, bounced: 0 };
+    const rows = await this.db.all(
+      'SELECT status, COUNT(*) AS count FROM email_outbox WHERE organization_id = ? GROUP BY status',
+      [organizationId]
+    );
+    rows.forEach(row => { counts[row.status] = row.count; });
+
+    return { emails, total, counts };
   }
 
+  // ===== NOTIFICATION PREFERENCE OPERATIONS =====
+
   /**
-   * Check if user has a pending unlock request
+   * Get the notification categories a user changed
    * @param {number} userId - User ID
-   * @param {string} weekStartDate - Week start date
-   * @returns {Promise<boolean>} True if user has a pending request
+   * @returns {Promise<Array>} Rows of { category, enabled, updated_at }
    */
-  async hasPendingUnlockRequest(userId, weekStartDate) {
-    const request = await this.db.get(
-      'SELECT id FROM unlock_requests WHERE user_id = ? AND week_start_date = ? AND status = ?',
-      [userId, weekStartDate, 'pending']
+  async getNotificationPreferences(userId) {
+    return await this.db.all(
+      'SELECT category, enabled, updated_at FROM notification_preferences WHERE user_id = ?',
+      [userId]
     );
-    return !!request;
   }
 
   /**
-   * Approve unlock request
-   * @param {number} requestId - Request ID
-   * @param {number} adminId - Admin user ID who approved
-   * @returns {Promise<void>}
+   * Turn a notification category on or off for a user
+   * @param {number} userId - User ID
+   * @param {string} category - Category name
+   * @param {boolean} enabled - Whether the user wants these emails
    */
-  async approveUnlockRequest(requestId, adminId) {
-    // Get the request details
-    const request = await this.db.get(
-      'SELECT * FROM unlock_requests WHERE id = ?',
-      [requestId]
+  async setNotificationPreference(userId, category, enabled) {
+    await this.db.run(
+      `INSERT INTO notification_preferences (user_id, category, enabled)
+       VALUES (?, ?, ?)
+       ON CONFLICT(user_id, category) DO UPDATE SET
+         enabled = excluded.enabled,
+         updated_at = CURRENT_TIMESTAMP`,
+      [userId, category, enabled ? 1 : 0]
     );
+  }
 
-    if (!request) {
-      throw new Error('Request not found');
-    }
+  /**
+   * Get the IDs of users who turned a notification category off
+   * @param {string} category - Category name
+   * @returns {Promise<Array<number>>}
+   */
+  async getUsersWithNotificationDisabled(category) {
+    const rows = await this.db.all(
+      'SELECT user_id FROM notification_preferences WHERE category = ? AND enabled = 0',
+      [category]
+    );
+    return rows.map(row => row.user_id);
+  }
 
-    // Unlock the user's selection
-    await this.db.run(
-      'UPDATE meal_selections SET is_locked = 0 WHERE user_id = ? AND week_start_date = ?',
-      [request.user_id, request.week_start_date]
+  // ===== ORDER REMINDER OPERATIONS =====
+
+  /**
+   * Get active employees of an organization with their selection for a week (null columns without a selection)
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array>} Rows of { id, email, employee_name, locale, is_locked, monday, ..., friday }
+   */
+  async getActiveUsersWithSelections(organizationId, weekStartDate) {
+    return await this.db.all(
+      `SELECT u.id, u.email, u.employee_name, u.locale, ms.is_locked,
+              ms.monday, ms.tuesday, ms.wednesday, ms.thursday, ms.friday
+       FROM users u
+       LEFT JOIN meal_selections ms ON ms.user_id = u.id AND ms.week_start_date = ?
+       WHERE u.is_admin = 0 AND u.is_active = 1 AND u.organization_id = ?
+       ORDER BY u.employee_name, u.email`,
+      [weekStartDate, organizationId]
     );
+  }
 
-    // If the week is admin-locked, also grant the user unlock permission for the week
-    const weekSettings = await this.getWeekSettings(request.week_start_date);
-    if (weekSettings && weekSettings.is_locked) {
-      await this.grantUserUnlock(request.week_start_date, request.user_id);
-    }
+  /**
+   * Get the IDs of users of an organization already reminded about a week
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @returns {Promise<Array<number>>}
+   */
+  async getRemindedUserIds(organizationId, weekStartDate) {
+    const rows = await this.db.all(
+      `SELECT r.user_id FROM order_reminders r
+       JOIN users u ON r.user_id = u.id
+       WHERE r.week_start_date = ? AND u.organization_id = ?`,
+      [weekStartDate, organizationId]
+    );
+    return rows.map(row => row.user_id);
+  }
 
-    // Update the request status
-    await this.db.run(
-      'UPDATE unlock_requests SET status = ?, processed_at = CURRENT_TIMESTAMP, processed_by = ? WHERE id = ?',
-      ['approved', adminId, requestId]
+  /**
+   * Record an order reminder (a user is only ever reminded once per week)
+   * @param {Object} reminder - { weekStartDate, userId, missingDays, status, emailId }
+   * @returns {Promise<boolean>} False if the user was already reminded about the week
+   */
+  async saveOrderReminder({ weekStartDate, userId, missingDays, status, emailId = null }) {
+    const result = await this.db.run(
+      `INSERT OR IGNORE INTO order_reminders (week_start_date, user_id, missing_days, status, email_id)
+       VALUES (?, ?, ?, ?, ?)`,
+      [weekStartDate, userId, JSON.stringify(missingDays), status, emailId]
     );
+    return result.changes > 0;
   }
 
   /**
-   * Reject unlock request
-   * @param {number} requestId - Request ID
-   * @param {number} adminId - Admin user ID who rejected
-   * @returns {Promise<void>}
+   * Get the order reminder log of an organization, newest first
+   * @param {number} organizationId - Organization ID
+   * @param {Object} filters - { weekStartDate, userId, status, limit, offset }
+   * @returns {Promise<Object>} { reminders, total }
    */
-  async rejectUnlockRequest(requestId, adminId) {
-    await this.db.run(
-      'UPDATE unlock_requests SET status = ?, processed_at = CURRENT_TIMESTAMP, processed_by = ? WHERE id = ?',
-      ['rejected', adminId, requestId]
+  async getOrderReminders(organizationId, { weekStartDate, userId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = ['u.organization_id = ?'];
+    const params = [organizationId];
+
+    if (weekStartDate) {
+      conditions.push('r.week_start_date = ?');
+      params.push(weekStartDate);
+    }
+    if (userId) {
+      conditions.push('r.user_id = ?');
+      params.push(userId);
+    }
+    if (status) {
+      conditions.push('r.status = ?');
+      params.push(status);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const rows = await this.db.all(
+      `SELECT r.id, r.week_start_date, r.user_id, u.email, u.employee_name, r.missing_days,
+              r.status, r.email_id, eo.status AS email_status, r.created_at
+       FROM order_reminders r
+       JOIN users u ON r.user_id = u.id
+       LEFT JOIN email_outbox eo ON r.email_id = eo.id
+       ${where}
+       ORDER BY r.id DESC
+       LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    const { total } = await this.db.get(
+      `SELECT COUNT(*) AS total FROM order_reminders r JOIN users u ON r.user_id = u.id ${where}`,
+      params
     );
+
+    return {
+      reminders: rows.map(row => ({ ...row, missing_days: JSON.parse(row.missing_days) })),
+      total
+    };
   }
 
+  // ===== CUTOFF OPERATIONS =====
+
   /**
-   * User Self-Lock Methods
+   * Get all cutoff rules of an organization (the default rule has no week)
+   * @param {number} organizationId - Organization ID
+   * @returns {Promise<Array>}
    */
+  async getCutoffRules(organizationId) {
+    return await this.db.all(
+      'SELECT * FROM cutoff_rules WHERE organization_id = ? ORDER BY week_start_date IS NOT NULL, week_start_date DESC',
+      [organizationId]
+    );
+  }
 
   /**
-   * Lock user's own meal selection
-   * @param {number} userId - User ID
+   * Get the cutoff rule that applies to a week: its own rule, or the organization's default
+   * @param {number} organizationId - Organization ID
    * @param {string} weekStartDate - Week start date
-   * @returns {Promise<void>}
+   * @returns {Promise<Object|null>}
    */
-  async lockUserSelection(userId, weekStartDate) {
-    await this.db.run(
-      'UPDATE meal_selections SET is_locked = 1 WHERE user_id = ? AND week_start_date = ?',
-      [userId, weekStartDate]
+  async getCutoffRule(organizationId, weekStartDate) {
+    return await this.db.get(
+      `SELECT * FROM cutoff_rules
+       WHERE organization_id = ? AND (week_start_date = ? OR week_start_date IS NULL)
+       ORDER BY week_start_date IS NULL
+       LIMIT 1`,
+      [organizationId, weekStartDate]
     );
   }
 
   /**
-   * Unlock user's own meal selection
-   * @param {number} userId - User ID
-   * @param {string} weekStartDate - Week start date
-   * @returns {Promise<void>}
+   * Create or replace a cutoff rule
+   * @param {number} organizationId - Organization ID
+   * @param {string|null} weekStartDate - Week start date, or null for the default rule
+   * @param {Object} rule - { mode, day, time, days_before }
    */
-  async unlockUserSelection(userId, weekStartDate) {
-    await this.db.run(
-      'UPDATE meal_selections SET is_locked = 0 WHERE user_id = ? AND week_start_date = ?',
-      [userId, weekStartDate]
+  async saveCutoffRule(organizationId, weekStartDate, rule) {
+    const existing = await this.db.get(
+      'SELECT id FROM cutoff_rules WHERE organization_id = ? AND week_start_date IS ?',
+      [organizationId, weekStartDate]
     );
+    const values = [rule.mode, rule.mode === 'week' ? rule.day : null, rule.time, rule.mode === 'day' ? rule.days_before || 0 : 0];
+
+    if (existing) {
+      await this.db.run(
+        `UPDATE cutoff_rules SET mode = ?, day = ?, time = ?, days_before = ?, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [...values, existing.id]
+      );
+    } else {
+      await this.db.run(
+        'INSERT INTO cutoff_rules (mode, day, time, days_before, week_start_date, organization_id) VALUES (?, ?, ?, ?, ?, ?)',
+        [...values, weekStartDate, organizationId]
+      );
+    }
   }
 
   /**
-   * Check if user's selection is self-locked
-   * @param {number} userId - User ID
-   * @param {string} weekStartDate - Week start date
-   * @returns {Promise<boolean>} True if user's selection is locked
+   * Delete a cutoff rule
+   * @param {number} organizationId - Organization ID
+   * @param {string|null} weekStartDate - Week start date, or null for the default rule
+   * @returns {Promise<boolean>} True if a rule was deleted
    */
-  async isUserSelectionLocked(userId, weekStartDate) {
-    const result = await this.db.get(
-      'SELECT is_locked FROM meal_selections WHERE user_id = ? AND week_start_date = ?',
-      [userId, weekStartDate]
+  async deleteCutoffRule(organizationId, weekStartDate) {
+    const result = await this.db.run(
+      'DELETE FROM cutoff_rules WHERE organization_id = ? AND week_start_date IS ?',
+      [organizationId, weekStartDate]
     );
-    return result ? result.is_locked === 1 : false;
+    return result.changes > 0;
   }
 
   // ===== USER INVITATION OPERATIONS =====
 
   /**
    * Create user invitation
+   * @param {number} organizationId - Organization the invitee joins
    * @param {string} email - User email to invite
    * @param {boolean} isAdmin - Whether user should be admin
    * @param {number} invitedBy - ID of user creating the invitation
@@ -1243,18 +4023,19 @@ class DatabaseService {
    * @param {number} expiresInHours - Token expiration in hours (default: 48)
    * @returns {Promise<object>} Created invitation
    */
-  async createInvitation(email, isAdmin, invitedBy, token, expiresInHours = 48) {
+  async createInvitation(organizationId, email, isAdmin, invitedBy, token, expiresInHours = 48) {
     const emailLower = email.toLowerCase().trim();
     const expiresAt = new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString();
 
     const result = await this.db.run(
-      `INSERT INTO user_invitations (email, invitation_token, is_admin, invited_by, expires_at)
-       VALUES (?, ?, ?, ?, ?)`,
-      [emailLower, token, isAdmin ? 1 : 0, invitedBy, expiresAt]
+      `INSERT INTO user_invitations (organization_id, email, invitation_token, is_admin, invited_by, expires_at)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [organizationId, emailLower, token, isAdmin ? 1 : 0, invitedBy, expiresAt]
     );
 
     return {
       id: result.lastID,
+      organization_id: organizationId,
       email: emailLower,
       invitation_token: token,
       is_admin: isAdmin ? 1 : 0,
@@ -1278,30 +4059,30 @@ class DatabaseService {
   /**
    * Validate invitation token
    * @param {string} token - Invitation token
-   * @returns {Promise<object>} Validation result with invitation details
+   * @returns {Promise<object>} { valid, invitation }, or { valid: false, code } with the error code
    */
   async validateInvitation(token) {
     const invitation = await this.getInvitationByToken(token);
 
     if (!invitation) {
-      return { valid: false, error: 'Invalid invitation token' };
+      return { valid: false, code: 'INVITATION_INVALID' };
     }
 
     if (invitation.status !== 'pending') {
-      return { valid: false, error: 'Invitation has already been used' };
+      return { valid: false, code: 'INVITATION_USED' };
     }
 
     const now = new Date();
     const expiresAt = new Date(invitation.expires_at);
 
     if (now > expiresAt) {
-      return { valid: false, error: 'Invitation has expired' };
+      return { valid: false, code: 'INVITATION_EXPIRED' };
     }
 
     // Check if user already exists
     const existingUser = await this.getUserByEmail(invitation.email);
     if (existingUser && existingUser.is_active === 1) {
-      return { valid: false, error: 'User account already exists' };
+      return { valid: false, code: 'EMAIL_ALREADY_EXISTS' };
     }
 
     return { valid: true, invitation };
@@ -1322,31 +4103,48 @@ class DatabaseService {
   }
 
   /**
-   * Get pending invitations
+   * Get pending invitations of an organization
+   * @param {number} organizationId - Organization ID
    * @returns {Promise<Array>} List of pending invitations
    */
-  async getPendingInvitations() {
+  async getPendingInvitations(organizationId) {
     return await this.db.all(`
       SELECT i.*, u.email as invited_by_email
       FROM user_invitations i
       LEFT JOIN users u ON i.invited_by = u.id
-      WHERE i.status = 'pending' AND datetime(i.expires_at) > datetime('now')
+      WHERE i.status = 'pending' AND datetime(i.expires_at) > datetime('now') AND i.organization_id = ?
       ORDER BY i.created_at DESC
-    `);
+    `, [organizationId]);
   }
 
   /**
    * Cancel invitation
+   * @param {number} organizationId - Organization ID
    * @param {number} invitationId - Invitation ID
    * @returns {Promise<void>}
    */
-  async cancelInvitation(invitationId) {
+  async cancelInvitation(organizationId, invitationId) {
     await this.db.run(
       `UPDATE user_invitations
        SET status = 'cancelled'
-       WHERE id = ?`,
-      [invitationId]
+       WHERE id = ? AND organization_id = ?`,
+      [invitationId, organizationId]
+    );
+  }
+
+  /**
+   * Cancel the pending invitations sent to an email
+   * @param {string} email - Invited email
+   * @returns {Promise<number>} Number of invitations cancelled
+   */
+  async cancelPendingInvitationsForEmail(email) {
+    const result = await this.db.run(
+      `UPDATE user_invitations
+       SET status = 'cancelled'
+       WHERE email = ? AND status = 'pending'`,
+      [email.toLowerCase().trim()]
     );
+    return result.changes;
   }
 
   // ===== MEAL TRANSFER METHODS =====
@@ -1378,32 +4176,38 @@ class DatabaseService {
   }
 
   /**
-   * Get available meal transfers for a week
+   * Get available meal transfers of an organization for a week
    */
-  async getAvailableMealTransfers(weekStartDate) {
+  async getAvailableMealTransfers(organizationId, weekStartDate) {
     return await this.db.all(
       `SELECT mt.*, u.email, u.employee_name
        FROM meal_transfers mt
        JOIN users u ON mt.from_user_id = u.id
        WHERE mt.week_start_date = ?
          AND mt.status = 'available'
+         AND u.organization_id = ?
        ORDER BY mt.created_at DESC`,
-      [weekStartDate]
+      [weekStartDate, organizationId]
     );
   }
 
   /**
-   * Claim a meal transfer
+   * Claim a meal transfer offered in the claimer's organization
    */
-  async claimMealTransfer(transferId, claimedByUserId) {
+  async claimMealTransfer(organizationId, transferId, claimedByUserId) {
     // First get the transfer details
     const transfer = await this.db.get(
-      'SELECT * FROM meal_transfers WHERE id = ? AND status = \'available\'',
-      [transferId]
+      `SELECT mt.* FROM meal_transfers mt
+       JOIN users u ON mt.from_user_id = u.id
+       WHERE mt.id = ? AND u.organization_id = ?`,
+      [transferId, organizationId]
     );
 
     if (!transfer) {
-      throw new Error('Transfer not found or already claimed');
+      throw new NotFoundError('TRANSFER_NOT_FOUND');
+    }
+    if (transfer.status !== 'available') {
+      throw new ConflictError('TRANSFER_ALREADY_CLAIMED');
     }
 
     // Mark transfer as claimed
@@ -1441,6 +4245,20 @@ class DatabaseService {
         [claimedByUserId, weekStartDate, meal]
       );
     }
+
+    await this._copySelectionItems(transfer.from_user_id, claimedByUserId, weekStartDate, dayColumn);
+  }
+
+  /**
+   * Get the transfers a user offered that nobody claimed yet
+   * @param {number} userId - User ID
+   * @returns {Promise<Array>}
+   */
+  async getOpenMealTransfersFromUser(userId) {
+    return await this.db.all(
+      `SELECT * FROM meal_transfers WHERE from_user_id = ? AND status = 'available'`,
+      [userId]
+    );
   }
 
   /**
@@ -1448,13 +4266,13 @@ class DatabaseService {
    */
   async cancelMealTransfer(transferId, userId) {
     // First get the transfer details
-    const transfer = await this.db.get(
-      'SELECT * FROM meal_transfers WHERE id = ? AND from_user_id = ?',
-      [transferId, userId]
-    );
+    const transfer = await this.db.get('SELECT * FROM meal_transfers WHERE id = ?', [transferId]);
 
     if (!transfer) {
-      throw new Error('Transfer not found or unauthorized');
+      throw new NotFoundError('TRANSFER_NOT_FOUND');
+    }
+    if (transfer.from_user_id !== Number(userId)) {
+      throw new ForbiddenError('TRANSFER_NOT_OWNED');
     }
 
     // Restore meal to the original owner's selection for that day
@@ -1554,13 +4372,13 @@ class DatabaseService {
    */
   async unclaimMealTransfer(transferId, userId) {
     // First get the transfer details to verify user is the claimer
-    const transfer = await this.db.get(
-      'SELECT * FROM meal_transfers WHERE id = ? AND claimed_by_user_id = ?',
-      [transferId, userId]
-    );
+    const transfer = await this.db.get('SELECT * FROM meal_transfers WHERE id = ?', [transferId]);
 
     if (!transfer) {
-      throw new Error('Transfer not found or unauthorized');
+      throw new NotFoundError('TRANSFER_NOT_FOUND');
+    }
+    if (transfer.claimed_by_user_id !== Number(userId)) {
+      throw new ForbiddenError('TRANSFER_NOT_CLAIMED_BY_USER');
     }
 
     // Remove meal from the claimer's selection for that day
@@ -1571,6 +4389,7 @@ class DatabaseService {
       `UPDATE meal_selections SET ${dayColumn} = NULL WHERE user_id = ? AND week_start_date = ?`,
       [userId, weekStartDate]
     );
+    await this._replaceSelectionItems(userId, weekStartDate, dayColumn, []);
 
     // Mark transfer as available again
     await this.db.run(
@@ -1586,17 +4405,18 @@ class DatabaseService {
   // ===== MENU COPY METHODS =====
 
   /**
-   * Get all user menus for a specific week
+   * Get all user menus of an organization for a specific week
    */
-  async getAllUserMenusForWeek(weekStartDate) {
+  async getAllUserMenusForWeek(organizationId, weekStartDate) {
     return await this.db.all(
       `SELECT ms.*, u.id as user_id, u.email, u.employee_name
        FROM meal_selections ms
        JOIN users u ON ms.user_id = u.id
        WHERE ms.week_start_date = ?
          AND u.is_active = 1
+         AND u.organization_id = ?
        ORDER BY u.employee_name`,
-      [weekStartDate]
+      [weekStartDate, organizationId]
     );
   }
 
@@ -1627,12 +4447,14 @@ class DatabaseService {
        DO UPDATE SET ${updateColumn}, updated_at = CURRENT_TIMESTAMP`,
       [userId, weekStartDate, menuDetails, menuDetails]
     );
+
+    await this._copySelectionItems(copiedFromUserId, userId, weekStartDate, dayCol);
   }
 
   /**
-   * Get all menu copies for a specific day
+   * Get all menu copies of an organization for a specific day
    */
-  async getMenuCopies(weekStartDate, dayOfWeek) {
+  async getMenuCopies(organizationId, weekStartDate, dayOfWeek) {
     return await this.db.all(
       `SELECT mc.*,
               u.email, u.employee_name,
@@ -1642,8 +4464,9 @@ class DatabaseService {
        JOIN users uf ON mc.copied_from_user_id = uf.id
        WHERE mc.week_start_date = ?
          AND mc.day_of_week = ?
+         AND u.organization_id = ?
        ORDER BY mc.created_at DESC`,
-      [weekStartDate, dayOfWeek]
+      [weekStartDate, dayOfWeek, organizationId]
     );
   }
 
@@ -1688,43 +4511,47 @@ class DatabaseService {
   }
 
   /**
-   * Get all feedback
+   * Get all feedback of an organization's users
+   * @param {number} organizationId - Organization ID
    * @returns {Promise<Array>} List of feedback with user info
    */
-  async getAllFeedback() {
+  async getAllFeedback(organizationId) {
     return await this.db.all(`
       SELECT f.*, u.email, u.employee_name
       FROM feedback f
       JOIN users u ON f.user_id = u.id
+      WHERE u.organization_id = ?
       ORDER BY f.created_at DESC
-    `);
+    `, [organizationId]);
   }
 
   /**
    * Get feedback by ID
+   * @param {number} organizationId - Organization ID
    * @param {number} feedbackId - Feedback ID
    * @returns {Promise<object|null>} Feedback details
    */
-  async getFeedbackById(feedbackId) {
+  async getFeedbackById(organizationId, feedbackId) {
     return await this.db.get(
       `SELECT f.*, u.email, u.employee_name
        FROM feedback f
        JOIN users u ON f.user_id = u.id
-       WHERE f.id = ?`,
-      [feedbackId]
+       WHERE f.id = ? AND u.organization_id = ?`,
+      [feedbackId, organizationId]
     );
   }
 
   /**
    * Update feedback status
+   * @param {number} organizationId - Organization ID
    * @param {number} feedbackId - Feedback ID
    * @param {string} status - New status
    * @returns {Promise<void>}
    */
-  async updateFeedbackStatus(feedbackId, status) {
+  async updateFeedbackStatus(organizationId, feedbackId, status) {
     await this.db.run(
-      'UPDATE feedback SET status = ? WHERE id = ?',
-      [status, feedbackId]
+      'UPDATE feedback SET status = ? WHERE id = ? AND user_id IN (SELECT id FROM users WHERE organization_id = ?)',
+      [status, feedbackId, organizationId]
     );
   }
 }
@@ -0,0 +1,151 @@
+/**
+ * Email Outbox Service
+ * Delivers queued emails in the background so requests never wait on SMTP.
+ *
+ * Messages are sent at most EMAIL_RATE_PER_MINUTE per minute. A failed attempt is
+ * retried with exponential backoff (EMAIL_RETRY_BASE_SECONDS, doubled after every
+ * attempt) until the message runs out of attempts and is marked failed. Messages the
+ * server rejects outright (5xx) are marked bounced and not retried.
+ */
+
+const databaseService = require('./database.service');
+const emailService = require('../config/email');
+
+class EmailOutboxService {
+  constructor() {
+    this.timer = null;
+    this.processing = null;
+  }
+
+  /**
+   * Deliver the messages that are due
+   * Runs are never concurrent: a call made while a run is in progress waits for it.
+   * @returns {Promise<Object>} { sent, retried, failed, bounced } - counts for this run
+   */
+  async processQueue() {
+    if (!this.processing) {
+      this.processing = this._processDueEmails().finally(() => {
+        this.processing = null;
+      });
+    }
+    return await this.processing;
+  }
+
+  /**
+   * Requeue a message for immediate delivery and start a run
+   * @param {number} organizationId - Organization the message belongs to
+   * @param {number} emailId - Outbox message ID
+   * @returns {Promise<boolean>} True if the message exists
+   */
+  async resend(organizationId, emailId) {
+    const requeued = await databaseService.requeueEmail(organizationId, emailId);
+
+    if (requeued) {
+      this.processQueue().catch(error => {
+        console.error('Email outbox error:', error);
+      });
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Send one rate-limited batch of due messages
+   * @private
+   */
+  async _processDueEmails() {
+    const results = { sent: 0, retried: 0, failed: 0, bounced: 0 };
+
+    if (!emailService.isConfigured()) {
+      return results;
+    }
+
+    const ratePerMinute = parseInt(process.env.EMAIL_RATE_PER_MINUTE || '30');
+    const retryBaseSeconds = parseInt(process.env.EMAIL_RETRY_BASE_SECONDS || '60');
+    const spacingMs = 60000 / ratePerMinute;
+
+    // One batch holds a minute's worth of messages; the rest wait for the next run
+    const emails = await databaseService.getDueEmails(ratePerMinute);
+
+    for (let i = 0; i < emails.length; i++) {
+      const email = emails[i];
+
+      if (i > 0) {
+        await this._sleep(spacingMs);
+      }
+
+      const result = await emailService.deliver(email);
+
+      if (result.success) {
+        await databaseService.markEmailSent(email.id);
+        results.sent++;
+        continue;
+      }
+
+      const attempts = email.attempts + 1;
+      let status = 'queued';
+      if (result.permanent) {
+        status = 'bounced';
+      } else if (attempts >= email.max_attempts) {
+        status = 'failed';
+      }
+
+      await databaseService.markEmailAttemptFailed(email.id, result.error, {
+        status,
+        retryInSeconds: retryBaseSeconds * Math.pow(2, attempts - 1)
+      });
+
+      if (status === 'queued') {
+        results.retried++;
+      } else {
+        results[status]++;
+        console.error(`✗ Email ${email.id} to ${email.to_address} ${status}:`, result.error);
+      }
+    }
+
+    if (emails.length > 0) {
+      console.log(`✓ Email outbox: ${results.sent} sent, ${results.retried} to retry, ${results.failed} failed, ${results.bounced} bounced`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Wait between two sends
+   * @private
+   */
+  _sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Start delivering queued messages periodically
+   * @param {number} intervalMs - Polling interval (defaults to EMAIL_WORKER_INTERVAL_MS or 10 seconds)
+   */
+  startWorker(intervalMs = parseInt(process.env.EMAIL_WORKER_INTERVAL_MS || '10000')) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.processQueue().catch(error => {
+        console.error('Email outbox error:', error);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for the worker
+    this.timer.unref();
+    console.log(`✓ Email outbox worker started (every ${Math.round(intervalMs / 1000)} s)`);
+  }
+
+  /**
+   * Stop the outbox worker
+   */
+  stopWorker() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const emailOutboxService = new EmailOutboxService();
+module.exports = emailOutboxService;
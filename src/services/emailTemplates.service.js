@@ -0,0 +1,248 @@
+/**
+ * Email Templates Service
+ * Renders the file-based email templates in src/templates/emails: every email has an HTML
+ * (<name>.html.hbs) and a plain-text (<name>.txt.hbs) template, both wrapped in the shared
+ * layout, and its wording comes from the locale files (locales/<locale>.json).
+ *
+ * Values in the HTML templates are escaped, so user-supplied text (feedback, comments,
+ * reasons) can be passed as is. Locale strings are small templates themselves, rendered
+ * against the email data ({{weekStartDate}}) and the `t` helper's arguments.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Handlebars = require('handlebars');
+
+const TEMPLATES_DIR = path.join(__dirname, '../templates/emails');
+const LOCALES = ['ro', 'en'];
+
+const SAMPLE_UNSUBSCRIBE_URL = 'http://localhost:3000/api/users/unsubscribe?token=example';
+
+// Example data for admin previews, one entry per template
+const SAMPLES = {
+  meal_options: {
+    weekStartDate: '2025-10-13',
+    selectMealsUrl: 'http://localhost:3000/select-meals.html',
+    unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL
+  },
+  meal_options_changed: {
+    weekStartDate: '2025-10-13',
+    items: [
+      { day_of_week: 'monday', category: 'Meniu 1', name: 'Ciorbă de perișoare' },
+      { day_of_week: 'thursday', category: 'Salată', name: 'Salată Caesar' }
+    ],
+    selectMealsUrl: 'http://localhost:3000/select-meals.html',
+    unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL
+  },
+  order_reminder: {
+    weekStartDate: '2025-10-13',
+    missingDays: ['thursday', 'friday'],
+    deadline: '2025-10-09T09:00:00.000Z',
+    selectMealsUrl: 'http://localhost:3000/select-meals.html',
+    unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL
+  },
+  unlock_request_decision: {
+    approved: true,
+    week_start_date: '2025-10-13',
+    day_of_week: 'thursday',
+    admin_comment: 'Aprobat, dar te rog să comanzi la timp data viitoare.',
+    selectMealsUrl: 'http://localhost:3000/select-meals.html',
+    unsubscribeUrl: SAMPLE_UNSUBSCRIBE_URL
+  },
+  unlock_request_digest: {
+    count: 2,
+    requests: [
+      { employee_name: 'Ion Popescu', email: 'ion.popescu@devhub.tech', week_start_date: '2025-10-13', day_of_week: 'thursday', reason: 'Am uitat să comand' },
+      { employee_name: null, email: 'maria.ionescu@devhub.tech', week_start_date: '2025-10-13', day_of_week: null, reason: null }
+    ],
+    requestsUrl: 'http://localhost:3000/admin.html'
+  },
+  invitation: {
+    email: 'new.colleague@devhub.tech',
+    invitedBy: 'admin@devhub.tech',
+    isAdmin: false,
+    invitationUrl: 'http://localhost:4200/accept-invitation?token=example'
+  },
+  password_reset: {
+    email: 'ion.popescu@devhub.tech',
+    expiresMinutes: 60,
+    resetUrl: 'http://localhost:4200/reset-password?token=example'
+  },
+  feedback: {
+    employeeName: 'Ion Popescu',
+    email: 'ion.popescu@devhub.tech',
+    subject: 'Porții mai mari',
+    message: 'Porțiile de vineri sunt cam mici.\nSe poate face ceva? <3',
+    submittedAt: '2025-10-13T10:30:00.000Z'
+  },
+  test: {
+    to: 'admin@devhub.tech',
+    host: 'mail.dobby.devhub.tech',
+    port: 587,
+    security: 'STARTTLS',
+    sentAt: '2025-10-13T10:30:00.000Z'
+  }
+};
+
+class EmailTemplatesService {
+  constructor() {
+    this.locales = {};
+    LOCALES.forEach(locale => {
+      this.locales[locale] = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, 'locales', `${locale}.json`), 'utf8'));
+    });
+
+    this.defaultLocale = LOCALES.includes(process.env.EMAIL_DEFAULT_LOCALE) ? process.env.EMAIL_DEFAULT_LOCALE : 'ro';
+    this.names = Object.keys(SAMPLES);
+
+    // HTML escapes values; plain text and locale strings are rendered without escaping
+    this.html = Handlebars.create();
+    this.text = Handlebars.create();
+    this._registerHelpers(this.html);
+    this._registerHelpers(this.text);
+
+    this.compiled = new Map();
+    this.strings = new Map();
+  }
+
+  /**
+   * Get the supported locales
+   * @returns {Array<string>}
+   */
+  getLocales() {
+    return [...LOCALES];
+  }
+
+  /**
+   * Pick a supported locale, falling back to the default (EMAIL_DEFAULT_LOCALE or ro)
+   * @param {string} locale - Requested locale ("en", "en-US", ...)
+   * @returns {string}
+   */
+  resolveLocale(locale) {
+    const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES.includes(language) ? language : this.defaultLocale;
+  }
+
+  /**
+   * Check if an email template exists
+   * @param {string} name - Template name
+   * @returns {boolean}
+   */
+  hasTemplate(name) {
+    return this.names.includes(name);
+  }
+
+  /**
+   * Render an email
+   * @param {string} name - Template name (meal_options, invitation, ...)
+   * @param {string} locale - Recipient locale (falls back to the default)
+   * @param {Object} data - Template data; `unsubscribeUrl` adds the unsubscribe footer
+   * @returns {Object} { subject, html, text }
+   */
+  render(name, locale, data = {}) {
+    if (!this.hasTemplate(name)) {
+      throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const options = { data: { locale: this.resolveLocale(locale) } };
+    const body = {
+      html: this._template(this.html, `${name}.html`)(data, options),
+      text: this._template(this.text, `${name}.txt`)(data, options)
+    };
+
+    return {
+      subject: this._translate(`${name}.subject`, options.data.locale, data),
+      html: this._template(this.html, 'layout.html')({ ...data, body: body.html }, options),
+      text: this._tidy(this._template(this.text, 'layout.txt')({ ...data, body: this._tidy(body.text) }, options))
+    };
+  }
+
+  /**
+   * Render a template with its example data
+   * @param {string} name - Template name
+   * @param {string} locale - Locale
+   * @returns {Object} { subject, html, text }
+   */
+  preview(name, locale) {
+    return this.render(name, locale, SAMPLES[name]);
+  }
+
+  /**
+   * Get a compiled template, loading it from disk on first use
+   * @private
+   */
+  _template(handlebars, file) {
+    const key = `${handlebars === this.html ? 'html' : 'text'}:${file}`;
+    if (!this.compiled.has(key)) {
+      const source = fs.readFileSync(path.join(TEMPLATES_DIR, `${file}.hbs`), 'utf8');
+      this.compiled.set(key, handlebars.compile(source, { noEscape: handlebars === this.text }));
+    }
+    return this.compiled.get(key);
+  }
+
+  /**
+   * Look up a locale string ("meal_options.intro") and render it against `context`
+   * Missing strings fall back to the default locale, then to the key itself.
+   * @private
+   */
+  _translate(key, locale, context) {
+    const lookup = strings => key.split('.').reduce((value, part) => (value ? value[part] : undefined), strings);
+    const source = lookup(this.locales[locale]) ?? lookup(this.locales[this.defaultLocale]) ?? key;
+
+    const cacheKey = `${locale}:${key}`;
+    if (!this.strings.has(cacheKey)) {
+      this.strings.set(cacheKey, this.text.compile(String(source), { noEscape: true }));
+    }
+    return this.strings.get(cacheKey)(context, { data: { locale } });
+  }
+
+  /**
+   * Collapse the blank lines left by block tags in plain-text emails
+   * @private
+   */
+  _tidy(text) {
+    return text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Register the helpers shared by the HTML and plain-text templates
+   * @private
+   */
+  _registerHelpers(handlebars) {
+    const service = this;
+    const localeOf = options => options.data.locale || service.defaultLocale;
+
+    // {{t "key" name=value}} - locale string, rendered with the email data and the given arguments
+    handlebars.registerHelper('t', function (key, options) {
+      return service._translate(key, localeOf(options), { ...options.data.root, ...options.hash });
+    });
+
+    // {{day "monday"}} - localized day name
+    handlebars.registerHelper('day', function (day, options) {
+      return service.locales[localeOf(options)].days[day] || day;
+    });
+
+    // {{datetime value}} - localized date and time ("joi, 9 octombrie la 12:00")
+    handlebars.registerHelper('datetime', function (value, options) {
+      return new Date(value).toLocaleString(service.locales[localeOf(options)].intl, {
+        weekday: 'long', day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit'
+      });
+    });
+
+    // {{scope week day}} - what an unlock request covers ("Joi, săptămâna 2025-10-13")
+    handlebars.registerHelper('scope', function (week, day, options) {
+      const locale = localeOf(options);
+      return day
+        ? service._translate('common.scope_day', locale, { week, dayName: service.locales[locale].days[day] || day })
+        : service._translate('common.scope_week', locale, { week });
+    });
+
+    // {{plural count "one" "other"}}
+    handlebars.registerHelper('plural', function (count, one, other) {
+      return Number(count) === 1 ? one : other;
+    });
+  }
+}
+
+// Export singleton instance
+const emailTemplatesService = new EmailTemplatesService();
+module.exports = emailTemplatesService;
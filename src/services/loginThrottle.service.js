@@ -0,0 +1,279 @@
+/**
+ * Login Throttle Service
+ * Slows down password guessing. Failed logins are counted per account (the email tried,
+ * whether or not it has an account) and per IP address: after a few free attempts each
+ * further failure makes the next attempt wait longer (1s, 2s, 4s, ...), and too many
+ * failures lock the account or address out for LOGIN_LOCKOUT_MINUTES, doubling with each
+ * repeated lockout. Attempts during a wait get 429 without the password being checked.
+ *
+ * Lockouts, logins that succeed after many failures and lockouts cleared by an admin are
+ * recorded in the login audit.
+ *
+ * Password reset requests are limited the same way, in their own scopes (reset_account,
+ * reset_ip): at most PASSWORD_RESET_MAX_PER_EMAIL links per email and
+ * PASSWORD_RESET_MAX_PER_IP requests per address every PASSWORD_RESET_WINDOW_MINUTES.
+ */
+
+const databaseService = require('./database.service');
+const { NotFoundError } = require('../utils/errors');
+
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Repeated lockouts are remembered (and their duration doubled) until a quiet day
+const LOCKOUT_MEMORY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+class LoginThrottleService {
+  constructor() {
+    this.limits = {
+      account: {
+        freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS || '3'),
+        maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES || '10')
+      },
+      // Higher, since an office may share one address
+      ip: {
+        freeAttempts: parseInt(process.env.LOGIN_FREE_ATTEMPTS_PER_IP || '10'),
+        maxFailures: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP || '50')
+      }
+    };
+    this.windowMs = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15') * 60 * 1000;
+    this.lockoutMinutes = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+    this.auditRetentionDays = parseInt(process.env.LOGIN_AUDIT_RETENTION_DAYS || '90');
+    this.resetLimits = {
+      reset_account: parseInt(process.env.PASSWORD_RESET_MAX_PER_EMAIL || '3'),
+      reset_ip: parseInt(process.env.PASSWORD_RESET_MAX_PER_IP || '20')
+    };
+    this.resetWindowMs = parseInt(process.env.PASSWORD_RESET_WINDOW_MINUTES || '60') * 60 * 1000;
+    this.lastPrunedAt = 0;
+  }
+
+  /**
+   * Check whether a login attempt must wait
+   * @param {string} email - Email being logged in to
+   * @param {string} ipAddress - Address of the request
+   * @returns {Promise<number>} Seconds to wait, 0 when the attempt may go ahead
+   */
+  async check(email, ipAddress) {
+    const now = this._now().getTime();
+    let retryAfter = 0;
+
+    for (const [scope, key] of this._keys(email, ipAddress)) {
+      const throttle = await databaseService.getLoginThrottle(scope, key);
+      const wait = throttle && throttle.blocked_until
+        ? Math.ceil((new Date(throttle.blocked_until).getTime() - now) / 1000)
+        : 0;
+
+      if (wait > 0) {
+        if (throttle.locked_at) {
+          await databaseService.addBlockedLoginAttempt(throttle.id);
+        }
+        retryAfter = Math.max(retryAfter, wait);
+      }
+    }
+
+    return retryAfter;
+  }
+
+  /**
+   * Count a failed login against the account and the IP address
+   * @param {string} email - Email that was tried
+   * @param {Object} req - Express request (IP address and user agent)
+   */
+  async recordFailure(email, req) {
+    const now = this._now();
+
+    for (const [scope, key] of this._keys(email, req.ip)) {
+      const limits = this.limits[scope];
+      const throttle = await databaseService.getLoginThrottle(scope, key);
+      const quietMs = throttle ? now - new Date(throttle.last_failure_at) : Infinity;
+
+      let failures = quietMs < this.windowMs ? throttle.failures + 1 : 1;
+      let lockouts = quietMs < LOCKOUT_MEMORY_MS ? throttle.lockouts : 0;
+      let blockedUntil = null;
+      let lockedAt = null;
+
+      if (failures >= limits.maxFailures) {
+        lockouts += 1;
+        const minutes = Math.min(this.lockoutMinutes * 2 ** (lockouts - 1), MAX_LOCKOUT_MINUTES);
+        blockedUntil = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+        lockedAt = now.toISOString();
+
+        console.warn(`⚠️  Login locked out for ${minutes} min after ${failures} failures: ${scope} ${key}`);
+        await databaseService.createLoginAuditEvent({
+          event: 'lockout',
+          scope,
+          key,
+          email: this._normalize(email),
+          ipAddress: req.ip || null,
+          userAgent: req.get('User-Agent') || null,
+          failures,
+          lockedUntil: blockedUntil
+        });
+        failures = 0;
+      } else if (failures > limits.freeAttempts) {
+        const seconds = Math.min(2 ** (failures - limits.freeAttempts - 1), MAX_DELAY_SECONDS);
+        blockedUntil = new Date(now.getTime() + seconds * 1000).toISOString();
+      }
+
+      await databaseService.saveLoginThrottle({
+        scope,
+        key,
+        failures,
+        lockouts,
+        lastFailureAt: now.toISOString(),
+        blockedUntil,
+        lockedAt
+      });
+    }
+
+    await this._prune();
+  }
+
+  /**
+   * Forget an account's failed logins after a successful one
+   * The IP address keeps its count, so one valid account doesn't reset guessing at others.
+   * @param {string} email - Email logged in to
+   * @param {Object} req - Express request (IP address and user agent)
+   */
+  async recordSuccess(email, req) {
+    const key = this._normalize(email);
+    const throttle = await databaseService.getLoginThrottle('account', key);
+
+    if (throttle && (throttle.failures > this.limits.account.freeAttempts || throttle.lockouts > 0)) {
+      await databaseService.createLoginAuditEvent({
+        event: 'success_after_failures',
+        scope: 'account',
+        key,
+        email: key,
+        ipAddress: req.ip || null,
+        userAgent: req.get('User-Agent') || null,
+        failures: throttle.failures
+      });
+    }
+
+    if (throttle) {
+      await databaseService.deleteLoginThrottle('account', key);
+    }
+  }
+
+  /**
+   * Count a password reset request against the email and the IP address, unless over a limit
+   * Counted whether or not the email has an account, so the limit reveals nothing about it.
+   * @param {string} email - Email a link is requested for
+   * @param {string} ipAddress - Address of the request
+   * @returns {Promise<number>} Seconds until another request is allowed, 0 when this one may go ahead
+   */
+  async limitResetRequest(email, ipAddress) {
+    const now = this._now();
+    const keys = this._keys(email, ipAddress).map(([scope, key]) => [`reset_${scope}`, key]);
+    const throttles = [];
+    let retryAfter = 0;
+
+    for (const [scope, key] of keys) {
+      const throttle = await databaseService.getLoginThrottle(scope, key);
+      if (throttle && throttle.blocked_until) {
+        retryAfter = Math.max(retryAfter, Math.ceil((new Date(throttle.blocked_until) - now) / 1000));
+      }
+      throttles.push([scope, key, throttle]);
+    }
+
+    if (retryAfter > 0) {
+      return retryAfter;
+    }
+
+    // last_failure_at holds the first request of the window; reaching the limit blocks until it ends
+    for (const [scope, key, throttle] of throttles) {
+      const inWindow = throttle && now - new Date(throttle.last_failure_at) < this.resetWindowMs;
+      const windowStart = inWindow ? new Date(throttle.last_failure_at) : now;
+      const requests = inWindow ? throttle.failures + 1 : 1;
+
+      await databaseService.saveLoginThrottle({
+        scope,
+        key,
+        failures: requests,
+        lockouts: 0,
+        lastFailureAt: windowStart.toISOString(),
+        blockedUntil: requests >= this.resetLimits[scope]
+          ? new Date(windowStart.getTime() + this.resetWindowMs).toISOString()
+          : null
+      });
+    }
+
+    await this._prune();
+    return 0;
+  }
+
+  /**
+   * Lift a lockout (or reset the failed logins) of an account or IP address
+   * @param {number} throttleId - ID from the lockouts list
+   * @param {Object} admin - Admin clearing it (id, email)
+   * @param {number|null} organizationId - Only clear lockouts of this organization (null: any)
+   * @returns {Promise<Object>} The cleared { scope, key }
+   */
+  async clearLockout(throttleId, admin, organizationId = null) {
+    const throttle = await databaseService.getLoginThrottleById(throttleId, organizationId);
+    if (!throttle) {
+      throw new NotFoundError('LOCKOUT_NOT_FOUND');
+    }
+
+    await databaseService.deleteLoginThrottle(throttle.scope, throttle.key);
+    await databaseService.createLoginAuditEvent({
+      event: 'lockout_cleared',
+      scope: throttle.scope,
+      key: throttle.key,
+      email: throttle.scope === 'account' ? throttle.key : null,
+      ipAddress: throttle.scope === 'ip' ? throttle.key : null,
+      lockedUntil: throttle.blocked_until,
+      adminId: admin.id
+    });
+
+    console.log(`✓ Login lockout of ${throttle.scope} ${throttle.key} cleared by ${admin.email}`);
+    return { scope: throttle.scope, key: throttle.key };
+  }
+
+  /**
+   * Keys a login is counted against: [[scope, key], ...]
+   * @private
+   */
+  _keys(email, ipAddress) {
+    const keys = [['account', this._normalize(email)]];
+    if (ipAddress) {
+      keys.push(['ip', ipAddress]);
+    }
+    return keys;
+  }
+
+  /**
+   * @private
+   */
+  _normalize(email) {
+    return String(email || '').toLowerCase().trim();
+  }
+
+  /**
+   * Drop quiet throttles and old audit events, at most once an hour
+   * @private
+   */
+  async _prune() {
+    const now = this._now().getTime();
+    if (now - this.lastPrunedAt < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    this.lastPrunedAt = now;
+
+    await databaseService.deleteStaleLoginThrottles(new Date(now - LOCKOUT_MEMORY_MS).toISOString());
+    await databaseService.deleteOldLoginAuditEvents(
+      new Date(now - this.auditRetentionDays * 24 * 60 * 60 * 1000).toISOString()
+    );
+  }
+
+  /**
+   * Current time (replaced in tests to move the clock)
+   * @private
+   */
+  _now() {
+    return new Date();
+  }
+}
+
+module.exports = new LoginThrottleService();
@@ -0,0 +1,272 @@
+/**
+ * Meal Options Import Service
+ * Turns sheet rows (from any file parser) into meal option categories according to an import profile
+ */
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+/**
+ * Profile matching the caterer template the uploader was originally written for:
+ * "Sheet1", one header row, Mon-Fri in columns B-F, categories named Meniu/Special/Salat/Extra
+ */
+const DEFAULT_PROFILE = {
+  name: 'default',
+  sheet_name: 'Sheet1',
+  header_row: 1,
+  day_columns: { monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5 },
+  category_patterns: ['Meniu', 'Special', 'Salat', 'Extra']
+};
+
+class MealOptionsImportService {
+  /**
+   * Get a copy of the built-in default profile
+   * @returns {Object}
+   */
+  getDefaultProfile() {
+    return JSON.parse(JSON.stringify(DEFAULT_PROFILE));
+  }
+
+  /**
+   * Compile a category pattern
+   * Accepts a plain regex source ("Meniu") or a literal with flags ("/^salat/i")
+   * @param {string} pattern - Pattern string
+   * @returns {RegExp}
+   */
+  compilePattern(pattern) {
+    const literal = /^\/(.+)\/([imsu]*)$/.exec(pattern);
+    return literal ? new RegExp(literal[1], literal[2]) : new RegExp(pattern);
+  }
+
+  /**
+   * Validate an import profile definition
+   * @param {Object} profile - Profile to validate
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  validateProfile(profile) {
+    const errors = [];
+
+    if (!profile.name || typeof profile.name !== 'string' || !profile.name.trim()) {
+      errors.push('name is required');
+    }
+
+    if (profile.sheet_name !== undefined && profile.sheet_name !== null && typeof profile.sheet_name !== 'string') {
+      errors.push('sheet_name must be a string (or null for the first sheet)');
+    }
+
+    if (!Number.isInteger(profile.header_row) || profile.header_row < 0) {
+      errors.push('header_row must be a non-negative integer');
+    }
+
+    if (!profile.day_columns || typeof profile.day_columns !== 'object') {
+      errors.push('day_columns must map monday..friday to column indexes');
+    } else {
+      DAYS.forEach(day => {
+        const column = profile.day_columns[day];
+        if (!Number.isInteger(column) || column < 0) {
+          errors.push(`day_columns.${day} must be a non-negative integer (column A = 0)`);
+        }
+      });
+    }
+
+    if (!Array.isArray(profile.category_patterns) || profile.category_patterns.length === 0) {
+      errors.push('category_patterns must be a non-empty array of regular expressions');
+    } else {
+      profile.category_patterns.forEach(pattern => {
+        try {
+          if (typeof pattern !== 'string' || !pattern) throw new Error('empty pattern');
+          this.compilePattern(pattern);
+        } catch (error) {
+          errors.push(`Invalid category pattern "${pattern}": ${error.message}`);
+        }
+      });
+    }
+
+    return errors;
+  }
+
+  /**
+   * Parse raw sheet rows into meal option categories
+   *
+   * A row whose day cells all hold the same text is a category header; it starts a new
+   * category when it matches one of the profile's patterns. Other rows add their day
+   * cells as items of the current category, or are reported when there is none.
+   *
+   * @param {Array<Array>} rows - Rows as returned by sheet_to_json({ header: 1 })
+   * @param {Object} profile - Import profile
+   * @returns {Object} { categories: { [name]: { monday: [], ... } }, warnings: [] }
+   */
+  parseRows(rows, profile) {
+    const patterns = profile.category_patterns.map(p => this.compilePattern(p));
+    const categories = {};
+    const warnings = [];
+    let currentCategory = null;
+
+    const cell = (row, day) => {
+      const value = row[profile.day_columns[day]];
+      return value === undefined || value === null ? '' : String(value).trim();
+    };
+
+    for (let i = profile.header_row; i < rows.length; i++) {
+      const row = rows[i] || [];
+      const values = DAYS.map(day => cell(row, day));
+
+      if (values.every(v => !v)) continue;
+
+      const isCategoryRow = values.every(v => v === values[0]);
+
+      if (isCategoryRow) {
+        const categoryName = values[0];
+        if (patterns.some(pattern => pattern.test(categoryName))) {
+          currentCategory = categoryName;
+          categories[currentCategory] = { monday: [], tuesday: [], wednesday: [], thursday: [], friday: [] };
+        } else {
+          // Items under an unrecognized category must not leak into the previous one
+          currentCategory = null;
+          warnings.push({ type: 'unknown_category', row: i + 1, value: categoryName });
+        }
+      } else if (currentCategory) {
+        DAYS.forEach((day, index) => {
+          if (values[index]) categories[currentCategory][day].push(values[index]);
+        });
+      } else {
+        warnings.push({ type: 'row_ignored', row: i + 1, reason: 'Not under a recognized category' });
+      }
+    }
+
+    warnings.push(...this.findEmptyDays(categories));
+
+    return { categories, warnings };
+  }
+
+  /**
+   * Report days that have no items in any category
+   * @param {Object} categories - Parsed categories ({ [name]: { monday: [], ... } })
+   * @returns {Array} Warnings of type empty_day
+   */
+  findEmptyDays(categories) {
+    const names = Object.keys(categories);
+    if (names.length === 0) return [];
+
+    return DAYS
+      .filter(day => names.every(name => categories[name][day].length === 0))
+      .map(day => ({ type: 'empty_day', day }));
+  }
+
+  /**
+   * Compare parsed categories with the items already stored for a week
+   *
+   * Items are matched by name within the same category and day. A new name that is nearly
+   * identical to a dropped one (a typo, case or diacritics fix, see isSameDish) is reported
+   * as changed and keeps the item, with its selections; anything else is a different dish,
+   * reported as removed and added so the selections of the old one are flagged as affected.
+   *
+   * @param {Array} existingItems - Items as returned by databaseService.getMealOptionItems()
+   * @param {Object} categories - Parsed categories ({ [name]: { monday: [], ... } })
+   * @returns {Object} { added: [], removed: [], changed: [], unchanged: number }
+   */
+  diffOptions(existingItems, categories) {
+    const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+    const existing = {};
+
+    existingItems.forEach(item => {
+      const key = `${item.category}\u0000${item.day_of_week}`;
+      (existing[key] = existing[key] || []).push(item);
+    });
+
+    const keys = new Set(Object.keys(existing));
+    Object.keys(categories).forEach(category => {
+      DAYS.forEach(day => keys.add(`${category}\u0000${day}`));
+    });
+
+    keys.forEach(key => {
+      const [category, day] = key.split('\u0000');
+      const before = existing[key] || [];
+      const after = ((categories[category] || {})[day] || []).map(item => (typeof item === 'string' ? item : item.name));
+
+      // Names are compared exactly: the catalog is keyed by name, so even a case fix is a rename
+      const afterNames = new Set(after);
+      const beforeNames = new Set(before.map(item => item.name));
+
+      const removed = before.filter(item => !afterNames.has(item.name));
+      const added = after
+        .map((name, position) => ({ name, position }))
+        .filter(item => !beforeNames.has(item.name));
+
+      diff.unchanged += before.length - removed.length;
+
+      added.forEach(item => {
+        // Prefer the dish at the same position when several are close enough
+        const candidates = removed
+          .map((old, index) => ({ old, index }))
+          .filter(({ old }) => this.isSameDish(old.name, item.name));
+        const match = candidates.find(({ old }) => old.position === item.position) || candidates[0];
+        const replaced = match ? match.index : -1;
+        if (replaced !== -1) {
+          const [old] = removed.splice(replaced, 1);
+          diff.changed.push({ item_id: old.id, category, day, from: old.name, to: item.name });
+        } else {
+          diff.added.push({ category, day, name: item.name });
+        }
+      });
+
+      removed.forEach(old => {
+        diff.removed.push({ item_id: old.id, category, day, name: old.name });
+      });
+    });
+
+    return diff;
+  }
+
+  /**
+   * Check whether two dish names differ only by a correction rather than being different dishes
+   * Case, diacritics and spacing are ignored, and up to one edit per five characters is allowed
+   * ("Ciorba de burta" -> "Ciorbă de burtă", "Snitel" -> "Șnițel", "Parste" -> "Paste").
+   * @param {string} a - Old name
+   * @param {string} b - New name
+   * @returns {boolean}
+   */
+  isSameDish(a, b) {
+    const normalize = name => String(name)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const left = normalize(a);
+    const right = normalize(b);
+    if (left === right) return true;
+
+    const allowed = Math.floor(Math.max(left.length, right.length) / 5);
+    return allowed > 0 && this._editDistance(left, right) <= allowed;
+  }
+
+  /**
+   * Levenshtein distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number}
+   * @private
+   */
+  _editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+}
+
+// Export singleton instance
+const mealOptionsImportService = new MealOptionsImportService();
+module.exports = mealOptionsImportService;
@@ -0,0 +1,156 @@
+/**
+ * Notification Preferences Service
+ * Which notification emails each user wants, and the signed tokens behind the
+ * one-click unsubscribe links in those emails.
+ *
+ * Every category is enabled until the user turns it off, so only opt-outs (and
+ * re-enabled categories) are stored.
+ */
+
+const crypto = require('crypto');
+const databaseService = require('./database.service');
+const { DEFAULT_LOCALE, translateText } = require('../utils/i18n');
+
+// Names of the categories are in the message catalog (notification_categories)
+const CATEGORIES = ['new_menu', 'deadline_reminder', 'transfer_claimed', 'unlock_decision', 'feedback_reply'];
+
+class NotificationPreferencesService {
+  constructor() {
+    this.categories = CATEGORIES;
+  }
+
+  /**
+   * Check if a notification category exists
+   * @param {string} category - Category name
+   * @returns {boolean}
+   */
+  isValidCategory(category) {
+    return this.categories.includes(category);
+  }
+
+  /**
+   * Get the human-readable name of a category
+   * @param {string} category - Category name
+   * @param {string} locale - Locale (defaults to Romanian)
+   * @returns {string}
+   */
+  describe(category, locale = DEFAULT_LOCALE) {
+    return this.isValidCategory(category) ? translateText(locale, `notification_categories.${category}`) : category;
+  }
+
+  /**
+   * Get a user's preferences for every category
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { new_menu: true, deadline_reminder: false, ... }
+   */
+  async getPreferences(userId) {
+    const rows = await databaseService.getNotificationPreferences(userId);
+    const preferences = {};
+
+    this.categories.forEach(category => { preferences[category] = true; });
+    rows.forEach(row => {
+      if (this.isValidCategory(row.category)) {
+        preferences[row.category] = row.enabled === 1;
+      }
+    });
+
+    return preferences;
+  }
+
+  /**
+   * Update some of a user's preferences
+   * @param {number} userId - User ID
+   * @param {Object} changes - { category: boolean }
+   * @returns {Promise<Object>} All preferences after the update
+   */
+  async updatePreferences(userId, changes) {
+    for (const [category, enabled] of Object.entries(changes)) {
+      await databaseService.setNotificationPreference(userId, category, enabled);
+    }
+    return await this.getPreferences(userId);
+  }
+
+  /**
+   * Check if a user wants emails of a category
+   * @param {number} userId - User ID
+   * @param {string} category - Category name
+   * @returns {Promise<boolean>}
+   */
+  async isEnabled(userId, category) {
+    const preferences = await this.getPreferences(userId);
+    return preferences[category] !== false;
+  }
+
+  /**
+   * Get the IDs of users who turned a category off
+   * @param {string} category - Category name
+   * @returns {Promise<Set<number>>}
+   */
+  async getOptedOutUserIds(category) {
+    const userIds = await databaseService.getUsersWithNotificationDisabled(category);
+    return new Set(userIds);
+  }
+
+  /**
+   * Create the unsubscribe token for a user and category
+   * Tokens don't expire; they only ever turn that one category off for that user.
+   * @param {number} userId - User ID
+   * @param {string} category - Category name
+   * @returns {string} Token ("<userId>.<category>.<signature>")
+   */
+  createUnsubscribeToken(userId, category) {
+    return `${userId}.${category}.${this._sign(userId, category)}`;
+  }
+
+  /**
+   * Verify an unsubscribe token
+   * @param {string} token - Token from an unsubscribe link
+   * @returns {Object|null} { userId, category } or null if the token is invalid
+   */
+  verifyUnsubscribeToken(token) {
+    const match = /^(\d+)\.([a-z_]+)\.([A-Za-z0-9_-]+)$/.exec(token || '');
+    if (!match) return null;
+
+    const userId = parseInt(match[1]);
+    const category = match[2];
+    if (!this.isValidCategory(category)) return null;
+
+    const expected = Buffer.from(this._sign(userId, category));
+    const actual = Buffer.from(match[3]);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return { userId, category };
+  }
+
+  /**
+   * Build the one-click unsubscribe URL for a user and category
+   * @param {number} userId - User ID
+   * @param {string} category - Category name
+   * @returns {string}
+   */
+  getUnsubscribeUrl(userId, category) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    return `${appUrl}/api/users/unsubscribe?token=${this.createUnsubscribeToken(userId, category)}`;
+  }
+
+  /**
+   * Sign a user/category pair
+   * Uses its own secret (or a derivative of JWT_SECRET) so tokens can't be mistaken for auth tokens.
+   * @private
+   */
+  _sign(userId, category) {
+    const secret = process.env.UNSUBSCRIBE_SECRET ||
+      `unsubscribe:${process.env.JWT_SECRET || 'food-search-jwt-secret-2024-change-this-in-production'}`;
+
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${userId}:${category}`)
+      .digest('base64url');
+  }
+}
+
+// Export singleton instance
+const notificationPreferencesService = new NotificationPreferencesService();
+module.exports = notificationPreferencesService;
@@ -0,0 +1,146 @@
+/**
+ * Order Reminders Service
+ * Emails active employees who haven't ordered every day of a week yet, ORDER_REMINDER_HOURS_BEFORE
+ * hours before the week's first ordering cutoff (in week mode, before the week locks)
+ *
+ * Each user is reminded at most once per week; every reminder is recorded in the
+ * order_reminders log, including the ones not sent because the user unsubscribed.
+ */
+
+const databaseService = require('./database.service');
+const cutoffService = require('./cutoff.service');
+const emailService = require('../config/email');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+class OrderRemindersService {
+  constructor() {
+    this.timer = null;
+    this.hoursBefore = parseFloat(process.env.ORDER_REMINDER_HOURS_BEFORE || '24');
+  }
+
+  /**
+   * Remind users about every recent week whose reminder time has come, in every organization
+   * @param {Date} now - Reference time
+   * @returns {Promise<Array>} { organization_id, week_start_date, queued, unsubscribed } per week that had reminders
+   */
+  async runReminders(now = new Date()) {
+    if (!emailService.isConfigured()) {
+      return [];
+    }
+
+    // Same window as the auto-lock: older weeks are history
+    const since = new Date(now.getTime() - 14 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const results = [];
+
+    for (const organization of await databaseService.getOrganizations()) {
+      const weeks = await databaseService.getWeeksPendingAutoLock(organization.id, since);
+
+      for (const weekStartDate of weeks) {
+        const result = await this.remindWeek(organization.id, weekStartDate, now);
+        if (result && (result.queued > 0 || result.unsubscribed > 0)) {
+          results.push({ organization_id: organization.id, week_start_date: weekStartDate, ...result });
+          console.log(`⏰ Order reminders for week ${weekStartDate} of ${organization.name}: ${result.queued} queued, ${result.unsubscribed} unsubscribed`);
+        }
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Remind the users of one week who haven't ordered every open day yet
+   * Does nothing before the reminder time, once the week is locked, or for weeks
+   * without a cutoff (or whose cutoffs an admin lifted).
+   * @param {number} organizationId - Organization ID
+   * @param {string} weekStartDate - Week start date
+   * @param {Date} now - Reference time
+   * @returns {Promise<Object|null>} { queued, unsubscribed }, or null if the week isn't due
+   */
+  async remindWeek(organizationId, weekStartDate, now = new Date()) {
+    const rule = await databaseService.getCutoffRule(organizationId, weekStartDate);
+    if (!rule) return null;
+
+    const settings = await databaseService.getWeekSettings(organizationId, weekStartDate);
+    if (settings && (settings.is_locked || settings.cutoffs_lifted)) return null;
+
+    const deadlines = cutoffService.getDeadlines(weekStartDate, rule);
+    const firstDeadline = Math.min(...DAYS.map(day => deadlines[day].getTime()));
+    const remindAt = firstDeadline - this.hoursBefore * 60 * 60 * 1000;
+    if (now.getTime() < remindAt || now >= cutoffService.getLockTime(weekStartDate, rule)) return null;
+
+    const lockedDays = await databaseService.getLockedWeekDays(organizationId, weekStartDate);
+    const openDays = DAYS.filter(day => deadlines[day] > now && !lockedDays.includes(day));
+
+    const reminded = new Set(await databaseService.getRemindedUserIds(organizationId, weekStartDate));
+    const users = await databaseService.getActiveUsersWithSelections(organizationId, weekStartDate);
+    let queued = 0;
+    let unsubscribed = 0;
+
+    for (const user of users) {
+      if (reminded.has(user.id) || user.is_locked === 1) continue;
+
+      const selfLockedDays = await databaseService.getUserLockedDays(user.id, weekStartDate);
+      const missingDays = openDays.filter(day => !selfLockedDays.includes(day) && !(user[day] || '').trim());
+      if (missingDays.length === 0) continue;
+
+      const result = await emailService.sendOrderReminder(user, weekStartDate, missingDays, deadlines[missingDays[0]]);
+      // Not queued (e.g. email not configured): try again on the next run
+      if (!result.success && !result.skipped) continue;
+
+      await databaseService.saveOrderReminder({
+        weekStartDate,
+        userId: user.id,
+        missingDays,
+        status: result.skipped ? 'unsubscribed' : 'queued',
+        emailId: result.id || null
+      });
+
+      if (result.skipped) {
+        unsubscribed++;
+      } else {
+        queued++;
+      }
+    }
+
+    return { queued, unsubscribed };
+  }
+
+  /**
+   * Start checking for due reminders periodically
+   * Setting ORDER_REMINDER_HOURS_BEFORE to 0 turns reminders off.
+   * @param {number} intervalMs - Check interval (defaults to ORDER_REMINDER_CHECK_INTERVAL_MS or 5 minutes)
+   */
+  startScheduler(intervalMs = parseInt(process.env.ORDER_REMINDER_CHECK_INTERVAL_MS || '300000')) {
+    if (this.timer) return;
+
+    if (!(this.hoursBefore > 0)) {
+      console.log('⚠ Order reminders disabled (ORDER_REMINDER_HOURS_BEFORE is 0)');
+      return;
+    }
+
+    const run = () => this.runReminders().catch(error => {
+      console.error('Order reminder scheduler error:', error);
+    });
+
+    run();
+    this.timer = setInterval(run, intervalMs);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`✓ Order reminders scheduled ${this.hoursBefore}h before cutoff (checked every ${Math.round(intervalMs / 60000)} min)`);
+  }
+
+  /**
+   * Stop the reminder scheduler
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const orderRemindersService = new OrderRemindersService();
+module.exports = orderRemindersService;
@@ -0,0 +1,164 @@
+/**
+ * CSV Parser
+ * Reads CSV exports of the meal options template into rows, detecting the
+ * text encoding and the delimiter used by the exporting application
+ */
+
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Legacy Romanian code pages have no comma-below letters, so exports from them
+ * carry the cedilla look-alikes; map them back to the correct letters
+ */
+const CEDILLA_TO_COMMA = { 'ş': 'ș', 'Ş': 'Ș', 'ţ': 'ț', 'Ţ': 'Ț' };
+
+class CsvParser {
+  constructor() {
+    this.name = 'csv';
+    this.extensions = ['.csv'];
+  }
+
+  /**
+   * Detect the text encoding of a CSV file
+   * Byte order marks win; otherwise valid UTF-8 is assumed to be UTF-8 and anything
+   * else to be Windows-1250, the code page Excel uses for Romanian text
+   * @param {Buffer} buffer - File contents
+   * @returns {string} TextDecoder encoding label
+   */
+  detectEncoding(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return 'utf-8';
+    } catch (error) {
+      return 'windows-1250';
+    }
+  }
+
+  /**
+   * Decode a CSV file to text
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} { text, encoding }
+   */
+  decode(buffer) {
+    const encoding = this.detectEncoding(buffer);
+    // TextDecoder strips the byte order mark by default
+    let text = new TextDecoder(encoding).decode(buffer);
+
+    if (encoding === 'windows-1250') {
+      text = text.replace(/[şŞţŢ]/g, char => CEDILLA_TO_COMMA[char]);
+    }
+
+    return { text, encoding };
+  }
+
+  /**
+   * Detect the delimiter of a CSV text
+   * Honors Excel's "sep=" hint line, otherwise picks the candidate that splits the
+   * first lines into the most columns most consistently
+   * @param {string} text - CSV text
+   * @returns {string} Delimiter
+   */
+  detectDelimiter(text) {
+    const hint = /^sep=(.)\r?\n/i.exec(text);
+    if (hint) return hint[1];
+
+    const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 20);
+    let best = { delimiter: ',', score: 0 };
+
+    DELIMITERS.forEach(delimiter => {
+      // Most common number of separators per line, weighted by how many lines share it
+      const frequency = {};
+      lines.forEach(line => {
+        const count = this._splitLine(line, delimiter).length - 1;
+        if (count > 0) frequency[count] = (frequency[count] || 0) + 1;
+      });
+
+      Object.entries(frequency).forEach(([count, lineCount]) => {
+        const score = Number(count) * lineCount;
+        if (score > best.score) best = { delimiter, score };
+      });
+    });
+
+    return best.delimiter;
+  }
+
+  /**
+   * Parse CSV text into rows (RFC 4180 quoting, CRLF or LF line endings)
+   * @param {string} text - CSV text
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array<Array<string>>}
+   */
+  parseText(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    if (field || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Read a CSV file into rows
+   * @param {Buffer} buffer - File contents
+   * @returns {Object} { rows, details: { encoding, delimiter } }
+   */
+  read(buffer) {
+    const { text, encoding } = this.decode(buffer);
+    const delimiter = this.detectDelimiter(text);
+    const body = text.replace(/^sep=.\r?\n/i, '');
+
+    return {
+      rows: this.parseText(body, delimiter),
+      details: { encoding, delimiter }
+    };
+  }
+
+  /**
+   * Split a single line on a delimiter, ignoring delimiters inside quotes
+   * @private
+   */
+  _splitLine(line, delimiter) {
+    return this.parseText(line, delimiter)[0] || [];
+  }
+}
+
+// Export singleton instance
+const csvParser = new CsvParser();
+module.exports = csvParser;
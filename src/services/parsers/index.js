@@ -0,0 +1,51 @@
+/**
+ * Meal Options Parsers
+ * File parsers are picked by extension and turn an upload into sheet rows for the
+ * import profile; the JSON parser handles menus pushed directly by integrations.
+ *
+ * A file parser exposes `name`, `extensions` and `read(buffer, profile)` returning
+ * `{ rows, details }` (rows is null when the expected sheet is missing).
+ */
+
+const path = require('path');
+const spreadsheetParser = require('./spreadsheet.parser');
+const csvParser = require('./csv.parser');
+const jsonParser = require('./json.parser');
+
+const fileParsers = [spreadsheetParser, csvParser];
+
+/**
+ * Register an additional file parser
+ * @param {Object} parser - Parser with name, extensions and read()
+ */
+function registerParser(parser) {
+  if (!parser.name || !Array.isArray(parser.extensions) || typeof parser.read !== 'function') {
+    throw new Error('A parser needs a name, a list of extensions and a read() method');
+  }
+  fileParsers.push(parser);
+}
+
+/**
+ * Get the file parser for a filename
+ * @param {string} filename - Original filename
+ * @returns {Object|null}
+ */
+function getParserForFile(filename) {
+  const ext = path.extname(filename).toLowerCase();
+  return fileParsers.find(parser => parser.extensions.includes(ext)) || null;
+}
+
+/**
+ * Get all file extensions that have a parser
+ * @returns {Array<string>}
+ */
+function getSupportedExtensions() {
+  return fileParsers.reduce((extensions, parser) => extensions.concat(parser.extensions), []);
+}
+
+module.exports = {
+  registerParser,
+  getParserForFile,
+  getSupportedExtensions,
+  jsonParser
+};
@@ -0,0 +1,108 @@
+/**
+ * JSON Parser
+ * Reads a menu pushed as JSON by an integration instead of a spreadsheet
+ *
+ * Expected body:
+ * {
+ *   "week_start_date": "2025-10-13",
+ *   "period": "13-17",                       // optional
+ *   "source": "catering-sync",               // optional, recorded as the source file
+ *   "categories": [
+ *     { "category": "Meniu 1", "items": { "monday": ["Ciorbă", { "name": "Pui", "price": 25, "allergens": ["gluten"] }] } }
+ *   ]
+ * }
+ */
+
+const { isValidDate } = require('../../utils/validators');
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+
+class JsonParser {
+  constructor() {
+    this.name = 'json';
+  }
+
+  /**
+   * Validate a JSON menu and convert it to parsed categories
+   * @param {Object} body - Request body
+   * @returns {Object} { categories: { [name]: { monday: [], ... } }, errors: [] }
+   */
+  read(body) {
+    const errors = [];
+    const categories = {};
+
+    if (!body || typeof body !== 'object') {
+      return { categories, errors: ['Body must be a JSON object'] };
+    }
+
+    if (!body.week_start_date || !isValidDate(body.week_start_date)) {
+      errors.push('week_start_date is required (YYYY-MM-DD)');
+    }
+
+    if (body.period !== undefined && body.period !== null && !/^\d{1,2}-\d{1,2}$/.test(body.period)) {
+      errors.push('period must look like "13-17"');
+    }
+
+    if (!Array.isArray(body.categories) || body.categories.length === 0) {
+      errors.push('categories must be a non-empty array');
+      return { categories, errors };
+    }
+
+    body.categories.forEach((entry, index) => {
+      const label = `categories[${index}]`;
+
+      if (!entry || typeof entry.category !== 'string' || !entry.category.trim()) {
+        errors.push(`${label}.category is required`);
+        return;
+      }
+
+      const name = entry.category.trim();
+      if (categories[name]) {
+        errors.push(`${label}: duplicate category "${name}"`);
+        return;
+      }
+
+      const items = entry.items || {};
+      const unknownDays = Object.keys(items).filter(day => !DAYS.includes(day));
+      if (unknownDays.length > 0) {
+        errors.push(`${label}.items has unknown days: ${unknownDays.join(', ')}`);
+      }
+
+      categories[name] = {};
+      DAYS.forEach(day => {
+        const dayItems = items[day] || [];
+
+        if (!Array.isArray(dayItems)) {
+          errors.push(`${label}.items.${day} must be an array`);
+          categories[name][day] = [];
+          return;
+        }
+
+        categories[name][day] = dayItems.filter((item, position) => {
+          const itemName = typeof item === 'string' ? item : item && item.name;
+          if (typeof itemName !== 'string' || !itemName.trim()) {
+            errors.push(`${label}.items.${day}[${position}] must be a name or an object with a name`);
+            return false;
+          }
+          if (typeof item === 'object' && item.price !== undefined && item.price !== null &&
+              (typeof item.price !== 'number' || item.price < 0)) {
+            errors.push(`${label}.items.${day}[${position}].price must be a non-negative number`);
+            return false;
+          }
+          if (typeof item === 'object' && item.allergens !== undefined && item.allergens !== null &&
+              (!Array.isArray(item.allergens) || item.allergens.some(a => typeof a !== 'string'))) {
+            errors.push(`${label}.items.${day}[${position}].allergens must be an array of strings`);
+            return false;
+          }
+          return true;
+        }).map(item => (typeof item === 'string' ? item.trim() : { ...item, name: item.name.trim() }));
+      });
+    });
+
+    return { categories, errors };
+  }
+}
+
+// Export singleton instance
+const jsonParser = new JsonParser();
+module.exports = jsonParser;
@@ -0,0 +1,48 @@
+/**
+ * Spreadsheet Parser
+ * Reads Excel workbooks (.xlsx and legacy .xls) into rows
+ */
+
+const xlsx = require('xlsx');
+
+class SpreadsheetParser {
+  constructor() {
+    this.name = 'spreadsheet';
+    this.extensions = ['.xlsx', '.xls'];
+  }
+
+  /**
+   * Pick the sheet named by the profile (or the first sheet) from a workbook
+   * @param {Object} workbook - xlsx workbook
+   * @param {Object} profile - Import profile
+   * @returns {Object|null} Worksheet or null if not found
+   */
+  getSheet(workbook, profile) {
+    const sheetName = profile.sheet_name || workbook.SheetNames[0];
+    return workbook.Sheets[sheetName] || null;
+  }
+
+  /**
+   * Read a workbook into the rows of the profile's sheet
+   * @param {Buffer} buffer - File contents
+   * @param {Object} profile - Import profile
+   * @returns {Object} { rows, details } - rows is null when the sheet does not exist
+   */
+  read(buffer, profile) {
+    const workbook = xlsx.read(buffer, { type: 'buffer' });
+    const sheet = this.getSheet(workbook, profile);
+
+    if (!sheet) {
+      return { rows: null, details: { sheets: workbook.SheetNames } };
+    }
+
+    return {
+      rows: xlsx.utils.sheet_to_json(sheet, { header: 1, defval: '' }),
+      details: { sheet: profile.sheet_name || workbook.SheetNames[0] }
+    };
+  }
+}
+
+// Export singleton instance
+const spreadsheetParser = new SpreadsheetParser();
+module.exports = spreadsheetParser;
@@ -0,0 +1,133 @@
+/**
+ * Passwords Service
+ * Self-service password reset (a single-use link sent by email) and password change.
+ * Both enforce the password strength rules used at registration and sign the user out
+ * of their other sessions, so a leaked password or token stops working everywhere.
+ */
+
+const crypto = require('crypto');
+const databaseService = require('./database.service');
+const authSessionsService = require('./authSessions.service');
+const emailService = require('../config/email');
+const { generateToken, validatePasswordStrength } = require('../utils/password');
+const { ValidationError } = require('../utils/errors');
+
+class PasswordsService {
+  constructor() {
+    this.resetTokenTtlMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60');
+  }
+
+  /**
+   * Email a password reset link
+   * Does nothing for unknown or disabled accounts, so the response can't reveal which
+   * emails have an account.
+   * @param {string} email - Account email
+   * @param {Object} req - Express request (IP of the requester)
+   * @returns {Promise<boolean>} Whether a link was sent
+   */
+  async requestReset(email, req) {
+    const user = await databaseService.getUserByEmail(email);
+    if (!user || !user.is_active || !user.password) {
+      console.log(`Password reset requested for unknown or inactive account: ${email}`);
+      return false;
+    }
+
+    const token = generateToken(32);
+    const expiresAt = new Date(Date.now() + this.resetTokenTtlMinutes * 60 * 1000).toISOString();
+
+    await databaseService.createPasswordResetToken({
+      userId: user.id,
+      tokenHash: this._hash(token),
+      ipAddress: req.ip || null,
+      expiresAt
+    });
+
+    const result = await emailService.sendPasswordResetEmail(user, token, this.resetTokenTtlMinutes);
+    if (!result.success) {
+      console.warn(`Failed to queue password reset email for ${user.email}: ${result.error}`);
+      return false;
+    }
+
+    console.log(`✓ Password reset link sent to ${user.email}`);
+    return true;
+  }
+
+  /**
+   * Set a new password with a reset token, signing the user out everywhere
+   * @param {string} token - Token from the reset link
+   * @param {string} password - New password
+   * @returns {Promise<Object>} { email, sessions } - the account and the number of sessions revoked
+   */
+  async resetPassword(token, password) {
+    const resetToken = await databaseService.getPasswordResetToken(this._hash(token));
+    if (!resetToken || resetToken.used_at || new Date(resetToken.expires_at) <= new Date()) {
+      throw new ValidationError('INVALID_RESET_TOKEN');
+    }
+
+    this._assertStrong(password);
+
+    const user = await databaseService.getUserById(resetToken.user_id);
+    if (!user || !user.is_active) {
+      throw new ValidationError('INVALID_RESET_TOKEN');
+    }
+
+    // Claimed atomically: of two requests with the same token, only one gets here
+    if (!await databaseService.usePasswordResetToken(resetToken.id)) {
+      throw new ValidationError('INVALID_RESET_TOKEN');
+    }
+
+    await databaseService.updateUserPassword(user.id, password);
+    await databaseService.deletePasswordResetTokens(user.id);
+    const sessions = await authSessionsService.revokeOtherSessions(user.id);
+
+    console.log(`✓ Password reset for ${user.email} (${sessions} sessions revoked)`);
+    return { email: user.email, sessions };
+  }
+
+  /**
+   * Change the password of a signed-in user, keeping only their current session
+   * @param {Object} user - Authenticated user (id, sid)
+   * @param {string} currentPassword - Password the user signs in with now
+   * @param {string} newPassword - New password
+   * @returns {Promise<number>} Number of other sessions revoked
+   */
+  async changePassword(user, currentPassword, newPassword) {
+    const account = await databaseService.getUserById(user.id);
+    if (!account || !account.password || !databaseService.verifyPassword(currentPassword, account.password)) {
+      throw new ValidationError('WRONG_CURRENT_PASSWORD');
+    }
+
+    this._assertStrong(newPassword);
+
+    if (databaseService.verifyPassword(newPassword, account.password)) {
+      throw new ValidationError('PASSWORD_UNCHANGED');
+    }
+
+    await databaseService.updateUserPassword(account.id, newPassword);
+    await databaseService.deletePasswordResetTokens(account.id);
+    const sessions = await authSessionsService.revokeOtherSessions(account.id, user.sid);
+
+    console.log(`✓ Password changed for ${account.email} (${sessions} other sessions revoked)`);
+    return sessions;
+  }
+
+  /**
+   * Reject passwords that don't meet the strength rules (utils/password.js)
+   * @private
+   */
+  _assertStrong(password) {
+    const validation = validatePasswordStrength(password);
+    if (!validation.isValid) {
+      throw new ValidationError('WEAK_PASSWORD', { details: validation.feedback.join('. ') });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new PasswordsService();
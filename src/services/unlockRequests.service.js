@@ -0,0 +1,77 @@
+/**
+ * Unlock Requests Service
+ * Keeps admins informed about new unlock requests by batching them into a periodic
+ * email digest, so a burst of requests doesn't turn into a burst of emails
+ */
+
+const databaseService = require('./database.service');
+const emailService = require('../config/email');
+const { getRolesWithPermission } = require('../config/roles');
+
+class UnlockRequestsService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Email admins the pending requests they haven't been told about yet
+   * "Admins" are the users allowed to approve unlock requests (unlocks:approve) in the
+   * organization of the requests; each organization gets its own digest.
+   * Requests are only marked as digested once the digest is queued for at least one admin.
+   * @returns {Promise<Object>} { requests, queued } - number of requests included and emails queued
+   */
+  async sendAdminDigest() {
+    const totals = { requests: 0, queued: 0 };
+    if (!emailService.isConfigured()) {
+      return totals;
+    }
+
+    for (const organization of await databaseService.getOrganizations()) {
+      const requests = await databaseService.getUnlockRequestsPendingDigest(organization.id);
+      if (requests.length === 0) continue;
+
+      const admins = await databaseService.getUsersWithRoles(organization.id, getRolesWithPermission('unlocks:approve'));
+      const result = await emailService.sendUnlockRequestDigest(admins, requests);
+
+      if (result.success) {
+        await databaseService.markUnlockRequestsDigested(requests.map(request => request.id));
+      }
+
+      totals.requests += requests.length;
+      totals.queued += result.queued || 0;
+    }
+
+    return totals;
+  }
+
+  /**
+   * Start sending admin digests periodically
+   * @param {number} intervalMs - Digest interval (defaults to UNLOCK_DIGEST_INTERVAL_MS or 15 minutes)
+   */
+  startScheduler(intervalMs = parseInt(process.env.UNLOCK_DIGEST_INTERVAL_MS || '900000')) {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sendAdminDigest().catch(error => {
+        console.error('Unlock request digest error:', error);
+      });
+    }, intervalMs);
+    // Don't keep the process alive just for the scheduler
+    this.timer.unref();
+    console.log(`✓ Unlock request digest scheduled (every ${Math.round(intervalMs / 60000)} min)`);
+  }
+
+  /**
+   * Stop the digest scheduler
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+const unlockRequestsService = new UnlockRequestsService();
+module.exports = unlockRequestsService;
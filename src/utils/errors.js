@@ -0,0 +1,94 @@
+/**
+ * Domain Errors
+ * Thrown by services and controllers and turned into JSON responses by the error handler
+ * (middleware/errorHandler.js). Every error carries a code from the message catalog
+ * (src/locales), rendered in the request language when it reaches the client.
+ */
+
+const { translate } = require('./i18n');
+
+/**
+ * Base class of the errors the API reports to clients
+ */
+class AppError extends Error {
+  /**
+   * @param {string} code - Error code from the message catalog (WEEK_LOCKED, ...)
+   * @param {Object} options
+   * @param {number} options.status - HTTP status (default 500)
+   * @param {Object} options.params - Message placeholder values
+   * @param {*} options.details - Additional details returned to the client
+   * @param {Error} options.cause - Underlying error (logged, never returned)
+   */
+  constructor(code, { status = 500, params = {}, details, cause } = {}) {
+    super(translate('en', code, params), cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.params = params;
+    this.details = details;
+  }
+}
+
+/**
+ * Invalid input (400)
+ */
+class ValidationError extends AppError {
+  constructor(code, options = {}) {
+    super(code, { ...options, status: 400 });
+  }
+}
+
+/**
+ * Missing, invalid or revoked credentials (401)
+ */
+class AuthenticationError extends AppError {
+  constructor(code, options = {}) {
+    super(code, { ...options, status: 401 });
+  }
+}
+
+/**
+ * Missing resource (404)
+ */
+class NotFoundError extends AppError {
+  constructor(code, options = {}) {
+    super(code, { ...options, status: 404 });
+  }
+}
+
+/**
+ * Request conflicts with the current state, e.g. a duplicate (409)
+ */
+class ConflictError extends AppError {
+  constructor(code, options = {}) {
+    super(code, { ...options, status: 409 });
+  }
+}
+
+/**
+ * Not allowed for this user (403)
+ */
+class ForbiddenError extends AppError {
+  constructor(code, options = {}) {
+    super(code, { ...options, status: 403 });
+  }
+}
+
+/**
+ * Week, day or selection is locked (403, with `locked: true` in the response)
+ */
+class LockedError extends AppError {
+  constructor(code, options = {}) {
+    super(code, { ...options, status: 403 });
+  }
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  AuthenticationError,
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+  LockedError
+};
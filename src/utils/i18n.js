@@ -0,0 +1,104 @@
+/**
+ * API Message Catalog
+ * Error messages keyed by stable codes (src/locales/<locale>.json), with {{name}} placeholders,
+ * plus the few other strings the API renders itself (e.g. the unsubscribe page)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES = ['ro', 'en'];
+const DEFAULT_LOCALE = 'ro';
+
+const catalogs = {};
+LOCALES.forEach(locale => {
+  catalogs[locale] = JSON.parse(fs.readFileSync(path.join(__dirname, '../locales', `${locale}.json`), 'utf8'));
+});
+
+/**
+ * Get the supported language of a locale tag ("en-US" -> "en")
+ * @param {string} tag - Locale tag
+ * @returns {string|null} Supported locale or null
+ */
+function matchLocale(tag) {
+  const language = String(tag || '').trim().toLowerCase().split(/[-_]/)[0];
+  return LOCALES.includes(language) ? language : null;
+}
+
+/**
+ * Pick the best supported locale from an Accept-Language header
+ * @param {string} header - Accept-Language header ("en-US,en;q=0.9,ro;q=0.8")
+ * @returns {string|null} Supported locale or null if none matches
+ */
+function negotiateLocale(header) {
+  if (!header) return null;
+
+  const ranges = String(header).split(',').map((part, index) => {
+    const [tag, ...params] = part.trim().split(';');
+    const q = params.map(p => p.trim()).find(p => p.startsWith('q='));
+    return { tag, q: q ? parseFloat(q.slice(2)) : 1, index };
+  });
+
+  const match = ranges
+    .filter(range => range.q > 0 && matchLocale(range.tag))
+    .sort((a, b) => b.q - a.q || a.index - b.index)[0];
+
+  return match ? matchLocale(match.tag) : null;
+}
+
+/**
+ * Render the message of an error code
+ * Unknown codes fall back to the default locale, then to the code itself.
+ * @param {string} locale - Locale
+ * @param {string} code - Error code (WEEK_LOCKED, ...)
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+function translate(locale, code, params = {}) {
+  const catalog = catalogs[locale] || catalogs[DEFAULT_LOCALE];
+  const message = catalog.errors[code] ?? catalogs[DEFAULT_LOCALE].errors[code] ?? code;
+  return interpolate(message, params);
+}
+
+/**
+ * Render a catalog string by its key ("unsubscribe.done_title")
+ * Missing strings fall back to the default locale, then to the key itself.
+ * @param {string} locale - Locale
+ * @param {string} key - Dotted key
+ * @param {Object} params - Placeholder values
+ * @returns {string}
+ */
+function translateText(locale, key, params = {}) {
+  const lookup = catalog => key.split('.').reduce((value, part) => (value ? value[part] : undefined), catalog);
+  const message = lookup(catalogs[locale] || catalogs[DEFAULT_LOCALE]) ?? lookup(catalogs[DEFAULT_LOCALE]) ?? key;
+  return interpolate(String(message), params);
+}
+
+/**
+ * Fill the {{name}} placeholders of a message (unknown ones are left as they are)
+ * @private
+ */
+function interpolate(message, params) {
+  return message.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) =>
+    params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+  );
+}
+
+/**
+ * Check if an error code is in the catalog
+ * @param {string} code - Error code
+ * @returns {boolean}
+ */
+function hasMessage(code) {
+  return typeof code === 'string' && code in catalogs[DEFAULT_LOCALE].errors;
+}
+
+module.exports = {
+  LOCALES,
+  DEFAULT_LOCALE,
+  matchLocale,
+  negotiateLocale,
+  translate,
+  translateText,
+  hasMessage
+};
@@ -3,29 +3,38 @@
  */
 
 /**
- * Validate email domain
+ * Validate email format
+ * Which domains may sign up is decided by the organizations owning them (organization_domains).
  * @param {string} email - Email address to validate
- * @returns {boolean} True if email domain is allowed
+ * @returns {boolean} True if the email is well formed
  */
 function validateEmail(email) {
   if (!email || typeof email !== 'string') {
     return false;
   }
 
-  // Get allowed domains from environment or use defaults
-  const allowedDomainsStr = process.env.ALLOWED_EMAIL_DOMAINS || '@devhub.tech,@titans.net,@solidstake.com';
-  const allowedDomains = allowedDomainsStr.split(',').map(d => d.trim());
-
-  const emailLower = email.toLowerCase().trim();
-  const hasValidDomain = allowedDomains.some(domain => emailLower.endsWith(domain));
-
-  if (!hasValidDomain) {
-    return false;
-  }
-
   // Basic email format validation
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  return emailRegex.test(emailLower);
+  return emailRegex.test(email.toLowerCase().trim());
+}
+
+/**
+ * Get the domain of an email address
+ * @param {string} email - Email address
+ * @returns {string|null} Lowercase domain (e.g. "devhub.tech") or null
+ */
+function getEmailDomain(email) {
+  if (!validateEmail(email)) return null;
+  return email.toLowerCase().trim().split('@').pop();
+}
+
+/**
+ * Normalize an email domain as stored in organization_domains
+ * @param {string} domain - Domain, with or without a leading "@" (e.g. "@DevHub.tech")
+ * @returns {string} Lowercase domain without the "@" (e.g. "devhub.tech")
+ */
+function normalizeDomain(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/^@/, '');
 }
 
 /**
@@ -94,10 +103,12 @@ function parsePeriodFromFilename(filename) {
 
 /**
  * Parse month and year from filename (e.g., "FOOD 13-17.10.2025" or "FOOD 13-17 OCT")
+ * Without a year in the filename, the year of `today` is returned and `yearInFilename` is false.
  * @param {string} filename - Filename to parse
- * @returns {Object|null} Object with month and year, or null
+ * @param {Date} today - Reference date for a missing year (defaults to now)
+ * @returns {Object|null} Object with month, year and yearInFilename, or null
  */
-function parseMonthYearFromFilename(filename) {
+function parseMonthYearFromFilename(filename, today = new Date()) {
   if (!filename) return null;
 
   const nameWithoutExt = filename.replace(/\.(xlsx|xls|csv)$/i, '');
@@ -107,8 +118,9 @@ function parseMonthYearFromFilename(filename) {
   const numericMatch = nameWithoutExt.match(numericPattern);
   if (numericMatch) {
     const month = parseInt(numericMatch[1]) - 1; // Convert to 0-indexed
-    const year = numericMatch[2] ? parseInt(numericMatch[2]) : new Date().getFullYear();
-    return { month, year };
+    const yearInFilename = !!numericMatch[2];
+    const year = yearInFilename ? parseInt(numericMatch[2]) : today.getFullYear();
+    return { month, year, yearInFilename };
   }
 
   // Try to match month abbreviation: "OCT", "NOV", "DEC", etc.
@@ -136,9 +148,9 @@ function parseMonthYearFromFilename(filename) {
     // Try to find a year in the filename
     const yearPattern = /\b(20\d{2})\b/;
     const yearMatch = nameWithoutExt.match(yearPattern);
-    const year = yearMatch ? parseInt(yearMatch[1]) : new Date().getFullYear();
+    const year = yearMatch ? parseInt(yearMatch[1]) : today.getFullYear();
 
-    return { month, year };
+    return { month, year, yearInFilename: !!yearMatch };
   }
 
   return null;
@@ -180,6 +192,8 @@ function isValidDate(date) {
 
 module.exports = {
   validateEmail,
+  getEmailDomain,
+  normalizeDomain,
   extractNameFromEmail,
   reverseNameOrder,
   parsePeriodFromFilename,
@@ -0,0 +1,319 @@
+/**
+ * Week Resolver
+ * Works out which week (identified by its Monday) an upload belongs to
+ *
+ * Sources, in order of precedence:
+ * 1. An explicit override from the admin (date or ISO week)
+ * 2. An ISO week in the filename ("FOOD 2025-W42.xlsx")
+ * 3. A full date in the filename ("FOOD 2025-10-13.xlsx")
+ * 4. A day period in the filename ("FOOD 13-17.10.2025.xlsx", "FOOD 29-02 OCT.xlsx")
+ *
+ * A month/year next to a period belongs to its end day, so "29-02.10.2025" runs from
+ * 29 September to 2 October and "29-02.01.2026" crosses into the new year. With a month
+ * but no year, the year (last, this or next) putting the week closest to today wins, so a
+ * January menu uploaded in December lands in the new year. Without a month the candidate
+ * closest to today that forms a Monday-Friday week wins.
+ */
+
+const { parsePeriodFromFilename, parseMonthYearFromFilename } = require('./validators');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC date
+ * @param {string} value - Date string
+ * @returns {Date|null} Date or null if invalid
+ */
+function parseDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string}
+ */
+function formatDate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a UTC date
+ * @param {Date} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {Date} date - Date
+ * @returns {Date}
+ */
+function toMonday(date) {
+  return addDays(date, -((date.getUTCDay() + 6) % 7));
+}
+
+/**
+ * Get the ISO week of a date
+ * @param {Date} date - Date
+ * @returns {Object} { year, week }
+ */
+function getIsoWeek(date) {
+  // The ISO week belongs to the year its Thursday falls in
+  const thursday = addDays(toMonday(date), 3);
+  const year = thursday.getUTCFullYear();
+  const week = 1 + Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * DAY_MS));
+  return { year, week };
+}
+
+/**
+ * Get the Monday of an ISO week
+ * @param {number} year - ISO week-numbering year
+ * @param {number} week - Week number (1-53)
+ * @returns {Date|null} Monday, or null if the year has no such week
+ */
+function isoWeekToMonday(year, week) {
+  if (!Number.isInteger(week) || week < 1 || week > 53) return null;
+
+  // 4 January is always in week 1
+  const monday = addDays(toMonday(new Date(Date.UTC(year, 0, 4))), (week - 1) * 7);
+  return getIsoWeek(monday).week === week ? monday : null;
+}
+
+/**
+ * Parse an ISO week reference ("2025-W42", "2025W42", "W42-2025")
+ * @param {string} value - Text to search
+ * @returns {Object|null} { year, week }
+ */
+function parseIsoWeek(value) {
+  if (!value) return null;
+
+  let match = /(?:^|[^\d])(\d{4})-?W(\d{1,2})(?!\d)/i.exec(value);
+  if (match) return { year: Number(match[1]), week: Number(match[2]) };
+
+  match = /(?:^|[^A-Z\d])W(\d{1,2})[\s._-]+(\d{4})(?!\d)/i.exec(value);
+  if (match) return { year: Number(match[2]), week: Number(match[1]) };
+
+  return null;
+}
+
+/**
+ * Build a period label with two-digit days ("29-02"), so a week gets the same label
+ * whether it comes from a filename or from its dates
+ * @param {number|string} startDay - Start day of month
+ * @param {number|string} endDay - End day of month
+ * @returns {string}
+ */
+function formatPeriod(startDay, endDay) {
+  return [startDay, endDay].map(day => String(Number(day)).padStart(2, '0')).join('-');
+}
+
+/**
+ * Build the period label ("13-17") of the week starting on a Monday
+ * @param {Date} monday - Monday
+ * @returns {string}
+ */
+function periodForWeek(monday) {
+  return formatPeriod(monday.getUTCDate(), addDays(monday, 4).getUTCDate());
+}
+
+/**
+ * Resolve the start and end dates of a day period with a known end month
+ * @param {number} startDay - Start day of month
+ * @param {number} endDay - End day of month
+ * @param {number} month - Month of the end day (0-11)
+ * @param {number} year - Year of the end day
+ * @returns {Object|null} { start, end } or null if a day does not exist
+ * @private
+ */
+function _periodDates(startDay, endDay, month, year) {
+  const end = new Date(Date.UTC(year, month, endDay));
+  if (end.getUTCDate() !== endDay) return null;
+
+  // A start day after the end day means the period started in the previous month
+  const startMonth = startDay > endDay ? month - 1 : month;
+  const start = new Date(Date.UTC(year, startMonth, startDay));
+  if (start.getUTCDate() !== startDay) return null;
+
+  return { start, end };
+}
+
+/**
+ * Resolve a day period ("13-17") to a week
+ * @param {string} period - Period from the filename
+ * @param {Object|null} monthYear - { month, year, yearInFilename } of the end day, if known
+ * @param {Date} today - Reference date for periods without a month
+ * @returns {Object} { monday, warnings } or { error }
+ * @private
+ */
+function _resolvePeriod(period, monthYear, today) {
+  const [startDay, endDay] = period.split('-').map(Number);
+  let dates;
+
+  if (monthYear && monthYear.yearInFilename) {
+    dates = _periodDates(startDay, endDay, monthYear.month, monthYear.year);
+  } else if (monthYear) {
+    // Try last, this and next year; the week closest to today wins
+    const candidates = [-1, 0, 1]
+      .map(offset => _periodDates(startDay, endDay, monthYear.month, today.getUTCFullYear() + offset))
+      .filter(Boolean);
+
+    candidates.sort((a, b) =>
+      Math.abs(toMonday(a.start) - today) - Math.abs(toMonday(b.start) - today)
+    );
+    dates = candidates[0];
+  } else {
+    // Try last, this and next month; prefer a real Monday-Friday week, then the closest one
+    const candidates = [-1, 0, 1]
+      .map(offset => _periodDates(startDay, endDay, today.getUTCMonth() + offset, today.getUTCFullYear()))
+      .filter(Boolean);
+    const isWorkWeek = ({ start, end }) => start.getUTCDay() === 1 && formatDate(addDays(start, 4)) === formatDate(end);
+
+    candidates.sort((a, b) =>
+      (isWorkWeek(b) - isWorkWeek(a)) || (Math.abs(a.start - today) - Math.abs(b.start - today))
+    );
+    dates = candidates[0];
+  }
+
+  if (!dates) {
+    return { error: `Period ${period} does not match a valid date` };
+  }
+
+  const { start, end } = dates;
+  if ((end - start) / DAY_MS > 6) {
+    return { error: `Period ${period} is longer than a week` };
+  }
+
+  const monday = toMonday(start);
+  const warnings = [];
+
+  if (formatDate(monday) !== formatDate(start)) {
+    warnings.push({
+      type: 'week_start_normalized',
+      message: `Period starts on ${formatDate(start)}, which is not a Monday; using ${formatDate(monday)}`
+    });
+  }
+
+  if (formatDate(toMonday(end)) !== formatDate(monday)) {
+    warnings.push({
+      type: 'period_end_mismatch',
+      message: `Period ends on ${formatDate(end)}, outside the week starting ${formatDate(monday)}`
+    });
+  }
+
+  return { monday, warnings };
+}
+
+/**
+ * Resolve a date (YYYY-MM-DD) or ISO week (YYYY-Www) to its Monday
+ * @param {string} value - Date or ISO week
+ * @returns {Object} { monday, warnings } or { error }
+ * @private
+ */
+function _resolveDateOrWeek(value) {
+  const isoWeek = /^\d{4}-?W\d{1,2}$/i.test(value) ? parseIsoWeek(value) : null;
+  if (isoWeek) {
+    const monday = isoWeekToMonday(isoWeek.year, isoWeek.week);
+    return monday ? { monday, warnings: [] } : { error: `${value} is not a valid ISO week` };
+  }
+
+  const date = parseDate(value);
+  if (!date) {
+    return { error: 'week_start_date must be a date (YYYY-MM-DD) or an ISO week (YYYY-Www)' };
+  }
+
+  const monday = toMonday(date);
+  const warnings = formatDate(monday) === value ? [] : [{
+    type: 'week_start_normalized',
+    message: `${value} is not a Monday; using ${formatDate(monday)}`
+  }];
+
+  return { monday, warnings };
+}
+
+/**
+ * Resolve the week an upload belongs to
+ * @param {Object} options - Resolution options
+ * @param {string} options.filename - Uploaded filename (optional)
+ * @param {string} options.override - Admin supplied week_start_date or ISO week (optional)
+ * @param {Date} options.today - Reference date (defaults to now)
+ * @returns {Object} { weekStartDate, period, isoWeek, source, warnings } or { error }
+ */
+function resolveWeek({ filename = null, override = null, today = new Date() } = {}) {
+  const name = filename ? filename.replace(/\.[^.]+$/, '') : '';
+  const reference = new Date(Date.UTC(today.getFullYear(), today.getMonth(), today.getDate()));
+  let fromFilename = null;
+
+  const isoWeek = parseIsoWeek(name);
+  const fullDate = /(?:^|[^\d])(\d{4}-\d{2}-\d{2})(?!\d)/.exec(name);
+  const filenamePeriod = isoWeek || fullDate ? null : parsePeriodFromFilename(filename);
+
+  if (isoWeek) {
+    const monday = isoWeekToMonday(isoWeek.year, isoWeek.week);
+    fromFilename = monday
+      ? { monday, warnings: [], source: 'iso_week' }
+      : { error: `${isoWeek.year}-W${isoWeek.week} is not a valid ISO week` };
+  } else if (fullDate) {
+    const resolved = _resolveDateOrWeek(fullDate[1]);
+    fromFilename = { ...resolved, source: 'date' };
+  } else if (filenamePeriod) {
+    const resolved = _resolvePeriod(filenamePeriod, parseMonthYearFromFilename(filename, today), reference);
+    fromFilename = { ...resolved, source: 'period' };
+  }
+
+  let resolved = fromFilename;
+
+  if (override) {
+    const fromOverride = _resolveDateOrWeek(String(override).trim());
+    if (fromOverride.error) return { error: fromOverride.error };
+
+    resolved = { ...fromOverride, source: 'override' };
+
+    if (fromFilename && !fromFilename.error && formatDate(fromFilename.monday) !== formatDate(fromOverride.monday)) {
+      resolved.warnings = [...resolved.warnings, {
+        type: 'week_conflict',
+        message: `week_start_date ${formatDate(fromOverride.monday)} overrides ${formatDate(fromFilename.monday)} from the filename`,
+        from_filename: formatDate(fromFilename.monday)
+      }];
+    }
+  }
+
+  if (!resolved) {
+    return { error: 'Could not determine the week: name the file with a period (13-17.10.2025) or ISO week (2025-W42), or provide week_start_date' };
+  }
+
+  if (resolved.error) return { error: resolved.error };
+
+  const monday = resolved.monday;
+  // Keep the filename's own period label when it describes the resolved week
+  const keepsFilenamePeriod = filenamePeriod && !fromFilename.error &&
+    formatDate(fromFilename.monday) === formatDate(monday);
+
+  return {
+    weekStartDate: formatDate(monday),
+    period: keepsFilenamePeriod ? formatPeriod(...filenamePeriod.split('-')) : periodForWeek(monday),
+    isoWeek: getIsoWeek(monday),
+    source: resolved.source,
+    warnings: resolved.warnings
+  };
+}
+
+module.exports = {
+  resolveWeek,
+  formatPeriod,
+  parseIsoWeek,
+  isoWeekToMonday,
+  getIsoWeek,
+  toMonday,
+  parseDate,
+  formatDate
+};
@@ -0,0 +1,179 @@
+/**
+ * Email outbox: retries with backoff, failed vs. bounced, rate limit
+ * Delivers through a local SMTP stand-in, so nodemailer's real error codes decide the outcome.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+const { startSmtpServer } = require('./helpers/smtpServer');
+
+const testDatabase = useTestDatabase('email-outbox');
+
+// Recipients choose how the stand-in answers
+const REPLIES = {
+  'bounce@example.com': '550 5.1.1 No such user',
+  'busy@example.com': '451 4.3.0 Try again later'
+};
+
+let smtp;
+let db;
+let emailOutboxService;
+let sleeps;
+
+/**
+ * Queue a message for a recipient
+ */
+function queue(to, maxAttempts = 3) {
+  return db.queueEmail({ kind: 'test', to, subject: 'Test', text: 'Hello', maxAttempts });
+}
+
+/**
+ * Get an outbox row with its next attempt as seconds from its last update
+ */
+function getEmail(id) {
+  return db.db.get(
+    `SELECT *, CAST(strftime('%s', next_attempt_at) - strftime('%s', updated_at) AS INTEGER) AS retry_in
+     FROM email_outbox WHERE id = ?`,
+    [id]
+  );
+}
+
+/**
+ * Make a message due now
+ */
+function makeDue(id) {
+  return db.db.run(`UPDATE email_outbox SET next_attempt_at = datetime('now', '-1 second') WHERE id = ?`, [id]);
+}
+
+describe('Email outbox', () => {
+  before(async () => {
+    smtp = await startSmtpServer(address => REPLIES[address] || '250 OK');
+
+    process.env.EMAIL_HOST = '127.0.0.1';
+    process.env.EMAIL_PORT = String(smtp.port);
+    process.env.EMAIL_USER = 'outbox-test';
+    process.env.EMAIL_PASSWORD = 'outbox-test';
+    process.env.EMAIL_RETRY_BASE_SECONDS = '60';
+    process.env.EMAIL_RATE_PER_MINUTE = '30';
+
+    db = require('../src/services/database.service');
+    emailOutboxService = require('../src/services/emailOutbox.service');
+    await db.initialize();
+  });
+
+  after(async () => {
+    await db.db.close();
+    await smtp.close();
+    testDatabase.remove();
+  });
+
+  beforeEach(async (t) => {
+    await db.db.run('DELETE FROM email_outbox');
+    smtp.messages.length = 0;
+    process.env.EMAIL_RATE_PER_MINUTE = '30';
+
+    // Record the spacing between sends instead of waiting for it
+    sleeps = [];
+    t.mock.method(emailOutboxService, '_sleep', async (ms) => {
+      sleeps.push(ms);
+    });
+  });
+
+  it('sends due messages and marks them sent', async () => {
+    const id = await queue('someone@example.com');
+
+    const results = await emailOutboxService.processQueue();
+
+    assert.deepEqual(results, { sent: 1, retried: 0, failed: 0, bounced: 0 });
+    const email = await getEmail(id);
+    assert.equal(email.status, 'sent');
+    assert.equal(email.attempts, 1);
+    assert.ok(email.sent_at);
+    assert.deepEqual(smtp.messages.map(message => message.to), [['someone@example.com']]);
+  });
+
+  it('retries a temporary failure with a delay that doubles after every attempt', async () => {
+    const id = await queue('busy@example.com', 5);
+
+    assert.deepEqual(await emailOutboxService.processQueue(), { sent: 0, retried: 1, failed: 0, bounced: 0 });
+    let email = await getEmail(id);
+    assert.equal(email.status, 'queued');
+    assert.equal(email.attempts, 1);
+    assert.equal(email.retry_in, 60);
+    assert.match(email.last_error, /451/);
+
+    // Not due yet: the next run leaves it alone
+    assert.deepEqual(await emailOutboxService.processQueue(), { sent: 0, retried: 0, failed: 0, bounced: 0 });
+
+    await makeDue(id);
+    await emailOutboxService.processQueue();
+    email = await getEmail(id);
+    assert.equal(email.attempts, 2);
+    assert.equal(email.retry_in, 120);
+
+    await makeDue(id);
+    await emailOutboxService.processQueue();
+    email = await getEmail(id);
+    assert.equal(email.attempts, 3);
+    assert.equal(email.retry_in, 240);
+    assert.equal(smtp.messages.length, 0);
+  });
+
+  it('marks a message failed once it runs out of attempts', async () => {
+    const id = await queue('busy@example.com', 2);
+
+    await emailOutboxService.processQueue();
+    await makeDue(id);
+    const results = await emailOutboxService.processQueue();
+
+    assert.deepEqual(results, { sent: 0, retried: 0, failed: 1, bounced: 0 });
+    const email = await getEmail(id);
+    assert.equal(email.status, 'failed');
+    assert.equal(email.attempts, 2);
+
+    // Given up: never picked up again
+    await makeDue(id);
+    assert.deepEqual(await emailOutboxService.processQueue(), { sent: 0, retried: 0, failed: 0, bounced: 0 });
+  });
+
+  it('marks a message bounced without retrying when the server rejects it outright', async () => {
+    const id = await queue('bounce@example.com', 5);
+
+    const results = await emailOutboxService.processQueue();
+
+    assert.deepEqual(results, { sent: 0, retried: 0, failed: 0, bounced: 1 });
+    const email = await getEmail(id);
+    assert.equal(email.status, 'bounced');
+    assert.equal(email.attempts, 1);
+    assert.match(email.last_error, /550/);
+  });
+
+  it('sends at most EMAIL_RATE_PER_MINUTE messages per run, spaced evenly', async () => {
+    process.env.EMAIL_RATE_PER_MINUTE = '2';
+    const ids = [];
+    for (const to of ['a@example.com', 'b@example.com', 'c@example.com']) {
+      ids.push(await queue(to));
+    }
+
+    assert.deepEqual(await emailOutboxService.processQueue(), { sent: 2, retried: 0, failed: 0, bounced: 0 });
+    assert.deepEqual(sleeps, [30000]);
+    assert.equal((await getEmail(ids[2])).status, 'queued');
+
+    assert.deepEqual(await emailOutboxService.processQueue(), { sent: 1, retried: 0, failed: 0, bounced: 0 });
+    assert.deepEqual(smtp.messages.map(message => message.to[0]), ['a@example.com', 'b@example.com', 'c@example.com']);
+  });
+
+  it('runs one batch at a time', async () => {
+    await queue('a@example.com');
+    await queue('b@example.com');
+
+    const [first, second] = await Promise.all([
+      emailOutboxService.processQueue(),
+      emailOutboxService.processQueue()
+    ]);
+
+    assert.equal(first, second);
+    assert.equal(smtp.messages.length, 2);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Test Database
+ * Points the app at a fresh SQLite file in the temp directory. Call before requiring
+ * any service: the database path is read when the connection module loads.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Use a fresh database file for this test file
+ * @param {string} name - File name prefix
+ * @returns {Object} { path, remove() }
+ */
+function useTestDatabase(name) {
+  const dbPath = path.join(os.tmpdir(), `${name}-${process.pid}.db`);
+  fs.rmSync(dbPath, { force: true });
+  process.env.DATABASE_PATH = dbPath;
+
+  return {
+    path: dbPath,
+    remove: () => fs.rmSync(dbPath, { force: true })
+  };
+}
+
+module.exports = { useTestDatabase };
@@ -0,0 +1,114 @@
+/**
+ * SMTP Stand-in
+ * A minimal SMTP server for tests: accepts any login, records delivered messages and
+ * answers each recipient with the reply chosen by `replyTo(address)` ('250 OK' by default).
+ */
+
+const net = require('net');
+
+/**
+ * Start an SMTP stand-in on a free local port
+ * @param {Function} replyTo - Maps a recipient address to its RCPT reply, e.g. '550 5.1.1 No such user'
+ * @returns {Promise<Object>} { port, messages, close() } - messages holds { to, data } per delivery
+ */
+function startSmtpServer(replyTo = () => '250 OK') {
+  const messages = [];
+  const sockets = new Set();
+
+  const server = net.createServer(socket => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    let buffer = '';
+    let recipients = [];
+    let data = null;
+    let loginSteps = 0;
+
+    const send = line => socket.write(`${line}\r\n`);
+
+    const handle = line => {
+      if (data !== null) {
+        if (line === '.') {
+          messages.push({ to: recipients, data: data.join('\n') });
+          recipients = [];
+          data = null;
+          send('250 2.0.0 Queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        return;
+      }
+
+      if (loginSteps > 0) {
+        loginSteps--;
+        send(loginSteps > 0 ? '334 UGFzc3dvcmQ6' : '235 2.7.0 Authenticated');
+        return;
+      }
+
+      const command = line.slice(0, 4).toUpperCase();
+      if (command === 'EHLO') {
+        send('250-localhost');
+        send('250-AUTH PLAIN LOGIN');
+        send('250 8BITMIME');
+      } else if (command === 'HELO') {
+        send('250 localhost');
+      } else if (command === 'AUTH') {
+        if (/^AUTH LOGIN/i.test(line)) {
+          loginSteps = 2;
+          send('334 VXNlcm5hbWU6');
+        } else {
+          send('235 2.7.0 Authenticated');
+        }
+      } else if (command === 'MAIL') {
+        recipients = [];
+        send('250 OK');
+      } else if (command === 'RCPT') {
+        const address = (line.match(/<([^>]*)>/) || [])[1] || '';
+        const reply = replyTo(address);
+        if (reply.startsWith('250')) {
+          recipients.push(address);
+        }
+        send(reply);
+      } else if (command === 'DATA') {
+        data = [];
+        send('354 End data with <CR><LF>.<CR><LF>');
+      } else if (command === 'RSET' || command === 'NOOP') {
+        send('250 OK');
+      } else if (command === 'QUIT') {
+        send('221 Bye');
+        socket.end();
+      } else {
+        send('502 Command not implemented');
+      }
+    };
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(line);
+      }
+    });
+
+    send('220 localhost ESMTP test');
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        messages,
+        close: () => new Promise(done => {
+          sockets.forEach(socket => socket.destroy());
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+module.exports = { startSmtpServer };
@@ -0,0 +1,246 @@
+/**
+ * Login throttle: progressive delays, lockouts doubling, login audit, admins clearing lockouts
+ * The service's clock is replaced, so waits are checked without waiting.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const testDatabase = useTestDatabase('login-throttle');
+
+const EMAIL = 'someone@devhub.tech';
+const IP = '203.0.113.7';
+
+let db;
+let loginThrottleService;
+let NotFoundError;
+let clock;
+let admin;
+
+/**
+ * Fake Express request from an address
+ */
+function request(ip = IP) {
+  return { ip, get: () => 'throttle-test' };
+}
+
+/**
+ * Move the service's clock forward
+ */
+function advance({ seconds = 0, minutes = 0, hours = 0 }) {
+  clock += ((hours * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+/**
+ * Fail `count` logins in a row, waiting out each delay like a patient attacker would
+ * @returns {Promise<Array<number>>} The wait after each failure (seconds)
+ */
+async function failLogins(count, email = EMAIL, ip = IP) {
+  const waits = [];
+  for (let i = 0; i < count; i++) {
+    await loginThrottleService.recordFailure(email, request(ip));
+    const wait = await loginThrottleService.check(email, ip);
+    waits.push(wait);
+    advance({ seconds: wait });
+  }
+  return waits;
+}
+
+async function getAuditEvents(event) {
+  const { events } = await db.getLoginAuditEvents({ event });
+  return events;
+}
+
+describe('Login throttle', () => {
+  before(async () => {
+    process.env.ADMIN_EMAIL = 'admin@devhub.tech';
+    process.env.ADMIN_PASSWORD = 'Throttle-test-1';
+    process.env.LOGIN_FREE_ATTEMPTS = '3';
+    process.env.LOGIN_MAX_FAILURES = '10';
+    process.env.LOGIN_FREE_ATTEMPTS_PER_IP = '10';
+    process.env.LOGIN_MAX_FAILURES_PER_IP = '50';
+    process.env.LOGIN_FAILURE_WINDOW_MINUTES = '15';
+    process.env.LOGIN_LOCKOUT_MINUTES = '15';
+
+    db = require('../src/services/database.service');
+    loginThrottleService = require('../src/services/loginThrottle.service');
+    ({ NotFoundError } = require('../src/utils/errors'));
+    await db.initialize();
+
+    admin = await db.db.get('SELECT id, email, organization_id FROM users WHERE email = ?', [process.env.ADMIN_EMAIL]);
+  });
+
+  after(async () => {
+    await db.db.close();
+    testDatabase.remove();
+  });
+
+  beforeEach(async (t) => {
+    await db.db.run('DELETE FROM login_throttles');
+    await db.db.run('DELETE FROM login_audit');
+
+    clock = Date.now();
+    t.mock.method(loginThrottleService, '_now', () => new Date(clock));
+  });
+
+  it('lets the free attempts through, then doubles the delay after every failure', async () => {
+    const waits = await failLogins(9);
+
+    assert.deepEqual(waits, [0, 0, 0, 1, 2, 4, 8, 16, 32]);
+  });
+
+  it('caps the delay at a minute', async () => {
+    // Reachable before a lockout only for IP addresses, which get more attempts
+    await db.saveLoginThrottle({
+      scope: 'ip', key: IP, failures: 15, lockouts: 0, lastFailureAt: new Date(clock).toISOString()
+    });
+
+    const waits = [];
+    for (const email of ['a@devhub.tech', 'b@devhub.tech', 'c@devhub.tech']) {
+      waits.push(...await failLogins(1, email));
+    }
+
+    assert.deepEqual(waits, [32, 60, 60]);
+  });
+
+  it('waits only until the delay is over', async () => {
+    await failLogins(3);
+    await loginThrottleService.recordFailure(EMAIL, request());
+    await loginThrottleService.recordFailure(EMAIL, request());
+
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 2);
+    advance({ seconds: 1 });
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 1);
+    advance({ seconds: 1 });
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 0);
+  });
+
+  it('starts counting again after a quiet window', async () => {
+    await failLogins(5);
+    advance({ minutes: 16 });
+
+    const waits = await failLogins(4);
+
+    assert.deepEqual(waits, [0, 0, 0, 1]);
+  });
+
+  it('counts the account and the IP address separately', async () => {
+    await failLogins(4);
+    await loginThrottleService.recordFailure(EMAIL, request());
+
+    // Another account from the same address is not slowed down yet
+    assert.equal(await loginThrottleService.check('other@devhub.tech', IP), 0);
+    // The same account from another address is
+    assert.ok(await loginThrottleService.check(EMAIL, '198.51.100.1') > 0);
+  });
+
+  it('locks the account out after too many failures, doubling the lockout each time', async () => {
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 15 * 60);
+    let lockouts = await getAuditEvents('lockout');
+    assert.equal(lockouts.length, 1);
+    assert.equal(lockouts[0].email, EMAIL);
+    assert.equal(lockouts[0].ip_address, IP);
+    assert.equal(lockouts[0].failures, 10);
+    assert.equal(lockouts[0].locked_until, new Date(clock + 15 * 60 * 1000).toISOString());
+
+    advance({ minutes: 15 });
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 0);
+
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 30 * 60);
+
+    advance({ minutes: 30 });
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 60 * 60);
+
+    lockouts = await getAuditEvents('lockout');
+    assert.equal(lockouts.length, 3);
+  });
+
+  it('forgets earlier lockouts after a quiet day', async () => {
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+    advance({ hours: 25 });
+
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+
+    assert.equal(await loginThrottleService.check(EMAIL, IP), 15 * 60);
+  });
+
+  it('counts attempts rejected during a lockout', async () => {
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+
+    await loginThrottleService.check(EMAIL, IP);
+    await loginThrottleService.check(EMAIL, IP);
+
+    const [lockout] = await db.getLoginLockouts();
+    assert.equal(lockout.key, EMAIL);
+    assert.equal(lockout.blocked_attempts, 2);
+  });
+
+  it('records a successful login after many failures and forgets the account failures', async () => {
+    await failLogins(5);
+
+    await loginThrottleService.recordSuccess(EMAIL, request());
+
+    const events = await getAuditEvents('success_after_failures');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].email, EMAIL);
+    assert.equal(events[0].failures, 5);
+    assert.equal(await db.getLoginThrottle('account', EMAIL), undefined);
+    // The address keeps its count
+    assert.equal((await db.getLoginThrottle('ip', IP)).failures, 5);
+  });
+
+  it('does not record a successful login after only the free attempts', async () => {
+    await failLogins(3);
+
+    await loginThrottleService.recordSuccess(EMAIL, request());
+
+    assert.deepEqual(await getAuditEvents('success_after_failures'), []);
+    assert.equal(await db.getLoginThrottle('account', EMAIL), undefined);
+  });
+
+  it('lets an admin clear a lockout', async () => {
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+    const throttle = await db.getLoginThrottle('account', EMAIL);
+
+    const cleared = await loginThrottleService.clearLockout(throttle.id, admin, admin.organization_id);
+
+    assert.deepEqual(cleared, { scope: 'account', key: EMAIL });
+    assert.equal(await loginThrottleService.check(EMAIL, '198.51.100.1'), 0);
+    const events = await getAuditEvents('lockout_cleared');
+    assert.equal(events.length, 1);
+    assert.equal(events[0].email, EMAIL);
+    assert.equal(events[0].admin_id, admin.id);
+    assert.equal(events[0].admin_email, admin.email);
+    assert.equal(events[0].locked_until, throttle.blocked_until);
+  });
+
+  it('does not clear lockouts of another organization or unknown lockouts', async () => {
+    await failLogins(9);
+    await loginThrottleService.recordFailure(EMAIL, request());
+    const throttle = await db.getLoginThrottle('account', EMAIL);
+    assert.equal(throttle.organization_id, admin.organization_id);
+
+    await assert.rejects(
+      loginThrottleService.clearLockout(throttle.id, admin, admin.organization_id + 1),
+      error => error instanceof NotFoundError && error.code === 'LOCKOUT_NOT_FOUND'
+    );
+    await assert.rejects(
+      loginThrottleService.clearLockout(throttle.id + 1000, admin),
+      NotFoundError
+    );
+    assert.ok(await loginThrottleService.check(EMAIL, IP) > 0);
+    assert.deepEqual(await getAuditEvents('lockout_cleared'), []);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Meal selections: picks resolved against the week's item catalog and saved with their item links,
+ * and decisions on unlock requests
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const testDatabase = useTestDatabase('meal-selections');
+
+const WEEK = '2026-10-05';
+
+let db;
+let user;
+
+/**
+ * Resolve a selection and save it, as the controller does
+ */
+async function submit(input) {
+  const { selections, itemRefs, invalid } = await db.resolveMealSelection(user.organization_id, WEEK, input);
+  assert.deepEqual(invalid, []);
+  await db.saveMealSelection(user.id, WEEK, selections, itemRefs);
+  return selections;
+}
+
+/**
+ * Names of the items a day of the user's selection is linked to
+ */
+async function linkedNames(day) {
+  const itemsByDay = await db.getMealSelectionItems(user.id, WEEK);
+  return itemsByDay[day].map(item => item.name).sort();
+}
+
+/**
+ * ID of a catalog item by day and name
+ */
+async function itemId(day, name) {
+  const items = await db.getMealOptionItems(user.organization_id, WEEK, { day });
+  return items.find(item => item.name === name).id;
+}
+
+describe('Meal selections', () => {
+  before(async () => {
+    process.env.ADMIN_EMAIL = 'admin@devhub.tech';
+    process.env.ADMIN_PASSWORD = 'Selections-test-1';
+
+    db = require('../src/services/database.service');
+    await db.initialize();
+
+    user = await db.db.get('SELECT id, organization_id FROM users WHERE email = ?', [process.env.ADMIN_EMAIL]);
+    await db.saveMealOptions(user.organization_id, [
+      { week_start_date: WEEK, category: 'Meniu 1', monday: 'Ciorbă de legume\nPui grill', tuesday: 'Supă cremă' },
+      { week_start_date: WEEK, category: 'Salată', monday: 'Salată de vinete', tuesday: 'Salată verde' }
+    ], '05-09');
+  });
+
+  after(async () => {
+    await db.db.close();
+    testDatabase.remove();
+  });
+
+  beforeEach(async () => {
+    await db.db.run('DELETE FROM meal_selection_items');
+    await db.db.run('DELETE FROM meal_selections');
+  });
+
+  it('links the items of picks sent as IDs', async () => {
+    await submit({ monday: [await itemId('monday', 'Pui grill'), await itemId('monday', 'Salată de vinete')] });
+
+    assert.deepEqual(await linkedNames('monday'), ['Pui grill', 'Salată de vinete']);
+  });
+
+  it('links the items of legacy picks sent as names', async () => {
+    const selections = await submit({ monday: 'pui grill | Salată de vinete', tuesday: 'Supă cremă' });
+
+    assert.equal(selections.monday, 'pui grill | Salată de vinete');
+    assert.deepEqual(await linkedNames('monday'), ['Pui grill', 'Salată de vinete']);
+    assert.deepEqual(await linkedNames('tuesday'), ['Supă cremă']);
+  });
+
+  it('keeps the links when a selection is saved again with names', async () => {
+    await submit({ monday: [await itemId('monday', 'Pui grill')] });
+
+    await submit({ monday: 'Pui grill' });
+
+    assert.deepEqual(await linkedNames('monday'), ['Pui grill']);
+  });
+
+  it('does not link a pick of a whole category', async () => {
+    const selections = await submit({ monday: 'Pui grill | Salată' });
+
+    assert.equal(selections.monday, 'Pui grill | Salată');
+    assert.deepEqual(await linkedNames('monday'), ['Pui grill']);
+  });
+
+  it('reports names that are not on the menu that day', async () => {
+    const { invalid } = await db.resolveMealSelection(user.organization_id, WEEK, { tuesday: 'Pui grill' });
+
+    assert.deepEqual(invalid.map(pick => [pick.day, pick.code]), [['tuesday', 'PICK_NOT_ON_MENU']]);
+  });
+
+  describe('unlock requests', () => {
+    let request;
+
+    beforeEach(async () => {
+      await db.db.run('DELETE FROM unlock_requests');
+      await submit({ monday: 'Pui grill' });
+      await db.lockUserSelection(user.id, WEEK);
+      request = await db.createUnlockRequest(user.id, WEEK, null, 'Forgot the salad');
+    });
+
+    async function isLocked() {
+      return (await db.getMealSelection(user.id, WEEK)).is_locked === 1;
+    }
+
+    it('unlocks the selection when approved', async () => {
+      assert.equal(await db.approveUnlockRequest(user.organization_id, request.id, user.id, 'OK'), true);
+
+      const decided = await db.getUnlockRequestById(user.organization_id, request.id);
+      assert.equal(decided.status, 'approved');
+      assert.equal(decided.admin_comment, 'OK');
+      assert.equal(await isLocked(), false);
+    });
+
+    it('decides a request only once when two admins decide at the same time', async () => {
+      const [approved, rejected] = await Promise.all([
+        db.approveUnlockRequest(user.organization_id, request.id, user.id),
+        db.rejectUnlockRequest(user.organization_id, request.id, user.id)
+      ]);
+
+      assert.equal(approved !== rejected, true);
+      const decided = await db.getUnlockRequestById(user.organization_id, request.id);
+      assert.equal(decided.status, approved ? 'approved' : 'rejected');
+      assert.equal(await isLocked(), !approved);
+    });
+
+    it('does not approve a rejected request', async () => {
+      assert.equal(await db.rejectUnlockRequest(user.organization_id, request.id, user.id, 'No'), true);
+
+      assert.equal(await db.approveUnlockRequest(user.organization_id, request.id, user.id), false);
+      assert.equal(await db.rejectUnlockRequest(user.organization_id, request.id, user.id), false);
+
+      const decided = await db.getUnlockRequestById(user.organization_id, request.id);
+      assert.equal(decided.status, 'rejected');
+      assert.equal(decided.admin_comment, 'No');
+      assert.equal(await isLocked(), true);
+    });
+  });
+});
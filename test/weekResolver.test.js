@@ -0,0 +1,131 @@
+/**
+ * Week resolver: periods across the new year, ISO weeks, admin overrides
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveWeek } = require('../src/utils/weekResolver');
+
+// Local dates, as the upload would see them
+const DECEMBER_20_2026 = new Date(2026, 11, 20);
+const JANUARY_3_2027 = new Date(2027, 0, 3);
+
+function weekOf(filename, today = DECEMBER_20_2026, override = null) {
+  return resolveWeek({ filename, today, override });
+}
+
+describe('Week resolver', () => {
+  describe('periods with a month but no year', () => {
+    it('puts a January menu uploaded in December in the new year', () => {
+      assert.equal(weekOf('FOOD 28-01.01.xlsx').weekStartDate, '2026-12-28');
+      assert.equal(weekOf('FOOD 04-08.01.xlsx').weekStartDate, '2027-01-04');
+      assert.equal(weekOf('FOOD 4-8 JAN.xlsx').weekStartDate, '2027-01-04');
+    });
+
+    it('puts a December menu uploaded in January in the old year', () => {
+      assert.equal(weekOf('FOOD 21-25.12.xlsx', JANUARY_3_2027).weekStartDate, '2026-12-21');
+      assert.equal(weekOf('FOOD 28-01 JAN.xlsx', JANUARY_3_2027).weekStartDate, '2026-12-28');
+    });
+
+    it('normalizes a period crossing the new year that does not start on a Monday', () => {
+      const resolved = weekOf('FOOD 29-02.01.xlsx');
+
+      assert.equal(resolved.weekStartDate, '2026-12-28');
+      assert.equal(resolved.period, '29-02');
+      assert.deepEqual(resolved.warnings.map(warning => warning.type), ['week_start_normalized']);
+
+      assert.equal(weekOf('FOOD 05-09.01.xlsx').weekStartDate, '2027-01-04');
+    });
+
+    it('uses this year for weeks near today', () => {
+      assert.equal(weekOf('FOOD 14-18.12.xlsx').weekStartDate, '2026-12-14');
+      assert.deepEqual(weekOf('FOOD 14-18.12.xlsx').isoWeek, { year: 2026, week: 51 });
+    });
+  });
+
+  describe('periods with a year', () => {
+    it('keeps the year of the filename', () => {
+      assert.equal(weekOf('FOOD 29-02.01.2026.xlsx').weekStartDate, '2025-12-29');
+      assert.equal(weekOf('FOOD 13-17 OCT 2025.xlsx').weekStartDate, '2025-10-13');
+    });
+
+    it('pads the period label', () => {
+      const resolved = weekOf('FOOD 5-9.10.2026.xlsx');
+
+      assert.equal(resolved.weekStartDate, '2026-10-05');
+      assert.equal(resolved.period, '05-09');
+    });
+  });
+
+  describe('periods without a month', () => {
+    it('picks the Monday-Friday week closest to today, across the new year', () => {
+      assert.equal(weekOf('FOOD 28-01.xlsx').weekStartDate, '2026-12-28');
+      assert.equal(weekOf('FOOD 21-25.xlsx', JANUARY_3_2027).weekStartDate, '2026-12-21');
+    });
+  });
+
+  describe('ISO weeks', () => {
+    it('resolves an ISO week in the filename to its Monday', () => {
+      const resolved = weekOf('FOOD 2026-W53.xlsx');
+
+      assert.equal(resolved.weekStartDate, '2026-12-28');
+      assert.equal(resolved.period, '28-01');
+      assert.equal(resolved.source, 'iso_week');
+      assert.deepEqual(resolved.isoWeek, { year: 2026, week: 53 });
+    });
+
+    it('reads the week before the year', () => {
+      assert.equal(weekOf('FOOD W01-2027.xlsx').weekStartDate, '2027-01-04');
+    });
+
+    it('rejects a week the year does not have', () => {
+      assert.match(weekOf('FOOD 2025-W53.xlsx').error, /not a valid ISO week/);
+    });
+
+    it('resolves a full date to the Monday of its week', () => {
+      const resolved = weekOf('FOOD 2026-12-30.xlsx');
+
+      assert.equal(resolved.weekStartDate, '2026-12-28');
+      assert.equal(resolved.source, 'date');
+    });
+  });
+
+  describe('overrides', () => {
+    it('wins over the filename and warns when they disagree', () => {
+      const resolved = weekOf('FOOD 28-01.01.xlsx', DECEMBER_20_2026, '2027-W02');
+
+      assert.equal(resolved.weekStartDate, '2027-01-11');
+      assert.equal(resolved.source, 'override');
+      assert.equal(resolved.period, '11-15');
+      assert.deepEqual(resolved.warnings, [{
+        type: 'week_conflict',
+        message: 'week_start_date 2027-01-11 overrides 2026-12-28 from the filename',
+        from_filename: '2026-12-28'
+      }]);
+    });
+
+    it('does not warn when the override matches the filename', () => {
+      const resolved = weekOf('FOOD 28-01.01.xlsx', DECEMBER_20_2026, '2026-12-28');
+
+      assert.equal(resolved.source, 'override');
+      assert.equal(resolved.period, '28-01');
+      assert.deepEqual(resolved.warnings, []);
+    });
+
+    it('moves a date that is not a Monday to the Monday of its week', () => {
+      const resolved = weekOf(null, DECEMBER_20_2026, '2027-01-06');
+
+      assert.equal(resolved.weekStartDate, '2027-01-04');
+      assert.deepEqual(resolved.warnings.map(warning => warning.type), ['week_start_normalized']);
+    });
+
+    it('rejects an invalid override', () => {
+      assert.match(weekOf('FOOD 28-01.01.xlsx', DECEMBER_20_2026, '2027-13-01').error, /must be a date/);
+      assert.match(weekOf(null, DECEMBER_20_2026, '2026-W54').error, /must be a date|not a valid ISO week/);
+    });
+  });
+
+  it('fails without a week in the filename or an override', () => {
+    assert.match(weekOf('FOOD menu.xlsx').error, /Could not determine the week/);
+  });
+});